@@ -0,0 +1,113 @@
+// Prompts for the AI proxy's tasks. The browser sends only the data of a request: the items to
+// translate with the language codes, reference translations and glossary terms, or the content to
+// analyze. The instructions around it are written here, so the proxy answers these two tasks and
+// nothing else. Each builder returns { prompt } with { system, user, temperature, schema?,
+// schemaName?, json? } for the provider adapters, or { error } for input it does not accept.
+const LANGUAGES = require('./src/utils/languages.json');
+
+const UNDETERMINED_LANGUAGE = 'und';
+const ITEM_ID = /^t\d+(?:_\d+)?$/;
+const DEFAULT_BATCH_SIZE = 100;
+
+const languagesByCode = new Map(LANGUAGES.map(language => [language.code, language]));
+
+// How a prompt names the language: English name with the native one, e.g. "Arabic (العربية)" or
+// "Chinese (Simplified, 简体中文)"; null for codes the registry does not know
+const getPromptLanguageName = (code) => {
+  const language = languagesByCode.get(code);
+  if (!language) return null;
+  const { name, nativeName } = language;
+  if (nativeName === name) return name;
+  return name.endsWith(')') ? `${name.slice(0, -1)}, ${nativeName})` : `${name} (${nativeName})`;
+};
+
+const isString = (value) => typeof value === 'string';
+const isPair = (value, first, second) => Boolean(value) && isString(value[first]) && isString(value[second]);
+
+// Response schema: a "translations" object with exactly one string per item ID
+const buildTranslationSchema = (ids) => ({
+  type: 'object',
+  properties: {
+    translations: {
+      type: 'object',
+      properties: Object.fromEntries(ids.map(id => [id, { type: 'string' }])),
+      required: ids,
+      additionalProperties: false
+    }
+  },
+  required: ['translations'],
+  additionalProperties: false
+});
+
+// input: { items: [{ id, text, references? }], sourceLanguage, targetLanguage, glossary? } with
+// references as [{ source, translation }] and glossary as the [{ source, target }] terms found in the items
+const buildTranslationPrompt = (input, modelConfig) => {
+  const { items, sourceLanguage, targetLanguage, glossary = [] } = input || {};
+  const targetName = getPromptLanguageName(targetLanguage);
+  if (!targetName) return { error: `Unknown target language: ${targetLanguage}` };
+  const sourceName = getPromptLanguageName(sourceLanguage);
+  if (!sourceName && sourceLanguage && sourceLanguage !== UNDETERMINED_LANGUAGE) {
+    return { error: `Unknown source language: ${sourceLanguage}` };
+  }
+
+  const batchSize = modelConfig.batchSize || DEFAULT_BATCH_SIZE;
+  if (!Array.isArray(items) || items.length === 0) return { error: 'Items to translate required' };
+  if (items.length > batchSize) return { error: `At most ${batchSize} items per request` };
+  const invalidItem = items.find(item => !item || !isString(item.id) || !ITEM_ID.test(item.id) || !isString(item.text)
+    || (item.references !== undefined && !(Array.isArray(item.references) && item.references.every(reference => isPair(reference, 'source', 'translation')))));
+  if (invalidItem) return { error: 'Items must be { id, text, references? } with IDs such as t1 or t1_2' };
+  const ids = items.map(item => item.id);
+  if (new Set(ids).size !== ids.length) return { error: 'Item IDs must be unique' };
+  if (!Array.isArray(glossary) || !glossary.every(term => isPair(term, 'source', 'target'))) {
+    return { error: 'Glossary terms must be { source, target }' };
+  }
+
+  const placeholderRule = items.some(item => item.text.includes('⟦'))
+    ? '\n- Keep every placeholder such as ⟦1⟧ exactly once and unchanged, at the matching place in the translation'
+    : '';
+  const withReferences = items.filter(item => item.references && item.references.length > 0);
+  const referenceBlock = withReferences.length > 0
+    ? `\n\nReference translations of similar texts from the translation memory, by item ID. Reuse their wording where the texts agree:\n${JSON.stringify(Object.fromEntries(withReferences.map(item => [item.id, item.references])))}`
+    : '';
+  const glossaryRule = glossary.length > 0
+    ? `\n- Translate these terms with their approved translations, changing only the grammatical form where the sentence needs it: ${JSON.stringify(Object.fromEntries(glossary.map(term => [term.source, term.target])))}`
+    : '';
+
+  return {
+    prompt: {
+      system: `You are a professional translator. Translate the provided ${sourceName ? `${sourceName} ` : ''}content to ${targetName}.
+
+IMPORTANT RULES:
+- The input is a JSON object mapping item IDs to texts; translate every text on its own
+- Do NOT add any numbering, bullets, or formatting
+- Do NOT merge, split, skip or reorder items
+- Maintain the original structure and meaning, including line breaks inside an item
+- Return JSON format: {"translations": {"<id>": "translated text", ...}} with exactly the IDs given${placeholderRule}${glossaryRule}${referenceBlock}`,
+      user: JSON.stringify(Object.fromEntries(items.map(item => [item.id, item.text]))),
+      temperature: 0.1,
+      schema: buildTranslationSchema(ids),
+      schemaName: 'translations'
+    }
+  };
+};
+
+// input: { content } with the text to check
+const buildAnalysisPrompt = (input) => {
+  const { content } = input || {};
+  if (!isString(content) || !content.trim()) return { error: 'Content to analyze required' };
+  return {
+    prompt: {
+      system: 'Analyze content quality. Return JSON: {"isComplete": boolean, "hasIssues": boolean, "quality": "good|fair|poor", "suggestions": ["string"]}',
+      user: `Analyze: "${content}"`,
+      temperature: 0.2,
+      json: true
+    }
+  };
+};
+
+const PROMPT_BUILDERS = {
+  translate: buildTranslationPrompt,
+  analyze: buildAnalysisPrompt
+};
+
+module.exports = { PROMPT_BUILDERS, getPromptLanguageName };
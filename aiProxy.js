@@ -0,0 +1,348 @@
+// AI proxy: the browser sends translation and analysis requests here and the server forwards them to
+// OpenAI, Azure OpenAI, Anthropic, Gemini or an OpenAI-compatible server, so the API keys stay in
+// the server's environment and never reach the client bundle. Only the models of the app's model
+// registry are accepted and the prompts are built here (aiPrompts.js), so the key cannot be spent
+// on anything else. Every client is held to a number of requests per minute and every call is
+// logged with its token usage.
+const express = require('express');
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const MODEL_REGISTRY = require('./src/utils/modelRegistry.json');
+const { PROMPT_BUILDERS } = require('./aiPrompts');
+
+const env = process.env;
+const USAGE_LOG_FILE = env.AI_USAGE_LOG_FILE || path.join(__dirname, 'ai-usage.log');
+const REQUESTS_PER_MINUTE = Number(env.AI_PROXY_REQUESTS_PER_MINUTE) || 120;
+const WINDOW_MS = 60000;
+const UPSTREAM_TIMEOUT_MS = 120000;
+// Registry section of each task's models
+const TASK_MODELS = {
+  translate: 'TRANSLATION',
+  analyze: 'ANALYSIS'
+};
+// The OpenAI-compatible server's own model, added to the app's model list the same way
+const COMPATIBLE_BASE_MODEL = 'llama3.1:8b';
+
+const isSet = (value, placeholder) => Boolean(value) && value !== placeholder;
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+// A JSON schema without additionalProperties, which Gemini's OpenAPI-style schemas do not accept
+const stripAdditionalProperties = (schema) => {
+  if (Array.isArray(schema)) return schema.map(stripAdditionalProperties);
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(Object.entries(schema)
+    .filter(([key]) => key !== 'additionalProperties')
+    .map(([key, value]) => [key, stripAdditionalProperties(value)]));
+};
+
+// Chat-completions body shared by OpenAI, Azure and compatible servers
+const buildOpenAiBody = ({ model, system, user, maxTokens, temperature, schema, schemaName, json, structuredOutput }) => {
+  const body = {
+    model,
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user', content: user }
+    ],
+    max_tokens: maxTokens,
+    temperature
+  };
+  // Models with structured output are held to the schema; the rest get plain JSON mode
+  if (schema && structuredOutput) {
+    body.response_format = { type: 'json_schema', json_schema: { name: schemaName, strict: true, schema } };
+  } else if (schema || json) {
+    body.response_format = { type: 'json_object' };
+  }
+  return body;
+};
+
+const parseOpenAiResponse = (data) => ({
+  content: data.choices?.[0]?.message?.content ?? '',
+  usage: { inputTokens: data.usage?.prompt_tokens || 0, outputTokens: data.usage?.completion_tokens || 0 }
+});
+
+// Provider adapters: buildRequest turns a request into { url, data, headers } and parseResponse
+// turns the provider's reply into { content, usage }. The *_BASE_URL variables point a provider
+// at another host, such as the local mock provider (mock-ai-provider.js).
+const PROVIDERS = {
+  openai: {
+    name: 'OpenAI',
+    setup: 'Set OPENAI_API_KEY in the server environment to use this provider.',
+    isConfigured: () => isSet(env.OPENAI_API_KEY, 'your_openai_api_key_here'),
+    buildRequest: (request) => ({
+      url: `${trimSlash(env.OPENAI_BASE_URL || 'https://api.openai.com/v1')}/chat/completions`,
+      data: buildOpenAiBody(request),
+      headers: { 'Authorization': `Bearer ${env.OPENAI_API_KEY}` }
+    }),
+    parseResponse: parseOpenAiResponse
+  },
+
+  azure: {
+    name: 'Azure OpenAI',
+    setup: 'Set AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_API_KEY in the server environment to use this provider; deployments are named after the models.',
+    isConfigured: () => Boolean(env.AZURE_OPENAI_ENDPOINT) && isSet(env.AZURE_OPENAI_API_KEY, 'your_azure_openai_api_key_here'),
+    buildRequest: (request) => {
+      // The deployment in the URL picks the model
+      const { model, ...body } = buildOpenAiBody(request);
+      const apiVersion = env.AZURE_OPENAI_API_VERSION || '2024-10-21';
+      return {
+        url: `${trimSlash(env.AZURE_OPENAI_ENDPOINT)}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${apiVersion}`,
+        data: body,
+        headers: { 'api-key': env.AZURE_OPENAI_API_KEY }
+      };
+    },
+    parseResponse: parseOpenAiResponse
+  },
+
+  anthropic: {
+    name: 'Anthropic',
+    setup: 'Set ANTHROPIC_API_KEY in the server environment to use this provider.',
+    isConfigured: () => isSet(env.ANTHROPIC_API_KEY, 'your_anthropic_api_key_here'),
+    buildRequest: ({ model, system, user, maxTokens, temperature, schema, schemaName }) => {
+      const data = {
+        model,
+        system,
+        messages: [{ role: 'user', content: user }],
+        max_tokens: maxTokens,
+        temperature
+      };
+      // Structured output comes from a forced tool call whose input follows the schema
+      if (schema) {
+        data.tools = [{ name: schemaName, description: 'Return the result', input_schema: schema }];
+        data.tool_choice = { type: 'tool', name: schemaName };
+      }
+      return {
+        url: `${trimSlash(env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com')}/v1/messages`,
+        data,
+        headers: {
+          'x-api-key': env.ANTHROPIC_API_KEY,
+          'anthropic-version': '2023-06-01'
+        }
+      };
+    },
+    parseResponse: (data) => {
+      const blocks = data.content || [];
+      const toolUse = blocks.find(block => block.type === 'tool_use');
+      return {
+        content: toolUse
+          ? JSON.stringify(toolUse.input)
+          : blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+        usage: { inputTokens: data.usage?.input_tokens || 0, outputTokens: data.usage?.output_tokens || 0 }
+      };
+    }
+  },
+
+  gemini: {
+    name: 'Google Gemini',
+    setup: 'Set GEMINI_API_KEY in the server environment to use this provider.',
+    isConfigured: () => isSet(env.GEMINI_API_KEY, 'your_gemini_api_key_here'),
+    buildRequest: ({ model, system, user, maxTokens, temperature, schema, json }) => {
+      const generationConfig = { maxOutputTokens: maxTokens, temperature };
+      if (schema || json) generationConfig.responseMimeType = 'application/json';
+      if (schema) generationConfig.responseSchema = stripAdditionalProperties(schema);
+      return {
+        url: `${trimSlash(env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com')}/v1beta/models/${encodeURIComponent(model)}:generateContent`,
+        data: {
+          systemInstruction: { parts: [{ text: system }] },
+          contents: [{ role: 'user', parts: [{ text: user }] }],
+          generationConfig
+        },
+        headers: { 'x-goog-api-key': env.GEMINI_API_KEY }
+      };
+    },
+    parseResponse: (data) => ({
+      content: (data.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join(''),
+      usage: {
+        inputTokens: data.usageMetadata?.promptTokenCount || 0,
+        outputTokens: data.usageMetadata?.candidatesTokenCount || 0
+      }
+    })
+  },
+
+  compatible: {
+    name: 'OpenAI-compatible',
+    setup: 'Set OPENAI_COMPATIBLE_BASE_URL (e.g. http://localhost:11434/v1 for Ollama) in the server environment to use this provider.',
+    isConfigured: () => Boolean(env.OPENAI_COMPATIBLE_BASE_URL),
+    buildRequest: (request) => ({
+      url: `${trimSlash(env.OPENAI_COMPATIBLE_BASE_URL)}/chat/completions`,
+      data: buildOpenAiBody(request),
+      // Local servers usually need no key
+      headers: env.OPENAI_COMPATIBLE_API_KEY
+        ? { 'Authorization': `Bearer ${env.OPENAI_COMPATIBLE_API_KEY}` }
+        : {}
+    }),
+    parseResponse: parseOpenAiResponse
+  }
+};
+
+// Registry entry of a model the app offers for the task, or null for any other model
+const getModelConfig = (providerId, task, model) => {
+  const models = MODEL_REGISTRY[providerId]?.[TASK_MODELS[task]] || {};
+  if (Object.prototype.hasOwnProperty.call(models, model)) return models[model];
+  const compatibleModel = env.OPENAI_COMPATIBLE_MODEL || env.REACT_APP_OPENAI_COMPATIBLE_MODEL;
+  if (providerId === 'compatible' && compatibleModel && model === compatibleModel) return models[COMPATIBLE_BASE_MODEL];
+  return null;
+};
+
+// The request the client may send, { provider, model, input } with the task's input (see
+// aiPrompts.js); the output limit and structured output come from the model's registry entry
+const readChatRequest = (task, body) => {
+  const { provider, model, input } = body || {};
+  if (!Object.prototype.hasOwnProperty.call(PROVIDERS, provider)) return { error: `Unknown AI provider: ${provider}` };
+  const modelConfig = typeof model === 'string' ? getModelConfig(provider, task, model) : null;
+  if (!modelConfig) return { error: `Model not available for ${PROVIDERS[provider].name}: ${model}` };
+
+  const { prompt, error } = PROMPT_BUILDERS[task](input, modelConfig);
+  if (error) return { error };
+  return {
+    request: {
+      provider,
+      model,
+      schema: null,
+      schemaName: 'result',
+      json: false,
+      ...prompt,
+      maxTokens: modelConfig.maxTokens,
+      structuredOutput: Boolean(modelConfig.structuredOutput)
+    }
+  };
+};
+
+// Requests per client (by IP) in the last minute
+const clientRequests = new Map();
+
+// Milliseconds until the client may send again, or 0 after counting this request
+const takeRequestSlot = (client, now) => {
+  const times = (clientRequests.get(client) || []).filter(time => now - time < WINDOW_MS);
+  if (times.length >= REQUESTS_PER_MINUTE) {
+    clientRequests.set(client, times);
+    return times[0] + WINDOW_MS - now;
+  }
+  times.push(now);
+  clientRequests.set(client, times);
+  return 0;
+};
+
+// Forget clients that sent nothing in the last minute; the timer does not keep the process alive
+setInterval(() => {
+  const now = Date.now();
+  for (const [client, times] of clientRequests.entries()) {
+    if (times.every(time => now - time >= WINDOW_MS)) clientRequests.delete(client);
+  }
+}, WINDOW_MS).unref();
+
+// Token usage per client since the server started
+const usageTotals = new Map();
+
+const logUsage = async (entry) => {
+  if (entry.status === 'ok') {
+    const totals = usageTotals.get(entry.client) || { requests: 0, inputTokens: 0, outputTokens: 0 };
+    totals.requests++;
+    totals.inputTokens += entry.inputTokens;
+    totals.outputTokens += entry.outputTokens;
+    usageTotals.set(entry.client, totals);
+    console.log(`📊 AI ${entry.task} for ${entry.client} via ${entry.provider}/${entry.model}: ${entry.inputTokens} in, ${entry.outputTokens} out, ${entry.durationMs}ms`);
+  } else {
+    console.warn(`⚠️ AI ${entry.task} for ${entry.client} via ${entry.provider}/${entry.model} ${entry.status}: ${entry.error || ''}`);
+  }
+
+  try {
+    await fs.appendFile(USAGE_LOG_FILE, JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n');
+  } catch (error) {
+    console.error('Usage log error:', error);
+  }
+};
+
+// Status for the browser: upstream rate limits and errors pass through so the client's retries
+// and Retry-After handling keep working; no answer at all is a bad gateway
+const getUpstreamStatus = (error) => {
+  if (error.response) return error.response.status;
+  return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' ? 504 : 502;
+};
+
+const getUpstreamMessage = (error) => {
+  const data = error.response?.data;
+  return data?.error?.message || data?.error || data?.message || error.message;
+};
+
+const forwardChat = (task) => async (req, res) => {
+  const client = req.ip;
+  const { request, error } = readChatRequest(task, req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const provider = PROVIDERS[request.provider];
+  if (!provider.isConfigured()) {
+    return res.status(400).json({ success: false, error: `${provider.name} is not configured on the server` });
+  }
+
+  const retryAfter = takeRequestSlot(client, Date.now());
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+    return res.status(429).json({ success: false, error: `Limit of ${REQUESTS_PER_MINUTE} AI requests per minute reached` });
+  }
+
+  // A browser that cancels or goes away cancels the provider call too
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  const startTime = Date.now();
+  const entry = { client, task, provider: request.provider, model: request.model };
+  try {
+    const { url, data, headers } = provider.buildRequest(request);
+    const response = await axios.post(url, data, {
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      timeout: UPSTREAM_TIMEOUT_MS,
+      signal: controller.signal
+    });
+    const { content, usage } = provider.parseResponse(response.data);
+
+    logUsage({ ...entry, status: 'ok', ...usage, durationMs: Date.now() - startTime });
+    res.json({ success: true, content, usage });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      logUsage({ ...entry, status: 'cancelled', durationMs: Date.now() - startTime });
+      return;
+    }
+
+    const status = getUpstreamStatus(error);
+    const message = getUpstreamMessage(error);
+    logUsage({ ...entry, status: 'failed', httpStatus: status, error: message, durationMs: Date.now() - startTime });
+
+    const upstreamRetryAfter = error.response?.headers?.['retry-after'];
+    if (upstreamRetryAfter) res.set('Retry-After', String(upstreamRetryAfter));
+    res.status(status).json({ success: false, error: `${provider.name}: ${message}` });
+  }
+};
+
+// Router mounted at /api/ai
+const createAiRouter = () => {
+  const router = express.Router();
+
+  // [{ id, name, setup, configured }]; keys themselves are never sent
+  router.get('/providers', (req, res) => {
+    const providers = Object.entries(PROVIDERS).map(([id, provider]) => ({
+      id,
+      name: provider.name,
+      setup: provider.setup,
+      configured: provider.isConfigured()
+    }));
+    res.json({ success: true, providers });
+  });
+
+  // The calling client's own totals; the full history is in ai-usage.log
+  router.get('/usage', (req, res) => {
+    const usage = usageTotals.get(req.ip) || { requests: 0, inputTokens: 0, outputTokens: 0 };
+    res.json({ success: true, requestsPerMinute: REQUESTS_PER_MINUTE, usage });
+  });
+
+  router.post('/translate', forwardChat('translate'));
+  router.post('/analyze', forwardChat('analyze'));
+
+  return router;
+};
+
+module.exports = { createAiRouter };
@@ -0,0 +1,126 @@
+// Glossary: approved translations of subject terms per language pair, kept in glossary.json.
+// A term is identified by its language pair and source text (case-insensitive), so saving the same
+// term again replaces its translation.
+const express = require('express');
+const fs = require('fs').promises;
+const path = require('path');
+
+const GLOSSARY_FILE = process.env.GLOSSARY_FILE || path.join(__dirname, 'glossary.json');
+
+const readLanguage = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+const termId = (sourceLanguage, targetLanguage, source) =>
+  [sourceLanguage, targetLanguage, source.trim().toLowerCase()].join('|');
+
+const readTerms = async () => {
+  try {
+    return JSON.parse(await fs.readFile(GLOSSARY_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+};
+
+// Map<id, term> loaded from disk on first use. Requests change it in place without awaiting in
+// between, so concurrent saves and deletes never work on stale copies of the file.
+let terms = null;
+let loading = null;
+let writeQueue = Promise.resolve();
+
+// Requests arriving before the first read finishes share it; a failed read is tried again next time
+const loadTerms = () => {
+  if (!loading) {
+    loading = readTerms().then(data => {
+      terms = new Map(data.map(term => [term.id, term]));
+      return terms;
+    }, error => {
+      loading = null;
+      throw error;
+    });
+  }
+  return loading;
+};
+
+// Writes are queued so concurrent requests never interleave on the file
+const saveTerms = () => {
+  writeQueue = writeQueue
+    .catch(() => {})
+    .then(() => fs.writeFile(GLOSSARY_FILE, JSON.stringify(Array.from(terms.values()), null, 2)));
+  return writeQueue;
+};
+
+// Term from a client's { source, target, sourceLanguage, targetLanguage, note }, or null
+const toTerm = (item) => {
+  if (!item || typeof item.source !== 'string' || typeof item.target !== 'string') return null;
+  const source = item.source.trim();
+  const target = item.target.trim();
+  const sourceLanguage = readLanguage(item.sourceLanguage);
+  const targetLanguage = readLanguage(item.targetLanguage);
+  if (!source || !target || !sourceLanguage || !targetLanguage) return null;
+  return {
+    id: termId(sourceLanguage, targetLanguage, source),
+    source,
+    target,
+    sourceLanguage,
+    targetLanguage,
+    note: typeof item.note === 'string' ? item.note.trim() : ''
+  };
+};
+
+// Terms of a pair; without a source language, every term into the target language
+const filterTerms = ({ sourceLanguage, targetLanguage }) => Array.from(terms.values()).filter(term =>
+  (!sourceLanguage || term.sourceLanguage === readLanguage(sourceLanguage)) &&
+  (!targetLanguage || term.targetLanguage === readLanguage(targetLanguage)));
+
+// Router mounted at /api/glossary
+const createGlossaryRouter = () => {
+  const router = express.Router();
+
+  // ?sourceLanguage=&targetLanguage= -> { terms }
+  router.get('/', async (req, res) => {
+    try {
+      await loadTerms();
+      const selected = filterTerms(req.query).sort((a, b) => a.source.localeCompare(b.source));
+      res.json({ success: true, terms: selected });
+    } catch (error) {
+      console.error('Glossary load error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // { terms: [{ source, target, sourceLanguage, targetLanguage, note }] } -> { saved, skipped }
+  router.post('/', async (req, res) => {
+    try {
+      if (!Array.isArray(req.body.terms)) {
+        return res.status(400).json({ success: false, error: 'Terms required' });
+      }
+      const incoming = req.body.terms.map(toTerm);
+      const valid = incoming.filter(Boolean);
+
+      await loadTerms();
+      valid.forEach(term => terms.set(term.id, term));
+      if (valid.length > 0) await saveTerms();
+
+      console.log(`📖 Glossary: ${valid.length} terms saved, ${incoming.length - valid.length} skipped`);
+      res.json({ success: true, saved: valid.length, skipped: incoming.length - valid.length });
+    } catch (error) {
+      console.error('Glossary save error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      await loadTerms();
+      if (terms.delete(req.params.id)) await saveTerms();
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Glossary delete error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createGlossaryRouter };
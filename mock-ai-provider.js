@@ -0,0 +1,66 @@
+// Local stand-in for an OpenAI-style chat-completions API, for trying the AI proxy without a key:
+//   npm run mock-ai
+//   OPENAI_BASE_URL=http://localhost:3002/v1 OPENAI_API_KEY=mock npm run server
+// Translation requests come back with every item prefixed by the target language name, analysis
+// requests with a fixed result. MOCK_FAILURE_RATE (0-1) answers that share of requests with a 429
+// or 500 to exercise retries. The proxy tests start the exported app on a free port themselves.
+const express = require('express');
+
+const app = express();
+const PORT = Number(process.env.MOCK_AI_PORT) || 3002;
+const FAILURE_RATE = Number(process.env.MOCK_FAILURE_RATE) || 0;
+
+app.use(express.json({ limit: '50mb' }));
+
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+const mockTranslations = (system, user) => {
+  const language = (system.match(/Translate the provided (?:.+? )?content to ([^.]+)\./) || [])[1] || 'Translated';
+  const items = JSON.parse(user);
+  return {
+    translations: Object.fromEntries(Object.entries(items).map(([id, text]) => [id, `[${language}] ${text}`]))
+  };
+};
+
+app.post('/v1/chat/completions', (req, res) => {
+  const { model, messages = [] } = req.body;
+  const system = messages.find(message => message.role === 'system')?.content || '';
+  const user = messages.find(message => message.role === 'user')?.content || '';
+
+  if (!req.get('Authorization')) {
+    return res.status(401).json({ error: { message: 'Missing API key' } });
+  }
+  if (Math.random() < FAILURE_RATE) {
+    const status = Math.random() < 0.5 ? 429 : 500;
+    if (status === 429) res.set('Retry-After', '1');
+    console.log(`💥 Mock failure ${status} for ${model}`);
+    return res.status(status).json({ error: { message: `Mock ${status === 429 ? 'rate limit' : 'server error'}` } });
+  }
+
+  let result;
+  try {
+    result = system.includes('translator')
+      ? mockTranslations(system, user)
+      : { isComplete: true, hasIssues: false, quality: 'good', suggestions: [] };
+  } catch (error) {
+    return res.status(400).json({ error: { message: `Unreadable request: ${error.message}` } });
+  }
+
+  const content = JSON.stringify(result);
+  console.log(`🤖 Mock reply from ${model}: ${content.length} characters`);
+  res.json({
+    id: `mock-${Date.now()}`,
+    object: 'chat.completion',
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: estimateTokens(system + user), completion_tokens: estimateTokens(content) }
+  });
+});
+
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Mock AI provider running on port ${PORT}`);
+  });
+}
+
+module.exports = { app };
@@ -3,15 +3,44 @@ const fs = require('fs').promises;
 const path = require('path');
 const cors = require('cors');
 
+// Provider keys for the AI proxy can live in .env next to this file (Node 20.12+)
+if (typeof process.loadEnvFile === 'function') {
+  try {
+    process.loadEnvFile(path.join(__dirname, '.env'));
+  } catch (error) {
+    // No .env file: the keys come from the environment
+  }
+}
+
+const { createAiRouter } = require('./aiProxy');
+const { createTranslationMemoryRouter } = require('./translationMemory');
+const { createGlossaryRouter } = require('./glossary');
+
 const app = express();
 const PORT = 3001;
 const DATA_FILE = path.join(__dirname, 'saved-data.json');
+const PRESETS_FILE = path.join(__dirname, 'mapping-presets.json');
+// Cost ledger and budget of the saved project, kept next to its data
+const PROJECT_FILE = path.join(__dirname, 'project-costs.json');
+
+// Browser origins allowed to call the API (comma-separated), by default the development app
+const APP_ORIGINS = (process.env.APP_ORIGIN || 'http://localhost:3000').split(',').map(origin => origin.trim()).filter(Boolean);
+
+// TRUST_PROXY as Express takes it: true, a hop count, or addresses such as "loopback". Set it when
+// the server runs behind a reverse proxy, so clients are told apart by their own address for the AI
+// proxy's rate limit and usage totals instead of all sharing the proxy's
+const readTrustProxy = (value) => {
+  if (value === undefined || value === '' || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
 
 // Session management for active operations
 const activeSessions = new Map();
 
 // Middleware
-app.use(cors());
+app.set('trust proxy', readTrustProxy(process.env.TRUST_PROXY));
+app.use(cors({ origin: APP_ORIGINS }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 
@@ -28,7 +57,7 @@ const ensureDataDir = async () => {
 app.post('/api/save-data', async (req, res) => {
   try {
     await ensureDataDir();
-    const { data } = req.body;
+    const { data, project } = req.body;
     
     if (!data) {
       return res.status(400).json({ success: false, error: 'No data provided' });
@@ -37,6 +66,7 @@ app.post('/api/save-data', async (req, res) => {
     // Write data with compression for better performance
     const jsonData = JSON.stringify(data);
     await fs.writeFile(DATA_FILE, jsonData);
+    if (project) await fs.writeFile(PROJECT_FILE, JSON.stringify(project, null, 2));
     res.json({ success: true, message: 'Data saved successfully' });
   } catch (error) {
     console.error('Save error:', error);
@@ -49,7 +79,8 @@ app.get('/api/load-data', async (req, res) => {
   try {
     const data = await fs.readFile(DATA_FILE, 'utf8');
     const parsedData = JSON.parse(data);
-    res.json({ success: true, data: parsedData });
+    const project = await fs.readFile(PROJECT_FILE, 'utf8').then(JSON.parse).catch(() => null);
+    res.json({ success: true, data: parsedData, project });
   } catch (error) {
     if (error.code === 'ENOENT') {
       res.json({ success: false, message: 'No saved data found' });
@@ -64,6 +95,7 @@ app.get('/api/load-data', async (req, res) => {
 app.post('/api/clear-data', async (req, res) => {
   try {
     await fs.unlink(DATA_FILE).catch(() => {}); // Ignore if file doesn't exist
+    await fs.unlink(PROJECT_FILE).catch(() => {});
     res.json({ success: true, message: 'Data cleared successfully' });
   } catch (error) {
     console.error('Clear error:', error);
@@ -71,6 +103,56 @@ app.post('/api/clear-data', async (req, res) => {
   }
 });
 
+// Column mapping presets
+const readPresets = async () => {
+  try {
+    const data = await fs.readFile(PRESETS_FILE, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+};
+
+app.get('/api/mapping-presets', async (req, res) => {
+  try {
+    const presets = await readPresets();
+    res.json({ success: true, presets });
+  } catch (error) {
+    console.error('Presets load error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/mapping-presets', async (req, res) => {
+  try {
+    const { preset } = req.body;
+    if (!preset || !preset.name || !Array.isArray(preset.columns)) {
+      return res.status(400).json({ success: false, error: 'Preset name and columns required' });
+    }
+    
+    // Saving under an existing name replaces that preset
+    const presets = (await readPresets()).filter(p => p.name !== preset.name);
+    presets.push(preset);
+    await fs.writeFile(PRESETS_FILE, JSON.stringify(presets, null, 2));
+    res.json({ success: true, presets });
+  } catch (error) {
+    console.error('Preset save error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/mapping-presets/:name', async (req, res) => {
+  try {
+    const presets = (await readPresets()).filter(p => p.name !== req.params.name);
+    await fs.writeFile(PRESETS_FILE, JSON.stringify(presets, null, 2));
+    res.json({ success: true, presets });
+  } catch (error) {
+    console.error('Preset delete error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Session management endpoints
 app.post('/api/session/start', (req, res) => {
   try {
@@ -148,6 +230,15 @@ setInterval(() => {
   }
 }, 60000); // Check every minute
 
+// AI proxy: translation and analysis requests are forwarded with the server's API keys
+app.use('/api/ai', createAiRouter());
+
+// Translation memory: earlier translations reused by later runs and shared as TMX
+app.use('/api/tm', createTranslationMemoryRouter());
+
+// Glossary: approved term translations put into translation prompts and checked afterwards
+app.use('/api/glossary', createGlossaryRouter());
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ success: true, message: 'Server is running' });
@@ -7,14 +7,116 @@ import LanguageSelector from './components/LanguageSelector';
 import DebugPage from './components/DebugPage';
 import ModelSelector from './components/ModelSelector';
 import ErrorBoundary from './components/ErrorBoundary';
-import { parseExcelFile, exportToExcel, exportToExcelWithFormatting, clearExcelCache } from './utils/optimizedExcelParser';
-import { analyzeContent, analyzeDataset, translateBatchStructured, cancelTranslation, clearCaches } from './utils/optimizedAiService';
+import SheetSelector from './components/SheetSelector';
+import SheetTabs from './components/SheetTabs';
+import ColumnMappingDialog from './components/ColumnMappingDialog';
+import ExportReportDialog from './components/ExportReportDialog';
+import TranslationReportDialog from './components/TranslationReportDialog';
+import TranslationMemoryDialog from './components/TranslationMemoryDialog';
+import GlossaryDialog from './components/GlossaryDialog';
+import LanguageVariantDialog from './components/LanguageVariantDialog';
+import TranslationRulesDialog from './components/TranslationRulesDialog';
+import CostEstimateDialog from './components/CostEstimateDialog';
+import ProjectCostsDialog from './components/ProjectCostsDialog';
+import { parseExcelFile, exportToExcel, exportToExcelWithFormatting, exportToMoodleXml, exportToGift, exportToAiken, exportToQtiPackage, clearExcelCache, normalizeSheets } from './utils/optimizedExcelParser';
+import { analyzeContent, analyzeWorkbook, translateBatchStructured, cancelTranslation, clearCaches, TRANSLATION_STATUS, estimateTranslationCost, estimateAnalysisCost, getCurrentModels, setModel } from './utils/optimizedAiService';
+import { onCircuitChange } from './utils/aiRequest';
+import { getSheetSchema, getColumnRole, isTextRole, schemaToPreset, applyPresetToSchema } from './utils/columnSchema';
 import { API_ENDPOINTS } from './utils/constants';
-import { Download, Globe, Database, BarChart3, Upload, Settings, X, Trash2 } from 'lucide-react';
+import { SOURCE_LAYER, setLayerCell, getSheetLanguages, getLayerSheets, getBilingualSheets } from './utils/languageLayers';
+import { createLanguageVariant, getVariantFlags, acknowledgeVariantLink, VARIANT_PLACEMENT } from './utils/languageVariants';
+import { collectTranslationCells, createTranslationFilter, getTranslationRules, translationKey, SKIP_REASONS } from './utils/translationRules';
+import { cellId, getSelectedCellIds, getSelectedRowIndices, describeRows } from './utils/selection';
+import { detectLanguage, tagSheetLanguages, getLanguageMix } from './utils/languageDetection';
+import { getLanguageName } from './utils/languages';
+import { createProjectCosts, readProjectCosts, startRun, addRunUsage, getBudgetLeft, formatCost } from './utils/costs';
+import { Download, Globe, Database, BarChart3, Upload, Settings, X, Trash2, Columns, FileCode, BookOpen, BookA, CopyPlus, ListFilter, Wallet } from 'lucide-react';
+
+// Question bank formats offered in the export group
+const QUESTION_BANK_EXPORTS = {
+  moodle: { label: 'Moodle XML', shortLabel: 'Moodle', exporter: exportToMoodleXml, filename: 'question_bank.xml' },
+  gift: { label: 'GIFT', shortLabel: 'GIFT', exporter: exportToGift, filename: 'question_bank.gift.txt' },
+  aiken: { label: 'Aiken', shortLabel: 'Aiken', exporter: exportToAiken, filename: 'question_bank.aiken.txt' },
+  qti: { label: 'QTI 2.1', shortLabel: 'QTI', exporter: exportToQtiPackage, filename: 'qti_package.zip' }
+};
+
+// Combine dataset checks and AI content analysis into the report shown by AnalysisPanel
+const buildComprehensiveAnalysis = (sheets, aiAnalysis, sampleRows) => {
+  const datasetAnalysis = analyzeWorkbook(sheets);
+  const allCells = sheets.flatMap(sheet => sheet.data.flat());
+  const totalRows = sheets.reduce((sum, sheet) => sum + sheet.data.length, 0);
+  // Detected languages of the question, answer and text cells
+  const languageMix = getLanguageMix(sheets.flatMap(sheet => {
+    const schema = getSheetSchema(sheet);
+    return sheet.data.flatMap(row => row.filter((cell, colIndex) => isTextRole(getColumnRole(schema, colIndex))));
+  }));
+
+  // Basic data analysis
+  const dataAnalysis = {
+    totalRows,
+    sampleRows,
+    emptyCells: allCells.filter(cell => cell.isEmpty).length,
+    htmlCells: allCells.filter(cell => cell.hasHtml).length,
+    entityCells: allCells.filter(cell => cell.hasEntities).length,
+  };
+
+  return {
+    dataQuality: dataAnalysis,
+    datasetAnalysis: datasetAnalysis,
+    contentQuality: aiAnalysis,
+    summary: {
+      totalRows,
+      totalSheets: sheets.length,
+      totalCells: allCells.length,
+      dataQualityScore: datasetAnalysis.dataQuality,
+      overallQuality: aiAnalysis.quality,
+      issuesFound: datasetAnalysis.issues.length,
+      criticalIssues: datasetAnalysis.detailedIssues.filter(i => i.severity === 'high').length,
+      languageMix,
+      // Only show meaningful counts
+      ...(dataAnalysis.emptyCells > 0 && { emptyCells: dataAnalysis.emptyCells }),
+      ...(dataAnalysis.htmlCells > 0 && { htmlCells: dataAnalysis.htmlCells }),
+      ...(dataAnalysis.entityCells > 0 && { entityCells: dataAnalysis.entityCells })
+    },
+    recommendations: [],
+    isBulkAnalysis: true
+  };
+};
+
+// Sample rows across all sheets for AI analysis (first 1000 rows for performance)
+const sampleSheetRows = (sheets, limit = 1000) => {
+  const sample = [];
+  for (const sheet of sheets) {
+    if (sample.length >= limit) break;
+    sample.push(...sheet.data.slice(0, limit - sample.length));
+  }
+  return sample;
+};
+
+// Text of the sampled rows as sent for AI analysis
+const sampleAnalysisContent = (sampleRows) => sampleRows.map(row =>
+  row.map(cell => cell.cleaned).join(' ')
+).join('\n');
+
+// "Cost: $0.012 (estimated $0.010)" for the toast after a run
+const describeCost = (cost, estimatedCost) => (estimatedCost === null || estimatedCost === undefined
+  ? `Cost: ${formatCost(cost)}`
+  : `Cost: ${formatCost(cost)} (estimated ${formatCost(estimatedCost)})`);
+
+// Toast for the cost side of an analysis: left to the local checks by the budget, or what it cost
+const notifyAnalysisCost = (aiAnalysis, cost, estimatedCost = null) => {
+  if (aiAnalysis.pausedByBudget) {
+    toast('The AI analysis would go over the budget; local checks were used instead', { icon: '💰', duration: 5000 });
+  } else if (cost > 0) {
+    toast(describeCost(cost, estimatedCost), { icon: '💰', duration: 3000 });
+  }
+};
 
 function OptimizedApp() {
   // State management with optimized initial values
-  const [excelData, setExcelData] = useState(null);
+  const [sheets, setSheets] = useState(null);
+  const [activeSheetIndex, setActiveSheetIndex] = useState(0);
+  const [pendingWorkbook, setPendingWorkbook] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [isCheckingSavedData, setIsCheckingSavedData] = useState(true);
   const [analysis, setAnalysis] = useState(null);
@@ -22,15 +124,34 @@ function OptimizedApp() {
   const [showLanguageSelector, setShowLanguageSelector] = useState(false);
   const [showDebugPage, setShowDebugPage] = useState(false);
   const [showModelSelector, setShowModelSelector] = useState(false);
+  const [showTranslationMemory, setShowTranslationMemory] = useState(false);
+  const [showGlossary, setShowGlossary] = useState(false);
+  const [showVariantDialog, setShowVariantDialog] = useState(false);
+  const [showColumnMapping, setShowColumnMapping] = useState(false);
+  const [showTranslationRules, setShowTranslationRules] = useState(false);
+  const [mappingPresets, setMappingPresets] = useState([]);
   const [selectedLanguage, setSelectedLanguage] = useState('en');
+  const [sourceLanguage, setSourceLanguage] = useState('und');
+  // Language layer shown in the table ('source' or a code) and exported ('source', a code, or 'bilingual:<code>')
+  const [viewLanguage, setViewLanguage] = useState(SOURCE_LAYER);
+  const [exportLanguage, setExportLanguage] = useState(SOURCE_LAYER);
+  const [translationScope, setTranslationScope] = useState(null);
   const [isTranslationStopped, setIsTranslationStopped] = useState(false);
   const [loadingMessage, setLoadingMessage] = useState('Processing data...');
   const [translationProgress, setTranslationProgress] = useState({ current: 0, total: 0 });
   const [sessionId, setSessionId] = useState(null);
   const [isAnalysisCompleted, setIsAnalysisCompleted] = useState(false);
+  const [parseProgress, setParseProgress] = useState(null);
+  const [exportReport, setExportReport] = useState(null);
+  const [translationReport, setTranslationReport] = useState(null);
+  // Cost ledger of the project (see costs.js) and the pre-flight estimate waiting for confirmation
+  const [projectCosts, setProjectCosts] = useState(createProjectCosts);
+  const [costEstimate, setCostEstimate] = useState(null);
+  const [showProjectCosts, setShowProjectCosts] = useState(false);
 
   // Refs for performance optimization
   const translationAbortController = useRef(null);
+  const parseRequestRef = useRef(null);
   const analysisTimeoutRef = useRef(null);
 
   // Session management functions
@@ -69,16 +190,60 @@ function OptimizedApp() {
     setSessionId(null);
   }, [sessionId]);
 
+  // Books the API usage of one run to the ledger; the run is added with its first usage, so runs
+  // answered from caches or the translation memory leave no entry. task is 'translation' or 'analysis'
+  const createCostRecorder = useCallback((task, label, estimatedCost = null) => {
+    const { provider, model } = getCurrentModels()[task];
+    const run = { id: `${task}_${Date.now()}`, task, label, provider, model, at: new Date().toISOString(), estimatedCost };
+    let cost = 0;
+    return {
+      onUsage: (usage) => {
+        cost += usage.cost;
+        setProjectCosts(prev => addRunUsage(prev.runs.some(entry => entry.id === run.id) ? prev : startRun(prev, run), run.id, usage));
+      },
+      getCost: () => cost
+    };
+  }, []);
+
+  // Rows of the sheet currently shown in the table
+  const excelData = useMemo(() => {
+    if (!sheets || sheets.length === 0) return null;
+    return sheets[activeSheetIndex]?.data || sheets[0].data;
+  }, [sheets, activeSheetIndex]);
+
+  // Target languages translated so far; a layer that no longer exists falls back to the source
+  const sheetLanguages = useMemo(() => getSheetLanguages(sheets), [sheets]);
+  const activeLayer = sheetLanguages.includes(viewLanguage) ? viewLanguage : SOURCE_LAYER;
+  const exportChoice = useMemo(() => {
+    const [mode, code] = exportLanguage.split(':');
+    const language = mode === 'bilingual' ? code : mode;
+    if (!sheetLanguages.includes(language)) return { language: SOURCE_LAYER, bilingual: false };
+    return { language, bilingual: mode === 'bilingual' };
+  }, [exportLanguage, sheetLanguages]);
+
+  // Language variant rows edited on either side since the variant was created
+  const variantFlags = useMemo(() => getVariantFlags(sheets), [sheets]);
+
+  // Apply an update to the rows of the active sheet only
+  const updateActiveSheetData = useCallback((updater) => {
+    setSheets(prevSheets => {
+      if (!prevSheets) return prevSheets;
+      return prevSheets.map((sheet, index) =>
+        index === activeSheetIndex ? { ...sheet, data: updater(sheet.data) } : sheet
+      );
+    });
+  }, [activeSheetIndex]);
+
   // Memoized data statistics
   const dataStats = useMemo(() => {
-    if (!excelData) return { rows: 0, columns: 0, totalCells: 0 };
+    if (!excelData) return { rows: 0, columns: 0, totalCells: 0, sheetCount: 0 };
     
     const rows = excelData.length;
     const columns = excelData[0]?.length || 0;
     const totalCells = rows * columns;
     
-    return { rows, columns, totalCells };
-  }, [excelData]);
+    return { rows, columns, totalCells, sheetCount: sheets.length };
+  }, [excelData, sheets]);
 
   // Cleanup on page unload
   useEffect(() => {
@@ -111,11 +276,14 @@ function OptimizedApp() {
       const response = await fetch(API_ENDPOINTS.LOAD_DATA);
       if (response.ok) {
         const data = await response.json();
-        console.log('🔍 Checking saved data:', { hasData: !!data.data, currentData: !!excelData });
-        if (data.success && data.data && !excelData) {
+        console.log('🔍 Checking saved data:', { hasData: !!data.data, currentData: !!sheets });
+        const savedSheets = data.success ? tagSheetLanguages(normalizeSheets(data.data)) : [];
+        if (savedSheets.length > 0 && !sheets) {
           // Only load saved data if no current data exists
-          console.log('📥 Loading saved data:', data.data.length, 'rows');
-          setExcelData(data.data);
+          console.log('📥 Loading saved data:', savedSheets.length, 'sheets');
+          setSheets(savedSheets);
+          setActiveSheetIndex(0);
+          setProjectCosts(readProjectCosts(data.project));
           toast.success('Saved data loaded successfully!', {
             duration: 2000,
             position: 'top-right'
@@ -129,7 +297,49 @@ function OptimizedApp() {
     } finally {
       setIsCheckingSavedData(false);
     }
-  }, [excelData]);
+  }, [sheets]);
+
+  // Replace the current data with freshly imported sheets
+  const loadWorkbookSheets = useCallback(async (importedSheets) => {
+    setSheets(importedSheets);
+    setActiveSheetIndex(0);
+    setIsAnalysisCompleted(false);
+    setAnalysis(null);
+    setShowAnalysis(false);
+    // A new project starts without runs; the budget carries over
+    setProjectCosts(prev => ({ ...createProjectCosts(), budget: prev.budget }));
+    
+    // Let the user confirm the detected column roles
+    setShowColumnMapping(true);
+    
+    // Clear old saved data when uploading new file
+    try {
+      const clearResponse = await fetch(API_ENDPOINTS.CLEAR_DATA, { method: 'POST' });
+      const clearResult = await clearResponse.json();
+      console.log('🧹 Cleared old saved data:', clearResult);
+    } catch (error) {
+      console.log('Could not clear old data:', error);
+    }
+    
+    // Show column filtering information
+    if (importedSheets.length === 1) {
+      const { totalRows, totalColumns, originalColumns, filteredColumns } = importedSheets[0].metadata;
+      const columnInfo = filteredColumns > 0 
+        ? ` (${originalColumns} original → ${totalColumns} visible, ${filteredColumns} empty columns filtered out)`
+        : ` (${totalColumns} columns)`;
+      
+      toast.success(`File loaded: ${totalRows} rows${columnInfo}`, {
+        duration: 4000,
+        position: 'top-right'
+      });
+    } else {
+      const totalRows = importedSheets.reduce((sum, sheet) => sum + sheet.data.length, 0);
+      toast.success(`File loaded: ${importedSheets.length} sheets, ${totalRows} rows`, {
+        duration: 4000,
+        position: 'top-right'
+      });
+    }
+  }, []);
 
   // Optimized file upload
   const handleFileUpload = useCallback(async (file) => {
@@ -139,93 +349,194 @@ function OptimizedApp() {
       clearExcelCache();
       console.log('🧹 Cleared Excel cache');
       
-      const parsedData = await parseExcelFile(file);
+      setParseProgress({ phase: 'reading', rowsProcessed: 0, totalRows: 0 });
+      parseRequestRef.current = parseExcelFile(file, { onProgress: setParseProgress });
+      const parsedData = await parseRequestRef.current;
       console.log('📤 File upload parsed:', parsedData.metadata);
-      setExcelData(parsedData.data);
       
-      // Clear old saved data when uploading new file
-      try {
-        const clearResponse = await fetch(API_ENDPOINTS.CLEAR_DATA, { method: 'POST' });
-        const clearResult = await clearResponse.json();
-        console.log('🧹 Cleared old saved data:', clearResult);
-      } catch (error) {
-        console.log('Could not clear old data:', error);
+      const skippedItems = parsedData.metadata.skippedItems || [];
+      if (skippedItems.length > 0) {
+        console.warn('⚠️ Skipped during import:', skippedItems);
+        toast(`${skippedItems.length} unsupported ${skippedItems.length === 1 ? 'question was' : 'questions were'} skipped`, { duration: 4000 });
       }
       
-      console.log('Excel data parsed successfully:', parsedData.metadata);
-      
-      // Show column filtering information
-      const { totalRows, totalColumns, originalColumns, filteredColumns } = parsedData.metadata;
-      const columnInfo = filteredColumns > 0 
-        ? ` (${originalColumns} original → ${totalColumns} visible, ${filteredColumns} empty columns filtered out)`
-        : ` (${totalColumns} columns)`;
+      // Multi-sheet workbooks go through the sheet picker first
+      if (parsedData.sheets.length > 1) {
+        setPendingWorkbook(parsedData);
+        return;
+      }
       
-      toast.success(`File loaded: ${totalRows} rows${columnInfo}`, {
-        duration: 4000,
-        position: 'top-right'
-      });
+      await loadWorkbookSheets(parsedData.sheets);
     } catch (error) {
+      if (error.name === 'AbortError') {
+        toast('File upload cancelled', { duration: 2000 });
+        return;
+      }
       console.error('Error parsing Excel file:', error);
       toast.error('Error parsing Excel file: ' + error.message, {
         duration: 4000,
         position: 'top-right'
       });
     } finally {
+      parseRequestRef.current = null;
+      setParseProgress(null);
       setIsLoading(false);
     }
+  }, [loadWorkbookSheets]);
+
+  // Cancel a file that is still being parsed
+  const handleCancelParse = useCallback(() => {
+    if (parseRequestRef.current) {
+      parseRequestRef.current.cancel();
+    }
   }, []);
 
-  // Optimized cell editing with debouncing
-  const handleCellEdit = useCallback((rowIndex, colIndex, newValue) => {
-    setExcelData(prevData => {
+  // Import only the sheets picked in the sheet selector
+  const handleSheetSelection = useCallback(async (selectedIndices) => {
+    if (!pendingWorkbook) return;
+    
+    const selectedSheets = selectedIndices.map(index => pendingWorkbook.sheets[index]);
+    setPendingWorkbook(null);
+    await loadWorkbookSheets(selectedSheets);
+  }, [pendingWorkbook, loadWorkbookSheets]);
+
+  // Load saved column mapping presets
+  const loadMappingPresets = useCallback(async () => {
+    try {
+      const response = await fetch(API_ENDPOINTS.MAPPING_PRESETS);
+      if (response.ok) {
+        const result = await response.json();
+        setMappingPresets(result.presets || []);
+      }
+    } catch (error) {
+      console.log('Could not load mapping presets:', error);
+    }
+  }, []);
+
+  // Apply the mapping confirmed in the column mapping dialog
+  const handleMappingConfirm = useCallback(({ sheet: mappedSheet, applyToAll }) => {
+    const preset = applyToAll ? schemaToPreset('', mappedSheet.schema) : null;
+    setSheets(prevSheets => prevSheets.map((sheet, index) => {
+      if (index === activeSheetIndex) return mappedSheet;
+      if (preset) return { ...sheet, schema: applyPresetToSchema(getSheetSchema(sheet), preset) };
+      return sheet;
+    }));
+    setShowColumnMapping(false);
+    
+    // Analysis results depend on the mapping
+    setIsAnalysisCompleted(false);
+    setAnalysis(null);
+    toast.success('Column mapping applied', { duration: 2000 });
+  }, [activeSheetIndex]);
+
+  // Save the translation rules of the active sheet; skip patterns can go to every sheet
+  const handleTranslationRulesConfirm = useCallback(({ rules, applyPatternsToAll }) => {
+    setSheets(prevSheets => prevSheets.map((sheet, index) => {
+      if (index === activeSheetIndex) return { ...sheet, translationRules: rules };
+      if (applyPatternsToAll) return { ...sheet, translationRules: { ...getTranslationRules(sheet), skipPatterns: rules.skipPatterns } };
+      return sheet;
+    }));
+    setShowTranslationRules(false);
+    toast.success('Translation rules saved', { duration: 2000 });
+  }, [activeSheetIndex]);
+
+  const handleSavePreset = useCallback(async (name, schema) => {
+    try {
+      const response = await fetch(API_ENDPOINTS.MAPPING_PRESETS, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ preset: schemaToPreset(name, schema) })
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to save preset');
+      }
+      setMappingPresets(result.presets);
+      toast.success(`Preset "${name}" saved`, { duration: 2000 });
+    } catch (error) {
+      console.error('Save preset failed:', error);
+      toast.error('Failed to save preset: ' + error.message);
+    }
+  }, []);
+
+  const handleDeletePreset = useCallback(async (name) => {
+    try {
+      const response = await fetch(`${API_ENDPOINTS.MAPPING_PRESETS}/${encodeURIComponent(name)}`, {
+        method: 'DELETE'
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to delete preset');
+      }
+      setMappingPresets(result.presets);
+      toast.success(`Preset "${name}" deleted`, { duration: 2000 });
+    } catch (error) {
+      console.error('Delete preset failed:', error);
+      toast.error('Failed to delete preset: ' + error.message);
+    }
+  }, []);
+
+  // Replace the fields of one cell in the language layer shown in the table
+  const updateCellInActiveLayer = useCallback((rowIndex, colIndex, fields) => {
+    updateActiveSheetData(prevData => {
       const newData = [...prevData];
       if (newData[rowIndex] && newData[rowIndex][colIndex]) {
         newData[rowIndex] = [...newData[rowIndex]];
-        newData[rowIndex][colIndex] = {
-          ...newData[rowIndex][colIndex],
-          cleaned: newValue,
-          original: newValue,
-          isEmpty: !newValue || newValue.trim() === ''
-        };
+        const cell = newData[rowIndex][colIndex];
+        newData[rowIndex][colIndex] = activeLayer === SOURCE_LAYER
+          ? { ...cell, ...fields }
+          : setLayerCell(cell, activeLayer, { ...cell.translations?.[activeLayer], ...fields });
       }
       return newData;
     });
+  }, [activeLayer, updateActiveSheetData]);
+
+  // Optimized cell editing with debouncing
+  const handleCellEdit = useCallback((rowIndex, colIndex, newValue) => {
+    updateCellInActiveLayer(rowIndex, colIndex, {
+      cleaned: newValue,
+      original: newValue,
+      // Edited text is plain, so there is no markup left to render
+      hasHtml: false,
+      hasEntities: false,
+      translationIssue: null,
+      glossaryIssue: null,
+      isEmpty: !newValue || newValue.trim() === '',
+      language: detectLanguage(newValue)
+    });
     
-    // Reset analysis state when data is manually edited
-    if (isAnalysisCompleted) {
+    // Reset analysis state when the source data is manually edited
+    if (isAnalysisCompleted && activeLayer === SOURCE_LAYER) {
       setIsAnalysisCompleted(false);
       setAnalysis(null);
       setShowAnalysis(false);
     }
-  }, [isAnalysisCompleted]);
+  }, [isAnalysisCompleted, activeLayer, updateCellInActiveLayer]);
 
   // Optimized cell deletion
   const handleCellDelete = useCallback((rowIndex, colIndex) => {
-    setExcelData(prevData => {
-      const newData = [...prevData];
-      if (newData[rowIndex] && newData[rowIndex][colIndex]) {
-        newData[rowIndex] = [...newData[rowIndex]];
-        newData[rowIndex][colIndex] = {
-          ...newData[rowIndex][colIndex],
-          cleaned: '',
-          original: '',
-          isEmpty: true
-        };
-      }
-      return newData;
+    updateCellInActiveLayer(rowIndex, colIndex, {
+      cleaned: '',
+      original: '',
+      hasHtml: false,
+      hasEntities: false,
+      translationIssue: null,
+      glossaryIssue: null,
+      isEmpty: true,
+      language: null
     });
-  }, []);
+  }, [updateCellInActiveLayer]);
 
   // Optimized data saving
   const handleSaveData = useCallback(async () => {
-    if (!excelData) return;
+    if (!sheets) return;
 
     setIsLoading(true);
     try {
       const response = await fetch(API_ENDPOINTS.SAVE_DATA, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ data: excelData }),
+        body: JSON.stringify({ data: sheets, project: projectCosts }),
       });
       
       if (response.ok) {
@@ -239,7 +550,7 @@ function OptimizedApp() {
     } finally {
       setIsLoading(false);
     }
-  }, [excelData]);
+  }, [sheets, projectCosts]);
 
   // Optimized data loading
   const handleLoadData = useCallback(async () => {
@@ -248,8 +559,11 @@ function OptimizedApp() {
       const response = await fetch(API_ENDPOINTS.LOAD_DATA);
       if (response.ok) {
         const result = await response.json();
-        if (result.success && result.data) {
-          setExcelData(result.data);
+        const savedSheets = result.success ? tagSheetLanguages(normalizeSheets(result.data)) : [];
+        if (savedSheets.length > 0) {
+          setSheets(savedSheets);
+          setActiveSheetIndex(0);
+          setProjectCosts(readProjectCosts(result.project));
           // Reset analysis state when loading new data
           setIsAnalysisCompleted(false);
           setAnalysis(null);
@@ -277,7 +591,8 @@ function OptimizedApp() {
       'This will delete:\n' +
       '• All saved Excel data\n' +
       '• All translations\n' +
-      '• All analysis results\n\n' +
+      '• All analysis results\n' +
+      '• Project costs and budget\n\n' +
       'Click OK to proceed or Cancel to keep your data.'
     );
 
@@ -295,9 +610,11 @@ function OptimizedApp() {
       
       if (response.ok) {
         // Clear local state
-        setExcelData(null);
+        setSheets(null);
+        setActiveSheetIndex(0);
         setAnalysis(null);
         setShowAnalysis(false);
+        setProjectCosts(createProjectCosts());
         
         // Clear caches
         clearCaches();
@@ -317,7 +634,7 @@ function OptimizedApp() {
 
   // Re-analyze function for use in AnalysisPanel
   const handleReAnalyze = useCallback(async () => {
-    if (!excelData) return;
+    if (!sheets) return;
     
     console.log('🔄 Starting re-analysis...');
     
@@ -349,46 +666,19 @@ function OptimizedApp() {
         });
       }, 5000);
 
-      // Run comprehensive dataset analysis
-      const datasetAnalysis = analyzeDataset(excelData);
-      
       // Sample data for AI analysis (first 1000 rows for performance)
-      const sampleData = excelData.slice(0, 1000);
+      const sampleData = sampleSheetRows(sheets);
       const allContent = sampleData.map(row => 
         row.map(cell => cell.cleaned || cell.original || '').join(' ')
       ).join(' ');
 
       console.log('🤖 Running AI analysis...');
-      const aiAnalysis = await analyzeContent(allContent);
+      const costRecorder = createCostRecorder('analysis', 'Re-analysis');
+      const aiAnalysis = await analyzeContent(allContent, { onUsage: costRecorder.onUsage, maxCost: getBudgetLeft(projectCosts) });
+      notifyAnalysisCost(aiAnalysis, costRecorder.getCost());
       
-      // Basic data analysis
-      const dataAnalysis = {
-        totalRows: excelData.length,
-        sampleRows: sampleData.length,
-        emptyCells: excelData.flat().filter(cell => cell.isEmpty).length,
-        htmlCells: excelData.flat().filter(cell => cell.hasHtml).length,
-        entityCells: excelData.flat().filter(cell => cell.hasEntities).length,
-      };
-      
-      const comprehensiveAnalysis = {
-        dataQuality: dataAnalysis,
-        datasetAnalysis: datasetAnalysis,
-        contentQuality: aiAnalysis,
-        summary: {
-          totalRows: excelData.length,
-          totalCells: excelData.flat().length,
-          dataQualityScore: datasetAnalysis.dataQuality,
-          overallQuality: aiAnalysis.quality,
-          issuesFound: datasetAnalysis.issues.length,
-          criticalIssues: datasetAnalysis.detailedIssues.filter(i => i.severity === 'high').length,
-          // Only show meaningful counts
-          ...(dataAnalysis.emptyCells > 0 && { emptyCells: dataAnalysis.emptyCells }),
-          ...(dataAnalysis.htmlCells > 0 && { htmlCells: dataAnalysis.htmlCells }),
-          ...(dataAnalysis.entityCells > 0 && { entityCells: dataAnalysis.entityCells })
-        },
-        recommendations: [],
-        isBulkAnalysis: true
-      };
+      // Run comprehensive dataset analysis per sheet
+      const comprehensiveAnalysis = buildComprehensiveAnalysis(sheets, aiAnalysis, sampleData.length);
       
       setAnalysis(comprehensiveAnalysis);
       setShowAnalysis(true);
@@ -404,11 +694,11 @@ function OptimizedApp() {
     } finally {
       setIsLoading(false);
     }
-  }, [excelData]);
+  }, [sheets, projectCosts, createCostRecorder]);
 
-  // Optimized bulk analysis with timeout
-  const handleBulkAnalyze = useCallback(async () => {
-    if (!excelData) return;
+  // Optimized bulk analysis with timeout; estimatedCost is the pre-flight estimate it was started with
+  const handleBulkAnalyze = useCallback(async (estimatedCost = null) => {
+    if (!sheets) return;
 
     setIsLoading(true);
     setLoadingMessage('Analyzing content...');
@@ -432,45 +722,16 @@ function OptimizedApp() {
         });
       }, 5000);
 
-      // Run comprehensive dataset analysis
-      const datasetAnalysis = analyzeDataset(excelData);
-      
       // Sample data for AI analysis (first 1000 rows for performance)
-      const sampleData = excelData.slice(0, 1000);
-      const allContent = sampleData.map(row => 
-        row.map(cell => cell.cleaned).join(' ')
-      ).join('\n');
-      
-      const aiAnalysis = await analyzeContent(allContent);
+      const sampleData = sampleSheetRows(sheets);
+      const allContent = sampleAnalysisContent(sampleData);
       
-      // Basic data analysis
-      const dataAnalysis = {
-        totalRows: excelData.length,
-        sampleRows: sampleData.length,
-        emptyCells: excelData.flat().filter(cell => cell.isEmpty).length,
-        htmlCells: excelData.flat().filter(cell => cell.hasHtml).length,
-        entityCells: excelData.flat().filter(cell => cell.hasEntities).length,
-      };
+      const costRecorder = createCostRecorder('analysis', 'Analysis', estimatedCost);
+      const aiAnalysis = await analyzeContent(allContent, { onUsage: costRecorder.onUsage, maxCost: getBudgetLeft(projectCosts) });
+      notifyAnalysisCost(aiAnalysis, costRecorder.getCost(), estimatedCost);
       
-      const comprehensiveAnalysis = {
-        dataQuality: dataAnalysis,
-        datasetAnalysis: datasetAnalysis,
-        contentQuality: aiAnalysis,
-        summary: {
-          totalRows: excelData.length,
-          totalCells: dataStats.totalCells,
-          dataQualityScore: datasetAnalysis.dataQuality,
-          overallQuality: aiAnalysis.quality,
-          issuesFound: datasetAnalysis.issues.length,
-          criticalIssues: datasetAnalysis.detailedIssues.filter(i => i.severity === 'high').length,
-          // Only show meaningful counts
-          ...(dataAnalysis.emptyCells > 0 && { emptyCells: dataAnalysis.emptyCells }),
-          ...(dataAnalysis.htmlCells > 0 && { htmlCells: dataAnalysis.htmlCells }),
-          ...(dataAnalysis.entityCells > 0 && { entityCells: dataAnalysis.entityCells })
-        },
-        recommendations: [],
-        isBulkAnalysis: true
-      };
+      // Run comprehensive dataset analysis per sheet
+      const comprehensiveAnalysis = buildComprehensiveAnalysis(sheets, aiAnalysis, sampleData.length);
       
       setAnalysis(comprehensiveAnalysis);
       setShowAnalysis(true);
@@ -483,11 +744,78 @@ function OptimizedApp() {
     } finally {
       setIsLoading(false);
     }
-  }, [excelData, dataStats]);
+  }, [sheets, projectCosts, createCostRecorder]);
 
-  // Optimized bulk translation with abort controller
-  const handleBulkTranslate = useCallback(async (targetLanguage = 'en') => {
-    if (!excelData) return;
+  // Analyze: show the cost estimate first, unless the analysis is cached or there is nothing to pay for
+  const handleAnalyzeClick = useCallback(async () => {
+    if (!sheets) return;
+    const content = sampleAnalysisContent(sampleSheetRows(sheets));
+    const estimateCost = () => estimateAnalysisCost(content);
+    try {
+      const estimate = await estimateCost();
+      const current = estimate.models.find(model => model.current);
+      if (estimate.cached || !current?.configured || current.cost === 0) {
+        handleBulkAnalyze();
+        return;
+      }
+      setCostEstimate({ task: 'analysis', label: 'Analysis', ...estimate, estimateCost, run: handleBulkAnalyze });
+    } catch (error) {
+      console.error('Cost estimate failed:', error);
+      toast.error('Cost estimate failed: ' + error.message);
+    }
+  }, [sheets, handleBulkAnalyze]);
+
+  // Analyze selection: the AI check reads the selected cells and the dataset checks run on their rows,
+  // with issues reported by their row numbers in the sheet
+  const handleAnalyzeSelection = useCallback(async (selection) => {
+    if (!sheets) return;
+    const sheet = sheets[activeSheetIndex];
+    const cellIds = getSelectedCellIds(selection, sheet.data);
+    const rowIndices = getSelectedRowIndices(selection, sheet.data);
+    if (rowIndices.length === 0) {
+      toast('The selection has no text to analyze', { duration: 2000 });
+      return;
+    }
+
+    setIsLoading(true);
+    setLoadingMessage('Analyzing selection...');
+    setTranslationProgress({ current: 0, total: 0 });
+
+    try {
+      const content = rowIndices.map(rowIndex => sheet.data[rowIndex]
+        .filter((cell, colIndex) => cellIds.has(cellId(rowIndex, colIndex)))
+        .map(cell => cell.cleaned)
+        .join(' ')
+      ).join('\n');
+      const costRecorder = createCostRecorder('analysis', `Analysis of ${describeRows(rowIndices)} of ${sheet.name}`);
+      const aiAnalysis = await analyzeContent(content, { onUsage: costRecorder.onUsage, maxCost: getBudgetLeft(projectCosts) });
+      notifyAnalysisCost(aiAnalysis, costRecorder.getCost());
+
+      const selectedSheet = { ...sheet, data: rowIndices.map(rowIndex => sheet.data[rowIndex]) };
+      const selectionAnalysis = buildComprehensiveAnalysis([selectedSheet], aiAnalysis, rowIndices.length);
+      const { datasetAnalysis } = selectionAnalysis;
+      datasetAnalysis.detailedIssues = (datasetAnalysis.detailedIssues || [])
+        .map(issue => ({ ...issue, row: rowIndices[issue.row - 1] + 1 }));
+
+      setAnalysis({ ...selectionAnalysis, scope: `${describeRows(rowIndices)} of ${sheet.name}` });
+      setShowAnalysis(true);
+    } catch (error) {
+      console.error('Selection analysis failed:', error);
+      toast.error('Analysis failed: ' + error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [sheets, activeSheetIndex, projectCosts, createCostRecorder]);
+
+  // Optimized bulk translation with abort controller; resolves to the translated sheets, or
+  // nothing when the run was stopped or failed.
+  // onlyKeys limits the run to those translation keys (retrying failed batches, language variants);
+  // translationOptions ({ sourceLanguage, useMemory, useGlossary }) go to the translation service;
+  // with skipTargetLanguage left on, cells detected as already in the target language are not sent.
+  // estimatedCost in translationOptions is the pre-flight estimate, kept with the run in the cost ledger.
+  // scope ({ sheetIndex, cellIds }) limits both what is sent and what is written back to a table selection
+  const handleBulkTranslate = useCallback(async (targetLanguage = 'en', onlyKeys = null, { estimatedCost = null, ...translationOptions } = {}, scope = null) => {
+    if (!sheets) return;
 
     // Cancel any existing translation
     if (translationAbortController.current) {
@@ -501,64 +829,39 @@ function OptimizedApp() {
     // Start session for translation
     await startSession(`translation_${targetLanguage}`);
     
-    const languageNames = {
-      'en': 'English', 'ru': 'Russian', 'az': 'Azerbaijani', 'tr': 'Turkish'
-    };
+    const languageName = getLanguageName(targetLanguage);
     
-    setLoadingMessage(`Translating to ${languageNames[targetLanguage] || 'English'}...`);
+    setLoadingMessage(`Translating to ${languageName}...`);
+
+    // Show when the request layer pauses the job after repeated errors
+    const unsubscribeCircuit = onCircuitChange(state => {
+      setLoadingMessage(state.open
+        ? `Paused after repeated API errors, resuming at ${new Date(state.resumeAt).toLocaleTimeString()}...`
+        : `Translating to ${languageName}...`);
+    });
     
     try {
-      // Collect unique content for translation
-      const contentToTranslate = new Set();
-      let totalCells = 0;
-      let columnStats = {}; // Track content by column
-      
-      excelData.forEach((row, rowIndex) => {
-        row.forEach((cell, colIndex) => {
-          totalCells++;
-          if (cell.cleaned && cell.cleaned.trim()) {
-            const content = cell.cleaned.trim();
-            // Filter out very short content, numbers only, or common words
-            // Only translate Question column (index 2) and Variant columns (3,5,7,9)
-            const isQuestionColumn = colIndex === 2; // Question column
-            const isVariantColumn = colIndex === 3 || colIndex === 5 || colIndex === 7 || colIndex === 9; // Variant columns
-            const shouldTranslate = isQuestionColumn || isVariantColumn;
-            
-            // Track column statistics
-            if (!columnStats[colIndex]) {
-              columnStats[colIndex] = { total: 0, translated: 0, filtered: 0, empty: 0 };
-            }
-            columnStats[colIndex].total++;
-            
-            
-            // Only translate Question and Variant columns
-            
-            if (shouldTranslate && content.length > 5 && // Increased minimum length
-                !/^\d+$/.test(content) && // Not just numbers
-                !/^[A-Za-z]{1,3}$/.test(content) && // Not just 1-3 letters
-                content !== '0' && content !== '1' && // Not just 0 or 1
-                content !== 'true' && content !== 'false' && // Not boolean values
-                content !== 'yes' && content !== 'no' && // Not yes/no
-                !content.match(/^[A-Za-z0-9\s]{1,5}$/) // Not short alphanumeric strings
-            ) {
-              if (!contentToTranslate.has(content)) {
-                contentToTranslate.add(content);
-                columnStats[colIndex].translated++;
-              }
-            } else {
-              columnStats[colIndex].filtered++;
-            }
-          } else {
-            if (!columnStats[colIndex]) {
-              columnStats[colIndex] = { total: 0, translated: 0, filtered: 0, empty: 0 };
-            }
-            columnStats[colIndex].empty++;
-          }
-        });
+      // Collect unique content for translation under each sheet's translation rules; HTML cells
+      // are keyed by their markup and sent as { html }
+      const skipLanguage = translationOptions.skipTargetLanguage === false ? null : targetLanguage;
+      const { cells, items: contentToTranslate, skipped } = collectTranslationCells(sheets, {
+        onlyKeys,
+        sheetIndex: scope ? scope.sheetIndex : null,
+        cellIds: scope ? scope.cellIds : null,
+        targetLanguage: skipLanguage
       });
+      const uniqueKeys = Array.from(contentToTranslate.keys());
+      const uniqueContent = Array.from(contentToTranslate.values());
+      console.log(`📊 Found ${uniqueContent.length} unique items to translate in ${cells.length} cells, skipped:`, skipped);
 
-      const uniqueContent = Array.from(contentToTranslate);
-      console.log(`📊 Found ${uniqueContent.length} unique items to translate from ${totalCells} total cells`);
+      if (uniqueContent.length === 0) {
+        await stopSession();
+        const inTarget = skipped[SKIP_REASONS.IN_TARGET_LANGUAGE];
+        toast(inTarget > 0
+          ? `Nothing to translate: ${inTarget} cell${inTarget === 1 ? ' is' : 's are'} already in ${getLanguageName(targetLanguage)}`
+          : 'Nothing to translate under the current translation rules', { duration: 3000 });
+        return;
+      }
 
       if (isTranslationStopped) {
         // Translation stopped
@@ -568,23 +871,24 @@ function OptimizedApp() {
 
       console.log('🔄 Starting translation process...');
       
-      // Calculate correct number of batches (AI service uses 80 items per batch)
-      const BATCH_SIZE = 80;
-      const totalBatches = Math.ceil(uniqueContent.length / BATCH_SIZE);
-      
-      setTranslationProgress({ current: 0, total: totalBatches });
-      setLoadingMessage(`Translating to ${languageNames[targetLanguage] || 'English'}...`);
+      // Progress counts items; batches run in parallel and finish in any order
+      setTranslationProgress({ current: 0, total: uniqueContent.length });
+      setLoadingMessage(`Translating to ${languageName}...`);
       
+      // Batches that would go over the project budget come back paused
+      const costRecorder = createCostRecorder('translation', `Translation to ${languageName}`, estimatedCost);
+
       // Translate all content at once - AI service will handle batching internally
       const allTranslations = await translateBatchStructured(
         uniqueContent, 
         targetLanguage, 
         translationAbortController.current.signal,
-        (currentBatch, totalBatches) => {
+        (completedItems, totalItems) => {
           // Update progress as each batch completes
-          setTranslationProgress({ current: currentBatch, total: totalBatches });
-          console.log(`📊 Progress: ${currentBatch}/${totalBatches} batches completed`);
-        }
+          setTranslationProgress({ current: completedItems, total: totalItems });
+          console.log(`📊 Progress: ${completedItems}/${totalItems} items completed`);
+        },
+        { ...translationOptions, maxCost: getBudgetLeft(projectCosts), onUsage: costRecorder.onUsage }
       );
       
       console.log('✅ Translation completed:', allTranslations.length, 'translations received');
@@ -595,43 +899,78 @@ function OptimizedApp() {
         return;
       }
       
-      // Create translation map
+      // Create translation map; results come back in input order with a status per item
       const translationMap = new Map();
-      uniqueContent.forEach((content, index) => {
-        translationMap.set(content, allTranslations[index] || content);
+      const statusCounts = {};
+      let memoryHits = 0;
+      const failedBatches = new Map(); // batch number -> { batch, reason, keys }
+      uniqueKeys.forEach((key, index) => {
+        const result = allTranslations[index];
+        if (!result) return;
+        translationMap.set(key, result);
+        statusCounts[result.status] = (statusCounts[result.status] || 0) + 1;
+        if (result.memory) memoryHits++;
+        if (result.status !== TRANSLATION_STATUS.TRANSLATED && result.batch) {
+          if (!failedBatches.has(result.batch)) {
+            failedBatches.set(result.batch, { batch: result.batch, status: result.status, reason: result.reason, keys: [] });
+          }
+          failedBatches.get(result.batch).keys.push(key);
+        }
       });
+      console.log('📊 Translation statuses:', statusCounts);
 
       console.log('🔄 Updating data with translations...');
       
-      // Apply translations
-      const translatedData = excelData.map((row) => 
-        row.map((cell) => {
-          if (cell.cleaned && cell.cleaned.trim()) {
-            const translated = translationMap.get(cell.cleaned.trim()) || cell.cleaned;
-            
-            // If original has HTML/entities, we need to translate while preserving formatting
-            let translatedOriginal = cell.original;
-            if (cell.hasHtml || cell.hasEntities) {
-              // Replace the cleaned content in the original with translated content
-              // This preserves HTML tags and entities while translating the text
-              translatedOriginal = cell.original.replace(cell.cleaned, translated);
-            } else {
-              // If no HTML/entities, just use the translated content
-              translatedOriginal = translated;
+      // Translations go into the target language layer of each cell; the source stays as it was.
+      // Apply them sheet by sheet so every sheet keeps its own rows
+      let flaggedCells = 0;
+      let terminologyCells = 0;
+      const translateRow = (row, rowIndex, skipReason) => 
+        row.map((cell, colIndex) => {
+          const inScope = !scope || scope.cellIds.has(cellId(rowIndex, colIndex));
+          if (inScope && cell.cleaned && cell.cleaned.trim() && !skipReason(cell, colIndex)) {
+            const translated = translationMap.get(translationKey(cell));
+            if (!translated) return cell;
+            const layer = { hasHtml: cell.hasHtml, hasEntities: cell.hasEntities, isEmpty: false, translationIssue: null, translatedFrom: cell.original };
+
+            // Fallback and failed items keep their source text and are flagged for review
+            if (translated.status !== TRANSLATION_STATUS.TRANSLATED) {
+              flaggedCells++;
+              return setLayerCell(cell, targetLanguage, {
+                ...layer,
+                cleaned: cell.cleaned,
+                original: cell.original,
+                translationIssue: translated.reason || 'Not translated',
+                glossaryIssue: null,
+                language: cell.language
+              });
+            }
+
+            // Approved glossary terms missing from the translation, as "source → target" pairs
+            const glossaryIssue = translated.glossaryIssues
+              ? translated.glossaryIssues.map(term => `${term.source} → ${term.target}`).join('; ')
+              : null;
+            if (glossaryIssue) terminologyCells++;
+            layer.language = detectLanguage(translated.text);
+
+            // HTML cells get the markup rebuilt around the translation
+            if (translated.html !== undefined) {
+              return setLayerCell(cell, targetLanguage, { ...layer, cleaned: translated.text, original: translated.html, glossaryIssue });
             }
-            
-            return {
-              ...cell,
-              cleaned: translated,
-              original: translatedOriginal
-            };
+            // Plain and entity-only cells: the translation is the layer's original
+            return setLayerCell(cell, targetLanguage, { ...layer, cleaned: translated.text, original: translated.text, hasEntities: false, glossaryIssue });
           }
           return cell;
-        })
-      );
+        });
+      const translatedSheets = sheets.map((sheet, sheetIndex) => {
+        if (scope && sheetIndex !== scope.sheetIndex) return sheet;
+        const skipReason = createTranslationFilter(sheet, { targetLanguage: skipLanguage });
+        return { ...sheet, data: sheet.data.map((row, rowIndex) => translateRow(row, rowIndex, skipReason)) };
+      });
       
       console.log('✅ Data updated successfully');
-      setExcelData(translatedData);
+      setSheets(translatedSheets);
+      setViewLanguage(targetLanguage);
       
       // Reset analysis state after translation
       setIsAnalysisCompleted(false);
@@ -641,11 +980,46 @@ function OptimizedApp() {
       // Stop session after successful completion
       await stopSession();
       
-      // Translation completed
-      toast.success(`Successfully translated to ${languageNames[targetLanguage] || 'English'}!`, {
-        duration: 3000,
-        position: 'top-right'
-      });
+      // Translation completed; batches that still failed are listed so they can be retried
+      if (failedBatches.size > 0) {
+        setTranslationReport({
+          targetLanguage,
+          translationOptions,
+          scope,
+          languageName,
+          translated: statusCounts[TRANSLATION_STATUS.TRANSLATED] || 0,
+          batches: Array.from(failedBatches.values()).sort((a, b) => a.batch - b.batch)
+        });
+      } else {
+        const fromMemory = memoryHits > 0 ? ` (${memoryHits} from translation memory)` : '';
+        const selected = scope ? ` ${cells.length} selected cell${cells.length === 1 ? '' : 's'}` : '';
+        toast.success(`Successfully translated${selected} to ${languageName}!${fromMemory}`, {
+          duration: 3000,
+          position: 'top-right'
+        });
+      }
+      if (costRecorder.getCost() > 0) {
+        toast(describeCost(costRecorder.getCost(), estimatedCost), { icon: '💰', duration: 4000 });
+      }
+      const alreadyInTarget = skipped[SKIP_REASONS.IN_TARGET_LANGUAGE];
+      if (alreadyInTarget > 0) {
+        toast(`${alreadyInTarget} cell${alreadyInTarget === 1 ? ' was' : 's were'} already in ${getLanguageName(targetLanguage)} and kept as ${alreadyInTarget === 1 ? 'it is' : 'they are'}`, {
+          icon: '🌐',
+          duration: 4000
+        });
+      }
+      if (flaggedCells > 0) {
+        toast.error(`${flaggedCells} cell${flaggedCells === 1 ? '' : 's'} kept the source text and ${flaggedCells === 1 ? 'is' : 'are'} marked "Check translation"`, {
+          duration: 6000
+        });
+      }
+      if (terminologyCells > 0) {
+        toast(`${terminologyCells} translated cell${terminologyCells === 1 ? '' : 's'} ${terminologyCells === 1 ? 'misses' : 'miss'} an approved glossary term and ${terminologyCells === 1 ? 'is' : 'are'} marked "Terminology"`, {
+          icon: '📖',
+          duration: 6000
+        });
+      }
+      return translatedSheets;
     } catch (error) {
       // Stop session on error
       await stopSession();
@@ -659,10 +1033,20 @@ function OptimizedApp() {
         toast.error('Translation failed: ' + error.message);
       }
     } finally {
+      unsubscribeCircuit();
       setIsLoading(false);
       translationAbortController.current = null;
     }
-  }, [excelData, isTranslationStopped, startSession, stopSession]);
+  }, [sheets, isTranslationStopped, startSession, stopSession, projectCosts, createCostRecorder]);
+
+  // Translate the items of the failed batches again
+  const handleRetryFailedBatches = useCallback(() => {
+    if (!translationReport) return;
+    const keys = new Set(translationReport.batches.flatMap(batch => batch.keys));
+    const { targetLanguage, translationOptions, scope } = translationReport;
+    setTranslationReport(null);
+    handleBulkTranslate(targetLanguage, keys, translationOptions, scope);
+  }, [translationReport, handleBulkTranslate]);
 
   // Optimized stop translation
   const handleStopTranslation = useCallback(async () => {
@@ -682,25 +1066,151 @@ function OptimizedApp() {
     toast('Translation stopped by user', { duration: 2000 });
   }, [stopSession]);
 
-  // Optimized language selection
-  const handleLanguageSelect = useCallback((languageCode) => {
+  // Copy rows of the active sheet as a language variant: their text is translated into the target
+  // layer first, then the variant rows are built from it with rewritten IDs
+  const handleCreateVariant = useCallback(async ({ targetLanguage, sourceLanguage: idLanguage, idPattern, placement, rowIndices }) => {
+    if (!sheets) return;
+    const { items } = collectTranslationCells(sheets, { sheetIndex: activeSheetIndex, rowIndices });
+    const keys = new Set(items.keys());
+
+    const translatedSheets = keys.size > 0
+      ? await handleBulkTranslate(targetLanguage, keys, { sourceLanguage: idLanguage })
+      : sheets;
+    if (!translatedSheets) return;
+
+    try {
+      const result = createLanguageVariant(translatedSheets, { sheetIndex: activeSheetIndex, rowIndices, language: targetLanguage, idPattern, placement });
+      setSheets(result.sheets);
+      // The variant rows hold the translation itself, so they are read as source text
+      setViewLanguage(SOURCE_LAYER);
+      if (placement === VARIANT_PLACEMENT.NEW_SHEET) setActiveSheetIndex(result.sheetIndex);
+
+      const replaced = result.updated > 0 ? `, ${result.updated} replaced` : '';
+      toast.success(`${getLanguageName(targetLanguage)} variant: ${result.created} rows added${replaced}`, { duration: 3000 });
+      if (result.skippedIds.length > 0) {
+        console.warn('⚠️ IDs without a language segment:', result.skippedIds);
+        toast.error(`${result.skippedIds.length} row${result.skippedIds.length === 1 ? '' : 's'} skipped: no language segment in the ID (${result.skippedIds.slice(0, 3).join(', ')}${result.skippedIds.length > 3 ? ', ...' : ''})`, { duration: 6000 });
+      }
+    } catch (error) {
+      console.error('Language variant failed:', error);
+      toast.error('Language variant failed: ' + error.message);
+    }
+  }, [sheets, activeSheetIndex, handleBulkTranslate]);
+
+  // A flagged variant link was reviewed: take both rows as they are now
+  const handleAcknowledgeVariant = useCallback((flag) => {
+    setSheets(prevSheets => acknowledgeVariantLink(prevSheets, flag.sheetIndex, flag.variantId));
+  }, []);
+
+  // Optimized language selection; a pending table selection limits the run to its cells.
+  // The run starts from the cost estimate; with nothing to send it starts right away to say why
+  const handleLanguageSelect = useCallback(async (languageCode, translationOptions) => {
     setSelectedLanguage(languageCode);
-    handleBulkTranslate(languageCode);
-  }, [handleBulkTranslate]);
+    setSourceLanguage(translationOptions.sourceLanguage);
+    const scope = translationScope;
+    const { items } = collectTranslationCells(sheets, {
+      sheetIndex: scope ? scope.sheetIndex : null,
+      cellIds: scope ? scope.cellIds : null,
+      targetLanguage: translationOptions.skipTargetLanguage === false ? null : languageCode
+    });
+    const run = (estimatedCost = null) => handleBulkTranslate(languageCode, null, { ...translationOptions, estimatedCost }, scope);
+    if (items.size === 0) {
+      run();
+      return;
+    }
+
+    const estimateCost = () => estimateTranslationCost(Array.from(items.values()), {
+      sourceLanguage: translationOptions.sourceLanguage,
+      targetLanguage: languageCode,
+      useMemory: translationOptions.useMemory
+    });
+    try {
+      const estimate = await estimateCost();
+      setCostEstimate({ task: 'translation', label: `Translation to ${getLanguageName(languageCode)}`, ...estimate, estimateCost, run });
+    } catch (error) {
+      console.error('Cost estimate failed:', error);
+      toast.error('Cost estimate failed: ' + error.message);
+    }
+  }, [sheets, handleBulkTranslate, translationScope]);
+
+  // Switch the model of the estimated task and estimate again with it
+  const handleEstimateModelSelect = useCallback(async (provider, model) => {
+    if (!costEstimate) return;
+    setModel(costEstimate.task, provider, model);
+    try {
+      const estimate = await costEstimate.estimateCost();
+      setCostEstimate(prev => (prev && prev.task === costEstimate.task ? { ...prev, ...estimate } : prev));
+    } catch (error) {
+      console.error('Cost estimate failed:', error);
+      toast.error('Cost estimate failed: ' + error.message);
+    }
+  }, [costEstimate]);
+
+  const handleEstimateConfirm = useCallback((estimatedCost) => {
+    const { run } = costEstimate;
+    setCostEstimate(null);
+    run(estimatedCost);
+  }, [costEstimate]);
+
+  // Translate selection: pick the language, then only the selected cells are sent and updated
+  const handleTranslateSelection = useCallback((selection) => {
+    const cellIds = getSelectedCellIds(selection, excelData);
+    if (cellIds.size === 0) {
+      toast('The selection has no text to translate', { duration: 2000 });
+      return;
+    }
+    setTranslationScope({ sheetIndex: activeSheetIndex, cellIds });
+    setShowLanguageSelector(true);
+  }, [excelData, activeSheetIndex]);
+
+  const handleOpenLanguageSelector = useCallback(() => {
+    setTranslationScope(null);
+    setShowLanguageSelector(true);
+  }, []);
+
+  // Workbook sheets for the chosen export language and the file name suffix that goes with them
+  const getExportWorkbook = useCallback(() => {
+    const { language, bilingual } = exportChoice;
+    if (language === SOURCE_LAYER) return { exportSheets: sheets, suffix: '', description: 'source' };
+    if (bilingual) {
+      return { exportSheets: getBilingualSheets(sheets, language), suffix: `_bilingual_${language}`, description: `source + ${getLanguageName(language)}` };
+    }
+    return { exportSheets: getLayerSheets(sheets, language), suffix: `_${language}`, description: getLanguageName(language) };
+  }, [sheets, exportChoice]);
 
   // Optimized export (cleaned data)
   const handleExportOriginal = useCallback(() => {
-    if (!excelData) return;
-    exportToExcel(excelData, 'processed_data.xlsx');
-    toast.success('Data exported (cleaned format)', { duration: 2000 });
-  }, [excelData]);
+    if (!sheets) return;
+    const { exportSheets, suffix, description } = getExportWorkbook();
+    exportToExcel(exportSheets, `processed_data${suffix}.xlsx`);
+    toast.success(`Data exported (cleaned format, ${description})`, { duration: 2000 });
+  }, [sheets, getExportWorkbook]);
 
   // Export with original formatting (preserves HTML, entities, etc.)
   const handleExportFormatted = useCallback(() => {
-    if (!excelData) return;
-    exportToExcelWithFormatting(excelData, 'processed_data_formatted.xlsx');
-    toast.success('Data exported (with original formatting)', { duration: 2000 });
-  }, [excelData]);
+    if (!sheets) return;
+    const { exportSheets, suffix, description } = getExportWorkbook();
+    exportToExcelWithFormatting(exportSheets, `processed_data_formatted${suffix}.xlsx`);
+    toast.success(`Data exported (with original formatting, ${description})`, { duration: 2000 });
+  }, [sheets, getExportWorkbook]);
+
+  // Export a question bank in the chosen language, reporting rows that can't be questions
+  const handleExportQuestionBank = useCallback((format) => {
+    if (!sheets) return;
+    const { label, exporter, filename } = QUESTION_BANK_EXPORTS[format];
+    const { language } = exportChoice;
+    const suffix = language === SOURCE_LAYER ? '' : `_${language}`;
+    try {
+      const { exported, skipped } = exporter(getLayerSheets(sheets, language), filename.replace('.', `${suffix}.`));
+      if (skipped.length > 0) {
+        setExportReport({ format: label, exported, skipped });
+      } else {
+        toast.success(`${label} exported (${exported} questions)`, { duration: 2000 });
+      }
+    } catch (error) {
+      toast.error(error.message, { duration: 4000 });
+    }
+  }, [sheets, exportChoice]);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -711,6 +1221,9 @@ function OptimizedApp() {
       if (translationAbortController.current) {
         translationAbortController.current.abort();
       }
+      if (parseRequestRef.current) {
+        parseRequestRef.current.cancel();
+      }
     };
   }, []);
 
@@ -723,7 +1236,8 @@ function OptimizedApp() {
     console.log('🧹 Cleared all caches on app startup');
     
     checkForSavedData();
-  }, [checkForSavedData]);
+    loadMappingPresets();
+  }, [checkForSavedData, loadMappingPresets]);
 
   // Show debug page if requested
   if (showDebugPage) {
@@ -761,7 +1275,7 @@ function OptimizedApp() {
                     <h3 className="text-xs font-semibold text-slate-500 uppercase tracking-wide mb-2 text-center">AI Operations</h3>
                     <div className="space-y-2">
                       <button
-                        onClick={handleBulkAnalyze}
+                        onClick={handleAnalyzeClick}
                         disabled={isLoading}
                         className="w-full bg-gradient-to-r from-amber-500 to-orange-500 text-white px-4 py-3 rounded-xl hover:from-amber-600 hover:to-orange-600 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center text-sm font-semibold shadow-lg hover:shadow-xl transition-all duration-200 transform hover:-translate-y-0.5"
                       >
@@ -769,13 +1283,22 @@ function OptimizedApp() {
                         Analyze
                       </button>
                       <button
-                        onClick={() => setShowLanguageSelector(true)}
+                        onClick={handleOpenLanguageSelector}
                         disabled={isLoading}
                         className="w-full bg-gradient-to-r from-blue-500 to-indigo-500 text-white px-4 py-3 rounded-xl hover:from-blue-600 hover:to-indigo-600 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center text-sm font-semibold shadow-lg hover:shadow-xl transition-all duration-200 transform hover:-translate-y-0.5"
                       >
                         <Globe className="h-4 w-4 mr-2" />
                         Translate
                       </button>
+                      <button
+                        onClick={() => setShowVariantDialog(true)}
+                        disabled={isLoading}
+                        className="w-full bg-gradient-to-r from-indigo-500 to-violet-500 text-white px-4 py-3 rounded-xl hover:from-indigo-600 hover:to-violet-600 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center text-sm font-semibold shadow-lg hover:shadow-xl transition-all duration-200 transform hover:-translate-y-0.5"
+                        title="Copy rows into another language with rewritten IDs"
+                      >
+                        <CopyPlus className="h-4 w-4 mr-2" />
+                        Variant
+                      </button>
                     </div>
                   </div>
 
@@ -814,6 +1337,22 @@ function OptimizedApp() {
                   <div className="space-y-2">
                     <h3 className="text-xs font-semibold text-slate-500 uppercase tracking-wide mb-2 text-center">Export Options</h3>
                     <div className="space-y-2">
+                      {sheetLanguages.length > 0 && (
+                        <select
+                          value={exportChoice.bilingual ? `bilingual:${exportChoice.language}` : exportChoice.language}
+                          onChange={(e) => setExportLanguage(e.target.value)}
+                          className="w-full px-3 py-2 rounded-xl border border-slate-200 bg-white text-sm text-slate-700 shadow-sm"
+                          title="Language of the exported files"
+                        >
+                          <option value={SOURCE_LAYER}>Source only</option>
+                          {sheetLanguages.map(code => (
+                            <option key={code} value={code}>{getLanguageName(code)} only</option>
+                          ))}
+                          {sheetLanguages.map(code => (
+                            <option key={`bilingual:${code}`} value={`bilingual:${code}`}>Source + {getLanguageName(code)} (bilingual)</option>
+                          ))}
+                        </select>
+                      )}
                       <button
                         onClick={handleExportOriginal}
                         className="w-full bg-gradient-to-r from-teal-500 to-cyan-500 text-white px-4 py-3 rounded-xl hover:from-teal-600 hover:to-cyan-600 flex items-center justify-center text-sm font-semibold shadow-lg hover:shadow-xl transition-all duration-200 transform hover:-translate-y-0.5"
@@ -828,6 +1367,20 @@ function OptimizedApp() {
                         <Download className="h-4 w-4 mr-2" />
                         Export Formatted
                       </button>
+                      <div className="grid grid-cols-2 gap-2">
+                        {Object.entries(QUESTION_BANK_EXPORTS).map(([format, { label, shortLabel }]) => (
+                          <button
+                            key={format}
+                            onClick={() => handleExportQuestionBank(format)}
+                            disabled={exportChoice.bilingual}
+                            className="bg-gradient-to-r from-amber-600 to-orange-600 text-white px-2 py-2 rounded-xl hover:from-amber-700 hover:to-orange-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center text-xs font-semibold shadow-lg hover:shadow-xl transition-all duration-200 transform hover:-translate-y-0.5"
+                            title={exportChoice.bilingual ? 'Question banks are exported in one language' : `Export a ${label} question bank`}
+                          >
+                            <FileCode className="h-3 w-3 mr-1" />
+                            {shortLabel}
+                          </button>
+                        ))}
+                      </div>
                     </div>
                   </div>
 
@@ -835,6 +1388,22 @@ function OptimizedApp() {
                   <div className="space-y-2">
                     <h3 className="text-xs font-semibold text-slate-500 uppercase tracking-wide mb-2 text-center">Settings</h3>
                     <div className="space-y-2">
+                      <button
+                        onClick={() => setShowColumnMapping(true)}
+                        disabled={isLoading}
+                        className="w-full bg-gradient-to-r from-sky-500 to-blue-500 text-white px-4 py-3 rounded-xl hover:from-sky-600 hover:to-blue-600 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center text-sm font-semibold shadow-lg hover:shadow-xl transition-all duration-200 transform hover:-translate-y-0.5"
+                      >
+                        <Columns className="h-4 w-4 mr-2" />
+                        Columns
+                      </button>
+                      <button
+                        onClick={() => setShowTranslationRules(true)}
+                        disabled={isLoading}
+                        className="w-full bg-gradient-to-r from-cyan-500 to-sky-500 text-white px-4 py-3 rounded-xl hover:from-cyan-600 hover:to-sky-600 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center text-sm font-semibold shadow-lg hover:shadow-xl transition-all duration-200 transform hover:-translate-y-0.5"
+                      >
+                        <ListFilter className="h-4 w-4 mr-2" />
+                        Translation Rules
+                      </button>
                       <button
                         onClick={() => setShowModelSelector(true)}
                         className="w-full bg-gradient-to-r from-slate-500 to-gray-500 text-white px-4 py-3 rounded-xl hover:from-slate-600 hover:to-gray-600 flex items-center justify-center text-sm font-semibold shadow-lg hover:shadow-xl transition-all duration-200 transform hover:-translate-y-0.5"
@@ -842,6 +1411,27 @@ function OptimizedApp() {
                         <Settings className="h-4 w-4 mr-2" />
                         Models
                       </button>
+                      <button
+                        onClick={() => setShowTranslationMemory(true)}
+                        className="w-full bg-gradient-to-r from-indigo-500 to-blue-500 text-white px-4 py-3 rounded-xl hover:from-indigo-600 hover:to-blue-600 flex items-center justify-center text-sm font-semibold shadow-lg hover:shadow-xl transition-all duration-200 transform hover:-translate-y-0.5"
+                      >
+                        <BookOpen className="h-4 w-4 mr-2" />
+                        Memory
+                      </button>
+                      <button
+                        onClick={() => setShowGlossary(true)}
+                        className="w-full bg-gradient-to-r from-violet-500 to-purple-500 text-white px-4 py-3 rounded-xl hover:from-violet-600 hover:to-purple-600 flex items-center justify-center text-sm font-semibold shadow-lg hover:shadow-xl transition-all duration-200 transform hover:-translate-y-0.5"
+                      >
+                        <BookA className="h-4 w-4 mr-2" />
+                        Glossary
+                      </button>
+                      <button
+                        onClick={() => setShowProjectCosts(true)}
+                        className="w-full bg-gradient-to-r from-emerald-600 to-teal-600 text-white px-4 py-3 rounded-xl hover:from-emerald-700 hover:to-teal-700 flex items-center justify-center text-sm font-semibold shadow-lg hover:shadow-xl transition-all duration-200 transform hover:-translate-y-0.5"
+                      >
+                        <Wallet className="h-4 w-4 mr-2" />
+                        Costs
+                      </button>
                     </div>
                   </div>
                 </div>
@@ -852,7 +1442,7 @@ function OptimizedApp() {
       </header>
 
       {/* Stop Button - Always on top during translation */}
-      {isLoading && (
+      {isLoading && !parseProgress && (
         <div className="fixed top-4 right-4 z-[9999]">
           <button
             onClick={handleStopTranslation}
@@ -871,8 +1461,8 @@ function OptimizedApp() {
         </div>
       )}
 
-      {/* Loading Overlay */}
-      {isLoading && (
+      {/* Loading Overlay (file parsing shows its own progress in FileUpload) */}
+      {isLoading && !parseProgress && (
         <div className="fixed inset-0 bg-gradient-to-br from-slate-900/20 to-blue-900/20 backdrop-blur-sm flex items-center justify-center z-40 pointer-events-none">
           <div className="bg-white/95 backdrop-blur-md rounded-2xl p-8 flex flex-col items-center space-y-4 shadow-2xl pointer-events-auto border border-white/20 max-w-md">
             <div className="animate-spin rounded-full h-8 w-8 border-4 border-blue-200 border-t-blue-600"></div>
@@ -881,7 +1471,7 @@ function OptimizedApp() {
               {translationProgress.total > 0 && (
                 <div className="mt-3 space-y-2">
                   <div className="text-sm text-slate-600">
-                    Progress: {translationProgress.current} of {translationProgress.total} batches
+                    Progress: {translationProgress.current} of {translationProgress.total} items
                   </div>
                   <div className="w-full bg-slate-200 rounded-full h-2">
                     <div 
@@ -930,7 +1520,12 @@ function OptimizedApp() {
                   Upload, analyze, translate, and export with AI-powered processing.
                 </p>
               </div>
-              <FileUpload onFileUpload={handleFileUpload} isLoading={isLoading} />
+              <FileUpload
+                onFileUpload={handleFileUpload}
+                isLoading={isLoading}
+                progress={parseProgress}
+                onCancel={handleCancelParse}
+              />
             </div>
           </div>
         ) : (
@@ -944,6 +1539,7 @@ function OptimizedApp() {
                     Processed Data
                   </h2>
                   <p className="text-slate-600 mt-1 font-medium">
+                    {dataStats.sheetCount > 1 && `${sheets[activeSheetIndex]?.name} (${activeSheetIndex + 1} of ${dataStats.sheetCount} sheets) • `}
                     {dataStats.rows} rows • {dataStats.columns} columns • {dataStats.totalCells} cells
                   </p>
                 </div>
@@ -956,8 +1552,22 @@ function OptimizedApp() {
 
             {/* Optimized Data Table */}
             <div className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-lg border border-white/20 overflow-hidden">
+              <SheetTabs
+                sheets={sheets}
+                activeIndex={activeSheetIndex}
+                onSelect={setActiveSheetIndex}
+              />
               <OptimizedDataTable
+                key={activeSheetIndex}
                 data={excelData}
+                schema={sheets[activeSheetIndex]?.schema}
+                language={activeLayer}
+                languages={sheetLanguages}
+                onLanguageChange={setViewLanguage}
+                rowFlags={variantFlags.get(activeSheetIndex)}
+                onRowFlagClick={handleAcknowledgeVariant}
+                onTranslateSelection={handleTranslateSelection}
+                onAnalyzeSelection={handleAnalyzeSelection}
                 onCellEdit={handleCellEdit}
                 onCellDelete={handleCellDelete}
                 isLoading={isLoading}
@@ -979,9 +1589,95 @@ function OptimizedApp() {
       {/* Language Selector */}
       <LanguageSelector
         isVisible={showLanguageSelector}
-        onClose={() => setShowLanguageSelector(false)}
+        onClose={() => {
+          setShowLanguageSelector(false);
+          setTranslationScope(null);
+        }}
         onLanguageSelect={handleLanguageSelect}
+        scopeCellCount={translationScope?.cellIds.size}
         currentLanguage={selectedLanguage}
+        currentSourceLanguage={sourceLanguage}
+        onReviewCells={() => {
+          setShowLanguageSelector(false);
+          setShowTranslationRules(true);
+        }}
+      />
+
+      {/* Sheet Selector for multi-sheet workbooks */}
+      <SheetSelector
+        isVisible={!!pendingWorkbook}
+        sheets={pendingWorkbook?.sheets}
+        fileName={pendingWorkbook?.metadata.fileName}
+        onClose={() => setPendingWorkbook(null)}
+        onConfirm={handleSheetSelection}
+      />
+
+      {/* Column Mapping Dialog */}
+      <ColumnMappingDialog
+        isVisible={showColumnMapping && !!sheets}
+        sheet={sheets?.[activeSheetIndex]}
+        sheetCount={sheets?.length || 0}
+        presets={mappingPresets}
+        onClose={() => setShowColumnMapping(false)}
+        onConfirm={handleMappingConfirm}
+        onSavePreset={handleSavePreset}
+        onDeletePreset={handleDeletePreset}
+      />
+
+      <TranslationRulesDialog
+        isVisible={showTranslationRules && !!sheets}
+        sheets={sheets}
+        sheetIndex={activeSheetIndex}
+        targetLanguage={selectedLanguage}
+        onClose={() => setShowTranslationRules(false)}
+        onConfirm={handleTranslationRulesConfirm}
+      />
+
+      {/* Question Bank Export Report */}
+      <ExportReportDialog
+        report={exportReport}
+        onClose={() => setExportReport(null)}
+      />
+
+      <TranslationReportDialog
+        report={translationReport}
+        onRetry={handleRetryFailedBatches}
+        onClose={() => setTranslationReport(null)}
+      />
+
+      <TranslationMemoryDialog
+        isOpen={showTranslationMemory}
+        onClose={() => setShowTranslationMemory(false)}
+      />
+
+      <LanguageVariantDialog
+        isVisible={showVariantDialog && !!sheets}
+        sheet={sheets?.[activeSheetIndex]}
+        onClose={() => setShowVariantDialog(false)}
+        onConfirm={handleCreateVariant}
+      />
+
+      <GlossaryDialog
+        isOpen={showGlossary}
+        onClose={() => setShowGlossary(false)}
+      />
+
+      <CostEstimateDialog
+        estimate={costEstimate}
+        projectCosts={projectCosts}
+        onSelectModel={handleEstimateModelSelect}
+        onConfirm={handleEstimateConfirm}
+        onClose={() => setCostEstimate(null)}
+      />
+
+      <ProjectCostsDialog
+        isOpen={showProjectCosts}
+        projectCosts={projectCosts}
+        onBudgetChange={(budget) => {
+          setProjectCosts(prev => ({ ...prev, budget }));
+          toast.success(budget === null ? 'Budget cap removed' : `Budget set to ${formatCost(budget)}`, { duration: 2000 });
+        }}
+        onClose={() => setShowProjectCosts(false)}
       />
 
       {/* Model Selector Modal */}
@@ -0,0 +1,72 @@
+/**
+ * @jest-environment node
+ */
+// The glossary router (glossary.js) on a free port, with its file in the temp directory.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+jest.mock('axios', () => jest.requireActual('axios/dist/node/axios.cjs'));
+
+const GLOSSARY_FILE = path.join(os.tmpdir(), `glossary-${process.pid}.json`);
+
+let axios;
+let server;
+let baseUrl;
+
+const term = (source, target = `${source} (ru)`) => ({ source, target, sourceLanguage: 'en', targetLanguage: 'ru' });
+const saveTerms = (terms) => axios.post(`${baseUrl}/api/glossary`, { terms });
+const deleteTerm = (id) => axios.delete(`${baseUrl}/api/glossary/${encodeURIComponent(id)}`);
+const listSources = async (query = { sourceLanguage: 'en', targetLanguage: 'ru' }) =>
+  (await axios.get(`${baseUrl}/api/glossary`, { params: query })).data.terms.map(item => item.source);
+const storedSources = () => JSON.parse(fs.readFileSync(GLOSSARY_FILE, 'utf8')).map(item => item.source).sort();
+
+beforeAll(async () => {
+  fs.writeFileSync(GLOSSARY_FILE, JSON.stringify([{ ...term('array'), id: 'en|ru|array', note: '' }]));
+  process.env.GLOSSARY_FILE = GLOSSARY_FILE;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+
+  axios = require('axios');
+  const { createGlossaryRouter } = require('../../glossary');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/glossary', createGlossaryRouter());
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(GLOSSARY_FILE, { force: true });
+  jest.restoreAllMocks();
+});
+
+test('concurrent saves and deletes all reach the file', async () => {
+  const sources = Array.from({ length: 20 }, (_, index) => `term ${index}`);
+  await Promise.all([
+    ...sources.map(source => saveTerms([term(source)])),
+    deleteTerm('en|ru|array')
+  ]);
+
+  expect(await listSources()).toEqual([...sources].sort());
+  expect(storedSources()).toEqual([...sources].sort());
+
+  await Promise.all(sources.slice(0, 10).map(source => deleteTerm(`en|ru|${source}`)));
+  expect(storedSources()).toEqual(sources.slice(10).sort());
+});
+
+test('saving a term again replaces its translation, case-insensitively', async () => {
+  const { data } = await saveTerms([term('Stack', 'стек'), term('STACK', 'стэк'), { source: 'no target' }]);
+  expect(data).toEqual({ success: true, saved: 2, skipped: 1 });
+
+  const { data: { terms } } = await axios.get(`${baseUrl}/api/glossary`, { params: { targetLanguage: 'ru' } });
+  expect(terms.filter(item => item.id === 'en|ru|stack')).toEqual([expect.objectContaining({ source: 'STACK', target: 'стэк' })]);
+});
+
+test('rejects requests without terms', async () => {
+  const response = await axios.post(`${baseUrl}/api/glossary`, {}, { validateStatus: () => true });
+  expect(response.status).toBe(400);
+});
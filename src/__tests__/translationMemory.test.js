@@ -0,0 +1,158 @@
+/**
+ * @jest-environment node
+ */
+// The translation memory router (translationMemory.js) on a free port, with its file in the temp directory.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+jest.mock('axios', () => jest.requireActual('axios/dist/node/axios.cjs'));
+
+const MEMORY_FILE = path.join(os.tmpdir(), `translation-memory-${process.pid}.json`);
+
+let axios;
+let server;
+let baseUrl;
+
+const lookup = async (sources, options = {}) => (await axios.post(`${baseUrl}/api/tm/lookup`, {
+  sourceLanguage: 'en', targetLanguage: 'ru', sources, ...options
+})).data.matches;
+
+const save = async (entries) => (await axios.post(`${baseUrl}/api/tm/entries`, { entries })).data;
+
+// The router of a freshly loaded translationMemory.js, with nothing read from its file yet
+const listen = (memoryFile) => {
+  process.env.TRANSLATION_MEMORY_FILE = memoryFile;
+  let createTranslationMemoryRouter;
+  jest.isolateModules(() => {
+    ({ createTranslationMemoryRouter } = require('../../translationMemory'));
+  });
+  const app = express();
+  app.use(express.json());
+  app.use('/api/tm', createTranslationMemoryRouter());
+  return new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+};
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+
+  axios = require('axios');
+  server = await listen(MEMORY_FILE);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  await save([
+    { source: 'The quick brown fox jumps over the dog', target: 'Быстрая бурая лиса прыгает через собаку', sourceLanguage: 'en', targetLanguage: 'ru' },
+    { source: 'Which sorting algorithm is the fastest?', target: 'Какой алгоритм сортировки самый быстрый?', sourceLanguage: 'en', targetLanguage: 'ru', model: 'gpt-4o' },
+    { source: 'Which sorting algorithm is the slowest?', target: 'Какой алгоритм сортировки самый медленный?', sourceLanguage: 'en', targetLanguage: 'ru' },
+    { source: 'Which sorting algorithm is the fastest?', target: 'Hangi sıralama algoritması en hızlıdır?', sourceLanguage: 'en', targetLanguage: 'tr' },
+    { source: '快速排序是最快的算法', target: 'Быстрая сортировка — самый быстрый алгоритм', sourceLanguage: 'zh', targetLanguage: 'ru' }
+  ]);
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(MEMORY_FILE, { force: true });
+  jest.restoreAllMocks();
+});
+
+test('saves arriving before the first read all reach the file', async () => {
+  const memoryFile = path.join(os.tmpdir(), `translation-memory-${process.pid}-first-read.json`);
+  fs.writeFileSync(memoryFile, '[]');
+  const fresh = await listen(memoryFile);
+  try {
+    const url = `http://127.0.0.1:${fresh.address().port}/api/tm/entries`;
+    const sources = Array.from({ length: 10 }, (_, index) => `Question ${index}`);
+    await Promise.all(sources.map(source => axios.post(url, {
+      entries: [{ source, target: `Вопрос ${source.slice(9)}`, sourceLanguage: 'en', targetLanguage: 'ru' }]
+    })));
+
+    expect((await axios.get(url)).data.total).toBe(10);
+    expect(JSON.parse(fs.readFileSync(memoryFile, 'utf8')).map(entry => entry.source).sort()).toEqual(sources);
+  } finally {
+    await new Promise(resolve => fresh.close(resolve));
+    fs.rmSync(memoryFile, { force: true });
+  }
+});
+
+describe('exact matches', () => {
+  test('prefer the model\'s own translation, then one without a model', async () => {
+    const [own] = await lookup(['Which sorting algorithm is the fastest?'], { model: 'gpt-4o' });
+    expect(own.exact.model).toBe('gpt-4o');
+    expect(own.fuzzy).toEqual([]);
+
+    const [other] = await lookup(['Which sorting algorithm is the slowest?'], { model: 'gpt-4o' });
+    expect(other.exact.target).toBe('Какой алгоритм сортировки самый медленный?');
+
+    const [none] = await lookup(['Which sorting algorithm is the fastest?'], { model: 'claude' });
+    expect(none.exact).toBe(null);
+  });
+});
+
+describe('fuzzy scoring', () => {
+  test('scores one changed word in six as 0.83', async () => {
+    const [match] = await lookup(['Which sorting algorithm is the best?']);
+    expect(match.exact).toBe(null);
+    expect(match.fuzzy.map(item => item.score)).toEqual([0.83, 0.83]);
+  });
+
+  test('counts inserted and removed words against the longer text', async () => {
+    const [match] = await lookup(['The quick brown fox jumps over the lazy dog']);
+    // One inserted word in nine
+    expect(match.fuzzy).toEqual([expect.objectContaining({ target: 'Быстрая бурая лиса прыгает через собаку', score: 0.89 })]);
+  });
+
+  test('ignores markup, case and punctuation', async () => {
+    const [match] = await lookup(['<p>the QUICK brown fox, jumps over the <b>dog</b>!</p>']);
+    expect(match.exact).toBe(null);
+    expect(match.fuzzy[0].score).toBe(1);
+  });
+
+  test('drops matches under the threshold and keeps the best first', async () => {
+    const [loose] = await lookup(['Which sorting method is the best?'], { fuzzyThreshold: 0.6 });
+    expect(loose.fuzzy.map(item => item.score)).toEqual([0.67, 0.67]);
+
+    const [strict] = await lookup(['Which sorting method is the best?']);
+    expect(strict.fuzzy).toEqual([]);
+
+    const [off] = await lookup(['Which sorting algorithm is the best?'], { fuzzyThreshold: 1 });
+    expect(off.fuzzy).toEqual([]);
+
+    const [ranked] = await lookup(['Which sorting algorithm is the fastest?'], { model: 'claude' });
+    expect(ranked.fuzzy.map(item => [item.model, item.score])).toEqual([['gpt-4o', 1], ['', 0.83]]);
+  });
+
+  test('stays within the language pair', async () => {
+    const [match] = await lookup(['Which sorting algorithm is the best?'], { targetLanguage: 'tr' });
+    expect(match.fuzzy).toEqual([expect.objectContaining({ target: 'Hangi sıralama algoritması en hızlıdır?' })]);
+  });
+
+  test('counts every Chinese character as a word', async () => {
+    const [match] = await lookup(['快速排序是最慢的算法'], { sourceLanguage: 'zh' });
+    expect(match.fuzzy).toEqual([expect.objectContaining({ score: 0.9 })]);
+  });
+});
+
+describe('clearing', () => {
+  const clear = (params) => axios.delete(`${baseUrl}/api/tm/entries`, { params, validateStatus: () => true });
+  const countEntries = async () => (await axios.get(`${baseUrl}/api/tm/entries`)).data.total;
+
+  test('refuses to empty the memory without a filter or all=true', async () => {
+    const before = await countEntries();
+    for (const params of [{}, { search: '  ' }, { all: 'yes' }]) {
+      const response = await clear(params);
+      expect(response.status).toBe(400);
+      expect(response.data.error).toMatch(/all=true/);
+    }
+    expect(await countEntries()).toBe(before);
+  });
+
+  test('removes the filtered entries, or all of them with all=true', async () => {
+    expect((await clear({ targetLanguage: 'tr' })).data).toEqual({ success: true, removed: 1 });
+    expect((await clear({ all: 'true' })).data).toEqual({ success: true, removed: 4 });
+    expect(await countEntries()).toBe(0);
+    expect(JSON.parse(fs.readFileSync(MEMORY_FILE, 'utf8'))).toEqual([]);
+  });
+});
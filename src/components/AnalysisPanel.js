@@ -1,5 +1,6 @@
 import React from 'react';
 import { CheckCircle, XCircle, AlertTriangle, BarChart3, FileText, Code, Database, X, RefreshCw } from 'lucide-react';
+import { getLanguageName } from '../utils/languages';
 
 const AnalysisPanel = ({ analysis, isVisible, onClose, onReAnalyze, isLoading }) => {
   if (!isVisible || !analysis) return null;
@@ -43,6 +44,7 @@ const AnalysisPanel = ({ analysis, isVisible, onClose, onReAnalyze, isLoading })
             <h2 className="text-2xl font-bold text-gray-900 flex items-center">
               <BarChart3 className="h-6 w-6 mr-2 text-blue-600" />
               Comprehensive Analysis Report
+              {analysis.scope && <span className="ml-2 text-base font-normal text-gray-500">— {analysis.scope}</span>}
             </h2>
             <button
               onClick={onClose}
@@ -77,6 +79,22 @@ const AnalysisPanel = ({ analysis, isVisible, onClose, onReAnalyze, isLoading })
                   <div className="text-sm text-orange-800">Entity Cells</div>
                 </div>
               </div>
+              {analysis.summary.languageMix?.length > 0 && (
+                <div className="mt-4">
+                  <div className="text-sm font-medium text-gray-700 mb-2">Languages of question and answer text</div>
+                  <div className="flex flex-wrap gap-2">
+                    {analysis.summary.languageMix.map(entry => (
+                      <span
+                        key={entry.code}
+                        className="px-3 py-1 text-sm rounded-full border bg-gray-50 border-gray-200 text-gray-700"
+                        title={`${entry.cells} cells`}
+                      >
+                        {entry.code === 'und' ? 'Undetermined' : getLanguageName(entry.code)} {Math.round(entry.share * 100)}%
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
           )}
 
@@ -142,6 +160,25 @@ const AnalysisPanel = ({ analysis, isVisible, onClose, onReAnalyze, isLoading })
                 </div>
               </div>
 
+              {/* Per-sheet breakdown for multi-sheet workbooks */}
+              {analysis.datasetAnalysis.sheets && analysis.datasetAnalysis.sheets.length > 1 && (
+                <div className="mb-4">
+                  <h4 className="font-medium text-gray-900 mb-2">By Sheet:</h4>
+                  <div className="space-y-2">
+                    {analysis.datasetAnalysis.sheets.map((sheetAnalysis, index) => (
+                      <div key={index} className={`flex items-center justify-between p-3 rounded-lg border ${getQualityColor(sheetAnalysis.dataQuality)}`}>
+                        <div className="flex items-center space-x-2">
+                          {getQualityIcon(sheetAnalysis.dataQuality)}
+                          <span className="font-medium">{sheetAnalysis.sheetName}</span>
+                        </div>
+                        <span className="text-sm">
+                          {sheetAnalysis.totalQuestions} questions • {(sheetAnalysis.detailedIssues || []).length} issues
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
 
               {/* Detailed Issues */}
               {analysis.datasetAnalysis.detailedIssues && analysis.datasetAnalysis.detailedIssues.length > 0 && (
@@ -156,6 +193,7 @@ const AnalysisPanel = ({ analysis, isVisible, onClose, onReAnalyze, isLoading })
                       }`}>
                         <div className="flex items-center justify-between">
                           <div className="font-medium text-gray-900">
+                            {issue.sheet && <span className="text-gray-500">{issue.sheet} • </span>}
                             Row {issue.row}: {issue.type}
                           </div>
                           <span className={`text-xs px-2 py-1 rounded ${
@@ -0,0 +1,239 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, Columns, Save, Trash2 } from 'lucide-react';
+import { COLUMN_TYPES, COLUMN_TYPE_LABELS } from '../utils/constants';
+import { setSheetHasHeader, applyPresetToSchema } from '../utils/columnSchema';
+
+const ROLE_OPTIONS = Object.values(COLUMN_TYPES);
+
+const ColumnMappingDialog = ({
+  isVisible,
+  sheet,
+  sheetCount = 1,
+  presets = [],
+  onClose,
+  onConfirm,
+  onSavePreset,
+  onDeletePreset
+}) => {
+  const [draftSheet, setDraftSheet] = useState(null);
+  const [applyToAll, setApplyToAll] = useState(false);
+  const [presetName, setPresetName] = useState('');
+  const [selectedPreset, setSelectedPreset] = useState('');
+
+  // Start from the sheet's current mapping every time the dialog opens
+  useEffect(() => {
+    if (isVisible && sheet) {
+      setDraftSheet(sheet);
+      setApplyToAll(false);
+      setPresetName('');
+      setSelectedPreset('');
+    }
+  }, [isVisible, sheet]);
+
+  // A few example values per column so roles are easy to recognise
+  const samples = useMemo(() => {
+    if (!draftSheet) return {};
+    const result = {};
+    draftSheet.schema.columns.forEach(column => {
+      result[column.index] = draftSheet.data
+        .map(row => row[column.index]?.cleaned || '')
+        .filter(Boolean)
+        .slice(0, 2);
+    });
+    return result;
+  }, [draftSheet]);
+
+  if (!isVisible || !draftSheet) return null;
+
+  const updateColumn = (index, changes) => {
+    setDraftSheet(prev => ({
+      ...prev,
+      schema: {
+        ...prev.schema,
+        source: 'manual',
+        columns: prev.schema.columns.map(column =>
+          column.index === index ? { ...column, ...changes } : column
+        )
+      }
+    }));
+  };
+
+  const handleRoleChange = (index, role) => {
+    const needsGroup = role === COLUMN_TYPES.VARIANT || role === COLUMN_TYPES.CODE;
+    const column = draftSheet.schema.columns.find(col => col.index === index);
+    updateColumn(index, { role, group: needsGroup ? column.group || 1 : null });
+  };
+
+  const handleHeaderToggle = (hasHeader) => {
+    setDraftSheet(prev => setSheetHasHeader(prev, hasHeader));
+  };
+
+  const handleApplyPreset = (name) => {
+    setSelectedPreset(name);
+    const preset = presets.find(p => p.name === name);
+    if (preset) {
+      setDraftSheet(prev => ({ ...prev, schema: applyPresetToSchema(prev.schema, preset) }));
+    }
+  };
+
+  const handleSavePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    onSavePreset(name, draftSheet.schema);
+    setSelectedPreset(name);
+    setPresetName('');
+  };
+
+  const handleConfirm = () => {
+    onConfirm({ sheet: draftSheet, applyToAll });
+  };
+
+  const questionCount = draftSheet.schema.columns.filter(col => col.role === COLUMN_TYPES.QUESTION).length;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-bold text-gray-900 flex items-center">
+              <Columns className="h-5 w-5 mr-2 text-blue-600" />
+              Column Mapping{sheetCount > 1 && <span className="ml-2 text-gray-500 font-normal">— {draftSheet.name}</span>}
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors p-1"
+            >
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <p className="text-gray-600 mb-4">
+            Tell the processor what each column contains. Analysis, translation and exports read these roles instead of fixed column positions.
+          </p>
+
+          {/* Presets */}
+          <div className="flex flex-col md:flex-row md:items-center gap-3 mb-4 p-3 bg-gray-50 rounded-lg border border-gray-200">
+            <div className="flex items-center gap-2 flex-1">
+              <label className="text-sm font-medium text-gray-700 whitespace-nowrap">Preset:</label>
+              <select
+                value={selectedPreset}
+                onChange={(e) => handleApplyPreset(e.target.value)}
+                className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm"
+              >
+                <option value="">— Detected mapping —</option>
+                {presets.map(preset => (
+                  <option key={preset.name} value={preset.name}>{preset.name}</option>
+                ))}
+              </select>
+              {selectedPreset && (
+                <button
+                  onClick={() => { onDeletePreset(selectedPreset); setSelectedPreset(''); }}
+                  className="p-1 text-red-600 hover:bg-red-50 rounded"
+                  title="Delete preset"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              )}
+            </div>
+            <div className="flex items-center gap-2 flex-1">
+              <input
+                type="text"
+                value={presetName}
+                onChange={(e) => setPresetName(e.target.value)}
+                placeholder="Preset name"
+                className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm"
+              />
+              <button
+                onClick={handleSavePreset}
+                disabled={!presetName.trim()}
+                className="px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 disabled:opacity-50 flex items-center"
+              >
+                <Save className="h-3 w-3 mr-1" />
+                Save preset
+              </button>
+            </div>
+          </div>
+
+          <label className="flex items-center space-x-2 mb-4 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={!!draftSheet.headerRow}
+              onChange={(e) => handleHeaderToggle(e.target.checked)}
+            />
+            <span>First row is a header row</span>
+          </label>
+
+          {/* Column roles */}
+          <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+            {draftSheet.schema.columns.map(column => (
+              <div key={column.index} className="flex items-center gap-4 p-3">
+                <div className="w-48 flex-shrink-0">
+                  <div className="text-sm font-medium text-gray-900 truncate">
+                    {column.header || `Column ${column.index + 1}`}
+                  </div>
+                  <div className="text-xs text-gray-400">Column {column.index + 1}</div>
+                </div>
+                <div className="flex-1 min-w-0 text-xs text-gray-500 truncate" title={(samples[column.index] || []).join(' | ')}>
+                  {(samples[column.index] || []).join(' | ') || <span className="italic">Empty</span>}
+                </div>
+                <select
+                  value={column.role}
+                  onChange={(e) => handleRoleChange(column.index, e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded text-sm"
+                >
+                  {ROLE_OPTIONS.map(role => (
+                    <option key={role} value={role}>{COLUMN_TYPE_LABELS[role]}</option>
+                  ))}
+                </select>
+                {(column.role === COLUMN_TYPES.VARIANT || column.role === COLUMN_TYPES.CODE) ? (
+                  <input
+                    type="number"
+                    min="1"
+                    value={column.group || 1}
+                    onChange={(e) => updateColumn(column.index, { group: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                    className="w-16 px-2 py-1 border border-gray-300 rounded text-sm"
+                    title="Answer number"
+                  />
+                ) : (
+                  <div className="w-16" />
+                )}
+              </div>
+            ))}
+          </div>
+
+          {questionCount === 0 && (
+            <p className="mt-3 text-sm text-red-600">No question column is mapped, so analysis cannot check questions.</p>
+          )}
+
+          {sheetCount > 1 && (
+            <label className="flex items-center space-x-2 mt-4 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={applyToAll}
+                onChange={(e) => setApplyToAll(e.target.checked)}
+              />
+              <span>Apply this mapping to all {sheetCount} sheets</span>
+            </label>
+          )}
+
+          <div className="flex justify-end space-x-3 mt-6 pt-4 border-t border-gray-200">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleConfirm}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium"
+            >
+              Apply Mapping
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingDialog;
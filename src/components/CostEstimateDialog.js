@@ -0,0 +1,147 @@
+import React from 'react';
+import { X, Calculator, AlertTriangle } from 'lucide-react';
+import { formatCost, formatTokens, getBudgetLeft, getProjectSpend } from '../utils/costs';
+
+// Pre-flight summary of a translation or analysis run: what is sent, the tokens and cost with the
+// current model and how the other models compare. estimate is { task, label, items?, memoryHits?,
+// cached?, models } from estimateTranslationCost / estimateAnalysisCost; onSelectModel(provider, model)
+// switches the model for the task, onConfirm(estimatedCost) starts the run
+const CostEstimateDialog = ({ estimate, projectCosts, onSelectModel, onConfirm, onClose }) => {
+  if (!estimate) return null;
+
+  const { task, label, models } = estimate;
+  const current = models.find(model => model.current) || models[0];
+  const isTranslation = task === 'translation';
+  const budgetLeft = getBudgetLeft(projectCosts);
+  const overBudget = current.cost > budgetLeft;
+  const toSend = isTranslation ? estimate.items - estimate.memoryHits : null;
+
+  const summary = [
+    ...(isTranslation ? [
+      ['Unique items', estimate.items],
+      ['From translation memory', estimate.memoryHits],
+      ['Batches', current.batches]
+    ] : [
+      ['Requests', current.batches || 'none, local checks only']
+    ]),
+    ['Input tokens', `~${formatTokens(current.inputTokens)}`],
+    [isTranslation ? 'Output tokens' : 'Output tokens (at most)', `~${formatTokens(current.outputTokens)}`],
+    ['Estimated cost', formatCost(current.cost)]
+  ];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-bold text-gray-900 flex items-center">
+              <Calculator className="h-5 w-5 mr-2 text-blue-600" />
+              {label}: cost estimate
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors p-1"
+            >
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-3 mb-4">
+            {summary.map(([name, value]) => (
+              <div key={name} className="bg-gray-50 rounded-lg p-3">
+                <div className="text-xs text-gray-500">{name}</div>
+                <div className="text-lg font-semibold text-gray-900">{value}</div>
+              </div>
+            ))}
+          </div>
+
+          <p className="text-sm text-gray-600 mb-4">
+            With <span className="font-medium">{current.name}</span>. Spent on this project so far:{' '}
+            {formatCost(getProjectSpend(projectCosts))}
+            {projectCosts.budget !== null && <>, {formatCost(budgetLeft)} left of the {formatCost(projectCosts.budget)} budget</>}.
+            {isTranslation && ' Retries of missing items and glossary terms are not counted.'}
+          </p>
+
+          {overBudget && (
+            <div className="flex items-start gap-2 p-3 mb-4 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-800">
+              <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+              {isTranslation
+                ? 'The estimate is over the budget left. Batches that would go over it are not sent and are listed as paused.'
+                : 'The estimate is over the budget left, so the content gets the local checks instead of the AI analysis.'}
+            </div>
+          )}
+
+          <div className="border border-gray-200 rounded-lg overflow-hidden">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr className="text-left text-gray-600">
+                  <th className="px-3 py-2 font-medium">Model</th>
+                  <th className="px-3 py-2 font-medium text-right">Input</th>
+                  <th className="px-3 py-2 font-medium text-right">Output</th>
+                  <th className="px-3 py-2 font-medium text-right">Cost</th>
+                  <th className="px-3 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {models.map(model => (
+                  <tr key={`${model.provider}/${model.model}`} className={model.current ? 'bg-blue-50' : ''}>
+                    <td className="px-3 py-2">
+                      <div className="font-medium text-gray-900">{model.name}</div>
+                      {!model.configured && <div className="text-xs text-gray-400">Provider not configured</div>}
+                      {!isTranslation && model.batches === 0 && <div className="text-xs text-gray-400">Content too long, local checks</div>}
+                    </td>
+                    <td className="px-3 py-2 text-right text-gray-700">{formatTokens(model.inputTokens)}</td>
+                    <td className="px-3 py-2 text-right text-gray-700">{formatTokens(model.outputTokens)}</td>
+                    <td className="px-3 py-2 text-right font-medium text-gray-900">
+                      {formatCost(model.cost)}
+                      {!model.current && current.cost > 0 && (
+                        <div className="text-xs font-normal text-gray-500">
+                          {model.cost <= current.cost ? '−' : '+'}{formatCost(Math.abs(model.cost - current.cost))}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      {model.current ? (
+                        <span className="text-xs font-medium text-blue-700">Current</span>
+                      ) : (
+                        <button
+                          onClick={() => onSelectModel(model.provider, model.model)}
+                          disabled={!model.configured}
+                          className="text-xs px-2 py-1 rounded bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Use
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {isTranslation && toSend > 0 && (
+            <p className="mt-2 text-xs text-gray-500">
+              Translation memory matches are those stored for the current model; switching models estimates again.
+            </p>
+          )}
+
+          <div className="flex justify-end gap-3 mt-6 pt-4 border-t border-gray-200">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors font-medium"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => onConfirm(current.cost)}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium"
+            >
+              {isTranslation ? 'Translate' : 'Analyze'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CostEstimateDialog;
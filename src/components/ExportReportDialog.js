@@ -0,0 +1,60 @@
+import React from 'react';
+import { X, AlertTriangle, CheckCircle } from 'lucide-react';
+
+// Summary of a question-bank export: how many rows became questions and which were skipped
+const ExportReportDialog = ({ report, onClose }) => {
+  if (!report) return null;
+
+  const { format, exported, skipped } = report;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-bold text-gray-900 flex items-center">
+              <AlertTriangle className="h-5 w-5 mr-2 text-amber-500" />
+              {format} Export Report
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors p-1"
+            >
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <p className="flex items-center text-gray-700 mb-4">
+            <CheckCircle className="h-4 w-4 mr-2 text-green-600" />
+            {exported} {exported === 1 ? 'question' : 'questions'} exported, {skipped.length} {skipped.length === 1 ? 'row' : 'rows'} skipped.
+          </p>
+
+          <div className="border border-gray-200 rounded-lg divide-y divide-gray-200 max-h-80 overflow-y-auto">
+            {skipped.map((item, index) => (
+              <div key={`${item.sheet}-${item.row}-${index}`} className="flex items-center gap-4 p-3 text-sm">
+                <div className="w-40 flex-shrink-0 text-gray-500 truncate" title={item.sheet}>
+                  {item.sheet} • Row {item.row}
+                </div>
+                <div className="w-36 flex-shrink-0 font-mono text-xs text-gray-700 truncate" title={item.id}>
+                  {item.id || '—'}
+                </div>
+                <div className="flex-1 text-gray-900">{item.reason}</div>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-end mt-6 pt-4 border-t border-gray-200">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportReportDialog;
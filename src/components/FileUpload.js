@@ -1,8 +1,8 @@
 import React, { useCallback } from 'react';
 import { useDropzone } from 'react-dropzone';
-import { FileSpreadsheet, AlertCircle } from 'lucide-react';
+import { FileSpreadsheet, AlertCircle, X } from 'lucide-react';
 
-const FileUpload = ({ onFileUpload, isLoading }) => {
+const FileUpload = ({ onFileUpload, isLoading, progress = null, onCancel = null }) => {
   const onDrop = useCallback((acceptedFiles) => {
     if (acceptedFiles.length > 0) {
       const file = acceptedFiles[0];
@@ -15,6 +15,12 @@ const FileUpload = ({ onFileUpload, isLoading }) => {
     accept: {
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
       'application/vnd.ms-excel': ['.xls'],
+      'text/csv': ['.csv'],
+      'text/tab-separated-values': ['.tsv', '.tab'],
+      'application/json': ['.json'],
+      'application/xml': ['.xml'],
+      'text/xml': ['.xml'],
+      'text/plain': ['.gift', '.txt'],
     },
     maxFiles: 1,
     multiple: false
@@ -44,13 +50,15 @@ const FileUpload = ({ onFileUpload, isLoading }) => {
           
           <div>
             <p className="text-lg font-medium text-gray-900">
-              {isLoading ? 'Processing file...' : 'Drop your Excel file here'}
+              {isLoading
+                ? (progress?.phase === 'reading' ? 'Reading workbook...' : 'Processing file...')
+                : 'Drop your Excel, CSV or JSON file here'}
             </p>
             <p className="text-sm text-gray-500 mt-1">
               or click to browse files
             </p>
             <p className="text-xs text-gray-400 mt-2">
-              Supports .xlsx and .xls files
+              Supports .xlsx, .xls, .csv, .tsv, .txt, .json, Moodle .xml and GIFT/Aiken files
             </p>
           </div>
           
@@ -62,6 +70,34 @@ const FileUpload = ({ onFileUpload, isLoading }) => {
         </div>
       </div>
       
+      {/* Parsing progress */}
+      {isLoading && progress && (
+        <div className="mt-4 space-y-2">
+          <div className="flex items-center justify-between text-sm text-gray-600">
+            <span>
+              {progress.totalRows > 0
+                ? `${progress.rowsProcessed.toLocaleString()} of ${progress.totalRows.toLocaleString()} rows`
+                : 'Reading workbook...'}
+            </span>
+            {onCancel && (
+              <button
+                onClick={onCancel}
+                className="flex items-center text-red-600 hover:text-red-800 font-medium"
+              >
+                <X className="h-4 w-4 mr-1" />
+                Cancel
+              </button>
+            )}
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div
+              className="bg-gradient-to-r from-blue-500 to-indigo-500 h-2 rounded-full transition-all duration-300"
+              style={{ width: `${progress.totalRows > 0 ? Math.round((progress.rowsProcessed / progress.totalRows) * 100) : 0}%` }}
+            ></div>
+          </div>
+        </div>
+      )}
+      
       {fileRejections.length > 0 && (
         <div className="mt-4 p-4 bg-red-50 border border-red-200 rounded-lg">
           <div className="flex items-center">
@@ -71,7 +107,7 @@ const FileUpload = ({ onFileUpload, isLoading }) => {
                 Invalid file type
               </p>
               <p className="text-sm text-red-600">
-                Please upload an Excel file (.xlsx or .xls)
+                Please upload an Excel, CSV, TSV or JSON file
               </p>
             </div>
           </div>
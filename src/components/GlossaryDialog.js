@@ -0,0 +1,240 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { toast } from 'react-hot-toast';
+import { X, BookA, Plus, Upload, Download, Trash2 } from 'lucide-react';
+import { loadGlossary, saveGlossaryTerms, deleteGlossaryTerm, buildGlossaryCsv, parseGlossaryFile } from '../utils/glossary';
+import { downloadFile } from '../utils/optimizedExcelParser';
+import { LANGUAGES } from '../utils/languages';
+
+const emptyDraft = { source: '', target: '', note: '' };
+
+// Approved term translations per language pair; CSV import and export share them with other tools
+const GlossaryDialog = ({ isOpen, onClose, defaultSourceLanguage = 'ru', defaultTargetLanguage = 'az' }) => {
+  const [sourceLanguage, setSourceLanguage] = useState(defaultSourceLanguage);
+  const [targetLanguage, setTargetLanguage] = useState(defaultTargetLanguage);
+  const [terms, setTerms] = useState([]);
+  const [filter, setFilter] = useState('');
+  const [draft, setDraft] = useState(emptyDraft);
+  const [isBusy, setIsBusy] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const loadTerms = useCallback(async () => {
+    setIsBusy(true);
+    try {
+      const result = await loadGlossary({ sourceLanguage, targetLanguage });
+      setTerms(result.terms);
+    } catch (error) {
+      console.error('Glossary load failed:', error);
+      toast.error('Could not load glossary: ' + error.message);
+    } finally {
+      setIsBusy(false);
+    }
+  }, [sourceLanguage, targetLanguage]);
+
+  useEffect(() => {
+    if (isOpen) loadTerms();
+  }, [isOpen, loadTerms]);
+
+  if (!isOpen) return null;
+
+  const samePair = sourceLanguage === targetLanguage;
+  const query = filter.trim().toLowerCase();
+  const visibleTerms = query
+    ? terms.filter(term => term.source.toLowerCase().includes(query) || term.target.toLowerCase().includes(query))
+    : terms;
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!draft.source.trim() || !draft.target.trim()) return;
+    try {
+      await saveGlossaryTerms([{ ...draft, sourceLanguage, targetLanguage }]);
+      setDraft(emptyDraft);
+      loadTerms();
+    } catch (error) {
+      toast.error('Failed to save term: ' + error.message);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteGlossaryTerm(id);
+      loadTerms();
+    } catch (error) {
+      toast.error('Failed to delete term: ' + error.message);
+    }
+  };
+
+  const handleExport = () => {
+    // The byte order mark lets spreadsheet programs read the file as UTF-8
+    downloadFile('\uFEFF' + buildGlossaryCsv(terms), `glossary_${sourceLanguage}-${targetLanguage}.csv`, 'text/csv;charset=utf-8');
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsBusy(true);
+    try {
+      const parsed = await parseGlossaryFile(file, { sourceLanguage, targetLanguage });
+      if (parsed.terms.length === 0) throw new Error('No terms found; expected source and target columns');
+      const { saved, skipped } = await saveGlossaryTerms(parsed.terms);
+      const skippedTotal = parsed.skipped + skipped;
+      toast.success(`Imported ${file.name}: ${saved} terms${skippedTotal ? `, ${skippedTotal} rows skipped` : ''}`, { duration: 4000 });
+      loadTerms();
+    } catch (error) {
+      console.error('Glossary import failed:', error);
+      toast.error('Glossary import failed: ' + error.message);
+      setIsBusy(false);
+    }
+  };
+
+  const languageSelect = (value, onChange, label) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm"
+      title={label}
+    >
+      {LANGUAGES.map(language => (
+        <option key={language.code} value={language.code}>{language.name}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] flex flex-col">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-bold text-gray-900 flex items-center">
+              <BookA className="h-5 w-5 mr-2 text-blue-600" />
+              Glossary
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors p-1"
+            >
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3">
+            {languageSelect(sourceLanguage, setSourceLanguage, 'Source language')}
+            <span className="text-gray-400">→</span>
+            {languageSelect(targetLanguage, setTargetLanguage, 'Target language')}
+            <input
+              type="text"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              placeholder="Filter terms"
+              className="flex-1 min-w-[10rem] px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv,.tsv,.txt"
+              onChange={handleImport}
+              className="hidden"
+            />
+            <button
+              onClick={() => fileInputRef.current.click()}
+              disabled={isBusy || samePair}
+              className="flex items-center px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50 transition-colors text-sm font-medium"
+              title="CSV with source, target and optional note columns"
+            >
+              <Upload className="h-4 w-4 mr-2" />
+              Import CSV
+            </button>
+            <button
+              onClick={handleExport}
+              disabled={isBusy || terms.length === 0}
+              className="flex items-center px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50 transition-colors text-sm font-medium"
+            >
+              <Download className="h-4 w-4 mr-2" />
+              Export CSV
+            </button>
+          </div>
+
+          <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-3 mt-4">
+            <input
+              type="text"
+              value={draft.source}
+              onChange={(e) => setDraft({ ...draft, source: e.target.value })}
+              placeholder="Term"
+              className="flex-1 min-w-[8rem] px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <input
+              type="text"
+              value={draft.target}
+              onChange={(e) => setDraft({ ...draft, target: e.target.value })}
+              placeholder="Approved translation"
+              className="flex-1 min-w-[8rem] px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <input
+              type="text"
+              value={draft.note}
+              onChange={(e) => setDraft({ ...draft, note: e.target.value })}
+              placeholder="Note (optional)"
+              className="flex-1 min-w-[8rem] px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <button
+              type="submit"
+              disabled={isBusy || samePair || !draft.source.trim() || !draft.target.trim()}
+              className="flex items-center px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors text-sm font-medium"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              Add
+            </button>
+          </form>
+          {samePair && (
+            <p className="mt-2 text-xs text-amber-700">Choose two different languages.</p>
+          )}
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {visibleTerms.length === 0 ? (
+            <p className="p-6 text-center text-gray-500">
+              {isBusy ? 'Loading...' : terms.length === 0 ? 'No terms for this language pair yet. Add them above or import a CSV file.' : 'No terms match the filter.'}
+            </p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-left text-gray-600">
+                  <th className="px-4 py-2 font-medium">Term</th>
+                  <th className="px-4 py-2 font-medium">Approved translation</th>
+                  <th className="px-4 py-2 font-medium">Note</th>
+                  <th className="px-4 py-2 w-10"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {visibleTerms.map(term => (
+                  <tr key={term.id} className="align-top">
+                    <td className="px-4 py-2 text-gray-900 break-words">{term.source}</td>
+                    <td className="px-4 py-2 text-gray-900 break-words">{term.target}</td>
+                    <td className="px-4 py-2 text-gray-500 break-words">{term.note}</td>
+                    <td className="px-4 py-2">
+                      <button
+                        onClick={() => handleDelete(term.id)}
+                        className="text-gray-400 hover:text-red-600 transition-colors"
+                        title="Delete term"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 text-sm text-gray-600">
+          {terms.length === 1 ? '1 term' : `${terms.length} terms`}
+          {query && ` (${visibleTerms.length} shown)`}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GlossaryDialog;
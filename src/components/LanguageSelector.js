@@ -1,20 +1,22 @@
 import React, { useState } from 'react';
 import { X, Globe, Check } from 'lucide-react';
+import { LANGUAGES as languages } from '../utils/languages';
 
-const languages = [
-  { code: 'en', name: 'English', flag: '🇺🇸' },
-  { code: 'ru', name: 'Russian', flag: '🇷🇺' },
-  { code: 'az', name: 'Azerbaijani', flag: '🇦🇿' },
-  { code: 'tr', name: 'Turkish', flag: '🇹🇷' }
-];
-
-const LanguageSelector = ({ isVisible, onClose, onLanguageSelect, currentLanguage = 'en' }) => {
+// onLanguageSelect(targetLanguage, { sourceLanguage, useMemory, useGlossary, skipTargetLanguage }); 'und' is an
+// unspecified source language.
+// onReviewCells, when given, opens the list of cells the run will send. scopeCellCount is the number
+// of selected table cells when only a selection is translated.
+const LanguageSelector = ({ isVisible, onClose, onLanguageSelect, onReviewCells, scopeCellCount, currentLanguage = 'en', currentSourceLanguage = 'und' }) => {
   const [selectedLanguage, setSelectedLanguage] = useState(currentLanguage);
+  const [sourceLanguage, setSourceLanguage] = useState(currentSourceLanguage);
+  const [useMemory, setUseMemory] = useState(true);
+  const [useGlossary, setUseGlossary] = useState(true);
+  const [skipTargetLanguage, setSkipTargetLanguage] = useState(true);
 
   if (!isVisible) return null;
 
   const handleConfirm = () => {
-    onLanguageSelect(selectedLanguage);
+    onLanguageSelect(selectedLanguage, { sourceLanguage, useMemory, useGlossary, skipTargetLanguage });
     onClose();
   };
 
@@ -24,7 +26,7 @@ const LanguageSelector = ({ isVisible, onClose, onLanguageSelect, currentLanguag
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-      <div className="bg-white rounded-lg shadow-xl max-w-sm w-full">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[90vh] overflow-y-auto">
         <div className="p-6">
           <div className="flex items-center justify-between mb-6">
             <h2 className="text-xl font-bold text-gray-900 flex items-center">
@@ -39,25 +41,47 @@ const LanguageSelector = ({ isVisible, onClose, onLanguageSelect, currentLanguag
             </button>
           </div>
 
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Source language</label>
+            <select
+              value={sourceLanguage}
+              onChange={(e) => setSourceLanguage(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm"
+            >
+              <option value="und">Not specified</option>
+              {languages.map(language => (
+                <option key={language.code} value={language.code}>{language.name}</option>
+              ))}
+            </select>
+          </div>
+
           <p className="text-gray-600 mb-6">
             Choose the language you want to translate your data to:
           </p>
 
-          <div className="grid grid-cols-1 gap-3">
+          {scopeCellCount > 0 && (
+            <p className="mb-6 -mt-3 px-3 py-2 text-sm text-blue-800 bg-blue-50 border border-blue-200 rounded-lg">
+              Only the {scopeCellCount === 1 ? 'selected cell is' : `${scopeCellCount} selected cells are`} translated.
+            </p>
+          )}
+
+          <div className="grid grid-cols-2 gap-2">
             {languages.map((language) => (
               <button
                 key={language.code}
                 onClick={() => setSelectedLanguage(language.code)}
-                className={`w-full flex items-center justify-between p-3 rounded-lg border-2 transition-colors ${
+                className={`w-full flex items-center justify-between p-2 rounded-lg border-2 text-left transition-colors ${
                   selectedLanguage === language.code
                     ? 'border-blue-500 bg-blue-50 text-blue-900'
                     : 'border-gray-200 hover:border-gray-300 hover:bg-gray-50'
                 }`}
               >
-                <div className="flex items-center space-x-3">
-                  <span className="text-2xl">{language.flag}</span>
-                  <span className="font-medium">{language.name}</span>
-                  <span className="text-sm text-gray-500">({language.code.toUpperCase()})</span>
+                <div className="flex items-center space-x-2 min-w-0">
+                  <span className="text-xl">{language.flag}</span>
+                  <span className="min-w-0">
+                    <span className="block text-sm font-medium truncate">{language.name}</span>
+                    <span className="block text-xs text-gray-500 truncate" dir={language.direction}>{language.nativeName}</span>
+                  </span>
                 </div>
                 {selectedLanguage === language.code && (
                   <Check className="h-5 w-5 text-blue-600" />
@@ -66,6 +90,54 @@ const LanguageSelector = ({ isVisible, onClose, onLanguageSelect, currentLanguag
             ))}
           </div>
 
+          <label className="flex items-start mt-6 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={useMemory}
+              onChange={(e) => setUseMemory(e.target.checked)}
+              className="mt-0.5 mr-2"
+            />
+            <span>
+              Use translation memory
+              <span className="block text-xs text-gray-500">Reuse earlier translations and show similar ones to the model</span>
+            </span>
+          </label>
+
+          <label className="flex items-start mt-3 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={useGlossary}
+              onChange={(e) => setUseGlossary(e.target.checked)}
+              className="mt-0.5 mr-2"
+            />
+            <span>
+              Use glossary
+              <span className="block text-xs text-gray-500">Give the model the approved term translations and flag cells that miss them</span>
+            </span>
+          </label>
+
+          <label className="flex items-start mt-3 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={skipTargetLanguage}
+              onChange={(e) => setSkipTargetLanguage(e.target.checked)}
+              className="mt-0.5 mr-2"
+            />
+            <span>
+              Skip text already in the target language
+              <span className="block text-xs text-gray-500">Cells detected as written in it are kept as they are instead of being sent</span>
+            </span>
+          </label>
+
+          {onReviewCells && (
+            <button
+              onClick={onReviewCells}
+              className="mt-4 text-sm text-blue-600 hover:text-blue-800 hover:underline"
+            >
+              Review which cells will be sent
+            </button>
+          )}
+
           <div className="flex justify-end space-x-3 mt-6 pt-4 border-t border-gray-200">
             <button
               onClick={handleCancel}
@@ -0,0 +1,180 @@
+import React, { useState, useMemo } from 'react';
+import { X, CopyPlus } from 'lucide-react';
+import { LANGUAGES } from '../utils/languages';
+import { getSheetSchema } from '../utils/columnSchema';
+import { DEFAULT_ID_PATTERN, VARIANT_PLACEMENT, getIdColumn, detectIdLanguage, rewriteId } from '../utils/languageVariants';
+
+// Languages whose code fits the two or three letter language segment of an ID
+const ID_LANGUAGES = LANGUAGES.filter(language => /^[a-z]{2,3}$/.test(language.code));
+
+// Options for a language variant of the active sheet's rows; onConfirm({ targetLanguage,
+// sourceLanguage, idPattern, placement, rowIndices }). The source language is read from the IDs when it can be.
+const LanguageVariantDialog = ({ isVisible, sheet, onClose, onConfirm }) => {
+  const [targetLanguage, setTargetLanguage] = useState('az');
+  const [idPattern, setIdPattern] = useState(DEFAULT_ID_PATTERN);
+  const [placement, setPlacement] = useState(VARIANT_PLACEMENT.NEW_SHEET);
+  const [rowScope, setRowScope] = useState('all');
+  const [rowFrom, setRowFrom] = useState(1);
+  const [rowTo, setRowTo] = useState(1);
+
+  const idColumn = useMemo(() => (sheet ? getIdColumn(getSheetSchema(sheet)) : -1), [sheet]);
+  const firstId = idColumn === -1 ? '' : (sheet?.data.find(row => row[idColumn]?.cleaned?.trim())?.[idColumn].cleaned.trim() || '');
+
+  if (!isVisible || !sheet) return null;
+
+  const rowCount = sheet.data.length;
+  const sourceLanguage = detectIdLanguage(firstId, idPattern);
+  const previewId = firstId && rewriteId(firstId, idPattern, targetLanguage);
+  const from = Math.max(1, Math.min(Number(rowFrom) || 1, rowCount));
+  const to = Math.max(from, Math.min(Number(rowTo) || rowCount, rowCount));
+  const canCreate = idColumn !== -1 && idPattern.includes('{lang}') && sourceLanguage !== targetLanguage;
+
+  const handleConfirm = () => {
+    const [start, end] = rowScope === 'all' ? [1, rowCount] : [from, to];
+    onConfirm({
+      targetLanguage,
+      sourceLanguage: sourceLanguage || 'und',
+      idPattern,
+      placement,
+      rowIndices: Array.from({ length: end - start + 1 }, (_, index) => start - 1 + index)
+    });
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-bold text-gray-900 flex items-center">
+              <CopyPlus className="h-5 w-5 mr-2 text-blue-600" />
+              Create Language Variant
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors p-1"
+            >
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <p className="text-sm text-gray-600 mb-6">
+            Rows of <span className="font-medium">{sheet.name}</span> are copied, their text translated and their IDs
+            rewritten. Answer codes are copied unchanged.
+          </p>
+
+          <div className="space-y-5">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Target language</label>
+              <select
+                value={targetLanguage}
+                onChange={(e) => setTargetLanguage(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm"
+              >
+                {ID_LANGUAGES.map(language => (
+                  <option key={language.code} value={language.code}>{language.name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Language segment of the ID</label>
+              <input
+                type="text"
+                value={idPattern}
+                onChange={(e) => setIdPattern(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                <code>{'{lang}'}</code> marks the language code, e.g. <code>-{'{lang}'}-</code> for inf-ru-00001
+              </p>
+              {idColumn === -1 ? (
+                <p className="mt-2 text-xs text-red-600">This sheet has no ID column. Map one under Columns first.</p>
+              ) : previewId ? (
+                <p className="mt-2 text-xs text-gray-700 font-mono">{firstId} → {previewId}</p>
+              ) : (
+                <p className="mt-2 text-xs text-amber-700">The first ID, {firstId || '(empty)'}, has no language segment matching this pattern.</p>
+              )}
+              {sourceLanguage === targetLanguage && (
+                <p className="mt-2 text-xs text-amber-700">The rows are already in this language.</p>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Rows</label>
+              <div className="space-y-2 text-sm text-gray-700">
+                <label className="flex items-center">
+                  <input type="radio" checked={rowScope === 'all'} onChange={() => setRowScope('all')} className="mr-2" />
+                  All {rowCount} rows
+                </label>
+                <label className="flex items-center">
+                  <input type="radio" checked={rowScope === 'range'} onChange={() => setRowScope('range')} className="mr-2" />
+                  Rows
+                  <input
+                    type="number"
+                    min={1}
+                    max={rowCount}
+                    value={rowFrom}
+                    onChange={(e) => { setRowScope('range'); setRowFrom(e.target.value); }}
+                    className="w-20 mx-2 px-2 py-1 border border-gray-300 rounded text-sm"
+                  />
+                  to
+                  <input
+                    type="number"
+                    min={1}
+                    max={rowCount}
+                    value={rowTo}
+                    onChange={(e) => { setRowScope('range'); setRowTo(e.target.value); }}
+                    className="w-20 mx-2 px-2 py-1 border border-gray-300 rounded text-sm"
+                  />
+                </label>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Add the variant rows</label>
+              <div className="space-y-2 text-sm text-gray-700">
+                <label className="flex items-center">
+                  <input
+                    type="radio"
+                    checked={placement === VARIANT_PLACEMENT.NEW_SHEET}
+                    onChange={() => setPlacement(VARIANT_PLACEMENT.NEW_SHEET)}
+                    className="mr-2"
+                  />
+                  As a new sheet, {sheet.name} [{targetLanguage}]
+                </label>
+                <label className="flex items-center">
+                  <input
+                    type="radio"
+                    checked={placement === VARIANT_PLACEMENT.APPEND}
+                    onChange={() => setPlacement(VARIANT_PLACEMENT.APPEND)}
+                    className="mr-2"
+                  />
+                  After the rows of {sheet.name}
+                </label>
+              </div>
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3 mt-6 pt-4 border-t border-gray-200">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleConfirm}
+              disabled={!canCreate}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors font-medium"
+            >
+              Create variant
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LanguageVariantDialog;
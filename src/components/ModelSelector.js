@@ -1,30 +1,40 @@
 import React, { useState, useEffect } from 'react';
-import { getAvailableModels, getCurrentModels, setModel } from '../utils/optimizedAiService';
-import { Settings, Check, Zap, DollarSign, Clock, Brain, Cpu, Target } from 'lucide-react';
+import { getAvailableModels, getCurrentModels, getProviders, setModel, getTranslationConcurrency, setTranslationConcurrency } from '../utils/optimizedAiService';
+import { Settings, Check, Zap, DollarSign, Clock, Brain, Cpu, Target, AlertTriangle } from 'lucide-react';
 
 const ModelSelector = ({ isOpen, onClose }) => {
   const [models, setModels] = useState({});
+  const [providers, setProviders] = useState([]);
   const [currentModels, setCurrentModels] = useState({});
-  const [selectedTranslation, setSelectedTranslation] = useState('');
-  const [selectedAnalysis, setSelectedAnalysis] = useState('');
+  // Selections are { provider, model }
+  const [selectedTranslation, setSelectedTranslation] = useState({ provider: '', model: '' });
+  const [selectedAnalysis, setSelectedAnalysis] = useState({ provider: '', model: '' });
+  const [concurrency, setConcurrency] = useState(1);
 
   useEffect(() => {
     if (isOpen) {
       const availableModels = getAvailableModels();
       const current = getCurrentModels();
       setModels(availableModels);
+      getProviders(true).then(setProviders);
       setCurrentModels(current);
       setSelectedTranslation(current.translation);
       setSelectedAnalysis(current.analysis);
+      setConcurrency(getTranslationConcurrency());
     }
   }, [isOpen]);
 
+  const isSameSelection = (a, b) => a.provider === b?.provider && a.model === b?.model;
+
   const handleSave = () => {
-    if (selectedTranslation !== currentModels.translation) {
-      setModel('translation', selectedTranslation);
+    if (!isSameSelection(selectedTranslation, currentModels.translation)) {
+      setModel('translation', selectedTranslation.provider, selectedTranslation.model);
+    }
+    if (!isSameSelection(selectedAnalysis, currentModels.analysis)) {
+      setModel('analysis', selectedAnalysis.provider, selectedAnalysis.model);
     }
-    if (selectedAnalysis !== currentModels.analysis) {
-      setModel('analysis', selectedAnalysis);
+    if (concurrency !== getTranslationConcurrency()) {
+      setTranslationConcurrency(concurrency);
     }
     onClose();
   };
@@ -56,8 +66,45 @@ const ModelSelector = ({ isOpen, onClose }) => {
     }
   };
 
+  // Switching provider selects its first model for the task
+  const selectProvider = (task, providerId) => {
+    const firstModel = Object.keys(models[providerId]?.[task] || {})[0] || '';
+    const selection = { provider: providerId, model: firstModel };
+    if (task === 'TRANSLATION') setSelectedTranslation(selection);
+    else setSelectedAnalysis(selection);
+  };
+
+  const renderProviderPicker = (task, selection) => {
+    const provider = providers.find(item => item.id === selection.provider);
+    return (
+      <div className="mb-4">
+        <select
+          value={selection.provider}
+          onChange={(e) => selectProvider(task, e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm"
+        >
+          {providers.map(item => (
+            <option key={item.id} value={item.id}>
+              {item.name}{item.configured ? '' : ' (not configured)'}
+            </option>
+          ))}
+        </select>
+        {provider && !provider.configured && (
+          <p className="flex items-start mt-2 text-xs text-amber-700">
+            <AlertTriangle className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0" />
+            {provider.setup}
+          </p>
+        )}
+      </div>
+    );
+  };
+
   const getModelIcon = (modelKey) => {
-    if (modelKey.includes('gpt-5')) {
+    if (modelKey.includes('claude')) {
+      return <Brain className="w-4 h-4 text-orange-500" />;
+    } else if (modelKey.includes('gemini')) {
+      return <Cpu className="w-4 h-4 text-teal-500" />;
+    } else if (modelKey.includes('gpt-5')) {
       return <Brain className="w-4 h-4 text-purple-500" />;
     } else if (modelKey.includes('gpt-4')) {
       return <Cpu className="w-4 h-4 text-blue-500" />;
@@ -92,12 +139,13 @@ const ModelSelector = ({ isOpen, onClose }) => {
                 <Zap className="w-5 h-5 mr-2 text-blue-600" />
                 Translation Models
               </h3>
+              {renderProviderPicker('TRANSLATION', selectedTranslation)}
               <div className="space-y-3">
-                {Object.entries(models.TRANSLATION || {}).map(([key, model]) => (
+                {Object.entries(models[selectedTranslation.provider]?.TRANSLATION || {}).map(([key, model]) => (
                   <label
                     key={key}
                     className={`flex items-start space-x-3 p-4 rounded-lg border-2 cursor-pointer transition-all ${
-                      selectedTranslation === key
+                      selectedTranslation.model === key
                         ? 'border-blue-500 bg-blue-50'
                         : 'border-gray-200 hover:border-gray-300'
                     }`}
@@ -106,8 +154,8 @@ const ModelSelector = ({ isOpen, onClose }) => {
                       type="radio"
                       name="translation"
                       value={key}
-                      checked={selectedTranslation === key}
-                      onChange={(e) => setSelectedTranslation(e.target.value)}
+                      checked={selectedTranslation.model === key}
+                      onChange={(e) => setSelectedTranslation({ provider: selectedTranslation.provider, model: e.target.value })}
                       className="mt-1"
                     />
                     <div className="flex-1">
@@ -136,6 +184,18 @@ const ModelSelector = ({ isOpen, onClose }) => {
                               <span className="ml-1 text-gray-600">{model.contextWindow.toLocaleString()}</span>
                             </div>
                           )}
+                          {model.requestsPerMinute && (
+                            <div className="bg-gray-50 rounded p-2">
+                              <span className="font-medium text-gray-700">Requests/min:</span>
+                              <span className="ml-1 text-gray-600">{model.requestsPerMinute.toLocaleString()}</span>
+                            </div>
+                          )}
+                          {model.tokensPerMinute && (
+                            <div className="bg-gray-50 rounded p-2">
+                              <span className="font-medium text-gray-700">Tokens/min:</span>
+                              <span className="ml-1 text-gray-600">{model.tokensPerMinute.toLocaleString()}</span>
+                            </div>
+                          )}
                         </div>
                         
                         {/* Pricing information */}
@@ -166,7 +226,7 @@ const ModelSelector = ({ isOpen, onClose }) => {
                               Structured Output
                             </span>
                           )}
-                          {selectedTranslation === key && (
+                          {selectedTranslation.model === key && (
                             <span className="flex items-center text-blue-600 font-medium">
                               <Check className="w-3 h-3 mr-1" />
                               Current
@@ -178,6 +238,22 @@ const ModelSelector = ({ isOpen, onClose }) => {
                   </label>
                 ))}
               </div>
+
+              {/* Parallel batches */}
+              <label className="flex items-center justify-between mt-4 p-4 rounded-lg border border-gray-200">
+                <div>
+                  <span className="font-medium text-gray-900">Parallel requests</span>
+                  <p className="text-sm text-gray-600">Batches translated at the same time, within the model's per-minute limits</p>
+                </div>
+                <input
+                  type="number"
+                  min="1"
+                  max="16"
+                  value={concurrency}
+                  onChange={(e) => setConcurrency(Math.min(16, Math.max(1, Number(e.target.value) || 1)))}
+                  className="w-20 px-2 py-1 border border-gray-300 rounded-lg text-right"
+                />
+              </label>
             </div>
 
             {/* Analysis Models */}
@@ -186,12 +262,13 @@ const ModelSelector = ({ isOpen, onClose }) => {
                 <Clock className="w-5 h-5 mr-2 text-green-600" />
                 Analysis Models
               </h3>
+              {renderProviderPicker('ANALYSIS', selectedAnalysis)}
               <div className="space-y-3">
-                {Object.entries(models.ANALYSIS || {}).map(([key, model]) => (
+                {Object.entries(models[selectedAnalysis.provider]?.ANALYSIS || {}).map(([key, model]) => (
                   <label
                     key={key}
                     className={`flex items-start space-x-3 p-4 rounded-lg border-2 cursor-pointer transition-all ${
-                      selectedAnalysis === key
+                      selectedAnalysis.model === key
                         ? 'border-green-500 bg-green-50'
                         : 'border-gray-200 hover:border-gray-300'
                     }`}
@@ -200,8 +277,8 @@ const ModelSelector = ({ isOpen, onClose }) => {
                       type="radio"
                       name="analysis"
                       value={key}
-                      checked={selectedAnalysis === key}
-                      onChange={(e) => setSelectedAnalysis(e.target.value)}
+                      checked={selectedAnalysis.model === key}
+                      onChange={(e) => setSelectedAnalysis({ provider: selectedAnalysis.provider, model: e.target.value })}
                       className="mt-1"
                     />
                     <div className="flex-1">
@@ -252,7 +329,7 @@ const ModelSelector = ({ isOpen, onClose }) => {
                               Structured Output
                             </span>
                           )}
-                          {selectedAnalysis === key && (
+                          {selectedAnalysis.model === key && (
                             <span className="flex items-center text-green-600 font-medium">
                               <Check className="w-3 h-3 mr-1" />
                               Current
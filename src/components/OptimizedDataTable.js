@@ -1,5 +1,30 @@
 import React, { useState, useMemo, useCallback, memo, useRef } from 'react';
-import { Edit3, Trash2, Check, X } from 'lucide-react';
+import { Edit3, Trash2, Check, X, Type, Languages, Globe, BarChart3 } from 'lucide-react';
+import { COLUMN_TYPES } from '../utils/constants';
+import { getColumnLabel, getColumnRole, isTextRole } from '../utils/columnSchema';
+import { SOURCE_LAYER, getLayerCell, hasLayer } from '../utils/languageLayers';
+import { getLanguageName } from '../utils/languages';
+import { isInLanguage, getCellDirection, CONFIDENT_DETECTION } from '../utils/languageDetection';
+import { sanitizeRichText } from '../utils/richText';
+import {
+  createSelection,
+  cellId,
+  isSelectionEmpty,
+  isCellSelected,
+  setRange,
+  getSelectedCellIds,
+  getSelectedRowIndices,
+  findIssueRows,
+  findChangedRows
+} from '../utils/selection';
+
+// Minimum column width by role
+const getColumnWidth = (role) => {
+  if (role === COLUMN_TYPES.QUESTION) return 'min-w-[300px]'; // Question column - much wider for long text
+  if (role === COLUMN_TYPES.VARIANT) return 'min-w-[150px]';
+  if (role === COLUMN_TYPES.CODE) return 'min-w-[100px]';
+  return 'min-w-[120px]'; // Default width
+};
 
 // Virtual scrolling hook
 const useVirtualScrolling = (items, itemHeight = 60, containerHeight = 600) => {
@@ -32,7 +57,11 @@ const OptimizedTableCell = memo(({
   cell, 
   colIndex, 
   rowIndex, 
-  isAnswerColumn, 
+  columnRole, 
+  showRichText, 
+  untranslated, 
+  otherLanguage, 
+  direction, 
   editingCell, 
   editValue, 
   setEditValue, 
@@ -52,14 +81,18 @@ const OptimizedTableCell = memo(({
     const isEmpty = !cell.cleaned || cell.cleaned.trim() === '';
     
     // Check if this is a correct answer (Code columns with value = 1)
-    // Code columns are: 4, 6, 8, 10 (Code 1, Code 2, Code 3, Code 4)
-    const isCodeColumn = colIndex === 4 || colIndex === 6 || colIndex === 8 || colIndex === 10;
-    const isCorrectAnswer = isCodeColumn && cell?.cleaned === '1';
+    const isCorrectAnswer = columnRole === COLUMN_TYPES.CODE && cell?.cleaned === '1';
     
     if (isEmpty) return `${baseClasses} bg-slate-50 text-slate-400 italic`;
     if (isCorrectAnswer) return `${baseClasses} bg-gradient-to-r from-green-50 to-emerald-50 text-green-900 hover:bg-gradient-to-r hover:from-green-100 hover:to-emerald-100 border-l-4 border-l-green-400`;
     return `${baseClasses} bg-white text-slate-900 hover:bg-slate-50/50`;
-  }, [cell, colIndex]);
+  }, [cell, columnRole]);
+
+  // Sanitized markup is rebuilt from the original so edits and translations never show stale HTML
+  const richHtml = useMemo(
+    () => (showRichText && cell?.hasHtml ? sanitizeRichText(cell.original) : null),
+    [showRichText, cell]
+  );
 
   if (isEditing) {
     return (
@@ -68,6 +101,7 @@ const OptimizedTableCell = memo(({
           value={editValue}
           onChange={(e) => setEditValue(e.target.value)}
           onKeyPress={handleKeyPress}
+          dir="auto"
           className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none"
           rows={2}
           autoFocus
@@ -104,10 +138,17 @@ const OptimizedTableCell = memo(({
     if (hasEntities) badges.push({ text: 'Entities', color: 'bg-gradient-to-r from-orange-100 to-red-100 text-orange-800 border border-orange-200 shadow-sm' });
     
     // Check if this is a correct answer (Code columns with value = 1)
-    // Code columns are: 4, 6, 8, 10 (Code 1, Code 2, Code 3, Code 4)
-    const isCodeColumn = colIndex === 4 || colIndex === 6 || colIndex === 8 || colIndex === 10;
-    const isCorrectAnswer = isCodeColumn && cell?.cleaned === '1';
+    const isCorrectAnswer = columnRole === COLUMN_TYPES.CODE && cell?.cleaned === '1';
     if (isCorrectAnswer) badges.push({ text: 'Correct', color: 'bg-gradient-to-r from-green-100 to-emerald-100 text-green-800 border border-green-200 shadow-sm' });
+
+    // Translation kept the source text because the markup could not be rebuilt
+    if (cell.translationIssue) badges.push({ text: 'Check translation', title: cell.translationIssue, color: 'bg-gradient-to-r from-red-100 to-rose-100 text-red-800 border border-red-200 shadow-sm' });
+    // Text the shown language layer has no translation for
+    if (untranslated) badges.push({ text: 'Source text', title: 'Not translated into this language yet', color: 'bg-gradient-to-r from-slate-100 to-gray-100 text-slate-600 border border-slate-200 shadow-sm' });
+    // Text detected in another language than most of the sheet, e.g. a row already translated
+    if (otherLanguage) badges.push({ text: otherLanguage.code.toUpperCase(), title: `Detected language: ${getLanguageName(otherLanguage.code)} (${Math.round(otherLanguage.confidence * 100)}%)`, color: 'bg-gradient-to-r from-sky-100 to-cyan-100 text-sky-800 border border-sky-200 shadow-sm' });
+    // A glossary term in the source is missing its approved translation
+    if (cell.glossaryIssue) badges.push({ text: 'Terminology', title: `Approved terms missing: ${cell.glossaryIssue}`, color: 'bg-gradient-to-r from-amber-100 to-yellow-100 text-amber-800 border border-amber-200 shadow-sm' });
     
     return badges;
   };
@@ -118,18 +159,29 @@ const OptimizedTableCell = memo(({
     <div className={`${cellStyling} group relative min-h-[90px] flex items-start p-4`}>
       <div className="flex-1 flex flex-col">
         {/* Cell content */}
-        <div 
-          className="break-words overflow-wrap-anywhere whitespace-pre-wrap max-w-full text-sm leading-relaxed flex-1 font-mono" 
-          title={cell?.cleaned || ''}
-          style={{ 
-            wordBreak: 'break-word', 
-            overflowWrap: 'anywhere',
-            lineHeight: '1.6',
-            fontSize: '13px'
-          }}
-        >
-          {cell?.cleaned || <span className="text-gray-400 italic">Empty</span>}
-        </div>
+        {richHtml ? (
+          <div
+            className="rich-text break-words max-w-full text-sm leading-relaxed flex-1"
+            dir={direction}
+            title={cell?.cleaned || ''}
+            style={{ overflowWrap: 'anywhere', lineHeight: '1.6', fontSize: '13px' }}
+            dangerouslySetInnerHTML={{ __html: richHtml }}
+          />
+        ) : (
+          <div 
+            className="break-words overflow-wrap-anywhere whitespace-pre-wrap max-w-full text-sm leading-relaxed flex-1 font-mono" 
+            dir={direction}
+            title={cell?.cleaned || ''}
+            style={{ 
+              wordBreak: 'break-word', 
+              overflowWrap: 'anywhere',
+              lineHeight: '1.6',
+              fontSize: '13px'
+            }}
+          >
+            {cell?.cleaned || <span className="text-gray-400 italic">Empty</span>}
+          </div>
+        )}
         
         {/* Content badges at bottom */}
         {contentBadges.length > 0 && (
@@ -138,7 +190,7 @@ const OptimizedTableCell = memo(({
               <span
                 key={index}
                 className={`px-2 py-1 text-xs font-medium rounded-full border ${badge.color}`}
-                title={`Content type: ${badge.text}`}
+                title={badge.title || `Content type: ${badge.text}`}
               >
                 {badge.text}
               </span>
@@ -169,14 +221,30 @@ const OptimizedTableCell = memo(({
 
 OptimizedTableCell.displayName = 'OptimizedTableCell';
 
+// language is the layer shown: 'source' or a target language code from languages.
+// rowFlags maps row indexes to { text, title } flags shown by the row number; clicking one calls onRowFlagClick(flag)
+// Rows, columns and cells can be selected (see selection.js) when onTranslateSelection and
+// onAnalyzeSelection are given; both are called with the selection
 const OptimizedDataTable = memo(({ 
   data, 
+  schema, 
+  language = SOURCE_LAYER,
+  languages = [],
+  onLanguageChange,
+  rowFlags,
+  onRowFlagClick,
+  onTranslateSelection,
+  onAnalyzeSelection,
   onCellEdit, 
   onCellDelete, 
   isLoading = false 
 }) => {
   const [editingCell, setEditingCell] = useState(null);
   const [editValue, setEditValue] = useState('');
+  const [showRichText, setShowRichText] = useState(false);
+  const [selection, setSelection] = useState(createSelection);
+  const lastToggledRow = useRef(null);
+  const selectable = Boolean(onTranslateSelection && onAnalyzeSelection);
 
   // Virtual scrolling setup
   const {
@@ -213,24 +281,13 @@ const OptimizedDataTable = memo(({
       if (hasData) {
         visibleCols.push(i);
         
-        // Add appropriate header name
-        if (i === 0) headers.push('ID');
-        else if (i === 1) headers.push('ID 2');
-        else if (i === 2) headers.push('Question');
-        else if (i === 3) headers.push('Variant 1');
-        else if (i === 4) headers.push('Code 1');
-        else if (i === 5) headers.push('Variant 2');
-        else if (i === 6) headers.push('Code 2');
-        else if (i === 7) headers.push('Variant 3');
-        else if (i === 8) headers.push('Code 3');
-        else if (i === 9) headers.push('Variant 4');
-        else if (i === 10) headers.push('Code 4');
-        else headers.push(`Column ${i + 1}`);
+        // Header name from the column schema, tagged with the language shown
+        headers.push(language === SOURCE_LAYER ? getColumnLabel(schema, i) : `${getColumnLabel(schema, i)} [${language}]`);
       }
     }
     
     return { columnHeaders: headers, visibleColumns: visibleCols };
-  }, [data]);
+  }, [data, schema, language]);
 
   // Memoize visible data with row indices
   const visibleDataWithIndices = useMemo(() => {
@@ -240,6 +297,61 @@ const OptimizedDataTable = memo(({
     }));
   }, [visibleItems, visibleStart]);
 
+  // Most common detected language of the text columns; text confidently in another one is marked
+  const mainLanguage = useMemo(() => {
+    const counts = new Map();
+    (data || []).forEach(row => row.forEach((cell, colIndex) => {
+      const code = cell?.language?.code;
+      if (code && isTextRole(getColumnRole(schema, colIndex))) counts.set(code, (counts.get(code) || 0) + 1);
+    }));
+    let main = null;
+    counts.forEach((count, code) => {
+      if (!main || count > counts.get(main)) main = code;
+    });
+    return main;
+  }, [data, schema]);
+
+  // Quick selections and what the current selection covers
+  const issueRows = useMemo(() => (selectable && data ? findIssueRows(data, schema, language) : []), [selectable, data, schema, language]);
+  const changedRows = useMemo(() => (selectable && data ? findChangedRows(data, language) : []), [selectable, data, language]);
+  const selectedCellCount = useMemo(() => (data ? getSelectedCellIds(selection, data).size : 0), [selection, data]);
+  const selectedRowCount = useMemo(() => (data ? getSelectedRowIndices(selection, data).length : 0), [selection, data]);
+
+  // Shift-click selects or clears every row from the one toggled before
+  const handleRowToggle = useCallback((rowIndex, extendRange) => {
+    const from = extendRange && lastToggledRow.current !== null ? lastToggledRow.current : rowIndex;
+    lastToggledRow.current = rowIndex;
+    setSelection(prev => ({ ...prev, rows: setRange(prev.rows, from, rowIndex, !prev.rows.has(rowIndex)) }));
+  }, []);
+
+  const handleAllRowsToggle = useCallback(() => {
+    setSelection(prev => ({
+      ...prev,
+      rows: prev.rows.size === data.length ? new Set() : setRange(prev.rows, 0, data.length - 1, true)
+    }));
+  }, [data]);
+
+  const handleColumnToggle = useCallback((colIndex) => {
+    setSelection(prev => ({ ...prev, columns: setRange(prev.columns, colIndex, colIndex, !prev.columns.has(colIndex)) }));
+  }, []);
+
+  // Ctrl/Cmd-click picks single cells
+  const handleCellClick = useCallback((e, rowIndex, colIndex) => {
+    if (!selectable || !(e.ctrlKey || e.metaKey)) return;
+    const id = cellId(rowIndex, colIndex);
+    setSelection(prev => {
+      const cells = new Set(prev.cells);
+      if (cells.has(id)) cells.delete(id);
+      else cells.add(id);
+      return { ...prev, cells };
+    });
+  }, [selectable]);
+
+  const selectRows = useCallback((rowIndices) => {
+    setSelection({ ...createSelection(), rows: new Set(rowIndices) });
+    lastToggledRow.current = null;
+  }, []);
+
   // Optimized event handlers
   const handleEdit = useCallback((rowIndex, colIndex, currentValue) => {
     setEditingCell({ row: rowIndex, col: colIndex });
@@ -267,13 +379,6 @@ const OptimizedDataTable = memo(({
     }
   }, [handleSave, handleCancel]);
 
-  // Memoize cell styling function
-  const getCellStyling = useCallback((cell, colIndex) => {
-  // Determine if this is an answer column (Variant/Code columns)
-  const isAnswerColumn = colIndex >= 3 && colIndex <= 10; // Variant and Code columns (3-11)
-  return { isAnswerColumn };
-  }, []);
-
   if (!data || data.length === 0) {
     return (
       <div className="text-center py-8 text-gray-500">
@@ -284,6 +389,91 @@ const OptimizedDataTable = memo(({
 
   return (
     <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
+      {/* Selection actions, language layer picker and display toggle: plain cleaned text or the sanitized rich version */}
+      <div className="flex flex-wrap justify-end items-center gap-3 px-3 py-2 border-b border-slate-200 bg-white">
+        {selectable && (
+          <div className="flex flex-wrap items-center gap-2 mr-auto text-xs">
+            <span className="text-slate-500" title="Tick rows (shift-click for a range), tick column headers or Ctrl/Cmd-click cells">Select:</span>
+            <button
+              onClick={() => selectRows(issueRows)}
+              disabled={issueRows.length === 0}
+              className="px-2 py-1 font-medium rounded-lg border bg-white text-slate-600 border-slate-200 hover:bg-slate-50 disabled:opacity-50"
+              title="Rows with dataset issues or cells marked Check translation or Terminology"
+            >
+              Rows with issues ({issueRows.length})
+            </button>
+            <button
+              onClick={() => selectRows(changedRows)}
+              disabled={changedRows.length === 0}
+              className="px-2 py-1 font-medium rounded-lg border bg-white text-slate-600 border-slate-200 hover:bg-slate-50 disabled:opacity-50"
+              title="Rows whose source text was edited after it was translated"
+            >
+              Changed since translation ({changedRows.length})
+            </button>
+            {!isSelectionEmpty(selection) && (
+              <>
+                <span className="ml-2 text-slate-700 font-medium">
+                  {selectedCellCount} cell{selectedCellCount === 1 ? '' : 's'} in {selectedRowCount} row{selectedRowCount === 1 ? '' : 's'}
+                </span>
+                <button
+                  onClick={() => onTranslateSelection(selection)}
+                  disabled={isLoading || selectedCellCount === 0}
+                  className="flex items-center px-2 py-1 font-medium rounded-lg border bg-blue-50 text-blue-700 border-blue-200 hover:bg-blue-100 disabled:opacity-50"
+                >
+                  <Globe className="h-3 w-3 mr-1" />
+                  Translate selection
+                </button>
+                <button
+                  onClick={() => onAnalyzeSelection(selection)}
+                  disabled={isLoading || selectedCellCount === 0}
+                  className="flex items-center px-2 py-1 font-medium rounded-lg border bg-amber-50 text-amber-700 border-amber-200 hover:bg-amber-100 disabled:opacity-50"
+                >
+                  <BarChart3 className="h-3 w-3 mr-1" />
+                  Analyze selection
+                </button>
+                <button
+                  onClick={() => selectRows([])}
+                  className="px-2 py-1 font-medium rounded-lg text-slate-500 hover:text-slate-700"
+                >
+                  Clear
+                </button>
+              </>
+            )}
+          </div>
+        )}
+        {languages.length > 0 && (
+          <div className="flex items-center gap-1" title="Language shown in the table">
+            <Languages className="h-3 w-3 text-slate-500 mr-1" />
+            {[SOURCE_LAYER, ...languages].map(code => (
+              <button
+                key={code}
+                onClick={() => onLanguageChange(code)}
+                className={`px-2 py-1 text-xs font-medium rounded-lg border transition-colors ${
+                  language === code
+                    ? 'bg-blue-50 text-blue-700 border-blue-200'
+                    : 'bg-white text-slate-600 border-slate-200 hover:bg-slate-50'
+                }`}
+                title={code === SOURCE_LAYER ? 'Source text' : getLanguageName(code)}
+              >
+                {code === SOURCE_LAYER ? 'Source' : code.toUpperCase()}
+              </button>
+            ))}
+          </div>
+        )}
+        <button
+          onClick={() => setShowRichText(prev => !prev)}
+          className={`flex items-center px-3 py-1 text-xs font-medium rounded-lg border transition-colors ${
+            showRichText
+              ? 'bg-blue-50 text-blue-700 border-blue-200'
+              : 'bg-white text-slate-600 border-slate-200 hover:bg-slate-50'
+          }`}
+          title="Render bold, super/subscript, lists and tables from the original markup"
+        >
+          <Type className="h-3 w-3 mr-1" />
+          {showRichText ? 'Rich text' : 'Plain text'}
+        </button>
+      </div>
+
       {/* Virtual scrolling container */}
       <div 
         ref={containerRef}
@@ -294,23 +484,30 @@ const OptimizedDataTable = memo(({
         {/* Header - positioned inside scroll container */}
         <div className="bg-gradient-to-r from-slate-50 to-blue-50 border-b border-slate-200 sticky top-0 z-10 shadow-sm">
           <div className="flex">
-            <div className="w-20 px-4 py-4 text-xs font-semibold text-slate-600 uppercase tracking-wider flex-shrink-0 bg-slate-100/50">
+            <div className="w-24 px-4 py-4 text-xs font-semibold text-slate-600 uppercase tracking-wider flex-shrink-0 bg-slate-100/50 flex items-center gap-2">
+              {selectable && (
+                <input
+                  type="checkbox"
+                  checked={data.length > 0 && selection.rows.size === data.length}
+                  onChange={handleAllRowsToggle}
+                  title="Select all rows"
+                />
+              )}
               Row
             </div>
             {columnHeaders.map((header, index) => {
               const originalColIndex = visibleColumns[index];
               
-              // Match the same width logic as data rows
-              const getColumnWidth = (colIndex) => {
-                if (colIndex === 0) return 'min-w-[120px]'; // ID column
-                if (colIndex === 1) return 'min-w-[100px]'; // ID 2 column
-                if (colIndex === 2) return 'min-w-[300px]'; // Question column
-                if (colIndex >= 3 && colIndex <= 10) return 'min-w-[150px]'; // Variant/Code columns
-                return 'min-w-[120px]'; // Default width
-              };
-              
               return (
-                <div key={index} className={`flex-1 ${getColumnWidth(originalColIndex)} px-3 py-4 text-xs font-semibold text-slate-600 uppercase tracking-wider bg-gradient-to-r from-slate-50 to-blue-50`}>
+                <div key={index} className={`flex-1 ${getColumnWidth(getColumnRole(schema, originalColIndex))} px-3 py-4 text-xs font-semibold text-slate-600 uppercase tracking-wider bg-gradient-to-r from-slate-50 to-blue-50 flex items-center gap-2`}>
+                  {selectable && (
+                    <input
+                      type="checkbox"
+                      checked={selection.columns.has(originalColIndex)}
+                      onChange={() => handleColumnToggle(originalColIndex)}
+                      title="Select this column"
+                    />
+                  )}
                   {header}
                 </div>
               );
@@ -322,29 +519,57 @@ const OptimizedDataTable = memo(({
         <div style={{ height: totalHeight, position: 'relative' }}>
           <div style={{ transform: `translateY(${offsetY}px)` }}>
             {visibleDataWithIndices.map(({ rowData, actualIndex }) => (
-              <div key={actualIndex} className="flex hover:bg-slate-50/50 transition-colors duration-150 border-b border-slate-100">
-                <div className="w-20 px-4 py-4 text-sm text-slate-500 bg-slate-50/30 flex-shrink-0 font-semibold border-r border-slate-200">
-                  {actualIndex + 1}
+              <div key={actualIndex} className={`flex transition-colors duration-150 border-b border-slate-100 ${selection.rows.has(actualIndex) ? 'bg-blue-50' : 'hover:bg-slate-50/50'}`}>
+                <div className="w-24 px-4 py-4 text-sm text-slate-500 bg-slate-50/30 flex-shrink-0 font-semibold border-r border-slate-200">
+                  {selectable ? (
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={selection.rows.has(actualIndex)}
+                        readOnly
+                        onClick={(e) => handleRowToggle(actualIndex, e.shiftKey)}
+                      />
+                      {actualIndex + 1}
+                    </div>
+                  ) : actualIndex + 1}
+                  {rowFlags?.get(actualIndex)?.map(flag => (
+                    <button
+                      key={`${flag.sheetIndex}-${flag.variantId}-${flag.text}`}
+                      onClick={() => onRowFlagClick(flag)}
+                      className="mt-2 block w-full px-1 py-0.5 text-[10px] leading-tight font-medium rounded border bg-amber-50 text-amber-800 border-amber-200 hover:bg-amber-100"
+                      title={flag.title}
+                    >
+                      {flag.text}
+                    </button>
+                  ))}
                 </div>
                 {visibleColumns.map((originalColIndex, displayIndex) => {
-                  const cell = rowData[originalColIndex];
-                  
-                  // Set different minimum widths based on column content
-                  const getColumnWidth = (colIndex) => {
-                    if (colIndex === 0) return 'min-w-[120px]'; // ID column - wider for long numbers
-                    if (colIndex === 1) return 'min-w-[100px]'; // ID 2 column
-                    if (colIndex === 2) return 'min-w-[300px]'; // Question column - much wider for long text
-                    if (colIndex >= 3 && colIndex <= 10) return 'min-w-[150px]'; // Variant/Code columns
-                    return 'min-w-[120px]'; // Default width
-                  };
+                  const sourceCell = rowData[originalColIndex];
+                  const cell = getLayerCell(sourceCell, language);
+                  const columnRole = getColumnRole(schema, originalColIndex);
+                  const untranslated = language !== SOURCE_LAYER && isTextRole(columnRole) &&
+                    Boolean(sourceCell?.cleaned?.trim()) && !hasLayer(sourceCell, language) && !isInLanguage(sourceCell, language);
+                  const detected = sourceCell?.language;
+                  const otherLanguage = language === SOURCE_LAYER && isTextRole(columnRole) && mainLanguage && detected &&
+                    detected.code !== mainLanguage && detected.confidence >= CONFIDENT_DETECTION ? detected : null;
+                  // Arabic and other right-to-left text reads and aligns from the right
+                  const direction = getCellDirection(cell, hasLayer(sourceCell, language) ? language : null);
                   
                   return (
-                    <div key={`${actualIndex}-${originalColIndex}`} className={`flex-1 ${getColumnWidth(originalColIndex)}`}>
+                    <div
+                      key={`${actualIndex}-${originalColIndex}`}
+                      className={`flex-1 ${getColumnWidth(columnRole)} ${selectable && isCellSelected(selection, actualIndex, originalColIndex) ? 'ring-2 ring-inset ring-blue-300' : ''}`}
+                      onClick={(e) => handleCellClick(e, actualIndex, originalColIndex)}
+                    >
                       <OptimizedTableCell
                         cell={cell}
                         colIndex={originalColIndex}
                         rowIndex={actualIndex}
-                        {...getCellStyling(cell, originalColIndex)}
+                        columnRole={columnRole}
+                        showRichText={showRichText}
+                        untranslated={untranslated}
+                        otherLanguage={otherLanguage}
+                        direction={direction}
                         editingCell={editingCell}
                         editValue={editValue}
                         setEditValue={setEditValue}
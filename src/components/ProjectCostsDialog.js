@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { X, Wallet } from 'lucide-react';
+import { formatCost, formatTokens, getBudgetLeft, getProjectSpend } from '../utils/costs';
+
+// The project's cost ledger: budget cap and the actual usage of every run, batch by batch.
+// onBudgetChange(budget) with budget in dollars, or null for no cap
+const ProjectCostsDialog = ({ isOpen, projectCosts, onBudgetChange, onClose }) => {
+  const [budgetText, setBudgetText] = useState('');
+  const [expandedRun, setExpandedRun] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setBudgetText(projectCosts.budget === null ? '' : String(projectCosts.budget));
+      setExpandedRun(null);
+    }
+  }, [isOpen, projectCosts.budget]);
+
+  if (!isOpen) return null;
+
+  const budgetValue = budgetText.trim() === '' ? null : Number(budgetText);
+  const budgetValid = budgetValue === null || (Number.isFinite(budgetValue) && budgetValue >= 0);
+  const runs = [...projectCosts.runs].reverse();
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-bold text-gray-900 flex items-center">
+              <Wallet className="h-5 w-5 mr-2 text-emerald-600" />
+              Project Costs
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors p-1"
+            >
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <div className="flex flex-wrap items-end gap-4 mb-2">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Budget (USD)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={budgetText}
+                onChange={(e) => setBudgetText(e.target.value)}
+                placeholder="No cap"
+                className={`w-36 px-3 py-2 border rounded-lg text-sm ${budgetValid ? 'border-gray-300' : 'border-red-400'}`}
+              />
+            </div>
+            <button
+              onClick={() => onBudgetChange(budgetValue)}
+              disabled={!budgetValid || budgetValue === projectCosts.budget}
+              className="px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-sm font-medium"
+            >
+              Set Budget
+            </button>
+            <div className="text-sm text-gray-700">
+              Spent: <span className="font-semibold">{formatCost(getProjectSpend(projectCosts))}</span>
+              {projectCosts.budget !== null && <> · Left: <span className="font-semibold">{formatCost(getBudgetLeft(projectCosts))}</span></>}
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 mb-6">
+            A translation pauses the batches that would go over the budget; an analysis that would go over it uses the local checks.
+            The costs are kept with the project when the data is saved.
+          </p>
+
+          {runs.length === 0 ? (
+            <p className="text-center text-gray-500 py-6">No AI usage recorded for this project yet.</p>
+          ) : (
+            <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+              {runs.map(run => (
+                <div key={run.id}>
+                  <button
+                    onClick={() => setExpandedRun(expandedRun === run.id ? null : run.id)}
+                    className="w-full flex items-center gap-4 p-3 text-sm text-left hover:bg-gray-50"
+                  >
+                    <div className="flex-1 min-w-0">
+                      <div className="font-medium text-gray-900 truncate">{run.label}</div>
+                      <div className="text-xs text-gray-500">{new Date(run.at).toLocaleString()} · {run.provider}/{run.model}</div>
+                    </div>
+                    <div className="text-right text-gray-600">
+                      {formatTokens(run.inputTokens)} in / {formatTokens(run.outputTokens)} out
+                    </div>
+                    <div className="w-28 text-right">
+                      <div className="font-semibold text-gray-900">{formatCost(run.cost)}</div>
+                      {run.estimatedCost !== null && run.estimatedCost !== undefined && (
+                        <div className="text-xs text-gray-500">est. {formatCost(run.estimatedCost)}</div>
+                      )}
+                    </div>
+                  </button>
+                  {expandedRun === run.id && run.batches.length > 0 && (
+                    <table className="w-full text-xs bg-gray-50">
+                      <tbody className="divide-y divide-gray-100">
+                        {run.batches.map(batch => (
+                          <tr key={batch.batch} className="text-gray-600">
+                            <td className="px-6 py-1">Batch {batch.batch}</td>
+                            <td className="px-3 py-1 text-right">{formatTokens(batch.inputTokens)} in</td>
+                            <td className="px-3 py-1 text-right">{formatTokens(batch.outputTokens)} out</td>
+                            <td className="px-3 py-1 text-right font-medium">{formatCost(batch.cost)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="flex justify-end mt-6 pt-4 border-t border-gray-200">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors font-medium"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectCostsDialog;
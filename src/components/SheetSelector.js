@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import { X, Layers, Check } from 'lucide-react';
+
+const SheetSelector = ({ isVisible, sheets = [], fileName, onClose, onConfirm }) => {
+  const [selectedSheets, setSelectedSheets] = useState([]);
+
+  // Preselect every sheet that has rows whenever a new workbook is offered
+  useEffect(() => {
+    if (isVisible) {
+      setSelectedSheets(
+        sheets
+          .map((sheet, index) => (sheet.data.length > 0 ? index : null))
+          .filter(index => index !== null)
+      );
+    }
+  }, [isVisible, sheets]);
+
+  if (!isVisible) return null;
+
+  const toggleSheet = (index) => {
+    setSelectedSheets(prev =>
+      prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index].sort((a, b) => a - b)
+    );
+  };
+
+  const allSelected = selectedSheets.length === sheets.length;
+
+  const handleToggleAll = () => {
+    setSelectedSheets(allSelected ? [] : sheets.map((_, index) => index));
+  };
+
+  const handleConfirm = () => {
+    onConfirm(selectedSheets);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-bold text-gray-900 flex items-center">
+              <Layers className="h-5 w-5 mr-2 text-blue-600" />
+              Select Worksheets
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors p-1"
+            >
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <p className="text-gray-600 mb-4">
+            {fileName ? <span className="font-medium">{fileName}</span> : 'This workbook'} contains {sheets.length} worksheets. Choose which ones to import:
+          </p>
+
+          <button
+            onClick={handleToggleAll}
+            className="text-sm text-blue-600 hover:text-blue-800 mb-3"
+          >
+            {allSelected ? 'Deselect all' : 'Select all'}
+          </button>
+
+          <div className="grid grid-cols-1 gap-2 max-h-80 overflow-y-auto">
+            {sheets.map((sheet, index) => {
+              const isSelected = selectedSheets.includes(index);
+              return (
+                <button
+                  key={`${sheet.name}-${index}`}
+                  onClick={() => toggleSheet(index)}
+                  className={`w-full flex items-center justify-between p-3 rounded-lg border-2 transition-colors ${
+                    isSelected
+                      ? 'border-blue-500 bg-blue-50 text-blue-900'
+                      : 'border-gray-200 hover:border-gray-300 hover:bg-gray-50'
+                  }`}
+                >
+                  <div className="flex flex-col items-start">
+                    <span className="font-medium">{sheet.name}</span>
+                    <span className="text-xs text-gray-500">
+                      {sheet.metadata.totalRows} rows • {sheet.metadata.totalColumns} columns
+                    </span>
+                  </div>
+                  {isSelected && (
+                    <Check className="h-5 w-5 text-blue-600" />
+                  )}
+                </button>
+              );
+            })}
+          </div>
+
+          <div className="flex justify-end space-x-3 mt-6 pt-4 border-t border-gray-200">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleConfirm}
+              disabled={selectedSheets.length === 0}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-medium"
+            >
+              Import {selectedSheets.length} {selectedSheets.length === 1 ? 'sheet' : 'sheets'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SheetSelector;
@@ -0,0 +1,34 @@
+import React, { memo } from 'react';
+import { FileSpreadsheet } from 'lucide-react';
+
+const SheetTabs = memo(({ sheets, activeIndex, onSelect }) => {
+  if (!sheets || sheets.length <= 1) return null;
+
+  return (
+    <div className="flex items-end space-x-1 overflow-x-auto border-b border-slate-200 px-2 pt-2 bg-slate-50/80">
+      {sheets.map((sheet, index) => {
+        const isActive = index === activeIndex;
+        return (
+          <button
+            key={`${sheet.name}-${index}`}
+            onClick={() => onSelect(index)}
+            className={`flex items-center px-4 py-2 text-sm font-medium rounded-t-lg border border-b-0 whitespace-nowrap transition-colors ${
+              isActive
+                ? 'bg-white text-blue-700 border-slate-200 shadow-sm'
+                : 'bg-transparent text-slate-500 border-transparent hover:text-slate-700 hover:bg-white/60'
+            }`}
+            title={`${sheet.data.length} rows`}
+          >
+            <FileSpreadsheet className={`h-4 w-4 mr-2 ${isActive ? 'text-blue-600' : 'text-slate-400'}`} />
+            {sheet.name}
+            <span className="ml-2 text-xs text-slate-400">{sheet.data.length}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+});
+
+SheetTabs.displayName = 'SheetTabs';
+
+export default SheetTabs;
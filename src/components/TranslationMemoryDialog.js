@@ -0,0 +1,265 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { toast } from 'react-hot-toast';
+import { X, BookOpen, Search, Upload, Download, Trash2, ChevronLeft, ChevronRight } from 'lucide-react';
+import { listMemoryEntries, exportMemoryEntries, saveTranslations, deleteMemoryEntry, clearMemory } from '../utils/translationMemory';
+import { buildTmx, parseTmx } from '../utils/tmx';
+import { downloadFile } from '../utils/optimizedExcelParser';
+
+const PAGE_SIZE = 50;
+
+const pairLabel = (pair) => `${pair.sourceLanguage.toUpperCase()} → ${pair.targetLanguage.toUpperCase()}`;
+
+// Browse, search and prune the translation memory; TMX import and export share it between projects
+const TranslationMemoryDialog = ({ isOpen, onClose }) => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [languagePairs, setLanguagePairs] = useState([]);
+  const [pair, setPair] = useState('');
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [offset, setOffset] = useState(0);
+  const [isBusy, setIsBusy] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // Filters for the server from the selected pair and the submitted search
+  const getFilters = useCallback(() => {
+    const [sourceLanguage, targetLanguage] = pair ? pair.split('|') : [];
+    return { sourceLanguage, targetLanguage, search: query };
+  }, [pair, query]);
+
+  const loadEntries = useCallback(async () => {
+    setIsBusy(true);
+    try {
+      const result = await listMemoryEntries({ ...getFilters(), offset, limit: PAGE_SIZE });
+      setEntries(result.entries);
+      setTotal(result.total);
+      setLanguagePairs(result.languagePairs);
+    } catch (error) {
+      console.error('Translation memory load failed:', error);
+      toast.error('Could not load translation memory: ' + error.message);
+    } finally {
+      setIsBusy(false);
+    }
+  }, [getFilters, offset]);
+
+  useEffect(() => {
+    if (isOpen) loadEntries();
+  }, [isOpen, loadEntries]);
+
+  if (!isOpen) return null;
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setOffset(0);
+    setQuery(search.trim());
+  };
+
+  const handleDelete = async (key) => {
+    try {
+      await deleteMemoryEntry(key);
+      loadEntries();
+    } catch (error) {
+      toast.error('Failed to delete entry: ' + error.message);
+    }
+  };
+
+  const handleClear = async () => {
+    const filtered = Boolean(pair || query);
+    const scope = filtered ? 'the entries matching the current filter' : 'every entry';
+    if (!window.confirm(`Delete ${scope} from the translation memory? This cannot be undone.`)) return;
+    try {
+      const removed = await clearMemory({ ...getFilters(), all: !filtered });
+      toast.success(`${removed} ${removed === 1 ? 'entry' : 'entries'} deleted`, { duration: 2000 });
+      setOffset(0);
+      loadEntries();
+    } catch (error) {
+      toast.error('Failed to clear translation memory: ' + error.message);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const exported = await exportMemoryEntries(getFilters());
+      if (exported.length === 0) {
+        toast('Nothing to export', { duration: 2000 });
+        return;
+      }
+      const suffix = pair ? `_${pair.replace('|', '-')}` : '';
+      downloadFile(buildTmx(exported), `translation_memory${suffix}.tmx`, 'application/xml;charset=utf-8');
+      toast.success(`${exported.length} ${exported.length === 1 ? 'entry' : 'entries'} exported as TMX`, { duration: 2000 });
+    } catch (error) {
+      console.error('TMX export failed:', error);
+      toast.error('TMX export failed: ' + error.message);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsBusy(true);
+    try {
+      const { entries: imported, skipped } = parseTmx(await file.text());
+      if (imported.length === 0) throw new Error('No translation units found');
+      const { added, updated } = await saveTranslations(imported);
+      toast.success(`Imported ${file.name}: ${added} added, ${updated} updated${skipped ? `, ${skipped} skipped` : ''}`, { duration: 4000 });
+      setOffset(0);
+      loadEntries();
+    } catch (error) {
+      console.error('TMX import failed:', error);
+      toast.error('TMX import failed: ' + error.message);
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-5xl w-full max-h-[90vh] flex flex-col">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-bold text-gray-900 flex items-center">
+              <BookOpen className="h-5 w-5 mr-2 text-blue-600" />
+              Translation Memory
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors p-1"
+            >
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3">
+            <form onSubmit={handleSearch} className="flex flex-1 min-w-[16rem]">
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search source or translation"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-l-lg text-sm"
+              />
+              <button
+                type="submit"
+                className="px-3 py-2 bg-gray-100 border border-l-0 border-gray-300 rounded-r-lg hover:bg-gray-200 transition-colors"
+                title="Search"
+              >
+                <Search className="h-4 w-4 text-gray-600" />
+              </button>
+            </form>
+            <select
+              value={pair}
+              onChange={(e) => { setOffset(0); setPair(e.target.value); }}
+              className="px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm"
+            >
+              <option value="">All language pairs</option>
+              {languagePairs.map(item => (
+                <option key={`${item.sourceLanguage}|${item.targetLanguage}`} value={`${item.sourceLanguage}|${item.targetLanguage}`}>
+                  {pairLabel(item)} ({item.count})
+                </option>
+              ))}
+            </select>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".tmx,.xml"
+              onChange={handleImport}
+              className="hidden"
+            />
+            <button
+              onClick={() => fileInputRef.current.click()}
+              disabled={isBusy}
+              className="flex items-center px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50 transition-colors text-sm font-medium"
+            >
+              <Upload className="h-4 w-4 mr-2" />
+              Import TMX
+            </button>
+            <button
+              onClick={handleExport}
+              disabled={isBusy || total === 0}
+              className="flex items-center px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50 transition-colors text-sm font-medium"
+            >
+              <Download className="h-4 w-4 mr-2" />
+              Export TMX
+            </button>
+            <button
+              onClick={handleClear}
+              disabled={isBusy || total === 0}
+              className="flex items-center px-3 py-2 bg-red-50 text-red-700 rounded-lg hover:bg-red-100 disabled:opacity-50 transition-colors text-sm font-medium"
+            >
+              <Trash2 className="h-4 w-4 mr-2" />
+              Clear
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {entries.length === 0 ? (
+            <p className="p-6 text-center text-gray-500">
+              {isBusy ? 'Loading...' : 'No entries. Translations are added here as you translate, or import a TMX file.'}
+            </p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-left text-gray-600">
+                  <th className="px-4 py-2 font-medium">Source</th>
+                  <th className="px-4 py-2 font-medium">Translation</th>
+                  <th className="px-4 py-2 font-medium w-24">Languages</th>
+                  <th className="px-4 py-2 font-medium w-40">Model</th>
+                  <th className="px-4 py-2 w-10"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {entries.map(entry => (
+                  <tr key={entry.key} className="align-top">
+                    <td className="px-4 py-2 text-gray-900 break-words">{entry.source}</td>
+                    <td className="px-4 py-2 text-gray-900 break-words">{entry.target}</td>
+                    <td className="px-4 py-2 text-gray-500 whitespace-nowrap">{pairLabel(entry)}</td>
+                    <td className="px-4 py-2 text-gray-500 truncate" title={entry.model || entry.origin}>
+                      {entry.model || <span className="italic">{entry.origin}</span>}
+                    </td>
+                    <td className="px-4 py-2">
+                      <button
+                        onClick={() => handleDelete(entry.key)}
+                        className="text-gray-400 hover:text-red-600 transition-colors"
+                        title="Delete entry"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between p-4 border-t border-gray-200 text-sm text-gray-600">
+          <span>
+            {total === 0 ? 'No entries' : `${offset + 1}–${Math.min(offset + PAGE_SIZE, total)} of ${total}`}
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+              disabled={isBusy || offset === 0}
+              className="p-2 rounded-lg hover:bg-gray-100 disabled:opacity-40 transition-colors"
+              title="Previous page"
+            >
+              <ChevronLeft className="h-4 w-4" />
+            </button>
+            <button
+              onClick={() => setOffset(offset + PAGE_SIZE)}
+              disabled={isBusy || offset + PAGE_SIZE >= total}
+              className="p-2 rounded-lg hover:bg-gray-100 disabled:opacity-40 transition-colors"
+              title="Next page"
+            >
+              <ChevronRight className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TranslationMemoryDialog;
@@ -0,0 +1,78 @@
+import React from 'react';
+import { X, AlertTriangle, RotateCcw } from 'lucide-react';
+
+const STATUS_LABELS = {
+  failed: 'Failed',
+  paused: 'Paused'
+};
+
+// Batches that were still not translated after all retries, with a way to send them again
+const TranslationReportDialog = ({ report, onRetry, onClose }) => {
+  if (!report) return null;
+
+  const { languageName, translated, batches } = report;
+  const itemCount = batches.reduce((sum, batch) => sum + batch.keys.length, 0);
+  const paused = batches.some(batch => batch.status === 'paused');
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-bold text-gray-900 flex items-center">
+              <AlertTriangle className="h-5 w-5 mr-2 text-amber-500" />
+              Translation to {languageName} incomplete
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors p-1"
+            >
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <p className="text-gray-700 mb-4">
+            {translated} {translated === 1 ? 'item' : 'items'} translated. {itemCount} {itemCount === 1 ? 'item' : 'items'} in {batches.length} {batches.length === 1 ? 'batch' : 'batches'} kept the source text.
+          </p>
+          {paused && (
+            <p className="text-sm text-amber-700 mb-4">
+              Paused batches were not sent because they would have gone over the project budget. Raise the budget under Costs before retrying.
+            </p>
+          )}
+
+          <div className="border border-gray-200 rounded-lg divide-y divide-gray-200 max-h-80 overflow-y-auto">
+            {batches.map(batch => (
+              <div key={batch.batch} className="flex items-center gap-4 p-3 text-sm">
+                <div className="w-24 flex-shrink-0 font-medium text-gray-900">Batch {batch.batch}</div>
+                <div className="w-24 flex-shrink-0 text-gray-500">
+                  {batch.keys.length} {batch.keys.length === 1 ? 'item' : 'items'}
+                </div>
+                <div className="flex-1 text-gray-700 truncate" title={batch.reason}>
+                  {STATUS_LABELS[batch.status] || 'Incomplete'}: {batch.reason || 'No translation returned'}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-end gap-3 mt-6 pt-4 border-t border-gray-200">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors font-medium"
+            >
+              Close
+            </button>
+            <button
+              onClick={onRetry}
+              className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium"
+            >
+              <RotateCcw className="h-4 w-4 mr-2" />
+              Retry failed batches
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TranslationReportDialog;
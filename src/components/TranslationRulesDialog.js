@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, ListFilter } from 'lucide-react';
+import { COLUMN_TYPE_LABELS } from '../utils/constants';
+import { LANGUAGES } from '../utils/languages';
+import { getSheetSchema, getColumnLabel } from '../utils/columnSchema';
+import {
+  TRANSLATION_MODES,
+  TRANSLATION_MODE_LABELS,
+  SKIP_REASON_LABELS,
+  getTranslationRules,
+  compileSkipPatterns,
+  collectTranslationCells
+} from '../utils/translationRules';
+
+const MODE_OPTIONS = Object.values(TRANSLATION_MODES);
+const PREVIEW_LIMIT = 500;
+
+const splitPatterns = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+// Translation rules of the active sheet with a preview of the cells the next run into the target
+// language sends; onConfirm({ rules, applyPatternsToAll }) with rules as { columns, skipPatterns }
+const TranslationRulesDialog = ({ isVisible, sheets, sheetIndex, targetLanguage: defaultTargetLanguage = 'en', onClose, onConfirm }) => {
+  const [columns, setColumns] = useState({});
+  const [patternText, setPatternText] = useState('');
+  const [applyPatternsToAll, setApplyPatternsToAll] = useState(false);
+  const [targetLanguage, setTargetLanguage] = useState(defaultTargetLanguage);
+
+  const sheet = sheets?.[sheetIndex];
+
+  // Start from the sheet's current rules every time the dialog opens
+  useEffect(() => {
+    if (isVisible && sheet) {
+      const rules = getTranslationRules(sheet);
+      setColumns(rules.columns);
+      setPatternText(rules.skipPatterns.join('\n'));
+      setApplyPatternsToAll(false);
+    }
+  }, [isVisible, sheet]);
+
+  useEffect(() => {
+    if (isVisible) setTargetLanguage(defaultTargetLanguage);
+  }, [isVisible, defaultTargetLanguage]);
+
+  const skipPatterns = useMemo(() => splitPatterns(patternText), [patternText]);
+  const patternErrors = useMemo(() => compileSkipPatterns(skipPatterns).errors, [skipPatterns]);
+
+  // What a run over the whole workbook would send with the draft rules
+  const preview = useMemo(() => {
+    if (!isVisible || !sheets || !sheet) return null;
+    const draftSheets = sheets.map((candidate, index) => {
+      if (index === sheetIndex) return { ...candidate, translationRules: { columns, skipPatterns } };
+      if (applyPatternsToAll) return { ...candidate, translationRules: { ...getTranslationRules(candidate), skipPatterns } };
+      return candidate;
+    });
+    const { cells, items, skipped } = collectTranslationCells(draftSheets, { targetLanguage: targetLanguage || null });
+    const seen = new Set();
+    const rows = cells.map(cell => {
+      const repeat = seen.has(cell.key);
+      seen.add(cell.key);
+      return { ...cell, repeat };
+    });
+    return { rows, uniqueCount: items.size, skipped, schemas: draftSheets.map(getSheetSchema) };
+  }, [isVisible, sheets, sheet, sheetIndex, columns, skipPatterns, applyPatternsToAll, targetLanguage]);
+
+  if (!isVisible || !sheet || !preview) return null;
+
+  const schema = getSheetSchema(sheet);
+  const skippedSummary = Object.entries(preview.skipped)
+    .map(([reason, count]) => `${count} ${SKIP_REASON_LABELS[reason]}`)
+    .join(', ');
+
+  const setColumnMode = (index, mode) => {
+    setColumns(prev => {
+      const next = { ...prev };
+      if (mode === TRANSLATION_MODES.AUTO) delete next[index];
+      else next[index] = mode;
+      return next;
+    });
+  };
+
+  const handleConfirm = () => {
+    onConfirm({ rules: { columns, skipPatterns }, applyPatternsToAll });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-5xl w-full max-h-[90vh] flex flex-col">
+        <div className="p-6 border-b border-gray-200 overflow-y-auto max-h-[50vh]">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-bold text-gray-900 flex items-center">
+              <ListFilter className="h-5 w-5 mr-2 text-blue-600" />
+              Translation Rules{sheets.length > 1 && <span className="ml-2 text-gray-500 font-normal">— {sheet.name}</span>}
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors p-1"
+            >
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <p className="text-sm text-gray-600 mb-4">
+            Auto sends question, answer and text columns, leaving out cells without letters and cells matching a
+            skip pattern. Always sends every filled cell of the column, Never sends none. Either way, cells detected as
+            already written in the target language stay out.
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+              {schema.columns.map(column => (
+                <div key={column.index} className="flex items-center gap-3 p-2">
+                  <div className="flex-1 min-w-0">
+                    <div className="text-sm font-medium text-gray-900 truncate">{getColumnLabel(schema, column.index)}</div>
+                    <div className="text-xs text-gray-400">{COLUMN_TYPE_LABELS[column.role]}</div>
+                  </div>
+                  <select
+                    value={columns[column.index] || TRANSLATION_MODES.AUTO}
+                    onChange={(e) => setColumnMode(column.index, e.target.value)}
+                    className="px-2 py-1 border border-gray-300 rounded text-sm"
+                  >
+                    {MODE_OPTIONS.map(mode => (
+                      <option key={mode} value={mode}>{TRANSLATION_MODE_LABELS[mode]}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Skip patterns</label>
+              <textarea
+                value={patternText}
+                onChange={(e) => setPatternText(e.target.value)}
+                rows={6}
+                placeholder={'^(yes|no|true|false)$\n^[A-Z]{1,3}\\d*$'}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                One regular expression per line, matched against the cell text without regard to case. Applies to Auto columns.
+              </p>
+              {patternErrors.map(error => (
+                <p key={error.pattern} className="mt-1 text-xs text-red-600 font-mono break-all">
+                  {error.pattern}: {error.message}
+                </p>
+              ))}
+              {sheets.length > 1 && (
+                <label className="flex items-center space-x-2 mt-3 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={applyPatternsToAll}
+                    onChange={(e) => setApplyPatternsToAll(e.target.checked)}
+                  />
+                  <span>Use these patterns for all {sheets.length} sheets</span>
+                </label>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 px-6 py-3 bg-gray-50 border-b border-gray-200 text-sm text-gray-700">
+          <span>Translating into</span>
+          <select
+            value={targetLanguage}
+            onChange={(e) => setTargetLanguage(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded bg-white text-sm"
+            title="Cells already in this language are not sent"
+          >
+            {LANGUAGES.map(language => (
+              <option key={language.code} value={language.code}>{language.name}</option>
+            ))}
+            <option value="">Any language, sending text already in it</option>
+          </select>
+          <span>
+            <span className="font-medium">{preview.rows.length} cells</span> will be sent as{' '}
+            <span className="font-medium">{preview.uniqueCount} unique items</span>
+            {skippedSummary && <span className="text-gray-500"> · skipped: {skippedSummary}</span>}
+          </span>
+        </div>
+
+        <div className="flex-1 overflow-y-auto min-h-[8rem]">
+          {preview.rows.length === 0 ? (
+            <p className="p-6 text-center text-gray-500">No cells would be sent with these rules.</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead className="bg-white sticky top-0 shadow-sm">
+                <tr className="text-left text-gray-600">
+                  {sheets.length > 1 && <th className="px-4 py-2 font-medium">Sheet</th>}
+                  <th className="px-4 py-2 font-medium">Row</th>
+                  <th className="px-4 py-2 font-medium">Column</th>
+                  <th className="px-4 py-2 font-medium">Text</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {preview.rows.slice(0, PREVIEW_LIMIT).map(cell => (
+                  <tr key={`${cell.sheetIndex}:${cell.rowIndex}:${cell.colIndex}`} className={`align-top ${cell.repeat ? 'text-gray-400' : 'text-gray-900'}`}>
+                    {sheets.length > 1 && <td className="px-4 py-1 whitespace-nowrap">{sheets[cell.sheetIndex].name}</td>}
+                    <td className="px-4 py-1">{cell.rowIndex + 1}</td>
+                    <td className="px-4 py-1 whitespace-nowrap">{getColumnLabel(preview.schemas[cell.sheetIndex], cell.colIndex)}</td>
+                    <td className="px-4 py-1 break-words" title={cell.repeat ? 'Repeats an earlier cell and is sent once' : undefined}>
+                      {cell.text.length > 200 ? `${cell.text.slice(0, 200)}...` : cell.text}
+                      {cell.repeat && <span className="ml-2 text-xs italic">repeat</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {preview.rows.length > PREVIEW_LIMIT && (
+            <p className="p-3 text-center text-xs text-gray-500">Showing the first {PREVIEW_LIMIT} of {preview.rows.length} cells</p>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-3 p-4 border-t border-gray-200">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium"
+          >
+            Save Rules
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TranslationRulesDialog;
@@ -0,0 +1,112 @@
+// AI provider access through the server's AI proxy (aiProxy.js), which holds the API keys for
+// OpenAI, Azure OpenAI, Anthropic, Gemini and OpenAI-compatible servers. chatCompletion sends one
+// translation or analysis request and gets back { content, usage }; the proxy writes the prompt.
+// Retries come from the shared request layer.
+import { postWithRetry } from './aiRequest';
+import { API_ENDPOINTS } from './constants';
+
+// Providers the model registry covers; which ones are configured is up to the server
+const PROVIDER_NAMES = {
+  openai: 'OpenAI',
+  azure: 'Azure OpenAI',
+  anthropic: 'Anthropic',
+  gemini: 'Google Gemini',
+  compatible: 'OpenAI-compatible'
+};
+
+const PROXY_UNREACHABLE = 'The AI proxy is not reachable; start it with npm run server.';
+const STATUS_RETRY_MS = 30000;
+
+// Provider status from the proxy: { [id]: { configured, setup } }
+let providerStatus = {};
+let statusRequest = null;
+
+export const getProvider = (providerId) => (
+  PROVIDER_NAMES[providerId] ? { id: providerId, name: PROVIDER_NAMES[providerId] } : null
+);
+
+// [{ id, name, setup, configured }] as last reported by the proxy
+export const listProviders = () => Object.entries(PROVIDER_NAMES).map(([id, name]) => ({
+  id,
+  name,
+  setup: providerStatus[id]?.setup || PROXY_UNREACHABLE,
+  configured: Boolean(providerStatus[id]?.configured)
+}));
+
+// Ask the proxy which providers have keys; the answer is kept until refresh is requested
+export const loadProviders = async (refresh = false) => {
+  if (!statusRequest || refresh) {
+    statusRequest = fetch(API_ENDPOINTS.AI_PROVIDERS)
+      .then(response => response.json())
+      .then(result => {
+        providerStatus = Object.fromEntries(result.providers.map(provider => [provider.id, provider]));
+      })
+      .catch(error => {
+        console.warn('⚠️ AI proxy not reachable:', error.message);
+        providerStatus = {};
+        // Ask again a little later; the server may have been started since
+        const failedRequest = statusRequest;
+        setTimeout(() => {
+          if (statusRequest === failedRequest) statusRequest = null;
+        }, STATUS_RETRY_MS);
+      });
+  }
+  await statusRequest;
+  return listProviders();
+};
+
+export const isProviderConfigured = (providerId) => Boolean(providerStatus[providerId]?.configured);
+
+// Token usage per provider and model since the last reset
+let usageTotals = {};
+
+export const getTokenUsage = () => JSON.parse(JSON.stringify(usageTotals));
+
+export const resetTokenUsage = () => {
+  usageTotals = {};
+};
+
+const recordUsage = (providerId, model, usage) => {
+  const key = `${providerId}:${model}`;
+  const totals = usageTotals[key] || (usageTotals[key] = { provider: providerId, model, requests: 0, inputTokens: 0, outputTokens: 0 });
+  totals.requests++;
+  totals.inputTokens += usage.inputTokens;
+  totals.outputTokens += usage.outputTokens;
+};
+
+const TASK_ENDPOINTS = {
+  translate: API_ENDPOINTS.AI_TRANSLATE,
+  analyze: API_ENDPOINTS.AI_ANALYZE
+};
+
+// One chat completion: { content, usage: { inputTokens, outputTokens } }.
+// task picks the proxy endpoint (translate or analyze) and input is the data the proxy builds the
+// task's prompt from (see aiPrompts.js). signal and beforeAttempt pass through to the request layer.
+export const chatCompletion = async ({
+  task,
+  provider: providerId,
+  model,
+  input,
+  signal = null,
+  beforeAttempt
+}) => {
+  const url = TASK_ENDPOINTS[task];
+  if (!url) throw new Error(`Unknown AI task: ${task}`);
+  if (!getProvider(providerId)) throw new Error(`Unknown AI provider: ${providerId}`);
+
+  let response;
+  try {
+    response = await postWithRetry(url, { provider: providerId, model, input }, {
+      headers: { 'Content-Type': 'application/json' },
+      signal
+    }, { beforeAttempt });
+  } catch (error) {
+    // The proxy explains what went wrong upstream
+    if (error.response?.data?.error) error.message = error.response.data.error;
+    throw error;
+  }
+
+  const { content, usage } = response.data;
+  recordUsage(providerId, model, usage);
+  return { content, usage };
+};
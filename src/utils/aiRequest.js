@@ -0,0 +1,163 @@
+// Shared request layer for AI provider calls: retries with exponential backoff and jitter, Retry-After
+// handling and a circuit breaker that pauses all requests while errors keep coming
+import axios from 'axios';
+
+const DEFAULT_SETTINGS = {
+  maxAttempts: 4,         // attempts per request, including the first
+  baseDelayMs: 1000,      // first backoff; doubles on every retry
+  maxDelayMs: 30000,      // cap for backoff and Retry-After waits
+  failureThreshold: 5,    // consecutive failed attempts that open the circuit
+  cooldownMs: 30000       // pause while the circuit is open; doubles if it opens again right away
+};
+
+let settings = { ...DEFAULT_SETTINGS };
+
+// Rate limits, timeouts, conflicts and server errors are worth another try; other 4xx are not
+const RETRYABLE_STATUS = new Set([408, 409, 425, 429, 500, 502, 503, 504]);
+
+export const configureRequests = (overrides = {}) => {
+  settings = { ...settings, ...overrides };
+  return settings;
+};
+
+export const getRequestSettings = () => ({ ...settings });
+
+const isCancellation = (error) => axios.isCancel(error) || error.name === 'AbortError' || error.name === 'CanceledError';
+
+export const isRetryableError = (error) => {
+  if (isCancellation(error)) return false;
+  // No response at all: network error or timeout
+  if (!error.response) return true;
+  return RETRYABLE_STATUS.has(error.response.status) || error.response.status >= 500;
+};
+
+// Retry-After in seconds or as an HTTP date; null when absent or unreadable
+const getRetryAfterMs = (error) => {
+  const value = error.response?.headers?.['retry-after'];
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Full jitter: a random wait up to the exponential delay, so parallel clients spread out
+const getBackoffMs = (attempt) => {
+  const exponential = Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * exponential);
+};
+
+const cancelledError = () => {
+  const error = new Error('Request cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Wait that ends early (with an AbortError) when the signal is aborted
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(cancelledError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(cancelledError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Circuit breaker shared by every request: after failureThreshold failed attempts in a row it
+// opens and requests wait out the cooldown; the next attempt after that decides whether it closes
+const circuit = {
+  consecutiveFailures: 0,
+  openUntil: 0,
+  openings: 0,
+  listeners: new Set()
+};
+
+const notifyCircuit = () => {
+  const state = getCircuitState();
+  circuit.listeners.forEach(listener => listener(state));
+};
+
+export const getCircuitState = () => ({
+  open: circuit.openUntil > Date.now(),
+  resumeAt: circuit.openUntil,
+  consecutiveFailures: circuit.consecutiveFailures
+});
+
+// Listen for the circuit opening and closing; returns an unsubscribe function
+export const onCircuitChange = (listener) => {
+  circuit.listeners.add(listener);
+  return () => circuit.listeners.delete(listener);
+};
+
+export const resetCircuit = () => {
+  circuit.consecutiveFailures = 0;
+  circuit.openUntil = 0;
+  circuit.openings = 0;
+  notifyCircuit();
+};
+
+const recordSuccess = () => {
+  const wasTripped = circuit.openings > 0;
+  circuit.consecutiveFailures = 0;
+  circuit.openings = 0;
+  if (wasTripped) notifyCircuit();
+};
+
+const recordFailure = () => {
+  circuit.consecutiveFailures++;
+  if (circuit.consecutiveFailures < settings.failureThreshold) return;
+
+  const cooldown = Math.min(settings.cooldownMs * 2 ** circuit.openings, settings.maxDelayMs * 10);
+  circuit.openings++;
+  circuit.consecutiveFailures = 0;
+  circuit.openUntil = Date.now() + cooldown;
+  console.warn(`⏸️ Too many AI request errors, pausing for ${Math.round(cooldown / 1000)}s`);
+  notifyCircuit();
+};
+
+const waitForCircuit = async (signal) => {
+  const wait = circuit.openUntil - Date.now();
+  if (wait <= 0) return;
+  await sleep(wait, signal);
+  notifyCircuit();
+};
+
+// POST with retries. Resolves with the axios response; rejects with the last error once the
+// attempts run out or the error is not retryable. Cancellation rejects immediately.
+// beforeAttempt runs before every attempt, retries included (rate limiting).
+export const postWithRetry = async (url, data, config = {}, { maxAttempts = settings.maxAttempts, onRetry, beforeAttempt } = {}) => {
+  const { signal } = config;
+
+  for (let attempt = 1; ; attempt++) {
+    await waitForCircuit(signal);
+    if (beforeAttempt) await beforeAttempt();
+
+    try {
+      const response = await axios.post(url, data, config);
+      recordSuccess();
+      return response;
+    } catch (error) {
+      if (isCancellation(error) || signal?.aborted) throw error;
+
+      // Only transient errors count towards the circuit; waiting does not fix a bad key or request
+      if (!isRetryableError(error)) throw error;
+      recordFailure();
+      if (attempt >= maxAttempts) throw error;
+
+      const retryAfter = getRetryAfterMs(error);
+      const delay = Math.min(settings.maxDelayMs, retryAfter ?? getBackoffMs(attempt));
+      const status = error.response?.status || 'network error';
+      console.warn(`🔁 AI request failed (${status}), attempt ${attempt}/${maxAttempts}, retrying in ${delay}ms`);
+      if (onRetry) onRetry({ attempt, delay, error });
+
+      await sleep(delay, signal);
+    }
+  }
+};
@@ -0,0 +1,149 @@
+import axios from 'axios';
+import {
+  configureRequests,
+  getRequestSettings,
+  isRetryableError,
+  sleep,
+  postWithRetry,
+  getCircuitState,
+  onCircuitChange,
+  resetCircuit
+} from './aiRequest';
+
+jest.mock('axios', () => jest.requireActual('axios/dist/node/axios.cjs'));
+
+const DEFAULTS = getRequestSettings();
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers }
+});
+const networkError = () => new Error('Network Error');
+
+// Delays of every retry, as reported to onRetry
+const postCollectingDelays = async (options = {}) => {
+  const delays = [];
+  const response = await postWithRetry('/api/ai/translate', {}, {}, {
+    ...options,
+    onRetry: ({ delay }) => delays.push(delay)
+  });
+  return { response, delays };
+};
+
+beforeEach(() => {
+  configureRequests({ ...DEFAULTS, baseDelayMs: 4, maxDelayMs: 20, failureThreshold: 100, cooldownMs: 20 });
+  resetCircuit();
+  jest.spyOn(axios, 'post');
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  configureRequests(DEFAULTS);
+  resetCircuit();
+});
+
+describe('isRetryableError', () => {
+  test('retries rate limits, server errors and lost connections only', () => {
+    [408, 409, 425, 429, 500, 502, 503, 504, 507].forEach(status => expect(isRetryableError(httpError(status))).toBe(true));
+    [400, 401, 403, 404, 422].forEach(status => expect(isRetryableError(httpError(status))).toBe(false));
+    expect(isRetryableError(networkError())).toBe(true);
+    expect(isRetryableError(Object.assign(new Error('canceled'), { name: 'CanceledError' }))).toBe(false);
+  });
+});
+
+describe('postWithRetry', () => {
+  test('retries transient errors with exponential backoff until one succeeds', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    axios.post
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(networkError())
+      .mockRejectedValueOnce(httpError(500))
+      .mockResolvedValueOnce({ data: 'ok' });
+
+    const beforeAttempt = jest.fn();
+    const { response, delays } = await postCollectingDelays({ beforeAttempt });
+    expect(response.data).toBe('ok');
+    expect(delays).toEqual([4, 8, 16]);
+    expect(beforeAttempt).toHaveBeenCalledTimes(4);
+  });
+
+  test('waits a random share of the backoff, capped at the maximum', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    axios.post.mockRejectedValue(httpError(502));
+    const delays = [];
+    await expect(postWithRetry('/api/ai/translate', {}, {}, { maxAttempts: 6, onRetry: ({ delay }) => delays.push(delay) }))
+      .rejects.toMatchObject({ response: { status: 502 } });
+    expect(delays).toEqual([2, 4, 8, 10, 10]);
+    expect(axios.post).toHaveBeenCalledTimes(6);
+  });
+
+  test('follows Retry-After in seconds or as a date, within the maximum', async () => {
+    axios.post
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '0.01' }))
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '120' }))
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': new Date(Date.now() - 1000).toUTCString() }))
+      .mockResolvedValueOnce({ data: 'ok' });
+
+    const { delays } = await postCollectingDelays();
+    expect(delays).toEqual([10, 20, 0]);
+  });
+
+  test('does not retry client errors', async () => {
+    axios.post.mockRejectedValue(httpError(401));
+    await expect(postWithRetry('/api/ai/translate', {})).rejects.toMatchObject({ response: { status: 401 } });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+
+  test('stops at once when cancelled', async () => {
+    const controller = new AbortController();
+    axios.post.mockImplementation(async () => {
+      controller.abort();
+      throw httpError(503);
+    });
+    await expect(postWithRetry('/api/ai/translate', {}, { signal: controller.signal })).rejects.toMatchObject({ response: { status: 503 } });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('circuit breaker', () => {
+  test('opens after the failure threshold, pauses requests and closes on success', async () => {
+    configureRequests({ failureThreshold: 2, cooldownMs: 30 });
+    const states = [];
+    const unsubscribe = onCircuitChange(state => states.push(state.open));
+    axios.post
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValueOnce({ data: 'ok' });
+
+    const start = Date.now();
+    const { response } = await postCollectingDelays();
+    expect(response.data).toBe('ok');
+    // The second failure opened the circuit, so the third attempt waited out the cooldown
+    expect(Date.now() - start).toBeGreaterThanOrEqual(25);
+    expect(states[0]).toBe(true);
+    expect(states[states.length - 1]).toBe(false);
+    expect(getCircuitState()).toMatchObject({ open: false, consecutiveFailures: 0 });
+    unsubscribe();
+  });
+
+  test('client errors do not count towards it', async () => {
+    configureRequests({ failureThreshold: 1 });
+    axios.post.mockRejectedValue(httpError(400));
+    await expect(postWithRetry('/api/ai/translate', {})).rejects.toBeDefined();
+    expect(getCircuitState()).toMatchObject({ open: false, consecutiveFailures: 0 });
+  });
+});
+
+describe('sleep', () => {
+  test('ends early with an AbortError when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const waiting = sleep(10000, controller.signal);
+    controller.abort();
+    await expect(waiting).rejects.toMatchObject({ name: 'AbortError' });
+
+    await expect(sleep(10, controller.signal)).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
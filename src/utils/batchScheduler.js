@@ -0,0 +1,69 @@
+// Scheduling for batched AI requests: a concurrency-limited task pool that keeps results in order
+// and a sliding-window limiter for requests-per-minute and tokens-per-minute quotas
+import { sleep } from './aiRequest';
+
+const WINDOW_MS = 60000;
+
+// Limiter over the last minute of requests. acquire(tokens, signal) resolves once a request of
+// that size fits both limits; callers are served in the order they asked.
+export const createRateLimiter = ({ requestsPerMinute = Infinity, tokensPerMinute = Infinity } = {}) => {
+  const log = []; // { time, tokens } of requests sent in the window
+  let queue = Promise.resolve();
+
+  const getWait = (tokens, now) => {
+    while (log.length > 0 && now - log[0].time >= WINDOW_MS) log.shift();
+
+    const requestWait = log.length >= requestsPerMinute
+      ? log[log.length - requestsPerMinute].time + WINDOW_MS - now
+      : 0;
+
+    // Wait until enough of the oldest requests leave the window to make room for this one
+    let used = log.reduce((sum, entry) => sum + entry.tokens, 0);
+    let tokenWait = 0;
+    for (let i = 0; used + tokens > tokensPerMinute && i < log.length; i++) {
+      used -= log[i].tokens;
+      tokenWait = log[i].time + WINDOW_MS - now;
+    }
+    return Math.max(requestWait, tokenWait, 0);
+  };
+
+  const acquire = (tokens, signal) => {
+    // A request larger than the whole quota goes through alone once the window is empty
+    const cost = Math.min(tokens, tokensPerMinute);
+    const turn = queue.then(async () => {
+      for (let wait = getWait(cost, Date.now()); wait > 0; wait = getWait(cost, Date.now())) {
+        await sleep(wait, signal);
+      }
+      log.push({ time: Date.now(), tokens: cost });
+    });
+    queue = turn.catch(() => {});
+    return turn;
+  };
+
+  return { acquire };
+};
+
+// Run async tasks with at most `concurrency` in flight; resolves to their results in task order.
+// The first task that throws stops new tasks from starting and its error is rethrown once the
+// running ones settle.
+export const runConcurrently = async (tasks, concurrency) => {
+  const results = new Array(tasks.length);
+  let next = 0;
+  let failure = null;
+
+  const worker = async () => {
+    while (next < tasks.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await tasks[index]();
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  const workers = Math.max(1, Math.min(concurrency, tasks.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  if (failure) throw failure;
+  return results;
+};
@@ -0,0 +1,113 @@
+import { createRateLimiter, runConcurrently } from './batchScheduler';
+import { sleep } from './aiRequest';
+
+// The limiter's waits move a fake clock instead of passing real time
+let now = 0;
+jest.mock('./aiRequest', () => ({ sleep: jest.fn() }));
+
+beforeEach(() => {
+  now = 1000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  sleep.mockImplementation(async (ms) => {
+    now += ms;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Times at which each request got through
+const acquireAll = async (limiter, sizes) => {
+  const times = [];
+  await Promise.all(sizes.map(tokens => limiter.acquire(tokens).then(() => times.push(Date.now()))));
+  return times;
+};
+
+describe('createRateLimiter', () => {
+  test('no limits, no waiting', async () => {
+    expect(await acquireAll(createRateLimiter(), [10, 10, 10])).toEqual([1000, 1000, 1000]);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  test('holds requests past the per-minute count until the oldest leaves the window', async () => {
+    const limiter = createRateLimiter({ requestsPerMinute: 2 });
+    expect(await acquireAll(limiter, [1, 1, 1, 1, 1])).toEqual([1000, 1000, 61000, 61000, 121000]);
+  });
+
+  test('holds requests until enough tokens leave the window', async () => {
+    const limiter = createRateLimiter({ tokensPerMinute: 100 });
+    await limiter.acquire(60);
+    now += 10000;
+    const rest = acquireAll(limiter, [30, 30, 50]);
+    // 60 + 30 fit; the next 30 waits for the first request to leave, the 50 for the second
+    expect(await rest).toEqual([11000, 61000, 71000]);
+  });
+
+  test('a request larger than the quota goes alone into an empty window', async () => {
+    const limiter = createRateLimiter({ tokensPerMinute: 100 });
+    expect(await acquireAll(limiter, [10, 500, 10])).toEqual([1000, 61000, 121000]);
+  });
+
+  test('a cancelled wait rejects that caller and keeps the queue going', async () => {
+    const limiter = createRateLimiter({ requestsPerMinute: 1 });
+    await limiter.acquire(1);
+    const cancelled = new Error('Request cancelled');
+    sleep.mockImplementationOnce(async () => {
+      throw cancelled;
+    });
+    await expect(limiter.acquire(1)).rejects.toBe(cancelled);
+    await limiter.acquire(1);
+    expect(Date.now()).toBe(61000);
+  });
+});
+
+describe('runConcurrently', () => {
+  const deferred = () => {
+    let resolve;
+    const promise = new Promise(done => {
+      resolve = done;
+    });
+    return { promise, resolve };
+  };
+
+  test('keeps at most the given number of tasks in flight and results in task order', async () => {
+    let running = 0;
+    let peak = 0;
+    const gates = Array.from({ length: 5 }, deferred);
+    const tasks = gates.map((gate, index) => async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await gate.promise;
+      running--;
+      return index;
+    });
+
+    const results = runConcurrently(tasks, 2);
+    // Finishing in reverse order does not change the order of the results
+    [4, 3, 2, 1, 0].forEach(index => gates[index].resolve());
+    expect(await results).toEqual([0, 1, 2, 3, 4]);
+    expect(peak).toBe(2);
+  });
+
+  test('the first failure stops new tasks and is rethrown after the running ones settle', async () => {
+    const started = [];
+    const failure = new Error('Batch 2 failed');
+    const firstGate = deferred();
+    const tasks = [0, 1, 2, 3].map(index => async () => {
+      started.push(index);
+      if (index === 0) await firstGate.promise;
+      if (index === 1) throw failure;
+      return index;
+    });
+    const run = runConcurrently(tasks, 2);
+    await Promise.resolve();
+    firstGate.resolve();
+    await expect(run).rejects.toBe(failure);
+    expect(started).toEqual([0, 1]);
+  });
+
+  test('no tasks, empty results', async () => {
+    expect(await runConcurrently([], 4)).toEqual([]);
+  });
+});
@@ -0,0 +1,311 @@
+// Column schema: maps sheet columns to roles (ID, question, variant N, code N, free text)
+import { COLUMN_TYPES, COLUMN_TYPE_LABELS } from './constants';
+
+// Only the first few rows are considered when looking for a header row
+const HEADER_SCAN_ROWS = 5;
+// Rows sampled when inferring roles from cell contents
+const CONTENT_SAMPLE_ROWS = 200;
+
+const getCellText = (cell) => (cell?.cleaned || '').trim();
+
+// Header keyword patterns, checked in order (code before variant before question). Short keywords
+// only count as whole words, so "Keywords", "Unicode text" or "Postcode" stay free text.
+const ROLE_PATTERNS = [
+  { role: COLUMN_TYPES.CODE, pattern: /(^|\P{L})(codes?|kodu?|код[аы]?|key)($|\P{L})|correct|is[\s_-]*right|правильн|düzgün/iu },
+  { role: COLUMN_TYPES.VARIANT, pattern: /(variant|option|answer|choice|distractor|вариант|ответ|cavab|seçim)/i },
+  { role: COLUMN_TYPES.ID, pattern: /(^|[\s_-])(id|№|no|nr|num|number)($|[\s_-])/i },
+  { role: COLUMN_TYPES.QUESTION, pattern: /(question|вопрос|sual|prompt|stem|task|задани)/i }
+];
+
+const isBinaryCode = (value) => value === '0' || value === '1';
+
+// Role for a single header label, or null when it doesn't look like a known column
+export const inferRoleFromHeader = (header) => {
+  const text = String(header || '').trim();
+  if (!text) return null;
+
+  const groupMatch = text.match(/(\d+)/);
+  const group = groupMatch ? parseInt(groupMatch[1], 10) : null;
+
+  for (const { role, pattern } of ROLE_PATTERNS) {
+    if (!pattern.test(text)) continue;
+    if (role === COLUMN_TYPES.VARIANT || role === COLUMN_TYPES.CODE) {
+      // Numbered answers ("Variant_2_Code"); unnumbered ones get a group later
+      return { role, group };
+    }
+    return { role, group: null };
+  }
+  return null;
+};
+
+// Index of the header row within the first rows, or -1 when the sheet has no header
+export const detectHeaderRow = (rows) => {
+  if (!rows || rows.length < 2) return -1;
+
+  let bestIndex = -1;
+  let bestScore = 0;
+
+  for (let rowIndex = 0; rowIndex < Math.min(rows.length - 1, HEADER_SCAN_ROWS); rowIndex++) {
+    const row = rows[rowIndex];
+    const values = row.map(getCellText);
+    const nonEmpty = values.filter(Boolean);
+    if (nonEmpty.length < 2) continue;
+
+    // Header labels are short plain text, never markup or numbers
+    const looksLikeLabels = row.every((cell, colIndex) => {
+      const value = values[colIndex];
+      return !value || (!cell?.hasHtml && value.length <= 60 && !/^\d+([.,]\d+)?$/.test(value));
+    });
+    if (!looksLikeLabels) continue;
+
+    const keywordMatches = nonEmpty.filter(value => inferRoleFromHeader(value)).length;
+    let score = keywordMatches / nonEmpty.length;
+
+    // A label above a 0/1 column in the next row is a strong header signal
+    const nextRow = rows[rowIndex + 1] || [];
+    const labelsOverCodes = values.filter((value, colIndex) =>
+      value && isBinaryCode(getCellText(nextRow[colIndex]))
+    ).length;
+    if (labelsOverCodes > 0) score += 0.5;
+
+    if (score >= 0.5 && score > bestScore) {
+      bestScore = score;
+      bestIndex = rowIndex;
+    }
+  }
+
+  return bestIndex;
+};
+
+// Number the variant/code columns that had no explicit number in their header
+const assignAnswerGroups = (columns) => {
+  let nextVariantGroup = 1;
+  const usedGroups = new Set(
+    columns.filter(col => col.role === COLUMN_TYPES.VARIANT && col.group).map(col => col.group)
+  );
+
+  columns.forEach((column, position) => {
+    if (column.role === COLUMN_TYPES.VARIANT && !column.group) {
+      while (usedGroups.has(nextVariantGroup)) nextVariantGroup++;
+      column.group = nextVariantGroup;
+      usedGroups.add(nextVariantGroup);
+    }
+    if (column.role === COLUMN_TYPES.CODE && !column.group) {
+      // A code column belongs to the nearest variant column to its left
+      const previousVariant = columns.slice(0, position).reverse().find(col => col.role === COLUMN_TYPES.VARIANT);
+      column.group = previousVariant?.group || 1;
+    }
+  });
+
+  return columns;
+};
+
+// Infer roles from the header labels
+const inferColumnsFromHeader = (headerRow, columnCount) => {
+  const columns = [];
+  let questionFound = false;
+
+  for (let index = 0; index < columnCount; index++) {
+    const header = getCellText(headerRow[index]);
+    const inferred = inferRoleFromHeader(header);
+    let role = inferred?.role || COLUMN_TYPES.TEXT;
+
+    // Only the first question column is the question; later ones are free text
+    if (role === COLUMN_TYPES.QUESTION) {
+      if (questionFound) role = COLUMN_TYPES.TEXT;
+      questionFound = true;
+    }
+
+    columns.push({ index, header, role, group: inferred?.group || null });
+  }
+
+  return assignAnswerGroups(columns);
+};
+
+// Infer roles from cell contents when the sheet has no header row
+const inferColumnsFromContent = (rows, columnCount) => {
+  const sample = rows.slice(0, CONTENT_SAMPLE_ROWS);
+  const stats = [];
+
+  for (let index = 0; index < columnCount; index++) {
+    const values = sample.map(row => getCellText(row[index])).filter(Boolean);
+    const total = values.length || 1;
+    stats.push({
+      binaryRatio: values.filter(isBinaryCode).length / total,
+      averageLength: values.reduce((sum, value) => sum + value.length, 0) / total,
+      uniqueRatio: new Set(values).size / total,
+      idLikeRatio: values.filter(value => /^[\w.-]+$/.test(value) && value.length <= 40).length / total,
+      filled: values.length > 0
+    });
+  }
+
+  const columns = stats.map((_, index) => ({ index, header: '', role: COLUMN_TYPES.TEXT, group: null }));
+
+  // 0/1 columns are answer codes; the column to their left is the variant they mark
+  let group = 1;
+  stats.forEach((stat, index) => {
+    if (stat.filled && stat.binaryRatio >= 0.9) {
+      columns[index].role = COLUMN_TYPES.CODE;
+      columns[index].group = group;
+      if (index > 0 && columns[index - 1].role === COLUMN_TYPES.TEXT) {
+        columns[index - 1].role = COLUMN_TYPES.VARIANT;
+        columns[index - 1].group = group;
+      }
+      group++;
+    }
+  });
+
+  const firstAnswerIndex = columns.findIndex(col => col.role === COLUMN_TYPES.VARIANT || col.role === COLUMN_TYPES.CODE);
+  const leadingEnd = firstAnswerIndex === -1 ? columnCount : firstAnswerIndex;
+
+  // Leading unique, space-free columns are identifiers
+  for (let index = 0; index < leadingEnd; index++) {
+    const stat = stats[index];
+    if (stat.filled && stat.idLikeRatio >= 0.9 && stat.uniqueRatio >= 0.9) {
+      columns[index].role = COLUMN_TYPES.ID;
+    } else {
+      break;
+    }
+  }
+
+  // The longest remaining leading column is the question
+  let questionIndex = -1;
+  for (let index = 0; index < leadingEnd; index++) {
+    if (columns[index].role !== COLUMN_TYPES.TEXT || !stats[index].filled) continue;
+    if (questionIndex === -1 || stats[index].averageLength > stats[questionIndex].averageLength) {
+      questionIndex = index;
+    }
+  }
+  if (questionIndex !== -1) {
+    columns[questionIndex].role = COLUMN_TYPES.QUESTION;
+  }
+
+  return columns;
+};
+
+// Build a schema for data rows, optionally using a header row for labels
+export const inferSchema = (rows, headerRow = null) => {
+  const columnCount = Math.max(
+    headerRow?.length || 0,
+    ...(rows || []).slice(0, CONTENT_SAMPLE_ROWS).map(row => row.length),
+    0
+  );
+
+  const hasKnownHeaders = headerRow && headerRow.some(cell => inferRoleFromHeader(getCellText(cell)));
+  const columns = hasKnownHeaders
+    ? inferColumnsFromHeader(headerRow, columnCount)
+    : inferColumnsFromContent(rows || [], columnCount).map(column => ({
+        ...column,
+        header: getCellText(headerRow?.[column.index])
+      }));
+
+  return {
+    columns,
+    source: hasKnownHeaders ? 'header' : 'content'
+  };
+};
+
+// Split a freshly parsed sheet into preamble, header row and data rows and attach a schema
+// headerIndex overrides detection when the format already knows its header row
+export const prepareSheetSchema = (sheet, forcedHeaderIndex) => {
+  if (sheet.schema) return sheet;
+
+  const headerIndex = forcedHeaderIndex ?? detectHeaderRow(sheet.data);
+  const preamble = headerIndex > 0 ? sheet.data.slice(0, headerIndex) : [];
+  const headerRow = headerIndex >= 0 ? sheet.data[headerIndex] : null;
+  const data = headerIndex >= 0 ? sheet.data.slice(headerIndex + 1) : sheet.data;
+
+  return {
+    ...sheet,
+    data,
+    preamble,
+    headerRow,
+    schema: inferSchema(data, headerRow)
+  };
+};
+
+// Move the header row into or out of the data rows and re-infer the schema
+export const setSheetHasHeader = (sheet, hasHeader) => {
+  const currentlyHasHeader = !!sheet.headerRow;
+  if (hasHeader === currentlyHasHeader) return sheet;
+
+  if (hasHeader) {
+    const [headerRow, ...data] = sheet.data;
+    return { ...sheet, headerRow: headerRow || null, data, schema: inferSchema(data, headerRow) };
+  }
+
+  const data = [sheet.headerRow, ...sheet.data];
+  return { ...sheet, headerRow: null, data, schema: inferSchema(data) };
+};
+
+// Schema for a sheet, inferring one for legacy data saved without it
+export const getSheetSchema = (sheetOrRows) => {
+  if (Array.isArray(sheetOrRows)) return inferSchema(sheetOrRows);
+  return sheetOrRows?.schema || inferSchema(sheetOrRows?.data || [], sheetOrRows?.headerRow);
+};
+
+export const getColumnsByRole = (schema, role) =>
+  (schema?.columns || []).filter(column => column.role === role);
+
+export const getColumnRole = (schema, index) =>
+  schema?.columns?.find(column => column.index === index)?.role || COLUMN_TYPES.TEXT;
+
+export const getQuestionColumn = (schema) =>
+  getColumnsByRole(schema, COLUMN_TYPES.QUESTION)[0]?.index ?? -1;
+
+// Variant/code column pairs ordered by answer number
+export const getAnswerPairs = (schema) => {
+  const groups = new Map();
+  (schema?.columns || []).forEach(column => {
+    if (column.role !== COLUMN_TYPES.VARIANT && column.role !== COLUMN_TYPES.CODE) return;
+    const group = column.group || 1;
+    if (!groups.has(group)) groups.set(group, { group, variant: -1, code: -1 });
+    const pair = groups.get(group);
+    if (column.role === COLUMN_TYPES.VARIANT && pair.variant === -1) pair.variant = column.index;
+    if (column.role === COLUMN_TYPES.CODE && pair.code === -1) pair.code = column.index;
+  });
+  return Array.from(groups.values()).sort((a, b) => a.group - b.group);
+};
+
+// Columns whose text should be translated (questions, variants and free text)
+export const isTextRole = (role) =>
+  role === COLUMN_TYPES.QUESTION || role === COLUMN_TYPES.VARIANT || role === COLUMN_TYPES.TEXT;
+
+// Display label: the header text when present, otherwise the role name
+export const getColumnLabel = (schema, index) => {
+  const column = schema?.columns?.find(col => col.index === index);
+  if (!column) return `Column ${index + 1}`;
+  if (column.header) return column.header;
+  const roleLabel = COLUMN_TYPE_LABELS[column.role] || 'Column';
+  if (column.role === COLUMN_TYPES.VARIANT || column.role === COLUMN_TYPES.CODE) {
+    return `${roleLabel} ${column.group || 1}`;
+  }
+  if (column.role === COLUMN_TYPES.TEXT) return `Column ${index + 1}`;
+  return roleLabel;
+};
+
+const normalizeHeader = (header) => String(header || '').trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+
+// Preset mapping saved by name: roles keyed by header label with the column index as fallback
+export const schemaToPreset = (name, schema) => ({
+  name,
+  columns: schema.columns.map(({ index, header, role, group }) => ({ index, header, role, group })),
+  savedAt: new Date().toISOString()
+});
+
+// Apply a saved preset to a sheet's schema, matching columns by header first, then by position
+export const applyPresetToSchema = (schema, preset) => {
+  const byHeader = new Map(
+    preset.columns.filter(col => col.header).map(col => [normalizeHeader(col.header), col])
+  );
+  const byIndex = new Map(preset.columns.map(col => [col.index, col]));
+
+  return {
+    ...schema,
+    source: 'preset',
+    columns: schema.columns.map(column => {
+      const match = (column.header && byHeader.get(normalizeHeader(column.header))) || byIndex.get(column.index);
+      return match ? { ...column, role: match.role, group: match.group } : column;
+    })
+  };
+};
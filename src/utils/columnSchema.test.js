@@ -0,0 +1,69 @@
+import { COLUMN_TYPES } from './constants';
+import { inferRoleFromHeader, detectHeaderRow, inferSchema, getAnswerPairs } from './columnSchema';
+
+const cells = (...values) => values.map(value => ({ cleaned: value, original: value, hasHtml: false }));
+const roleOf = (header) => inferRoleFromHeader(header)?.role ?? null;
+
+describe('inferRoleFromHeader', () => {
+  test.each(['ID', 'id', 'Item ID', 'question_id', 'Question-ID', '№', 'No', 'Nr', 'row number'])('"%s" is an ID', (header) => {
+    expect(roleOf(header)).toBe(COLUMN_TYPES.ID);
+  });
+
+  test.each(['Idea', 'Identity', 'Idiom', 'Ideal answer length', 'Notes', 'Nonce'])('"%s" is not an ID', (header) => {
+    expect(roleOf(header)).not.toBe(COLUMN_TYPES.ID);
+  });
+
+  test.each(['Code', 'Code 1', 'Variant_3_Code', 'Code2', 'Answer key', 'Cavab kodu', 'Код ответа', 'Is right', 'Correct?'])(
+    '"%s" is a code',
+    (header) => {
+      expect(roleOf(header)).toBe(COLUMN_TYPES.CODE);
+    }
+  );
+
+  test.each(['Keywords', 'Unicode text', 'Postcode', 'Barcode', 'Kodlama', 'Кодировка'])('"%s" is not a code', (header) => {
+    expect(roleOf(header)).not.toBe(COLUMN_TYPES.CODE);
+  });
+
+  test('answer columns keep their number', () => {
+    expect(inferRoleFromHeader('Variant 2')).toEqual({ role: COLUMN_TYPES.VARIANT, group: 2 });
+    expect(inferRoleFromHeader('Variant_3_Code')).toEqual({ role: COLUMN_TYPES.CODE, group: 3 });
+    expect(inferRoleFromHeader('Вопрос')).toEqual({ role: COLUMN_TYPES.QUESTION, group: null });
+    expect(inferRoleFromHeader('')).toBe(null);
+  });
+});
+
+describe('schema inference', () => {
+  test('finds the header under a preamble', () => {
+    const rows = [
+      cells('Informatics test bank', ''),
+      cells('ID', 'Question', 'Variant 1', 'Code 1'),
+      cells('inf-001', 'What is a byte?', 'Eight bits', '1')
+    ];
+    expect(detectHeaderRow(rows)).toBe(1);
+    expect(detectHeaderRow([cells('1', '2'), cells('3', '4')])).toBe(-1);
+  });
+
+  test('an "Idea" column stays free text', () => {
+    const { columns, source } = inferSchema([cells('1', 'Why?', 'Because')], cells('ID', 'Question', 'Idea'));
+    expect(source).toBe('header');
+    expect(columns.map(column => column.role)).toEqual([COLUMN_TYPES.ID, COLUMN_TYPES.QUESTION, COLUMN_TYPES.TEXT]);
+  });
+
+  test('unnumbered answer columns are paired left to right', () => {
+    const schema = inferSchema([], cells('Question', 'Answer', 'Correct', 'Answer', 'Correct'));
+    expect(getAnswerPairs(schema)).toEqual([
+      { group: 1, variant: 1, code: 2 },
+      { group: 2, variant: 3, code: 4 }
+    ]);
+  });
+
+  test('without a header, roles come from the contents', () => {
+    const rows = [
+      cells('q-1', 'Which sorting algorithm is the fastest on average?', 'Quicksort', '1', 'Bubble sort', '0'),
+      cells('q-2', 'Which data structure is first in, first out?', 'Queue', '1', 'Stack', '0')
+    ];
+    expect(inferSchema(rows).columns.map(column => column.role)).toEqual([
+      COLUMN_TYPES.ID, COLUMN_TYPES.QUESTION, COLUMN_TYPES.VARIANT, COLUMN_TYPES.CODE, COLUMN_TYPES.VARIANT, COLUMN_TYPES.CODE
+    ]);
+  });
+});
@@ -4,7 +4,15 @@ export const API_ENDPOINTS = {
   SAVE_DATA: 'http://localhost:3001/api/save-data',
   LOAD_DATA: 'http://localhost:3001/api/load-data',
   CLEAR_DATA: 'http://localhost:3001/api/clear-data',
-  HEALTH: 'http://localhost:3001/api/health'
+  MAPPING_PRESETS: 'http://localhost:3001/api/mapping-presets',
+  HEALTH: 'http://localhost:3001/api/health',
+  AI_PROVIDERS: 'http://localhost:3001/api/ai/providers',
+  AI_TRANSLATE: 'http://localhost:3001/api/ai/translate',
+  AI_ANALYZE: 'http://localhost:3001/api/ai/analyze',
+  TM_LOOKUP: 'http://localhost:3001/api/tm/lookup',
+  TM_ENTRIES: 'http://localhost:3001/api/tm/entries',
+  TM_EXPORT: 'http://localhost:3001/api/tm/export',
+  GLOSSARY: 'http://localhost:3001/api/glossary'
 };
 
 export const PERFORMANCE_CONFIG = {
@@ -25,23 +33,20 @@ export const UI_CONFIG = {
   CELL_MIN_HEIGHT: '60px'
 };
 
-export const SUPPORTED_LANGUAGES = [
-  { code: 'az', name: 'Azerbaijan' },
-  { code: 'en', name: 'English' },
-  { code: 'ru', name: 'Russian' },
-  { code: 'fr', name: 'French' },
-  { code: 'de', name: 'German' },
-  { code: 'es', name: 'Spanish' },
-  { code: 'zh', name: 'Chinese' },
-  { code: 'ja', name: 'Japanese' },
-  { code: 'ar', name: 'Arabic' }
-];
-
 export const COLUMN_TYPES = {
   ID: 'id',
   QUESTION: 'question',
   VARIANT: 'variant',
-  CODE: 'code'
+  CODE: 'code',
+  TEXT: 'text'
+};
+
+export const COLUMN_TYPE_LABELS = {
+  id: 'ID',
+  question: 'Question',
+  variant: 'Variant',
+  code: 'Code',
+  text: 'Free Text'
 };
 
 export const CELL_STATES = {
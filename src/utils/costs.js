@@ -0,0 +1,70 @@
+// Money side of AI requests: model prices from the registry, token costs, and the project's cost
+// ledger. The ledger is { budget, runs } with budget in dollars (null for no cap) and one run per
+// translation or analysis: { id, task, label, provider, model, at, estimatedCost, inputTokens,
+// outputTokens, cost, batches: [{ batch, inputTokens, outputTokens, cost }] }.
+
+// Registry prices are strings such as '$0.0025' per 1K tokens
+const parsePrice = (price) => {
+  const value = parseFloat(String(price ?? '').replace(/[^\d.]/g, ''));
+  return Number.isFinite(value) ? value : 0;
+};
+
+// Dollars for the tokens at a model's prices; models without pricing cost nothing
+export const calculateCost = (modelConfig, { inputTokens = 0, outputTokens = 0 }) => {
+  const pricing = modelConfig?.pricing;
+  if (!pricing) return 0;
+  return (inputTokens / 1000) * parsePrice(pricing.input) + (outputTokens / 1000) * parsePrice(pricing.output);
+};
+
+// "$1.23", "$0.0042" or "<$0.0001"; small amounts keep enough digits to compare models
+export const formatCost = (cost) => {
+  if (!cost) return '$0';
+  if (cost < 0.0001) return '<$0.0001';
+  if (cost < 0.01) return `$${cost.toFixed(4)}`;
+  if (cost < 1) return `$${cost.toFixed(3)}`;
+  return `$${cost.toFixed(2)}`;
+};
+
+export const formatTokens = (tokens) => Math.round(tokens).toLocaleString();
+
+export const createProjectCosts = () => ({ budget: null, runs: [] });
+
+// The ledger as saved, with anything missing or malformed replaced by the defaults
+export const readProjectCosts = (value) => ({
+  budget: Number.isFinite(value?.budget) && value.budget >= 0 ? value.budget : null,
+  runs: Array.isArray(value?.runs) ? value.runs : []
+});
+
+export const getProjectSpend = (project) => project.runs.reduce((sum, run) => sum + (run.cost || 0), 0);
+
+// Dollars left under the cap; Infinity without one
+export const getBudgetLeft = (project) => (project.budget === null
+  ? Infinity
+  : Math.max(0, project.budget - getProjectSpend(project)));
+
+export const startRun = (project, run) => ({
+  ...project,
+  runs: [...project.runs, { inputTokens: 0, outputTokens: 0, cost: 0, batches: [], ...run }]
+});
+
+const addUsage = (totals, { inputTokens, outputTokens, cost }) => ({
+  ...totals,
+  inputTokens: totals.inputTokens + inputTokens,
+  outputTokens: totals.outputTokens + outputTokens,
+  cost: totals.cost + cost
+});
+
+// Usage reported by the API for one request of a run; requests of the same batch add up
+export const addRunUsage = (project, runId, usage) => ({
+  ...project,
+  runs: project.runs.map(run => {
+    if (run.id !== runId) return run;
+    let batches = run.batches;
+    if (usage.batch !== undefined && usage.batch !== null) {
+      batches = batches.some(entry => entry.batch === usage.batch)
+        ? batches.map(entry => (entry.batch === usage.batch ? addUsage(entry, usage) : entry))
+        : [...batches, addUsage({ batch: usage.batch, inputTokens: 0, outputTokens: 0, cost: 0 }, usage)];
+    }
+    return { ...addUsage(run, usage), batches };
+  })
+});
@@ -0,0 +1,67 @@
+import {
+  calculateCost,
+  formatCost,
+  createProjectCosts,
+  readProjectCosts,
+  getProjectSpend,
+  getBudgetLeft,
+  startRun,
+  addRunUsage
+} from './costs';
+
+const MODEL = { pricing: { input: '$0.0025', output: '$0.01', unit: 'per 1K tokens' } };
+
+describe('prices', () => {
+  test('costs the tokens at the registry prices', () => {
+    expect(calculateCost(MODEL, { inputTokens: 2000, outputTokens: 500 })).toBeCloseTo(0.01);
+    expect(calculateCost(MODEL, { inputTokens: 1000 })).toBeCloseTo(0.0025);
+    expect(calculateCost({}, { inputTokens: 1000, outputTokens: 1000 })).toBe(0);
+    expect(calculateCost({ pricing: { input: 'free', output: null } }, { inputTokens: 1000, outputTokens: 1000 })).toBe(0);
+  });
+
+  test('formats small amounts with enough digits to compare', () => {
+    expect(formatCost(0)).toBe('$0');
+    expect(formatCost(null)).toBe('$0');
+    expect(formatCost(0.00004)).toBe('<$0.0001');
+    expect(formatCost(0.00425)).toBe('$0.0043');
+    expect(formatCost(0.1234)).toBe('$0.123');
+    expect(formatCost(12.345)).toBe('$12.35');
+  });
+});
+
+describe('project ledger', () => {
+  test('reads saved ledgers, replacing malformed parts', () => {
+    expect(readProjectCosts(undefined)).toEqual(createProjectCosts());
+    expect(readProjectCosts({ budget: -1, runs: 'x' })).toEqual({ budget: null, runs: [] });
+    expect(readProjectCosts({ budget: '5', runs: [] }).budget).toBe(null);
+    expect(readProjectCosts({ budget: 0, runs: [{ id: 'a', cost: 1 }] })).toEqual({ budget: 0, runs: [{ id: 'a', cost: 1 }] });
+  });
+
+  test('adds up usage per run and per batch', () => {
+    let project = startRun(createProjectCosts(), { id: 'run-1', task: 'translation', label: 'Translate to EN', estimatedCost: 0.02 });
+    project = startRun(project, { id: 'run-2', task: 'analysis', label: 'Analyze' });
+
+    project = addRunUsage(project, 'run-1', { batch: 1, inputTokens: 100, outputTokens: 50, cost: 0.01 });
+    // A retry of batch 1 adds to it
+    project = addRunUsage(project, 'run-1', { batch: 1, inputTokens: 20, outputTokens: 10, cost: 0.002 });
+    project = addRunUsage(project, 'run-1', { batch: 2, inputTokens: 80, outputTokens: 40, cost: 0.008 });
+    project = addRunUsage(project, 'run-2', { inputTokens: 30, outputTokens: 20, cost: 0.001 });
+
+    const [translation, analysis] = project.runs;
+    expect(translation).toMatchObject({ id: 'run-1', estimatedCost: 0.02, inputTokens: 200, outputTokens: 100 });
+    expect(translation.cost).toBeCloseTo(0.02);
+    expect(translation.batches).toEqual([
+      { batch: 1, inputTokens: 120, outputTokens: 60, cost: expect.closeTo(0.012) },
+      { batch: 2, inputTokens: 80, outputTokens: 40, cost: 0.008 }
+    ]);
+    expect(analysis).toMatchObject({ inputTokens: 30, outputTokens: 20, cost: 0.001, batches: [] });
+    expect(getProjectSpend(project)).toBeCloseTo(0.021);
+  });
+
+  test('budget left never goes below zero; no cap leaves Infinity', () => {
+    const project = startRun(createProjectCosts(), { id: 'run-1', cost: 0.5 });
+    expect(getBudgetLeft(project)).toBe(Infinity);
+    expect(getBudgetLeft({ ...project, budget: 2 })).toBeCloseTo(1.5);
+    expect(getBudgetLeft({ ...project, budget: 0.25 })).toBe(0);
+  });
+});
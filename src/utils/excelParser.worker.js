@@ -0,0 +1,14 @@
+/* eslint-disable no-restricted-globals */
+// Web Worker: parses and cleans workbooks so large files don't freeze the UI
+import { parseWorkbookBuffer } from './excelParserCore';
+
+self.onmessage = ({ data: { buffer, fileName } }) => {
+  try {
+    const result = parseWorkbookBuffer(buffer, fileName, (progress) => {
+      self.postMessage({ type: 'progress', progress });
+    });
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', error: error.message });
+  }
+};
@@ -0,0 +1,234 @@
+// Excel parsing core shared by the parser Web Worker and the main-thread fallback
+// Must not touch the DOM or FileReader so it can run inside a worker
+import * as XLSX from 'xlsx';
+import { prepareSheetSchema } from './columnSchema';
+import {
+  IMPORT_FORMATS,
+  detectImportFormat,
+  detectTextFormat,
+  sheetNameFromFile,
+  readDelimitedBuffer,
+  readJsonBuffer,
+  decodeText
+} from './textImporters';
+import { parseMoodleXml } from './moodleXml';
+import { parseQuizText } from './quizText';
+import { decodeHTMLEntities } from './htmlEntities';
+import { htmlToPlainText, normalizePlainText } from './richText';
+import { detectLanguage } from './languageDetection';
+
+// Rows processed between progress reports
+const PROGRESS_CHUNK_SIZE = 500;
+
+// Optimized cell processing
+export const processCell = (cellValue, rowIndex, colIndex) => {
+  if (cellValue === null || cellValue === undefined || cellValue === '') {
+    return {
+      original: '',
+      cleaned: '',
+      hasHtml: false,
+      hasEntities: false,
+      isEmpty: true
+    };
+  }
+
+  const original = String(cellValue);
+  const hasHtml = /<[^>]*>/.test(original);
+  const hasEntities = /&[a-zA-Z0-9#]+;/.test(original);
+  
+  // Readable plain text: markup becomes line breaks, bullets and ^/_ notation
+  let cleaned;
+  if (hasHtml) {
+    cleaned = htmlToPlainText(original);
+  } else {
+    cleaned = normalizePlainText(hasEntities ? decodeHTMLEntities(original) : original);
+  }
+
+  return {
+    original,
+    cleaned,
+    hasHtml,
+    hasEntities,
+    isEmpty: !cleaned || cleaned.trim() === '',
+    // Detected language of the text, { code, confidence } or null
+    language: detectLanguage(cleaned)
+  };
+};
+
+// Build one sheet entry from raw rows (sheet_to_json output or parsed text rows)
+// hasHeader marks the first row as a known header (e.g. JSON object keys)
+const buildSheet = (sheetName, jsonData, fileName, onRowsProcessed, hasHeader = false) => {
+  // Filter out completely empty rows
+  const filteredData = jsonData.filter(row => 
+    row.some(cell => cell !== '' && cell !== null && cell !== undefined)
+  );
+
+  // Find columns that have any meaningful data
+  const totalColumns = filteredData.reduce((max, row) => Math.max(max, row.length), 0);
+  const columnsWithData = [];
+  
+  for (let colIndex = 0; colIndex < totalColumns; colIndex++) {
+    let hasData = false;
+    
+    // Check if this column has any non-empty data across all rows
+    for (let rowIndex = 0; rowIndex < filteredData.length; rowIndex++) {
+      const cell = filteredData[rowIndex]?.[colIndex];
+      if (cell !== '' && cell !== null && cell !== undefined && String(cell).trim() !== '') {
+        hasData = true;
+        break;
+      }
+    }
+    
+    if (hasData) {
+      columnsWithData.push(colIndex);
+    }
+  }
+  
+  console.log(`📊 Sheet "${sheetName}": Found ${columnsWithData.length} columns with data out of ${totalColumns} total columns`);
+
+  // Process data in chunks, reporting progress after each chunk, only including columns with data
+  const processedData = [];
+  
+  for (let i = 0; i < filteredData.length; i += PROGRESS_CHUNK_SIZE) {
+    const chunk = filteredData.slice(i, i + PROGRESS_CHUNK_SIZE);
+    const processedChunk = chunk.map((row, rowIndex) => 
+      columnsWithData.map((colIndex) => 
+        processCell(row[colIndex], i + rowIndex, colIndex)
+      )
+    );
+    processedData.push(...processedChunk);
+    if (onRowsProcessed) onRowsProcessed(chunk.length);
+  }
+
+  // Detect the header row and map columns to roles
+  const sheet = prepareSheetSchema({ name: sheetName, data: processedData }, hasHeader ? 0 : undefined);
+
+  return {
+    ...sheet,
+    metadata: {
+      fileName,
+      totalRows: sheet.data.length,
+      totalColumns: processedData[0]?.length || 0,
+      originalColumns: totalColumns,
+      visibleColumns: columnsWithData,
+      filteredColumns: totalColumns - columnsWithData.length,
+      headerRowIndex: sheet.headerRow ? sheet.preamble.length : -1,
+      sourceRows: filteredData.length,
+      sheetName,
+      processedAt: new Date().toISOString()
+    }
+  };
+};
+
+// Import format from the extension, and from the content for .txt files
+const resolveImportFormat = (buffer, fileName) => {
+  const format = detectImportFormat(fileName);
+  return format === IMPORT_FORMATS.TEXT ? detectTextFormat(decodeText(buffer).text) : format;
+};
+
+// Read raw rows for every sheet, dispatching on the file format
+const readRawSheets = (buffer, fileName) => {
+  const format = resolveImportFormat(buffer, fileName);
+
+  if (format === IMPORT_FORMATS.CSV || format === IMPORT_FORMATS.TSV) {
+    const { rows, encoding, delimiter } = readDelimitedBuffer(buffer, format);
+    return {
+      format,
+      details: { encoding, delimiter },
+      rawSheets: [{ sheetName: sheetNameFromFile(fileName), jsonData: rows }]
+    };
+  }
+
+  if (format === IMPORT_FORMATS.JSON) {
+    const { sheets, encoding } = readJsonBuffer(buffer, fileName);
+    return {
+      format,
+      details: { encoding },
+      rawSheets: sheets.map(sheet => ({ sheetName: sheet.sheetName, jsonData: sheet.rows, hasHeader: sheet.hasHeader }))
+    };
+  }
+
+  if (format === IMPORT_FORMATS.MOODLE_XML) {
+    const { text, encoding } = decodeText(buffer);
+    const { sheets, skipped } = parseMoodleXml(text, sheetNameFromFile(fileName));
+    return {
+      format,
+      details: { encoding },
+      skipped,
+      rawSheets: sheets.map(sheet => ({ sheetName: sheet.sheetName, jsonData: sheet.rows, hasHeader: sheet.hasHeader }))
+    };
+  }
+
+  if (format === IMPORT_FORMATS.QUIZ_TEXT) {
+    const { text, encoding } = decodeText(buffer);
+    const { format: quizFormat, sheets, skipped } = parseQuizText(text, sheetNameFromFile(fileName));
+    return {
+      format,
+      details: { encoding, quizFormat },
+      skipped,
+      rawSheets: sheets.map(sheet => ({ sheetName: sheet.sheetName, jsonData: sheet.rows, hasHeader: sheet.hasHeader }))
+    };
+  }
+
+  const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array' });
+
+  // Convert every worksheet first so the total row count is known up front
+  return {
+    format,
+    details: {},
+    rawSheets: workbook.SheetNames.map(sheetName => ({
+      sheetName,
+      jsonData: XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+        header: 1, // Use array format for better performance
+        defval: '', // Default value for empty cells
+        raw: false // Process all values as strings
+      })
+    }))
+  };
+};
+
+// Parse a workbook, CSV/TSV, JSON or quiz-bank file from an ArrayBuffer
+// onProgress receives { phase, rowsProcessed, totalRows } as rows are cleaned
+export const parseWorkbookBuffer = (buffer, fileName, onProgress = null) => {
+  const report = (progress) => {
+    if (onProgress) onProgress(progress);
+  };
+
+  report({ phase: 'reading', rowsProcessed: 0, totalRows: 0 });
+  const { format, details, rawSheets, skipped = [] } = readRawSheets(buffer, fileName);
+
+  if (rawSheets.length === 0) {
+    throw new Error('File contains no sheets');
+  }
+
+  const totalRows = rawSheets.reduce((sum, sheet) => sum + sheet.jsonData.length, 0);
+  let rowsProcessed = 0;
+  report({ phase: 'processing', rowsProcessed, totalRows });
+
+  // Parse every worksheet so multi-sheet workbooks keep all their tabs
+  const sheets = rawSheets.map(({ sheetName, jsonData, hasHeader }) => {
+    const sheet = buildSheet(sheetName, jsonData, fileName, (count) => {
+      rowsProcessed += count;
+      report({ phase: 'processing', rowsProcessed, totalRows });
+    }, hasHeader);
+    sheet.metadata = { ...sheet.metadata, format, ...details };
+    // Rows dropped as empty still count towards the total
+    rowsProcessed += jsonData.length - sheet.metadata.sourceRows;
+    return sheet;
+  });
+
+  report({ phase: 'done', rowsProcessed: totalRows, totalRows });
+
+  return {
+    // First sheet stays at the top level for callers that only need one
+    data: sheets[0].data,
+    metadata: {
+      ...sheets[0].metadata,
+      sheetNames: rawSheets.map(sheet => sheet.sheetName),
+      sheetCount: sheets.length,
+      // Quiz-bank entries that could not become rows (e.g. unsupported question types)
+      skippedItems: skipped
+    },
+    sheets
+  };
+};
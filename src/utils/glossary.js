@@ -0,0 +1,110 @@
+// Client for the glossary kept by the server (glossary.js), term matching and CSV import/export
+// Terms are { id, source, target, sourceLanguage, targetLanguage, note }.
+import { API_ENDPOINTS } from './constants';
+import { readDelimitedBuffer, IMPORT_FORMATS } from './textImporters';
+import { UNDETERMINED_LANGUAGE } from './translationMemory';
+
+const request = async (url, options = {}) => {
+  const response = await fetch(url, options);
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || `Glossary request failed (${response.status})`);
+  }
+  return result;
+};
+
+// Terms of a language pair, sorted by source; an undetermined source language gives every term
+// into the target language. Resolves to { terms }.
+export const loadGlossary = async ({ sourceLanguage, targetLanguage } = {}) => {
+  const params = new URLSearchParams();
+  if (sourceLanguage && sourceLanguage !== UNDETERMINED_LANGUAGE) params.set('sourceLanguage', sourceLanguage);
+  if (targetLanguage) params.set('targetLanguage', targetLanguage);
+  const query = params.toString();
+  const { terms } = await request(query ? `${API_ENDPOINTS.GLOSSARY}?${query}` : API_ENDPOINTS.GLOSSARY);
+  return { terms };
+};
+
+// Add terms or update their translations; resolves to { saved, skipped }
+export const saveGlossaryTerms = async (terms) => {
+  const { saved, skipped } = await request(API_ENDPOINTS.GLOSSARY, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ terms })
+  });
+  return { saved, skipped };
+};
+
+export const deleteGlossaryTerm = (id) => request(`${API_ENDPOINTS.GLOSSARY}/${encodeURIComponent(id)}`, { method: 'DELETE' });
+
+// Matching tolerates inflection: a word of 4+ letters matches any form that starts with its stem
+// and adds a few letters, so "массив" finds "массива" and "связный" finds "связного". The stem is
+// the word less its final vowels (and soft sign), keeping at least four letters. Shorter words
+// must match exactly. Chinese and Japanese are written without spaces, so their terms match
+// anywhere in the text.
+const MIN_INFLECTED_LENGTH = 4;
+const MAX_ENDING_LETTERS = 6;
+const FINAL_VOWELS = /[aeiouyıəöüаеёиоуыэюяьй]+$/iu;
+const FINAL_VOWEL = /[aeiouyıəöüаеёиоуыэюяьй]$/iu;
+
+const CJK_TERM = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const wordPattern = (word) => {
+  if (word.length < MIN_INFLECTED_LENGTH) return escapeRegExp(word);
+  let stem = word.replace(FINAL_VOWELS, '');
+  if (stem.length < MIN_INFLECTED_LENGTH) stem = word.length > MIN_INFLECTED_LENGTH ? word.replace(FINAL_VOWEL, '') : word;
+  return `${escapeRegExp(stem)}\\p{L}{0,${MAX_ENDING_LETTERS}}`;
+};
+
+const patternCache = new Map();
+
+// Case-insensitive pattern for a term, bounded by non-letters on both sides unless it is Chinese or Japanese
+const termPattern = (term) => {
+  if (!patternCache.has(term)) {
+    const words = term.trim().split(/\s+/);
+    patternCache.set(term, CJK_TERM.test(term)
+      ? new RegExp(words.map(escapeRegExp).join('\\s*'), 'iu')
+      : new RegExp(`(?:^|[^\\p{L}\\p{N}])${words.map(wordPattern).join('\\s+')}(?![\\p{L}\\p{N}])`, 'iu'));
+  }
+  return patternCache.get(term);
+};
+
+export const containsTerm = (text, term) => Boolean(text && term && termPattern(term).test(text));
+
+// Glossary terms whose source appears in the text
+export const findGlossaryTerms = (text, terms) => terms.filter(term => containsTerm(text, term.source));
+
+// Terms that appear in the source but whose approved translation is missing from the translation
+export const findMissingTerms = (sourceText, translatedText, terms) =>
+  findGlossaryTerms(sourceText, terms).filter(term => !containsTerm(translatedText, term.target));
+
+const csvField = (value) => (/[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+// CSV with a source,target,note header
+export const buildGlossaryCsv = (terms) => [
+  'source,target,note',
+  ...terms.map(term => [term.source, term.target, term.note || ''].map(csvField).join(','))
+].join('\r\n') + '\r\n';
+
+// Terms for a language pair from a CSV/TSV file of source, target and optional note columns;
+// a first row reading "source" is taken as the header. Resolves to { terms, skipped }.
+export const parseGlossaryFile = async (file, { sourceLanguage, targetLanguage }) => {
+  const format = /\.(tsv|tab)$/i.test(file.name) ? IMPORT_FORMATS.TSV : IMPORT_FORMATS.CSV;
+  const { rows } = readDelimitedBuffer(await file.arrayBuffer(), format);
+  const body = rows.length > 0 && (rows[0][0] || '').trim().toLowerCase() === 'source' ? rows.slice(1) : rows;
+
+  const terms = [];
+  let skipped = 0;
+  body.forEach(row => {
+    const source = (row[0] || '').trim();
+    const target = (row[1] || '').trim();
+    if (!source && !target) return;
+    if (!source || !target) {
+      skipped++;
+      return;
+    }
+    terms.push({ source, target, note: (row[2] || '').trim(), sourceLanguage, targetLanguage });
+  });
+  return { terms, skipped };
+};
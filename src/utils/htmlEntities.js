@@ -0,0 +1,48 @@
+// Shared HTML entity decoder used by the parser and the AI service
+// Worker-safe: plain string handling only
+import { NAMED_ENTITIES } from './htmlEntityTable';
+
+const ENTITY_PATTERN = /&(#[xX][0-9a-fA-F]+|#\d+|[A-Za-z][A-Za-z0-9]*);/g;
+// "&amp;" in front of another entity: text that was escaped twice ("&amp;#1050;")
+const DOUBLE_ENCODED_PATTERN = /&amp;(?=(#[xX][0-9a-fA-F]+|#\d+|[A-Za-z][A-Za-z0-9]*);)/g;
+// Escaped more than this many times is treated as intentional text
+const MAX_UNWRAP_PASSES = 3;
+
+// Numeric references in 0x80-0x9F mean Windows-1252 characters (HTML5 spec)
+const WINDOWS_1252_REMAP = {
+  0x80: 0x20AC, 0x82: 0x201A, 0x83: 0x0192, 0x84: 0x201E, 0x85: 0x2026, 0x86: 0x2020, 0x87: 0x2021,
+  0x88: 0x02C6, 0x89: 0x2030, 0x8A: 0x0160, 0x8B: 0x2039, 0x8C: 0x0152, 0x8E: 0x017D,
+  0x91: 0x2018, 0x92: 0x2019, 0x93: 0x201C, 0x94: 0x201D, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014,
+  0x98: 0x02DC, 0x99: 0x2122, 0x9A: 0x0161, 0x9B: 0x203A, 0x9C: 0x0153, 0x9E: 0x017E, 0x9F: 0x0178
+};
+
+// Code point to string; invalid values (NUL, surrogates, beyond U+10FFFF) become U+FFFD
+const fromCodePoint = (code) => {
+  if (!Number.isFinite(code) || code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) {
+    return '\uFFFD';
+  }
+  return String.fromCodePoint(WINDOWS_1252_REMAP[code] || code);
+};
+
+const decodeEntity = (match, entity) => {
+  if (entity[0] === '#') {
+    const isHex = entity[1] === 'x' || entity[1] === 'X';
+    return fromCodePoint(parseInt(entity.slice(isHex ? 2 : 1), isHex ? 16 : 10));
+  }
+  // Unknown names stay as written
+  return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, entity) ? NAMED_ENTITIES[entity] : match;
+};
+
+// Decode named (full HTML5 table) and numeric entities, including double-encoded ones
+export const decodeHTMLEntities = (text) => {
+  if (!text || typeof text !== 'string' || !text.includes('&')) return text;
+
+  let unwrapped = text;
+  for (let pass = 0; pass < MAX_UNWRAP_PASSES; pass++) {
+    const next = unwrapped.replace(DOUBLE_ENCODED_PATTERN, '&');
+    if (next === unwrapped) break;
+    unwrapped = next;
+  }
+
+  return unwrapped.replace(ENTITY_PATTERN, decodeEntity);
+};
@@ -0,0 +1,52 @@
+import { decodeHTMLEntities } from './htmlEntities';
+
+// Entity decoding corpus: excerpts from sample-excel-data.xlsx plus the entity shapes seen in our
+// Russian and math content
+const ENTITY_CORPUS = [
+  {
+    name: 'Sample question text (decimal Cyrillic with &#10; line break)',
+    input: '&#1050;&#1072;&#1082;&#1086;&#1074;&#1072;&#10;&#1074;&#1088;&#1077;&#1084;&#1077;&#1085;&#1085;&#1072;&#1103; &#1089;&#1083;&#1086;&#1078;&#1085;&#1086;&#1089;&#1090;&#1100;',
+    expected: 'Какова\nвременная сложность'
+  },
+  {
+    name: 'Sample question markup is left alone',
+    input: '<b>&#1089;&#1086;&#1088;&#1090;&#1080;&#1088;&#1086;&#1074;&#1082;&#1080; &#1087;&#1091;&#1079;&#1099;&#1088;&#1100;&#1082;&#1086;&#1084;</b>',
+    expected: '<b>сортировки пузырьком</b>'
+  },
+  { name: 'Sample variant (superscript two)', input: 'O(n&#178;)', expected: 'O(n²)' },
+  { name: 'Double-encoded sample variant', input: 'O(n&amp;#178;)', expected: 'O(n²)' },
+  { name: 'Double-encoded Cyrillic', input: '&amp;#1050;&amp;#1072;&amp;#1082;', expected: 'Как' },
+  { name: 'Triple-encoded named entity', input: '&amp;amp;mdash;', expected: '—' },
+  { name: 'Double-encoded markup', input: '&amp;lt;b&amp;gt;', expected: '<b>' },
+  { name: 'Dashes', input: 'a &mdash; b &ndash; c', expected: 'a — b – c' },
+  { name: 'Russian quotes', input: '&laquo;&#1041;&#1099;&#1089;&#1090;&#1088;&#1072;&#1103;&raquo;', expected: '«Быстрая»' },
+  { name: 'Math operators', input: '3 &times; 4 &le; 12 &ne; 13 &ge; 2 &divide; 1', expected: '3 × 4 ≤ 12 ≠ 13 ≥ 2 ÷ 1' },
+  { name: 'Math symbols', input: '&sum; &radic;x &infin; &isin; &forall; &alpha;&beta;&pi;', expected: '∑ √x ∞ ∈ ∀ αβπ' },
+  { name: 'Non-breaking space', input: 'O(n&nbsp;log&nbsp;n)', expected: 'O(n\u00A0log\u00A0n)' },
+  { name: 'Multi-character entity', input: '&NotEqualTilde;', expected: '\u2242\u0338' },
+  { name: 'Astral hex (math italic x)', input: '&#x1D465; = 1', expected: '\u{1D465} = 1' },
+  { name: 'Astral decimal (emoji)', input: '&#128512;', expected: '\u{1F600}' },
+  { name: 'Astral named (fraktur A)', input: '&Afr;', expected: '\u{1D504}' },
+  { name: 'Windows-1252 range', input: '&#150; &#8212; &#x97;', expected: '– — —' },
+  { name: 'Invalid code points', input: '&#0;&#xD800;&#x110000;', expected: '\uFFFD\uFFFD\uFFFD' },
+  { name: 'Unknown entity stays', input: '&notanentity; &amp;notanentity;', expected: '&notanentity; &notanentity;' },
+  { name: 'Bare ampersand stays', input: 'AT&T & Co', expected: 'AT&T & Co' },
+  { name: 'Escaped basics', input: '&lt;p&gt; &quot;a&quot; &apos;b&apos; &amp;', expected: '<p> "a" \'b\' &' }
+];
+
+describe('decodeHTMLEntities', () => {
+  test.each(ENTITY_CORPUS)('$name', ({ input, expected }) => {
+    expect(decodeHTMLEntities(input)).toBe(expected);
+  });
+
+  test('passes through text without entities and non-strings', () => {
+    expect(decodeHTMLEntities('plain text')).toBe('plain text');
+    expect(decodeHTMLEntities('')).toBe('');
+    expect(decodeHTMLEntities(null)).toBe(null);
+    expect(decodeHTMLEntities(42)).toBe(42);
+  });
+
+  test('unwraps at most three extra levels of escaping', () => {
+    expect(decodeHTMLEntities('&amp;amp;amp;amp;lt;')).toBe('&lt;');
+  });
+});
@@ -0,0 +1,208 @@
+// Offline language identification for cell text. The script decides Arabic, Chinese and Japanese
+// (kana); Cyrillic and Latin text is scored against letter trigram profiles built from the samples
+// below, with letters only one candidate uses (ə, ñ, ß, ҹ...) as extra evidence. Results are
+// { code, confidence } with confidence from 0 to 1, or null when the text has too few letters.
+// Azerbaijani in Cyrillic script is told apart from the Latin one as 'az-Cyrl'. Every code it returns
+// is in the language registry (languages.js).
+import { getLanguageDirection } from './languages';
+
+// Cells detected with at least this confidence count as written in that language. One-line
+// questions score from about 0.65 ("What is a byte?"), lone terms and mixed-script text under 0.55
+export const CONFIDENT_DETECTION = 0.6;
+
+const MIN_LETTERS = 3;
+// Letters needed before a trigram result gets its full confidence
+const FULL_CONFIDENCE_LETTERS = 15;
+const SMOOTHING = 0.5;
+const MARKER_WEIGHT = 4;
+
+// Sample text per language, the same classroom sentences in each so the profiles differ by language only
+const SAMPLES = {
+  latin: {
+    en: 'The question asks which answer is correct. Choose the best option from the list below and explain why the other options are wrong. Students should read the text carefully before they answer. What is the main idea of this paragraph? The teacher will check all the answers at the end of the lesson. Which of the following statements about the water cycle is true? An array is a data structure that stores elements of the same type. This is one of the most important topics in the course, and it will be on the final exam. Describe the memory and the processor of the computer.',
+    tr: 'Soru hangi cevabın doğru olduğunu soruyor. Aşağıdaki listeden en iyi seçeneği seçin ve diğer seçeneklerin neden yanlış olduğunu açıklayın. Öğrenciler cevap vermeden önce metni dikkatlice okumalıdır. Bu paragrafın ana fikri nedir? Öğretmen dersin sonunda bütün cevapları kontrol edecek. Su döngüsü hakkında aşağıdaki ifadelerden hangisi doğrudur? Dizi, aynı türdeki elemanları saklayan bir veri yapısıdır. Bu konu dersin en önemli konularından biridir ve final sınavında olacaktır. Bilgisayarın belleğini ve işlemcisini anlatın.',
+    az: 'Sual hansı cavabın düzgün olduğunu soruşur. Aşağıdakı siyahıdan ən yaxşı variantı seçin və digər variantların niyə səhv olduğunu izah edin. Şagirdlər cavab verməzdən əvvəl mətni diqqətlə oxumalıdırlar. Bu abzasın əsas fikri nədir? Müəllim dərsin sonunda bütün cavabları yoxlayacaq. Suyun dövranı haqqında aşağıdakı fikirlərdən hansı doğrudur? Massiv eyni tipli elementləri saxlayan verilənlər strukturudur. Bu mövzu kursun ən vacib mövzularından biridir və yekun imtahanda olacaq. Kompüterin yaddaşı və prosessoru haqqında məlumat verin.',
+    de: 'Die Frage lautet, welche Antwort richtig ist. Wählen Sie die beste Option aus der folgenden Liste und erklären Sie, warum die anderen Optionen falsch sind. Die Schüler sollten den Text sorgfältig lesen, bevor sie antworten. Was ist die Hauptidee dieses Absatzes? Der Lehrer wird am Ende der Stunde alle Antworten überprüfen. Welche der folgenden Aussagen über den Wasserkreislauf ist richtig? Ein Array ist eine Datenstruktur, die Elemente desselben Typs speichert. Das ist eines der wichtigsten Themen des Kurses und es wird in der Abschlussprüfung vorkommen. Beschreiben Sie den Speicher und den Prozessor des Computers.',
+    fr: 'La question demande quelle réponse est correcte. Choisissez la meilleure option dans la liste ci-dessous et expliquez pourquoi les autres options sont fausses. Les élèves doivent lire le texte attentivement avant de répondre. Quelle est l\'idée principale de ce paragraphe ? Le professeur vérifiera toutes les réponses à la fin de la leçon. Laquelle des affirmations suivantes sur le cycle de l\'eau est vraie ? Un tableau est une structure de données qui stocke des éléments du même type. C\'est l\'un des sujets les plus importants du cours et il sera à l\'examen final. Décrivez la mémoire et le processeur de l\'ordinateur.',
+    es: 'La pregunta pide cuál es la respuesta correcta. Elija la mejor opción de la lista de abajo y explique por qué las otras opciones son incorrectas. Los estudiantes deben leer el texto con atención antes de responder. ¿Cuál es la idea principal de este párrafo? El profesor revisará todas las respuestas al final de la clase. ¿Cuál de las siguientes afirmaciones sobre el ciclo del agua es verdadera? Un arreglo es una estructura de datos que almacena elementos del mismo tipo. Este es uno de los temas más importantes del curso y estará en el examen final. Describa la memoria y el procesador de la computadora.'
+  },
+  cyrillic: {
+    ru: 'Вопрос спрашивает, какой ответ правильный. Выберите лучший вариант из списка ниже и объясните, почему другие варианты неверны. Ученики должны внимательно прочитать текст, прежде чем отвечать. Какова основная мысль этого абзаца? Учитель проверит все ответы в конце урока. Какое из следующих утверждений о круговороте воды верно? Массив — это структура данных, которая хранит элементы одного типа. Это одна из самых важных тем курса, и она будет на итоговом экзамене. Расскажите о памяти и процессоре компьютера.',
+    'az-Cyrl': 'Суал һансы ҹавабын дүзҝүн олдуғуну сорушур. Ашағыдакы сијаһыдан ән јахшы варианты сечин вә диҝәр вариантларын нијә сәһв олдуғуну изаһ един. Шаҝирдләр ҹаваб вермәздән әввәл мәтни диггәтлә охумалыдырлар. Бу абзасын әсас фикри нәдир? Мүәллим дәрсин сонунда бүтүн ҹаваблары јохлајаҹаг. Сујун дөвраны һаггында ашағыдакы фикирләрдән һансы доғрудур? Массив ејни типли елементләри сахлајан вериләнләр структурудур. Бу мөвзу курсун ән ваҹиб мөвзуларындан биридир вә јекун имтаһанда олаҹаг. Компүтерин јаддашы вә просессору һаггында мәлумат верин.'
+  }
+};
+
+// Letters that only one candidate of the script uses
+const MARKERS = {
+  az: /[əƏ]/gu,
+  de: /[ßäÄ]/gu,
+  fr: /[œŒêÊèÈùÙâÂîÎ]/gu,
+  es: /[ñÑ¿¡]/gu,
+  ru: /[щЩъЪэЭёЁ]/gu,
+  'az-Cyrl': /[әӘғҒҹҸјЈһҺөӨүҮҝҜ]/gu
+};
+
+const SCRIPT_PATTERNS = {
+  latin: /\p{Script=Latin}/u,
+  cyrillic: /\p{Script=Cyrillic}/u,
+  arabic: /\p{Script=Arabic}/u,
+  han: /\p{Script=Han}/u,
+  kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/u
+};
+
+// Letter trigrams of the text, words padded with spaces so word starts and ends count
+const trigrams = (text) => {
+  const result = [];
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  words.forEach(word => {
+    const padded = ` ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) result.push(padded.slice(i, i + 3));
+  });
+  return result;
+};
+
+const buildProfile = (sample) => {
+  const counts = new Map();
+  const grams = trigrams(sample);
+  grams.forEach(gram => counts.set(gram, (counts.get(gram) || 0) + 1));
+  return { counts, total: grams.length };
+};
+
+// Profiles are built on first use
+let profiles = null;
+const getProfiles = () => {
+  if (!profiles) {
+    profiles = {};
+    Object.entries(SAMPLES).forEach(([script, samples]) => {
+      profiles[script] = Object.entries(samples).map(([code, sample]) => ({ code, ...buildProfile(sample) }));
+    });
+  }
+  return profiles;
+};
+
+const countScripts = (text) => {
+  const counts = { latin: 0, cyrillic: 0, arabic: 0, han: 0, kana: 0, other: 0, letters: 0 };
+  for (const char of text) {
+    if (!/\p{L}/u.test(char)) continue;
+    counts.letters++;
+    const script = Object.keys(SCRIPT_PATTERNS).find(name => SCRIPT_PATTERNS[name].test(char));
+    counts[script || 'other']++;
+  }
+  return counts;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Pick among the candidates of one script: log likelihood of the trigrams plus the marker letters,
+// turned into a share of the total so close calls get low confidence
+const scoreCandidates = (text, candidates, letters) => {
+  const grams = trigrams(text);
+  const scores = candidates.map(({ code, counts, total }) => {
+    const vocabulary = counts.size + 1;
+    let score = 0;
+    grams.forEach(gram => {
+      score += Math.log(((counts.get(gram) || 0) + SMOOTHING) / (total + SMOOTHING * vocabulary));
+    });
+    const markers = MARKERS[code] ? (text.match(MARKERS[code]) || []).length : 0;
+    return { code, score: score + markers * MARKER_WEIGHT };
+  });
+
+  // Scores are averaged per trigram before comparing, which keeps long texts from looking certain
+  // on a small lead
+  const scale = Math.max(1, Math.sqrt(grams.length));
+  const best = Math.max(...scores.map(entry => entry.score));
+  const weights = scores.map(entry => ({ code: entry.code, weight: Math.exp((entry.score - best) / scale) }));
+  const sum = weights.reduce((total, entry) => total + entry.weight, 0);
+  const winner = weights.reduce((top, entry) => (entry.weight > top.weight ? entry : top));
+  return { code: winner.code, confidence: (winner.weight / sum) * Math.min(1, letters / FULL_CONFIDENCE_LETTERS) };
+};
+
+const detectionCache = new Map();
+const CACHE_LIMIT = 5000;
+
+// Language of a text as { code, confidence }, or null
+export const detectLanguage = (text) => {
+  const value = (text || '').trim();
+  if (!value) return null;
+  if (detectionCache.has(value)) return detectionCache.get(value);
+
+  const scripts = countScripts(value);
+  let result = null;
+  if (scripts.letters >= MIN_LETTERS) {
+    const share = (count) => count / scripts.letters;
+    if (scripts.kana > 0 && share(scripts.kana + scripts.han) >= 0.5) {
+      result = { code: 'ja', confidence: share(scripts.kana + scripts.han) };
+    } else if (share(scripts.han) >= 0.5) {
+      result = { code: 'zh', confidence: share(scripts.han) };
+    } else if (share(scripts.arabic) >= 0.5) {
+      result = { code: 'ar', confidence: share(scripts.arabic) };
+    } else if (scripts.cyrillic >= scripts.latin && share(scripts.cyrillic) >= 0.5) {
+      const detected = scoreCandidates(value, getProfiles().cyrillic, scripts.cyrillic);
+      result = { code: detected.code, confidence: detected.confidence * share(scripts.cyrillic) };
+    } else if (share(scripts.latin) >= 0.5) {
+      const detected = scoreCandidates(value, getProfiles().latin, scripts.latin);
+      result = { code: detected.code, confidence: detected.confidence * share(scripts.latin) };
+    }
+  }
+  if (result) result = { code: result.code, confidence: round(result.confidence) };
+
+  if (detectionCache.size >= CACHE_LIMIT) detectionCache.clear();
+  detectionCache.set(value, result);
+  return result;
+};
+
+// Whether a cell is confidently detected as written in the language
+export const isInLanguage = (cell, language) =>
+  Boolean(cell?.language) && cell.language.code === language && cell.language.confidence >= CONFIDENT_DETECTION;
+
+// Code of the language a cell is confidently detected in, or null
+export const getCellLanguage = (cell) =>
+  (cell?.language && cell.language.confidence >= CONFIDENT_DETECTION ? cell.language.code : null);
+
+// Writing direction of a cell's text, 'ltr' or 'rtl', from its detected language; fallbackLanguage
+// decides when there is none (short text, a layer translated into that language)
+export const getCellDirection = (cell, fallbackLanguage = null) =>
+  getLanguageDirection(getCellLanguage(cell) || fallbackLanguage);
+
+// Main writing direction of the sheets: 'rtl' when most data cells with a detected language are
+// right-to-left
+export const getSheetsDirection = (sheets) => {
+  let rtl = 0;
+  let detected = 0;
+  sheets.forEach(sheet => sheet.data.forEach(row => row.forEach(cell => {
+    const code = getCellLanguage(cell);
+    if (!code) return;
+    detected++;
+    if (getLanguageDirection(code) === 'rtl') rtl++;
+  })));
+  return rtl > detected / 2 ? 'rtl' : 'ltr';
+};
+
+// Cells of the sheets tagged with their detected language where they have no tag yet
+// (data saved before detection existed); returns the same sheets when nothing changed
+export const tagSheetLanguages = (sheets) => {
+  let changed = false;
+  const tagCell = (cell) => {
+    if (!cell || cell.isEmpty || 'language' in cell) return cell;
+    changed = true;
+    return { ...cell, language: detectLanguage(cell.cleaned) };
+  };
+  const tagged = sheets.map(sheet => ({ ...sheet, data: sheet.data.map(row => row.map(tagCell)) }));
+  return changed ? tagged : sheets;
+};
+
+// Detected languages of the given cells, most common first: [{ code, cells, share }] with the cells
+// no language was found for under 'und'
+export const getLanguageMix = (cells) => {
+  const counts = new Map();
+  let total = 0;
+  cells.forEach(cell => {
+    if (!cell || cell.isEmpty) return;
+    total++;
+    const code = cell.language?.code || 'und';
+    counts.set(code, (counts.get(code) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([code, count]) => ({ code, cells: count, share: total ? count / total : 0 }))
+    .sort((a, b) => b.cells - a.cells);
+};
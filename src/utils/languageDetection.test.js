@@ -0,0 +1,117 @@
+import {
+  detectLanguage,
+  isInLanguage,
+  getCellLanguage,
+  getCellDirection,
+  getSheetsDirection,
+  tagSheetLanguages,
+  getLanguageMix
+} from './languageDetection';
+
+const cell = (text, language = detectLanguage(text)) => ({ cleaned: text, original: text, isEmpty: !text, language });
+
+describe('detectLanguage', () => {
+  test.each([
+    ['en', 'Which of the following statements about sorting algorithms is true?'],
+    ['fr', 'Laquelle des affirmations suivantes sur les algorithmes de tri est vraie ?'],
+    ['de', 'Welche der folgenden Aussagen über Sortieralgorithmen ist richtig?'],
+    ['es', '¿Cuál de las siguientes afirmaciones sobre los algoritmos de ordenación es verdadera?'],
+    ['tr', 'Sıralama algoritmaları hakkında aşağıdaki ifadelerden hangisi doğrudur?'],
+    ['az', 'Çeşidləmə alqoritmləri haqqında aşağıdakı fikirlərdən hansı doğrudur?'],
+    ['ru', 'Какое из следующих утверждений об алгоритмах сортировки верно?'],
+    ['az-Cyrl', 'Чешидләмә алгоритмләри һаггында ашағыдакы фикирләрдән һансы доғрудур?']
+  ])('%s sentence', (code, text) => {
+    const result = detectLanguage(text);
+    expect(result.code).toBe(code);
+    expect(result.confidence).toBeGreaterThanOrEqual(0.9);
+  });
+
+  test('the script decides Arabic, Chinese and Japanese', () => {
+    expect(detectLanguage('ما هي عاصمة مصر؟')).toEqual({ code: 'ar', confidence: 1 });
+    expect(detectLanguage('快速排序是什么？')).toEqual({ code: 'zh', confidence: 1 });
+    expect(detectLanguage('クイックソートとは何ですか？').code).toBe('ja');
+  });
+
+  test('too few letters give no result, short words a low confidence', () => {
+    expect(detectLanguage('')).toBe(null);
+    expect(detectLanguage(null)).toBe(null);
+    expect(detectLanguage('12345')).toBe(null);
+    expect(detectLanguage('ab')).toBe(null);
+    expect(detectLanguage('CPU').confidence).toBeLessThan(0.2);
+    expect(detectLanguage('O(n log n)').confidence).toBeLessThan(0.2);
+  });
+
+  test('mixed scripts lower the confidence', () => {
+    const mixed = detectLanguage('The CPU executes instructions. Какой ответ?');
+    expect(mixed.code).toBe('en');
+    expect(mixed.confidence).toBeLessThan(0.6);
+  });
+});
+
+describe('cell helpers', () => {
+  const confident = cell('x', { code: 'ru', confidence: 0.95 });
+  const unsure = cell('x', { code: 'ru', confidence: 0.3 });
+
+  test('only confident detections count', () => {
+    expect(isInLanguage(confident, 'ru')).toBe(true);
+    expect(isInLanguage(confident, 'en')).toBe(false);
+    expect(isInLanguage(unsure, 'ru')).toBe(false);
+    expect(getCellLanguage(confident)).toBe('ru');
+    expect(getCellLanguage(unsure)).toBe(null);
+    expect(getCellLanguage(null)).toBe(null);
+  });
+
+  test.each([
+    ['en', 'Which sorting algorithm is fastest?'],
+    ['fr', 'Quel algorithme est le plus rapide ?'],
+    ['tr', 'Hangi sıralama algoritması en hızlıdır?']
+  ])('a one-line %s question counts as written in its language', (code, text) => {
+    expect(isInLanguage(cell(text), code)).toBe(true);
+    expect(getCellLanguage(cell(text))).toBe(code);
+  });
+
+  test.each(['CPU', 'O(n log n)', 'HTTP request', 'The CPU executes instructions. Какой ответ?'])(
+    '"%s" is not confidently in any language',
+    (text) => {
+      expect(getCellLanguage(cell(text))).toBe(null);
+    }
+  );
+
+  test('direction from the detected language or the fallback', () => {
+    expect(getCellDirection(cell('x', { code: 'ar', confidence: 1 }))).toBe('rtl');
+    expect(getCellDirection(confident, 'ar')).toBe('ltr');
+    expect(getCellDirection(unsure, 'ar')).toBe('rtl');
+    expect(getCellDirection(unsure)).toBe('ltr');
+  });
+
+  test('sheets are right-to-left when most detected cells are', () => {
+    const arabic = cell('x', { code: 'ar', confidence: 1 });
+    expect(getSheetsDirection([{ data: [[arabic, arabic, confident, unsure, unsure]] }])).toBe('rtl');
+    expect(getSheetsDirection([{ data: [[arabic, confident]] }])).toBe('ltr');
+  });
+});
+
+describe('sheet helpers', () => {
+  test('tags only cells without a language', () => {
+    const tagged = { cleaned: 'Kept', isEmpty: false, language: null };
+    const sheets = [{ name: 'S', data: [[{ cleaned: 'Какой ответ правильный?', isEmpty: false }, tagged, { cleaned: '', isEmpty: true }]] }];
+    const result = tagSheetLanguages(sheets);
+    expect(result[0].data[0][0].language.code).toBe('ru');
+    expect(result[0].data[0][1]).toBe(tagged);
+    expect(result[0].data[0][2]).not.toHaveProperty('language');
+    expect(tagSheetLanguages(result)).toBe(result);
+  });
+
+  test('language mix counts empty detections as und', () => {
+    const cells = [
+      cell('x', { code: 'ru', confidence: 0.9 }),
+      cell('y', { code: 'ru', confidence: 0.5 }),
+      cell('z', null),
+      cell('', null)
+    ];
+    expect(getLanguageMix(cells)).toEqual([
+      { code: 'ru', cells: 2, share: 2 / 3 },
+      { code: 'und', cells: 1, share: 1 / 3 }
+    ]);
+  });
+});
@@ -0,0 +1,82 @@
+// Language layers: translations live next to the source text instead of replacing it
+// A cell keeps its source fields ({ cleaned, original, hasHtml, hasEntities, isEmpty }) and gets one
+// layer per target language in cell.translations[code], with the same fields plus translationIssue,
+// glossaryIssue and translatedFrom, the source original it was translated from. Cells without a layer
+// for a language (IDs, codes, skipped text) read as their source.
+import { LANGUAGES } from './languages';
+import { getSheetSchema, getColumnLabel } from './columnSchema';
+
+export const SOURCE_LAYER = 'source';
+
+export const hasLayer = (cell, language) => Boolean(cell?.translations?.[language]);
+
+// The source text was edited after this layer was translated
+export const isLayerOutdated = (cell, language) => {
+  const layer = cell?.translations?.[language];
+  return Boolean(layer) && layer.translatedFrom !== undefined && layer.translatedFrom !== cell.original;
+};
+
+// The cell as seen in a language layer
+export const getLayerCell = (cell, language) => {
+  if (!cell || language === SOURCE_LAYER || !hasLayer(cell, language)) return cell;
+  return { ...cell, ...cell.translations[language] };
+};
+
+// The cell with its layer for a language replaced
+export const setLayerCell = (cell, language, layer) => ({
+  ...cell,
+  translations: { ...cell.translations, [language]: layer }
+});
+
+// Target languages with at least one translated cell, in the order of the language list
+export const getSheetLanguages = (sheets) => {
+  const found = new Set();
+  (sheets || []).forEach(sheet => sheet.data.forEach(row => row.forEach(cell => {
+    if (cell?.translations) Object.keys(cell.translations).forEach(code => found.add(code));
+  })));
+  const known = LANGUAGES.map(language => language.code).filter(code => found.has(code));
+  return [...known, ...[...found].filter(code => !known.includes(code)).sort()];
+};
+
+const mapSheetCells = (sheet, mapCell) => {
+  const mapRows = rows => rows.map(row => row.map(mapCell));
+  return {
+    ...sheet,
+    preamble: sheet.preamble ? mapRows(sheet.preamble) : sheet.preamble,
+    headerRow: sheet.headerRow ? sheet.headerRow.map(mapCell) : sheet.headerRow,
+    data: mapRows(sheet.data)
+  };
+};
+
+// Sheets as seen in one language layer, for single-language exports
+export const getLayerSheets = (sheets, language) => (language === SOURCE_LAYER
+  ? sheets
+  : sheets.map(sheet => mapSheetCells(sheet, cell => getLayerCell(cell, language))));
+
+const textCell = (text) => ({ cleaned: text, original: text, hasHtml: false, hasEntities: false, isEmpty: !text });
+
+// Bilingual sheets: every column with translations is followed by its target column, headed
+// "<column label> [<code>]". Sheets without a header row get one from the column labels.
+export const getBilingualSheets = (sheets, language) => sheets.map(sheet => {
+  const translatedColumns = new Set();
+  sheet.data.forEach(row => row.forEach((cell, index) => {
+    if (hasLayer(cell, language)) translatedColumns.add(index);
+  }));
+  if (translatedColumns.size === 0) return sheet;
+
+  const schema = getSheetSchema(sheet);
+  const columnCount = [sheet.headerRow || [], ...sheet.data].reduce((max, row) => Math.max(max, row.length), 0);
+  const headerRow = sheet.headerRow || Array.from({ length: columnCount }, (_, index) => textCell(getColumnLabel(schema, index)));
+  const expandRow = (row, targetCell) => row.flatMap((cell, index) =>
+    (translatedColumns.has(index) ? [cell, targetCell(cell, index)] : [cell]));
+
+  return {
+    ...sheet,
+    preamble: (sheet.preamble || []).map(row => expandRow(row, () => textCell(''))),
+    headerRow: expandRow(headerRow, (cell, index) => textCell(`${getColumnLabel(schema, index)} [${language}]`)),
+    data: sheet.data.map(row => expandRow(row, cell => {
+      const layerCell = getLayerCell(cell, language);
+      return layerCell ? { ...layerCell, translations: undefined } : textCell('');
+    }))
+  };
+});
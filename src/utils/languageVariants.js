@@ -0,0 +1,224 @@
+// Language variants: copies of rows in another language with the language segment of their ID rewritten
+// (inf-ru-00001 -> inf-az-00001). The sheet that receives the variant rows keeps a link per row in
+// sheet.variantLinks, { language, sourceSheet, sourceId, variantId, sourceSignature, variantSignature },
+// so edits made to either row afterwards can be flagged.
+import { COLUMN_TYPES } from './constants';
+import { LANGUAGES } from './languages';
+import { getSheetSchema, getColumnsByRole, getColumnRole, isTextRole } from './columnSchema';
+import { getLayerCell } from './languageLayers';
+
+// Where the language code sits in an ID; {lang} stands for a two or three letter code
+export const DEFAULT_ID_PATTERN = '-{lang}-';
+
+export const VARIANT_PLACEMENT = {
+  NEW_SHEET: 'sheet',
+  APPEND: 'append'
+};
+
+const LANGUAGE_TOKEN = '{lang}';
+const KNOWN_CODES = LANGUAGES.map(language => language.code);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const isLetter = (char) => Boolean(char) && /[A-Za-z]/.test(char);
+
+const cellText = (cell) => (cell?.cleaned || '').trim();
+
+export const getIdColumn = (schema) => getColumnsByRole(schema, COLUMN_TYPES.ID)[0]?.index ?? -1;
+
+// Language segment of an ID: { start, end, code } for the code itself, preferring a known language
+// when the pattern matches more than once; null when the pattern is invalid or does not match
+const findLanguageSegment = (id, pattern) => {
+  const parts = pattern.split(LANGUAGE_TOKEN);
+  if (parts.length !== 2) return null;
+  const [before, after] = parts;
+  const regex = new RegExp(`${escapeRegExp(before)}([A-Za-z]{2,3})${escapeRegExp(after)}`, 'g');
+
+  const segments = [];
+  let match;
+  while ((match = regex.exec(id)) !== null) {
+    const start = match.index + before.length;
+    const end = start + match[1].length;
+    // An empty side of the pattern must not cut a longer word
+    if ((before || !isLetter(id[start - 1])) && (after || !isLetter(id[end]))) {
+      segments.push({ start, end, code: match[1] });
+    }
+    regex.lastIndex = match.index + 1;
+  }
+  return segments.find(segment => KNOWN_CODES.includes(segment.code.toLowerCase())) || segments[0] || null;
+};
+
+// Language code in an ID, lower case, or null
+export const detectIdLanguage = (id, pattern = DEFAULT_ID_PATTERN) =>
+  findLanguageSegment(id || '', pattern)?.code.toLowerCase() || null;
+
+// The ID with its language segment replaced, keeping upper case codes upper case; null when it has none
+export const rewriteId = (id, pattern, language) => {
+  const segment = findLanguageSegment(id || '', pattern);
+  if (!segment) return null;
+  const code = segment.code === segment.code.toUpperCase() ? language.toUpperCase() : language;
+  return id.slice(0, segment.start) + code + id.slice(segment.end);
+};
+
+// Short hash of a row's text columns, to notice later edits
+const rowSignature = (row, schema) => {
+  const text = row
+    .map((cell, index) => (isTextRole(getColumnRole(schema, index)) ? cell?.original || '' : ''))
+    .join('\u0001');
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+};
+
+const withoutLayers = ({ translations, translatedFrom, ...cell }) => cell;
+
+const variantSheetName = (sheet, language) => `${sheet.name} [${language}]`;
+
+// Add the variant of the given rows to the sheets: text columns come from the language layer, the ID
+// is rewritten and every other column (answer codes included) is copied unchanged. Variant rows go to
+// a "<sheet> [<code>]" sheet or after the rows of the source sheet; a row whose variant ID is already
+// there is replaced. Returns { sheets, sheetIndex, created, updated, skippedIds }.
+export const createLanguageVariant = (sheets, { sheetIndex, rowIndices, language, idPattern = DEFAULT_ID_PATTERN, placement = VARIANT_PLACEMENT.NEW_SHEET }) => {
+  const sourceSheet = sheets[sheetIndex];
+  const schema = getSheetSchema(sourceSheet);
+  const idColumn = getIdColumn(schema);
+  if (idColumn === -1) throw new Error('Map an ID column before creating a language variant');
+
+  const variants = [];
+  const skippedIds = [];
+  rowIndices.forEach(rowIndex => {
+    const row = sourceSheet.data[rowIndex];
+    const sourceId = cellText(row?.[idColumn]);
+    const variantId = sourceId && rewriteId(sourceId, idPattern, language);
+    if (!variantId) {
+      skippedIds.push(sourceId || `row ${rowIndex + 1}`);
+      return;
+    }
+    const variantRow = row.map((cell, index) => {
+      if (!cell) return cell;
+      if (index === idColumn) return { ...withoutLayers(cell), cleaned: variantId, original: variantId, hasHtml: false, hasEntities: false };
+      if (isTextRole(getColumnRole(schema, index))) return withoutLayers(getLayerCell(cell, language));
+      return withoutLayers(cell);
+    });
+    variants.push({
+      row: variantRow,
+      link: {
+        language,
+        sourceSheet: sourceSheet.name,
+        sourceId,
+        variantId,
+        sourceSignature: rowSignature(row, schema),
+        variantSignature: rowSignature(variantRow, schema)
+      }
+    });
+  });
+
+  const newSheets = [...sheets];
+  let targetIndex = sheetIndex;
+  if (placement === VARIANT_PLACEMENT.NEW_SHEET) {
+    const name = variantSheetName(sourceSheet, language);
+    targetIndex = newSheets.findIndex(sheet => sheet.name === name);
+    if (targetIndex === -1) {
+      newSheets.push({
+        name,
+        data: [],
+        preamble: sourceSheet.preamble,
+        headerRow: sourceSheet.headerRow,
+        schema: sourceSheet.schema,
+        metadata: { ...sourceSheet.metadata, variantOf: sourceSheet.name, language },
+        variantLinks: []
+      });
+      targetIndex = newSheets.length - 1;
+    }
+  }
+
+  const target = newSheets[targetIndex];
+  const data = [...target.data];
+  const links = [...(target.variantLinks || [])];
+  const rowById = new Map(data.map((row, index) => [cellText(row[idColumn]), index]));
+  let created = 0;
+  let updated = 0;
+  variants.forEach(({ row, link }) => {
+    if (rowById.has(link.variantId)) {
+      data[rowById.get(link.variantId)] = row;
+      updated++;
+    } else {
+      rowById.set(link.variantId, data.length);
+      data.push(row);
+      created++;
+    }
+    const linkIndex = links.findIndex(existing => existing.variantId === link.variantId);
+    if (linkIndex === -1) links.push(link);
+    else links[linkIndex] = link;
+  });
+  newSheets[targetIndex] = { ...target, data, variantLinks: links };
+
+  return { sheets: newSheets, sheetIndex: targetIndex, created, updated, skippedIds };
+};
+
+// Rows of a sheet by their ID
+const indexRowsById = (sheet) => {
+  const idColumn = getIdColumn(getSheetSchema(sheet));
+  const rows = new Map();
+  if (idColumn !== -1) sheet.data.forEach((row, index) => rows.set(cellText(row[idColumn]), index));
+  return rows;
+};
+
+// Flags for linked rows edited since the variant was made: sheet index -> row index -> flags
+// ({ text, title, sheetIndex, variantId }), where sheetIndex and variantId name the link to acknowledge
+export const getVariantFlags = (sheets) => {
+  const flags = new Map();
+  if (!sheets) return flags;
+  const addFlag = (sheetIndex, rowIndex, flag) => {
+    if (!flags.has(sheetIndex)) flags.set(sheetIndex, new Map());
+    const rows = flags.get(sheetIndex);
+    rows.set(rowIndex, [...(rows.get(rowIndex) || []), flag]);
+  };
+  const rowIndexes = new Map();
+  const rowsOf = (index) => {
+    if (!rowIndexes.has(index)) rowIndexes.set(index, indexRowsById(sheets[index]));
+    return rowIndexes.get(index);
+  };
+
+  sheets.forEach((sheet, sheetIndex) => (sheet.variantLinks || []).forEach(link => {
+    const variantRow = rowsOf(sheetIndex).get(link.variantId);
+    if (variantRow === undefined) return;
+    const sourceSheetIndex = sheets.findIndex(candidate => candidate.name === link.sourceSheet);
+    const sourceRow = sourceSheetIndex === -1 ? undefined : rowsOf(sourceSheetIndex).get(link.sourceId);
+    const linkRef = { sheetIndex, variantId: link.variantId };
+
+    if (sourceRow === undefined) {
+      addFlag(sheetIndex, variantRow, { ...linkRef, text: 'Source missing', title: `Source row ${link.sourceId} is no longer in ${link.sourceSheet}` });
+      return;
+    }
+    const sourceSchema = getSheetSchema(sheets[sourceSheetIndex]);
+    if (rowSignature(sheets[sourceSheetIndex].data[sourceRow], sourceSchema) !== link.sourceSignature) {
+      addFlag(sheetIndex, variantRow, { ...linkRef, text: 'Source changed', title: `${link.sourceId} was edited after this ${link.language} variant was created. Click when reviewed.` });
+    }
+    if (rowSignature(sheet.data[variantRow], getSheetSchema(sheet)) !== link.variantSignature) {
+      addFlag(sourceSheetIndex, sourceRow, { ...linkRef, text: `${link.language.toUpperCase()} variant edited`, title: `Variant ${link.variantId} was edited after it was created. Click when reviewed.` });
+    }
+  }));
+  return flags;
+};
+
+// Mark a link as reviewed: both rows as they are now become its reference
+export const acknowledgeVariantLink = (sheets, sheetIndex, variantId) => sheets.map((sheet, index) => {
+  if (index !== sheetIndex) return sheet;
+  return {
+    ...sheet,
+    variantLinks: (sheet.variantLinks || []).map(link => {
+      if (link.variantId !== variantId) return link;
+      const sourceSheet = sheets.find(candidate => candidate.name === link.sourceSheet);
+      const sourceRow = sourceSheet && indexRowsById(sourceSheet).get(link.sourceId);
+      const variantRow = indexRowsById(sheet).get(variantId);
+      return {
+        ...link,
+        sourceSignature: sourceRow === undefined ? link.sourceSignature : rowSignature(sourceSheet.data[sourceRow], getSheetSchema(sourceSheet)),
+        variantSignature: variantRow === undefined ? link.variantSignature : rowSignature(sheet.data[variantRow], getSheetSchema(sheet))
+      };
+    })
+  };
+});
@@ -0,0 +1,155 @@
+/**
+ * @jest-environment node
+ */
+import { parseWorkbookBuffer } from './excelParserCore';
+import { setLayerCell } from './languageLayers';
+import {
+  DEFAULT_ID_PATTERN,
+  VARIANT_PLACEMENT,
+  detectIdLanguage,
+  rewriteId,
+  createLanguageVariant,
+  getVariantFlags,
+  acknowledgeVariantLink
+} from './languageVariants';
+
+const readSheets = (csv) => parseWorkbookBuffer(new TextEncoder().encode(csv).buffer, 'Informatics.csv').sheets;
+
+// Source sheet with Azerbaijani layers on the question and answer cells of every row
+const translatedSheets = () => {
+  const [sheet] = readSheets([
+    'ID,Question,Variant 1,Code 1,Variant 2,Code 2',
+    'inf-ru-00001,Что такое алгоритм?,Последовательность шагов,1,Язык программирования,0',
+    'inf-ru-00002,Что такое байт?,Восемь бит,1,Десять бит,0',
+    'no-language-id,Что такое бит?,Единица информации,1,Файл,0'
+  ].join('\n'));
+  const layer = (text) => ({ cleaned: text, original: text, hasHtml: false, hasEntities: false, isEmpty: false });
+  const data = sheet.data.map(row => row.map((cell, index) =>
+    ([1, 2, 4].includes(index) ? setLayerCell(cell, 'az', layer(`az: ${cell.cleaned}`)) : cell)));
+  return [{ ...sheet, data }];
+};
+
+const editCell = (sheets, sheetIndex, rowIndex, columnIndex, text) => sheets.map((sheet, index) => {
+  if (index !== sheetIndex) return sheet;
+  const data = sheet.data.map((row, r) => (r !== rowIndex ? row : row.map((cell, c) =>
+    (c !== columnIndex ? cell : { ...cell, cleaned: text, original: text }))));
+  return { ...sheet, data };
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('language segment of IDs', () => {
+  test('detects and rewrites the code, keeping its case', () => {
+    expect(detectIdLanguage('inf-ru-00001')).toBe('ru');
+    expect(detectIdLanguage('INF-RU-00001')).toBe('ru');
+    expect(rewriteId('inf-ru-00001', DEFAULT_ID_PATTERN, 'az')).toBe('inf-az-00001');
+    expect(rewriteId('INF-RU-00001', DEFAULT_ID_PATTERN, 'az')).toBe('INF-AZ-00001');
+  });
+
+  test('prefers a known language when the pattern matches twice', () => {
+    expect(detectIdLanguage('abc-xy-ru-01')).toBe('ru');
+    expect(rewriteId('abc-xy-ru-01', DEFAULT_ID_PATTERN, 'en')).toBe('abc-xy-en-01');
+  });
+
+  test('custom patterns do not cut longer words', () => {
+    expect(rewriteId('q_ru_12', '_{lang}_', 'en')).toBe('q_en_12');
+    expect(rewriteId('ru.question.1', '{lang}.', 'en')).toBe('en.question.1');
+    expect(detectIdLanguage('russian.question', '{lang}.')).toBe(null);
+  });
+
+  test('no segment, no rewrite', () => {
+    expect(detectIdLanguage('no-language-id')).toBe(null);
+    expect(rewriteId('12345', DEFAULT_ID_PATTERN, 'az')).toBe(null);
+    expect(rewriteId('inf-ru-1', 'no token', 'az')).toBe(null);
+    expect(detectIdLanguage(null)).toBe(null);
+  });
+});
+
+describe('createLanguageVariant', () => {
+  test('copies rows into a new sheet from the language layer with rewritten IDs', () => {
+    const sheets = translatedSheets();
+    const result = createLanguageVariant(sheets, { sheetIndex: 0, rowIndices: [0, 1, 2], language: 'az' });
+
+    expect(result).toMatchObject({ sheetIndex: 1, created: 2, updated: 0, skippedIds: ['no-language-id'] });
+    const variant = result.sheets[1];
+    expect(variant.name).toBe('Informatics [az]');
+    expect(variant.metadata).toMatchObject({ variantOf: 'Informatics', language: 'az' });
+    expect(variant.data.map(row => row.map(cell => cell.cleaned))).toEqual([
+      ['inf-az-00001', 'az: Что такое алгоритм?', 'az: Последовательность шагов', '1', 'az: Язык программирования', '0'],
+      ['inf-az-00002', 'az: Что такое байт?', 'az: Восемь бит', '1', 'az: Десять бит', '0']
+    ]);
+    expect(variant.data.flat().some(cell => cell.translations)).toBe(false);
+    expect(variant.variantLinks.map(link => [link.sourceId, link.variantId])).toEqual([
+      ['inf-ru-00001', 'inf-az-00001'],
+      ['inf-ru-00002', 'inf-az-00002']
+    ]);
+    expect(result.sheets[0]).toBe(sheets[0]);
+  });
+
+  test('replaces existing variant rows instead of duplicating them', () => {
+    const first = createLanguageVariant(translatedSheets(), { sheetIndex: 0, rowIndices: [0], language: 'az' });
+    const again = createLanguageVariant(first.sheets, { sheetIndex: 0, rowIndices: [0, 1], language: 'az' });
+    expect(again).toMatchObject({ sheetIndex: 1, created: 1, updated: 1 });
+    expect(again.sheets).toHaveLength(2);
+    expect(again.sheets[1].data).toHaveLength(2);
+    expect(again.sheets[1].variantLinks).toHaveLength(2);
+  });
+
+  test('appends to the source sheet when asked', () => {
+    const result = createLanguageVariant(translatedSheets(), {
+      sheetIndex: 0, rowIndices: [0], language: 'az', placement: VARIANT_PLACEMENT.APPEND
+    });
+    expect(result).toMatchObject({ sheetIndex: 0, created: 1 });
+    expect(result.sheets).toHaveLength(1);
+    expect(result.sheets[0].data.map(row => row[0].cleaned)).toEqual(['inf-ru-00001', 'inf-ru-00002', 'no-language-id', 'inf-az-00001']);
+  });
+
+  test('needs an ID column', () => {
+    const [sheet] = readSheets('Question,Answer\nWhat?,That');
+    expect(() => createLanguageVariant([sheet], { sheetIndex: 0, rowIndices: [0], language: 'az' }))
+      .toThrow(/Map an ID column/);
+  });
+});
+
+describe('edit flags', () => {
+  const withVariant = () => createLanguageVariant(translatedSheets(), { sheetIndex: 0, rowIndices: [0, 1], language: 'az' }).sheets;
+
+  test('no flags right after the variant is made', () => {
+    expect(getVariantFlags(withVariant()).size).toBe(0);
+    expect(getVariantFlags(null).size).toBe(0);
+  });
+
+  test('flags the variant when its source is edited, and the source when the variant is', () => {
+    let sheets = editCell(withVariant(), 0, 0, 1, 'Что такое алгоритм? (исправлено)');
+    sheets = editCell(sheets, 1, 1, 2, 'Səkkiz bit');
+    const flags = getVariantFlags(sheets);
+
+    expect(flags.get(1).get(0)).toEqual([expect.objectContaining({ text: 'Source changed', sheetIndex: 1, variantId: 'inf-az-00001' })]);
+    expect(flags.get(0).get(1)).toEqual([expect.objectContaining({ text: 'AZ variant edited', sheetIndex: 1, variantId: 'inf-az-00002' })]);
+    expect(flags.get(1).has(1)).toBe(false);
+  });
+
+  test('edits to non-text columns are not flagged', () => {
+    expect(getVariantFlags(editCell(withVariant(), 0, 0, 3, '0')).size).toBe(0);
+  });
+
+  test('flags variants whose source row is gone', () => {
+    const sheets = withVariant().map((sheet, index) => (index === 0 ? { ...sheet, data: sheet.data.slice(1) } : sheet));
+    expect(getVariantFlags(sheets).get(1).get(0)).toEqual([expect.objectContaining({ text: 'Source missing' })]);
+  });
+
+  test('acknowledging a link clears its flags only', () => {
+    let sheets = editCell(withVariant(), 0, 0, 1, 'Изменено');
+    sheets = editCell(sheets, 0, 1, 1, 'Тоже изменено');
+    sheets = acknowledgeVariantLink(sheets, 1, 'inf-az-00001');
+    const flags = getVariantFlags(sheets);
+    expect(flags.get(1).has(0)).toBe(false);
+    expect(flags.get(1).get(1)).toEqual([expect.objectContaining({ text: 'Source changed' })]);
+  });
+});
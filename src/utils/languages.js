@@ -0,0 +1,18 @@
+// Language registry: every language the app translates into, detects, shows or exports, in the
+// order the pickers list them. script is the ISO 15924 code; direction is 'ltr' or 'rtl'.
+// Azerbaijani in Cyrillic script has its own entry, 'az-Cyrl', next to the Latin 'az'.
+// The list is in languages.json, which the AI proxy reads to name the languages in its prompts.
+import LANGUAGE_LIST from './languages.json';
+
+export const LANGUAGES = LANGUAGE_LIST;
+
+const byCode = new Map(LANGUAGES.map(language => [language.code, language]));
+
+// Registry entry for a code, or null for codes it does not know ('und', typos, old saved data)
+export const getLanguage = (code) => byCode.get(code) || null;
+
+export const getLanguageName = (code) => getLanguage(code)?.name || String(code).toUpperCase();
+
+export const getLanguageDirection = (code) => getLanguage(code)?.direction || 'ltr';
+
+export const isRtlLanguage = (code) => getLanguageDirection(code) === 'rtl';
@@ -0,0 +1,88 @@
+// Markup-aware translation: tags are swapped for numbered placeholders before the text goes to
+// the model and put back afterwards, so formatting survives translation
+// Worker-safe: plain string handling only
+import { tokenizeHtml } from './richText';
+import { decodeHTMLEntities } from './htmlEntities';
+
+// ⟦1⟧, ⟦2⟧, ... never occur in spreadsheet text and models leave them alone
+const placeholder = (number) => `⟦${number}⟧`;
+// Tolerates spaces the model may add inside the brackets ("⟦ 1 ⟧")
+const PLACEHOLDER_PATTERN = /⟦\s*(\d+)\s*⟧/g;
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// HTML to { text, tags, prefix, suffix }: text has entities decoded, whitespace collapsed and each
+// run of adjacent tags replaced by a placeholder. Wrapper elements around the whole cell
+// (<p>...</p>) are kept aside as prefix/suffix so the model only sees the placeholders it has to place.
+export const protectMarkup = (html) => {
+  const parts = tokenizeHtml(html || '').map(token => (token.type === 'text'
+    ? { text: decodeHTMLEntities(token.text).replace(/\s+/g, ' ') }
+    : { tag: token.raw, type: token.type, name: token.name }));
+
+  const isBlank = (part) => part.text !== undefined && !part.text.trim();
+  let start = 0;
+  let end = parts.length;
+  for (;;) {
+    if (start < end && isBlank(parts[start])) start++;
+    else if (end > start && isBlank(parts[end - 1])) end--;
+    else if (end - start >= 2 && parts[start].type === 'open' && parts[end - 1].type === 'close' &&
+      parts[start].name === parts[end - 1].name) {
+      start++;
+      end--;
+    } else break;
+  }
+
+  const joinRaw = (slice) => slice.map(part => (part.tag !== undefined ? part.tag : escapeHtml(part.text))).join('');
+  const tags = [];
+  const text = [];
+  parts.slice(start, end).forEach((part, index, middle) => {
+    if (part.text !== undefined) {
+      text.push(part.text);
+    } else if (index > 0 && middle[index - 1].tag !== undefined) {
+      tags[tags.length - 1] += part.tag;
+    } else {
+      tags.push(part.tag);
+      text.push(placeholder(tags.length));
+    }
+  });
+
+  return { text: text.join('').trim(), tags, prefix: joinRaw(parts.slice(0, start)), suffix: joinRaw(parts.slice(end)) };
+};
+
+const countPlaceholders = (text) => {
+  const counts = new Map();
+  for (const match of String(text || '').matchAll(PLACEHOLDER_PATTERN)) {
+    const number = Number(match[1]);
+    counts.set(number, (counts.get(number) || 0) + 1);
+  }
+  return counts;
+};
+
+// Placeholders of the source text that are missing or repeated in its translation, and any the
+// translation made up; empty when it is intact. Works on whole texts and on segments of them.
+export const checkPlaceholders = (source, translated) => {
+  const expected = countPlaceholders(source);
+  const found = countPlaceholders(translated);
+
+  const problems = [];
+  expected.forEach((count, number) => {
+    const foundCount = found.get(number) || 0;
+    if (foundCount === 0) problems.push(`${placeholder(number)} missing`);
+    else if (foundCount > count) problems.push(`${placeholder(number)} repeated`);
+  });
+  found.forEach((count, number) => {
+    if (!expected.has(number)) problems.push(`${placeholder(number)} unknown`);
+  });
+  return problems;
+};
+
+// Translated placeholder text back to HTML: { html, problems }. html is null when the placeholders
+// did not survive, so the caller can flag the cell instead of writing broken markup
+export const restoreMarkup = (protectedMarkup, translated) => {
+  const problems = checkPlaceholders(protectedMarkup.text, translated);
+  if (problems.length > 0) return { html: null, problems };
+
+  const body = escapeHtml(String(translated).trim())
+    .replace(PLACEHOLDER_PATTERN, (match, number) => protectedMarkup.tags[Number(number) - 1]);
+  return { html: `${protectedMarkup.prefix}${body}${protectedMarkup.suffix}`, problems };
+};
@@ -0,0 +1,126 @@
+// Moodle XML question bank: multichoice export from sheets and import back into rows
+import { escapeXml, toCdata, parseXml, findChild, findChildren } from './xmlUtils';
+import { extractQuestions, questionsToRawSheets, categoryToSheetName, sheetToCategory } from './questionBank';
+import { isRtlLanguage } from './languages';
+
+// Moodle stores fractions as percentages with five decimals (33.33333)
+const formatFraction = (value) => String(Number(value.toFixed(5)));
+
+const htmlText = (html) => `<text>${toCdata(html)}</text>`;
+
+// Right-to-left questions carry their direction in the markup, which Moodle shows as authored
+const withDirection = (html, language) => (isRtlLanguage(language) ? `<div dir="rtl">${html}</div>` : html);
+
+// Sheets become categories so each subject keeps its own bank
+const buildCategory = (sheetName) => `  <question type="category">
+    <category>
+      <text>${escapeXml(sheetToCategory(sheetName))}</text>
+    </category>
+  </question>`;
+
+const buildQuestion = (question) => {
+  const totalWeight = question.answers.reduce((sum, answer) => sum + answer.weight, 0);
+  const correctCount = question.answers.filter(answer => answer.weight > 0).length;
+  const name = question.id || `${question.sheet} ${question.row}`;
+
+  const answers = question.answers.map(answer => {
+    const fraction = answer.weight > 0 ? (answer.weight / totalWeight) * 100 : 0;
+    return `    <answer fraction="${formatFraction(fraction)}" format="html">
+      ${htmlText(withDirection(answer.html, question.language))}
+      <feedback format="html"><text></text></feedback>
+    </answer>`;
+  }).join('\n');
+
+  return `  <question type="multichoice">
+    <name>
+      <text>${escapeXml(name)}</text>
+    </name>
+    <questiontext format="html">
+      ${htmlText(withDirection(question.text.html, question.language))}
+    </questiontext>
+    <generalfeedback format="html"><text></text></generalfeedback>
+    <defaultgrade>1</defaultgrade>
+    <penalty>0.3333333</penalty>
+    <hidden>0</hidden>
+    <idnumber>${escapeXml(question.id)}</idnumber>
+    <single>${correctCount === 1 ? 'true' : 'false'}</single>
+    <shuffleanswers>true</shuffleanswers>
+    <answernumbering>abc</answernumbering>
+${answers}
+  </question>`;
+};
+
+// Moodle XML document for every representable row, plus the rows that were skipped
+export const buildMoodleXml = (sheets) => {
+  const { questions, skipped } = extractQuestions(sheets);
+  const parts = [];
+  let currentSheet = null;
+
+  questions.forEach(question => {
+    if (question.sheet !== currentSheet) {
+      currentSheet = question.sheet;
+      parts.push(buildCategory(currentSheet));
+    }
+    parts.push(buildQuestion(question));
+  });
+
+  const content = `<?xml version="1.0" encoding="UTF-8"?>
+<quiz>
+${parts.join('\n')}
+</quiz>
+`;
+  return { content, exported: questions.length, skipped };
+};
+
+const childText = (node, name) => findChild(findChild(node, name), 'text')?.text ?? '';
+
+const readAnswers = (questionNode, type) => findChildren(questionNode, 'answer').map(answer => {
+  const fraction = parseFloat(answer.attributes.fraction || '0');
+  // True/false answers hold the literal words "true" and "false"
+  const text = findChild(answer, 'text')?.text ?? '';
+  return {
+    text: type === 'truefalse' ? text.charAt(0).toUpperCase() + text.slice(1) : text,
+    correct: fraction > 0
+  };
+});
+
+// Moodle XML text to raw sheets (one per category) of ID / Question / Variant N / Code N rows
+// Question types other than multichoice and truefalse are reported in skipped
+export const parseMoodleXml = (text, defaultSheetName = 'Questions') => {
+  const quiz = findChild(parseXml(text), 'quiz');
+  if (!quiz) throw new Error('Not a Moodle XML file: missing <quiz> element');
+
+  const questions = [];
+  const skipped = [];
+  let sheetName = defaultSheetName;
+
+  findChildren(quiz, 'question').forEach((node, index) => {
+    const type = node.attributes.type;
+
+    if (type === 'category') {
+      sheetName = categoryToSheetName(childText(node, 'category')) || defaultSheetName;
+      return;
+    }
+
+    const name = childText(node, 'name');
+    const id = findChild(node, 'idnumber')?.text.trim() || name;
+
+    if (type !== 'multichoice' && type !== 'truefalse') {
+      skipped.push({ sheet: sheetName, row: index + 1, id, reason: `Unsupported question type "${type}"` });
+      return;
+    }
+
+    questions.push({
+      sheet: sheetName,
+      id,
+      text: childText(node, 'questiontext'),
+      answers: readAnswers(node, type)
+    });
+  });
+
+  if (questions.length === 0) {
+    throw new Error('No multiple-choice questions found in Moodle XML');
+  }
+
+  return { sheets: questionsToRawSheets(questions), skipped };
+};
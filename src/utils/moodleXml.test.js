@@ -0,0 +1,104 @@
+/**
+ * @jest-environment node
+ */
+import { parseWorkbookBuffer } from './excelParserCore';
+import { buildMoodleXml, parseMoodleXml } from './moodleXml';
+import { extractQuestions } from './questionBank';
+
+const HEADER = ['ID', 'Question', 'Variant 1', 'Code 1', 'Variant 2', 'Code 2', 'Variant 3', 'Code 3'];
+
+// Sheets as the app holds them: a JSON workbook with one row array per sheet
+const readSheets = (workbook) =>
+  parseWorkbookBuffer(new TextEncoder().encode(JSON.stringify(workbook)).buffer, 'Bank.json').sheets;
+
+const reimport = (xml) => parseWorkbookBuffer(new TextEncoder().encode(xml).buffer, 'Bank.xml');
+
+const summarize = (sheets) => extractQuestions(sheets).questions.map(question => ({
+  sheet: question.sheet,
+  id: question.id,
+  text: question.text.html,
+  answers: question.answers.map(answer => [answer.html, answer.weight > 0])
+}));
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Moodle XML', () => {
+  test('round-trips sheets as categories with IDs, markup and correct answers', () => {
+    const sheets = readSheets({
+      Physics: [
+        HEADER,
+        ['ph-001', 'What is <b>force</b>?', 'm × a', '1', 'm / a', '0', 'a ]]> b', '0'],
+        ['ph-002', 'Units of "work" & energy', 'J', '1', 'N·m', '1', 'W', '0']
+      ],
+      Chemistry: [
+        HEADER,
+        ['ch-001', 'H<sub>2</sub>O is', 'water', '1', 'salt', '0', '', '']
+      ]
+    });
+
+    const { content, exported, skipped } = buildMoodleXml(sheets);
+    expect(exported).toBe(3);
+    expect(skipped).toEqual([]);
+    expect(content).toContain('<text>$course$/top/Physics</text>');
+    expect(content).toContain('<idnumber>ph-001</idnumber>');
+    expect(content).toContain('<single>false</single>');
+    expect(content).toContain('<answer fraction="50" format="html">');
+
+    const { sheets: reimported, metadata } = reimport(content);
+    expect(metadata.sheetNames).toEqual(['Physics', 'Chemistry']);
+    expect(summarize(reimported)).toEqual(summarize(sheets));
+  });
+
+  test('marks right-to-left questions with their direction', () => {
+    const sheets = readSheets({
+      Arabic: [HEADER, ['ar-001', 'ما هي عاصمة مصر؟ اختر الإجابة الصحيحة', 'القاهرة', '1', 'الإسكندرية', '0', '', '']]
+    });
+    const { content } = buildMoodleXml(sheets);
+    expect(content).toContain('<![CDATA[<div dir="rtl">ما هي عاصمة مصر؟ اختر الإجابة الصحيحة</div>]]>');
+  });
+
+  test('reports rows that are not multiple-choice questions', () => {
+    const sheets = readSheets({
+      Physics: [HEADER, ['ph-001', 'Only one answer', 'yes', '1', '', '', '', ''], ['ph-002', 'No correct one', 'a', '0', 'b', '0', '', '']]
+    });
+    const { exported, skipped } = buildMoodleXml(sheets);
+    expect(exported).toBe(0);
+    expect(skipped.map(item => item.reason)).toEqual(['Fewer than two answer variants', 'No correct answer is marked']);
+  });
+
+  test('imports true/false questions and skips unsupported types', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<quiz>
+  <question type="category"><category><text>$course$/top/Logic</text></category></question>
+  <question type="truefalse">
+    <name><text>tf-1</text></name>
+    <questiontext format="html"><text>The sky is green.</text></questiontext>
+    <answer fraction="0"><text>true</text></answer>
+    <answer fraction="100"><text>false</text></answer>
+  </question>
+  <question type="essay">
+    <name><text>essay-1</text></name>
+    <questiontext format="html"><text>Explain.</text></questiontext>
+  </question>
+</quiz>`;
+    const { sheets, skipped } = parseMoodleXml(xml);
+    expect(sheets).toEqual([{
+      sheetName: 'Logic',
+      rows: [['ID', 'Question', 'Variant 1', 'Code 1', 'Variant 2', 'Code 2'], ['tf-1', 'The sky is green.', 'True', '0', 'False', '1']],
+      hasHeader: true
+    }]);
+    expect(skipped).toEqual([{ sheet: 'Logic', row: 3, id: 'essay-1', reason: 'Unsupported question type "essay"' }]);
+  });
+
+  test('rejects files without a quiz or without usable questions', () => {
+    expect(() => parseMoodleXml('<?xml version="1.0"?><bank/>')).toThrow(/missing <quiz>/);
+    expect(() => parseMoodleXml('<quiz><question type="essay"><name><text>x</text></name></question></quiz>'))
+      .toThrow(/No multiple-choice questions/);
+  });
+});
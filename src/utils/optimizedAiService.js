@@ -1,5 +1,16 @@
 // Optimized AI Service with aggressive performance improvements
-import axios from 'axios';
+import { chatCompletion, isProviderConfigured, loadProviders, getProvider } from './aiProviders';
+import { getSheetSchema, getQuestionColumn, getAnswerPairs } from './columnSchema';
+import { decodeHTMLEntities } from './htmlEntities';
+import { htmlToPlainText, normalizePlainText } from './richText';
+import { protectMarkup, restoreMarkup, checkPlaceholders } from './markupPlaceholders';
+import { estimateTokens, splitIntoSegments, getTranslationBudget, planBatches, estimateRequestTokens, estimateBatchTokens } from './tokenBudget';
+import { createRateLimiter, runConcurrently } from './batchScheduler';
+import { lookupTranslations, saveTranslations, UNDETERMINED_LANGUAGE } from './translationMemory';
+import { loadGlossary, containsTerm, findMissingTerms } from './glossary';
+import { getLanguage } from './languages';
+import MODEL_REGISTRY from './modelRegistry.json';
+import { calculateCost } from './costs';
 
 // Enhanced caching with LRU eviction
 class LRUCache {
@@ -33,181 +44,98 @@ class LRUCache {
   }
 }
 
-// Performance-optimized caches
+// Performance-optimized caches; translations are kept in the server's translation memory
 const analysisCache = new LRUCache(500);
-const translationCache = new LRUCache(2000);
 const contentCache = new LRUCache(1000);
 
 // Translation cancellation support
 let translationCancelled = false;
 
-// OpenAI API configuration
-const OPENAI_API_KEY = process.env.REACT_APP_OPENAI_API_KEY;
-const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
-
-// Optimized models configuration
-const OPTIMIZED_MODELS = {
-  TRANSLATION: {
-    'gpt-3.5-turbo-16k': {
-      name: 'GPT-3.5 Turbo 16K',
-      description: 'Good balance of speed and cost',
-      maxTokens: 5000,
-      cost: 'medium',
-      structuredOutput: false,
-      contextWindow: 16384,
-      batchSize: 100,
-      pricing: {
-        input: '$0.0003',
-        output: '$0.0006',
-        unit: 'per 1K tokens'
-      }
-    },
-    'gpt-4o': {
-      name: 'GPT-4o',
-      description: 'Best quality with optimized performance',
-      maxTokens: 8000,
-      cost: 'high',
-      structuredOutput: true,
-      contextWindow: 128000,
-      batchSize: 100,
-      pricing: {
-        input: '$0.0025',
-        output: '$0.01',
-        unit: 'per 1K tokens'
-      }
-    },
-    'gpt-5-mini': {
-      name: 'GPT-5 Mini',
-      description: 'Lightweight and efficient for quick translations',
-      maxTokens: 6000,
-      cost: 'low',
-      structuredOutput: true,
-      contextWindow: 128000,
-      batchSize: 100,
-      pricing: {
-        input: '$0.00015',
-        output: '$0.0006',
-        unit: 'per 1K tokens'
-      }
-    },
-    'gpt-5': {
-      name: 'GPT-5',
-      description: 'Next-generation model with superior translation accuracy',
-      maxTokens: 10000,
-      cost: 'high',
-      structuredOutput: true,
-      contextWindow: 200000,
-      batchSize: 100,
-      pricing: {
-        input: '$0.005',
-        output: '$0.015',
-        unit: 'per 1K tokens'
-      }
-    },
-    'gpt-5-nano': {
-      name: 'GPT-5 Nano',
-      description: 'Ultra-fast model for basic translation tasks',
-      maxTokens: 4000,
-      cost: 'low',
-      structuredOutput: false,
-      contextWindow: 32000,
-      batchSize: 100,
-      pricing: {
-        input: '$0.0001',
-        output: '$0.0003',
-        unit: 'per 1K tokens'
-      }
-    }
-  },
-  ANALYSIS: {
-    'gpt-4o': {
-      name: 'GPT-4o',
-      description: 'Best analysis quality with comprehensive insights',
-      maxTokens: 800,
-      cost: 'high',
-      structuredOutput: true,
-      pricing: {
-        input: '$0.0025',
-        output: '$0.01',
-        unit: 'per 1K tokens'
-      }
-    },
-    'gpt-3.5-turbo': {
-      name: 'GPT-3.5 Turbo',
-      description: 'Fast and efficient analysis',
-      maxTokens: 400,
-      cost: 'low',
-      structuredOutput: false,
-      pricing: {
-        input: '$0.0005',
-        output: '$0.0015',
-        unit: 'per 1K tokens'
-      }
-    }
-  }
-};
+// Optimized models configuration, per provider (see aiProviders for the adapters), in
+// modelRegistry.json so the AI proxy allows the same models. Limits and prices are defaults for
+// entry-level API tiers; local models have no per-minute limits
+const OPTIMIZED_MODELS = JSON.parse(JSON.stringify(MODEL_REGISTRY));
+
+// A model served by the OpenAI-compatible server can be named in the environment
+const COMPATIBLE_MODEL = process.env.REACT_APP_OPENAI_COMPATIBLE_MODEL;
+if (COMPATIBLE_MODEL && !OPTIMIZED_MODELS.compatible.TRANSLATION[COMPATIBLE_MODEL]) {
+  const base = OPTIMIZED_MODELS.compatible.TRANSLATION['llama3.1:8b'];
+  OPTIMIZED_MODELS.compatible.TRANSLATION[COMPATIBLE_MODEL] = { ...base, name: `${COMPATIBLE_MODEL} (local)`, description: 'Model configured for your OpenAI-compatible server' };
+  OPTIMIZED_MODELS.compatible.ANALYSIS[COMPATIBLE_MODEL] = { ...OPTIMIZED_MODELS.compatible.ANALYSIS['llama3.1:8b'], name: `${COMPATIBLE_MODEL} (local)` };
+}
 
-// Default optimized model selection
-let DEFAULT_TRANSLATION_MODEL = 'gpt-5-mini';
-let DEFAULT_ANALYSIS_MODEL = 'gpt-4o';
+// Default optimized model selection: { provider, model }
+let DEFAULT_TRANSLATION_MODEL = { provider: 'openai', model: 'gpt-5-mini' };
+let DEFAULT_ANALYSIS_MODEL = { provider: 'openai', model: 'gpt-4o' };
+// Translation batches sent at the same time; the model's per-minute limits still apply
+let TRANSLATION_CONCURRENCY = 4;
+const MAX_TRANSLATION_CONCURRENCY = 16;
 
 // Export model information
 export const getAvailableModels = () => OPTIMIZED_MODELS;
+// Providers with whether the AI proxy has keys for them; refresh asks the proxy again
+export const getProviders = (refresh = false) => loadProviders(refresh);
 export const getCurrentModels = () => ({
-  translation: DEFAULT_TRANSLATION_MODEL,
-  analysis: DEFAULT_ANALYSIS_MODEL
+  translation: { ...DEFAULT_TRANSLATION_MODEL },
+  analysis: { ...DEFAULT_ANALYSIS_MODEL }
 });
 
-export const setModel = (task, modelId) => {
-  if (task === 'translation' && OPTIMIZED_MODELS.TRANSLATION[modelId]) {
-    DEFAULT_TRANSLATION_MODEL = modelId;
-    console.log(`🔄 Translation model changed to: ${OPTIMIZED_MODELS.TRANSLATION[modelId].name}`);
-  } else if (task === 'analysis' && OPTIMIZED_MODELS.ANALYSIS[modelId]) {
-    DEFAULT_ANALYSIS_MODEL = modelId;
-    console.log(`🔄 Analysis model changed to: ${OPTIMIZED_MODELS.ANALYSIS[modelId].name}`);
+const getModelConfig = (selection, task) => OPTIMIZED_MODELS[selection.provider][task][selection.model];
+
+export const setModel = (task, providerId, modelId) => {
+  const registry = OPTIMIZED_MODELS[providerId];
+  if (task === 'translation' && registry?.TRANSLATION[modelId]) {
+    DEFAULT_TRANSLATION_MODEL = { provider: providerId, model: modelId };
+    console.log(`🔄 Translation model changed to: ${registry.TRANSLATION[modelId].name}`);
+  } else if (task === 'analysis' && registry?.ANALYSIS[modelId]) {
+    DEFAULT_ANALYSIS_MODEL = { provider: providerId, model: modelId };
+    console.log(`🔄 Analysis model changed to: ${registry.ANALYSIS[modelId].name}`);
   }
 };
 
+export const getTranslationConcurrency = () => TRANSLATION_CONCURRENCY;
+export const setTranslationConcurrency = (value) => {
+  const concurrency = Math.round(Number(value));
+  if (!Number.isFinite(concurrency)) return;
+  TRANSLATION_CONCURRENCY = Math.min(MAX_TRANSLATION_CONCURRENCY, Math.max(1, concurrency));
+  console.log(`🔄 Translation concurrency changed to: ${TRANSLATION_CONCURRENCY}`);
+};
+
+// Tokens of the fixed prompt text around the content of a request
+const ANALYSIS_PROMPT_TOKENS = 100;
+const TRANSLATION_PROMPT_TOKENS = 300;
+
 // Optimized content cleaning with caching
 const cleanContentForTranslation = (content) => {
   if (!content || typeof content !== 'string') return '';
   
-  // Check cache first
-  const cacheKey = `clean_${content.length}_${content.slice(0, 20)}`;
+  // Check cache first; keyed by the whole text since the result is written back as the translation source
+  const cacheKey = `clean_${content}`;
   const cached = contentCache.get(cacheKey);
   if (cached) return cached;
   
-  const cleaned = content
-    .replace(/&#\d+;/g, (match) => {
-      try {
-        return String.fromCharCode(parseInt(match.slice(2, -1), 10));
-      } catch {
-        return match;
-      }
-    })
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&amp;/g, '&')
-    .replace(/&quot;/g, '"')
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&apos;/g, "'")
-    .replace(/<[^>]*>/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
+  // Line breaks are kept: they separate list items and paragraphs in cleaned cells
+  const cleaned = normalizePlainText(decodeHTMLEntities(content).replace(/<[^>]*>/g, ''));
   
   contentCache.set(cacheKey, cleaned);
   return cleaned;
 };
 
-// Optimized analysis function
-export const analyzeContent = async (content) => {
-  const cacheKey = `analysis_${content.length}_${content.slice(0, 50)}`;
+const analysisCacheKey = (content) => `analysis_${content.length}_${content.slice(0, 50)}`;
+
+// Optimized analysis function; onUsage gets the { inputTokens, outputTokens, cost } of the API call.
+// When the call could cost more than maxCost dollars, the local checks run instead and the result
+// has pausedByBudget set.
+export const analyzeContent = async (content, { onUsage = null, maxCost = Infinity } = {}) => {
+  const cacheKey = analysisCacheKey(content);
   const cached = analysisCache.get(cacheKey);
   if (cached) {
     return cached;
   }
 
-  if (!OPENAI_API_KEY || OPENAI_API_KEY === 'your_openai_api_key_here') {
+  const selection = DEFAULT_ANALYSIS_MODEL;
+  await loadProviders();
+  if (!isProviderConfigured(selection.provider)) {
     const fallback = getFallbackAnalysis(content);
     analysisCache.set(cacheKey, fallback);
     return fallback;
@@ -215,37 +143,31 @@ export const analyzeContent = async (content) => {
 
   try {
     const cleanedContent = cleanContentForTranslation(content);
-    const truncatedContent = cleanedContent.length > 1500 
-      ? cleanedContent.substring(0, 1500) + '...'
-      : cleanedContent;
 
-    const selectedModel = DEFAULT_ANALYSIS_MODEL;
-    const modelConfig = OPTIMIZED_MODELS.ANALYSIS[selectedModel];
-    
-    const apiRequest = {
-      model: selectedModel,
-      messages: [
-        {
-          role: 'system',
-          content: 'Analyze content quality. Return JSON: {"isComplete": boolean, "hasIssues": boolean, "quality": "good|fair|poor", "suggestions": ["string"]}'
-        },
-        {
-          role: 'user',
-          content: `Analyze: "${truncatedContent}"`
-        }
-      ],
-      max_tokens: modelConfig.maxTokens,
-      temperature: 0.2
-    };
+    const modelConfig = getModelConfig(selection, 'ANALYSIS');
 
-    const response = await axios.post(OPENAI_API_URL, apiRequest, {
-      headers: {
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-        'Content-Type': 'application/json'
-      }
+    // Content is sent whole; if it cannot fit the model's context, use the local checks instead
+    if (estimateTokens(cleanedContent) > modelConfig.contextWindow - modelConfig.maxTokens - ANALYSIS_PROMPT_TOKENS) {
+      console.warn('⚠️ Content too long for AI analysis, using local checks');
+      const fallback = getFallbackAnalysis(content);
+      analysisCache.set(cacheKey, fallback);
+      return fallback;
+    }
+
+    const expectedCost = calculateCost(modelConfig, { inputTokens: estimateTokens(cleanedContent) + ANALYSIS_PROMPT_TOKENS, outputTokens: modelConfig.maxTokens });
+    if (expectedCost > maxCost) {
+      console.warn('💰 Analysis would exceed the budget, using local checks');
+      return { ...getFallbackAnalysis(content), pausedByBudget: true };
+    }
+    
+    const { content: aiResponse, usage } = await chatCompletion({
+      task: 'analyze',
+      provider: selection.provider,
+      model: selection.model,
+      input: { content: cleanedContent }
     });
+    if (onUsage) onUsage({ ...usage, cost: calculateCost(modelConfig, usage) });
 
-    const aiResponse = response.data.choices[0].message.content;
     let analysis;
     
     try {
@@ -264,136 +186,436 @@ export const analyzeContent = async (content) => {
   }
 };
 
-// Optimized batch translation with aggressive batching
-export const translateBatchStructured = async (contentArray, targetLanguage = 'en', abortSignal = null, progressCallback = null) => {
-  
-  translationCancelled = false;
-  
-  if (!OPENAI_API_KEY || OPENAI_API_KEY === 'your_openai_api_key_here') {
-    return contentArray.map(content => cleanContentForTranslation(content));
-  }
+// Per-item outcome of a batch translation
+export const TRANSLATION_STATUS = {
+  TRANSLATED: 'translated', // translation accepted
+  FALLBACK: 'fallback',     // no usable translation after retries; source text kept
+  FAILED: 'failed',         // the request itself failed; source text kept
+  PAUSED: 'paused'          // not sent because the budget would have been exceeded; source text kept
+};
 
-  const languageNames = {
-    'en': 'English',
-    'ru': 'Russian', 
-    'az': 'Azerbaijani',
-    'tr': 'Turkish'
-  };
+// Items missing from a response are re-sent on their own this many times
+const MAX_MISSING_RETRIES = 2;
 
-  const targetLanguageName = languageNames[targetLanguage] || 'English';
-  const selectedModel = DEFAULT_TRANSLATION_MODEL;
-  const modelConfig = OPTIMIZED_MODELS.TRANSLATION[selectedModel];
+// Translation memory matches at least this similar go to the model as reference translations
+const MEMORY_FUZZY_THRESHOLD = 0.75;
+const MAX_MEMORY_REFERENCES = 2;
 
-  // Use standard batch size of 100 for all models
-  const BATCH_SIZE = 100;
-  const allTranslations = [];
-  
-  // Pre-clean all content
-  const cleanedContent = contentArray.map(content => {
-    const cleaned = cleanContentForTranslation(content);
-    return cleaned.length > 1500 ? cleaned.substring(0, 1500) + '...' : cleaned;
-  });
+// Markup items are sent with their tags swapped for placeholders; plain items are cleaned
+const prepareTranslationItem = (content, index) => {
+  const id = `t${index + 1}`;
+  if (content && typeof content === 'object') {
+    const markup = protectMarkup(content.html);
+    return { id, text: markup.text, markup, html: content.html };
+  }
+  return { id, text: cleanContentForTranslation(content) };
+};
 
-  for (let i = 0; i < cleanedContent.length; i += BATCH_SIZE) {
-    // Check for cancellation via abort signal
-    if (abortSignal && abortSignal.aborted) {
-      console.log('🛑 Translation cancelled via abort signal');
-      throw new Error('Translation cancelled by user');
-    }
-    
-    if (translationCancelled) {
-      console.log('🛑 Translation cancelled');
-      throw new Error('Translation cancelled by user');
+// Long items are sent as several segments (t3_1, t3_2, ...) cut at sentence ends; the trailing
+// whitespace of each segment is kept locally and put back when the translations are joined.
+// Reference translations go along with items sent whole, as long as they still fit a segment.
+const splitTranslationItem = (item, segmentTokens) => {
+  const segments = splitIntoSegments(item.text, segmentTokens);
+  return segments.map((segment, index) => {
+    const text = segment.trimEnd();
+    const result = {
+      id: segments.length > 1 ? `${item.id}_${index + 1}` : item.id,
+      itemId: item.id,
+      text,
+      separator: segment.slice(text.length),
+      tokens: estimateTokens(text)
+    };
+    if (segments.length === 1 && item.references) {
+      const referenceTokens = estimateTokens(JSON.stringify(item.references));
+      if (result.tokens + referenceTokens <= segmentTokens) {
+        result.references = item.references;
+        result.tokens += referenceTokens;
+      }
     }
+    return result;
+  });
+};
 
-    const batch = cleanedContent.slice(i, i + BATCH_SIZE);
-    const currentBatch = Math.floor(i/BATCH_SIZE) + 1;
-    const totalBatches = Math.ceil(cleanedContent.length/BATCH_SIZE);
-    
-    // Call progress callback if provided
-    if (progressCallback) {
-      progressCallback(currentBatch, totalBatches);
+// What the translation memory stores for an item: the markup of HTML items, the cleaned text otherwise
+const memorySource = (item) => (item.markup ? item.html : item.text);
+
+const memoryText = (value) => (/<\/?[a-z][^>]*>/i.test(value) ? htmlToPlainText(value) : value);
+
+// Result for an item the translation memory already holds
+const memoryResult = (item, entry) => (item.markup
+  ? { status: TRANSLATION_STATUS.TRANSLATED, text: htmlToPlainText(entry.target), html: entry.target, memory: 'exact' }
+  : { status: TRANSLATION_STATUS.TRANSLATED, text: entry.target, memory: 'exact' });
+
+// Memory matches per item, or none when the memory is off or the server cannot be reached
+const lookupMemory = async (items, query) => {
+  try {
+    return await lookupTranslations({ ...query, sources: items.map(memorySource), fuzzyThreshold: MEMORY_FUZZY_THRESHOLD });
+  } catch (error) {
+    console.warn('⚠️ Translation memory unavailable:', error.message);
+    return items.map(() => ({ exact: null, fuzzy: [] }));
+  }
+};
+
+// Exact memory matches become results; similar texts go along with their items as reference translations
+const applyMemoryMatches = (items, matches, results) => {
+  items.forEach((item, index) => {
+    const match = matches[index];
+    if (match && match.exact) {
+      results[index] = memoryResult(item, match.exact);
+    } else if (match && match.fuzzy.length > 0) {
+      item.references = match.fuzzy.slice(0, MAX_MEMORY_REFERENCES)
+        .map(reference => ({ source: memoryText(reference.source), translation: memoryText(reference.target) }));
     }
-    
-    try {
-      const apiRequest = {
-        model: selectedModel,
-        messages: [
-          {
-            role: 'system',
-            content: `You are a professional translator. Translate the provided content to ${targetLanguageName}. 
-
-IMPORTANT RULES:
-- Do NOT add any numbering, bullets, or formatting
-- Do NOT add "1.", "2.", "3." or similar numbering
-- Translate the content exactly as provided
-- Maintain the original structure and meaning
-- Return JSON format: {"translations": ["translated1", "translated2", ...]}`
-          },
-          {
-            role: 'user',
-            content: `Translate these ${batch.length} items to ${targetLanguageName}. Do NOT add any numbering, bullets, or formatting. Just translate the content exactly as provided:\n\n${batch.join('\n\n')}`
-          }
-        ],
-        max_tokens: modelConfig.maxTokens,
-        temperature: 0.1,
-        response_format: { type: "json_object" }
-      };
-
-      const response = await axios.post(OPENAI_API_URL, apiRequest, {
-        headers: {
-          'Authorization': `Bearer ${OPENAI_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        signal: abortSignal
-      });
+  });
+};
 
-      if (translationCancelled) {
-        throw new Error('Translation cancelled by user');
-      }
+// Glossary terms for the language pair, or none when the glossary is off or the server cannot be reached
+const loadGlossaryTerms = async (query) => {
+  try {
+    const { terms } = await loadGlossary(query);
+    return terms;
+  } catch (error) {
+    console.warn('⚠️ Glossary unavailable:', error.message);
+    return [];
+  }
+};
 
-      // Check abort signal after API call
-      if (abortSignal && abortSignal.aborted) {
-        console.log('🛑 Translation cancelled via abort signal after API call');
-        throw new Error('Translation cancelled by user');
-      }
+// Flag translated items whose source uses a glossary term without its approved translation:
+// glossaryIssues lists the { source, target } pairs that are missing
+const checkTerminology = (items, results, glossary) => {
+  if (glossary.length === 0) return results;
+  items.forEach((item, index) => {
+    const result = results[index];
+    if (result.status !== TRANSLATION_STATUS.TRANSLATED) return;
+    const sourceText = item.markup ? htmlToPlainText(item.html) : item.text;
+    const missing = findMissingTerms(sourceText, result.text, glossary);
+    if (missing.length > 0) result.glossaryIssues = missing.map(term => ({ source: term.source, target: term.target }));
+  });
+  return results;
+};
+
+// Source text for an item that was not translated: { status, text, html?, reason, batch? }
+const untranslatedResult = (item, status, reason, batch) => (item.markup
+  ? { status, text: htmlToPlainText(item.html), html: item.html, reason, batch }
+  : { status, text: item.text, reason, batch });
+
+// Check one returned segment: null when usable, otherwise why it should be asked for again
+const checkSegmentTranslation = (segment, value) => {
+  if (typeof value !== 'string' || !value.trim()) return 'No translation returned';
+  const problems = checkPlaceholders(segment.text, value);
+  return problems.length > 0 ? `Markup lost in translation: ${problems.join(', ')}` : null;
+};
+
+// Joined segment translations to the item result; markup items get their HTML rebuilt
+const finishTranslation = (item, translated) => {
+  if (!item.markup) return { status: TRANSLATION_STATUS.TRANSLATED, text: translated };
+
+  const { html, problems } = restoreMarkup(item.markup, translated);
+  if (!html) return untranslatedResult(item, TRANSLATION_STATUS.FALLBACK, `Markup lost in translation: ${problems.join(', ')}`);
+  return { status: TRANSLATION_STATUS.TRANSLATED, text: htmlToPlainText(html), html };
+};
 
-      const aiResponse = response.data.choices[0].message.content;
-      const jsonResponse = JSON.parse(aiResponse);
-      
-      let translations = [];
-      if (jsonResponse.translations && Array.isArray(jsonResponse.translations)) {
-        translations = jsonResponse.translations;
-      } else if (Array.isArray(jsonResponse)) {
-        translations = jsonResponse;
-      } else {
-        translations = Object.values(jsonResponse);
+// One API call for a set of items; resolves to { translations, usage } with the { id: translation }
+// object the model returned. The proxy writes the prompt from the items, the language codes and the
+// glossary terms found in the items. Every attempt waits for room under the model's per-minute limits first.
+const requestTranslations = async (items, languages, abortSignal, { selection, rateLimiter, glossary }) => {
+  const ids = items.map(item => item.id);
+  const terms = glossary.filter(term => items.some(item => containsTerm(item.text, term.source)));
+
+  const requestTokens = estimateRequestTokens(items, TRANSLATION_PROMPT_TOKENS);
+  const { content, usage } = await chatCompletion({
+    task: 'translate',
+    provider: selection.provider,
+    model: selection.model,
+    input: {
+      items: items.map(({ id, text, references }) => (references ? { id, text, references } : { id, text })),
+      sourceLanguage: languages.source,
+      targetLanguage: languages.target,
+      glossary: terms.map(({ source, target }) => ({ source, target }))
+    },
+    signal: abortSignal,
+    beforeAttempt: () => rateLimiter.acquire(requestTokens, abortSignal)
+  });
+
+  const jsonResponse = JSON.parse(content);
+  const translations = jsonResponse && jsonResponse.translations;
+  if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+    throw new Error('Response does not match the translation schema');
+  }
+
+  const extra = Object.keys(translations).filter(id => !ids.includes(id));
+  if (extra.length > 0) console.warn(`⚠️ Ignoring unexpected translation IDs: ${extra.join(', ')}`);
+  return { translations, usage };
+};
+
+const checkCancelled = (abortSignal) => {
+  if ((abortSignal && abortSignal.aborted) || translationCancelled) {
+    console.log('🛑 Translation cancelled');
+    throw new Error('Translation cancelled by user');
+  }
+};
+
+// Every model of a task across the providers, as { provider, model, modelConfig }
+const listModels = (task) => Object.entries(OPTIMIZED_MODELS).flatMap(([provider, registry]) =>
+  Object.entries(registry[task]).map(([model, modelConfig]) => ({ provider, model, modelConfig })));
+
+const isSelected = (selection, provider, model) => selection.provider === provider && selection.model === model;
+
+// Pre-flight for translateBatchStructured: the tokens and cost of the job with every translation
+// model, cheapest first, as { items, memoryHits, models: [{ provider, model, name, configured,
+// current, batches, inputTokens, outputTokens, cost }] }. Items the translation memory holds for
+// the current model cost nothing; glossary terms and retries are not counted.
+export const estimateTranslationCost = async (contentArray, {
+  sourceLanguage = UNDETERMINED_LANGUAGE,
+  targetLanguage = 'en',
+  useMemory = true
+} = {}) => {
+  const items = contentArray.map(prepareTranslationItem);
+  const selection = { ...DEFAULT_TRANSLATION_MODEL };
+  const results = new Array(items.length);
+  if (useMemory) {
+    const memoryQuery = { sourceLanguage, targetLanguage, model: `${selection.provider}/${selection.model}` };
+    applyMemoryMatches(items, await lookupMemory(items, memoryQuery), results);
+  }
+  const pendingItems = items.filter((item, index) => !results[index]);
+  await loadProviders();
+
+  const models = listModels('TRANSLATION').map(({ provider, model, modelConfig }) => {
+    const budget = getTranslationBudget(modelConfig, TRANSLATION_PROMPT_TOKENS);
+    const segments = pendingItems.flatMap(item => splitTranslationItem(item, budget.segmentTokens));
+    const batches = planBatches(segments, budget);
+    const tokens = { inputTokens: 0, outputTokens: 0 };
+    batches.forEach(batch => {
+      const batchTokens = estimateBatchTokens(batch, TRANSLATION_PROMPT_TOKENS);
+      tokens.inputTokens += batchTokens.inputTokens;
+      tokens.outputTokens += batchTokens.outputTokens;
+    });
+    return {
+      provider,
+      model,
+      name: modelConfig.name,
+      configured: isProviderConfigured(provider),
+      current: isSelected(selection, provider, model),
+      batches: batches.length,
+      ...tokens,
+      cost: calculateCost(modelConfig, tokens)
+    };
+  });
+
+  return { items: items.length, memoryHits: items.length - pendingItems.length, models: models.sort((a, b) => a.cost - b.cost) };
+};
+
+// Pre-flight for analyzeContent: { cached, models } like estimateTranslationCost, counting the full
+// reply length as output. Models the content does not fit are checked locally and cost nothing.
+export const estimateAnalysisCost = async (content) => {
+  const selection = { ...DEFAULT_ANALYSIS_MODEL };
+  const contentTokens = estimateTokens(cleanContentForTranslation(content));
+  await loadProviders();
+
+  const models = listModels('ANALYSIS').map(({ provider, model, modelConfig }) => {
+    const fits = contentTokens <= modelConfig.contextWindow - modelConfig.maxTokens - ANALYSIS_PROMPT_TOKENS;
+    const tokens = fits
+      ? { inputTokens: contentTokens + ANALYSIS_PROMPT_TOKENS, outputTokens: modelConfig.maxTokens }
+      : { inputTokens: 0, outputTokens: 0 };
+    return {
+      provider,
+      model,
+      name: modelConfig.name,
+      configured: isProviderConfigured(provider),
+      current: isSelected(selection, provider, model),
+      batches: fits ? 1 : 0,
+      ...tokens,
+      cost: calculateCost(modelConfig, tokens)
+    };
+  });
+
+  return { cached: Boolean(analysisCache.get(analysisCacheKey(content))), models: models.sort((a, b) => a.cost - b.cost) };
+};
+
+// Optimized batch translation with token-aware batching and parallel batches
+// contentArray holds plain strings or { html } items; HTML items keep their markup through translation.
+// Returns one { status, text, html?, reason?, batch?, memory? } per item, in input order; items are matched by ID,
+// never by position, and only the items missing from a response are asked for again. Requests are
+// retried with backoff by the shared request layer; batch is the 1-based batch an untranslated item was in.
+// Nothing is truncated: long items are split into segments and batches are packed to the model's limits.
+// Up to getTranslationConcurrency() batches run at once within the model's requests/tokens per minute;
+// progressCallback(completedItems, totalItems) fires as batches finish, in any order.
+// With useMemory, items the translation memory holds for this language pair and model are reused
+// (memory: 'exact') without an API call, similar ones are sent with reference translations, and new
+// translations are stored. sourceLanguage is a code such as 'ru', or 'und' when not known.
+// With useGlossary, the glossary terms found in a batch go to the model with their approved translations,
+// and translated items missing one of them get glossaryIssues.
+// onUsage({ batch, inputTokens, outputTokens, cost }) reports every API call as the API counted it.
+// maxCost caps the job's cost in dollars: once a request would exceed it, that batch and every later
+// one are not sent and their items come back PAUSED.
+export const translateBatchStructured = async (contentArray, targetLanguage = 'en', abortSignal = null, progressCallback = null, {
+  sourceLanguage = UNDETERMINED_LANGUAGE,
+  useMemory = true,
+  useGlossary = true,
+  maxCost = Infinity,
+  onUsage = null
+} = {}) => {
+  // Language codes for the prompt; an unknown target is an error rather than a guess
+  if (!getLanguage(targetLanguage)) {
+    throw new Error(`Unknown target language: ${targetLanguage}`);
+  }
+  const languages = {
+    source: getLanguage(sourceLanguage) ? sourceLanguage : UNDETERMINED_LANGUAGE,
+    target: targetLanguage
+  };
+
+  translationCancelled = false;
+  
+  // Pre-clean all content
+  const items = contentArray.map(prepareTranslationItem);
+  const results = new Array(items.length);
+
+  // The model is fixed for the whole job, even if the settings change while it runs
+  const selection = { ...DEFAULT_TRANSLATION_MODEL };
+  const memoryQuery = { sourceLanguage, targetLanguage, model: `${selection.provider}/${selection.model}` };
+  const glossary = useGlossary ? await loadGlossaryTerms({ sourceLanguage, targetLanguage }) : [];
+
+  let pendingItems = items;
+  if (useMemory) {
+    applyMemoryMatches(items, await lookupMemory(items, memoryQuery), results);
+    pendingItems = items.filter((item, index) => !results[index]);
+    console.log(`🧠 ${items.length - pendingItems.length} of ${items.length} items from translation memory`);
+  }
+  const memoryHits = items.length - pendingItems.length;
+  if (pendingItems.length === 0) {
+    if (progressCallback) progressCallback(items.length, items.length);
+    return checkTerminology(items, results, glossary);
+  }
+
+  await loadProviders();
+  if (!isProviderConfigured(selection.provider)) {
+    const reason = `${getProvider(selection.provider)?.name || selection.provider} is not configured`;
+    return checkTerminology(items, items.map((item, index) => results[index] || untranslatedResult(item, TRANSLATION_STATUS.FAILED, reason)), glossary);
+  }
+
+  const modelConfig = getModelConfig(selection, 'TRANSLATION');
+  const budget = getTranslationBudget(modelConfig, TRANSLATION_PROMPT_TOKENS);
+  const rateLimiter = createRateLimiter(modelConfig);
+  const requestContext = { selection, rateLimiter, glossary };
+
+  const segments = pendingItems.flatMap(item => splitTranslationItem(item, budget.segmentTokens));
+  const batches = planBatches(segments, budget);
+  console.log(`📦 ${pendingItems.length} items as ${segments.length} segments in ${batches.length} batches, ${TRANSLATION_CONCURRENCY} at a time`);
+
+  const segmentTranslations = new Map();
+  const segmentIssues = new Map(); // id -> { status, reason, batch } for segments left untranslated
+
+  // An item is complete once every one of its segments has been through its batch
+  const segmentsLeft = new Map();
+  segments.forEach(segment => segmentsLeft.set(segment.itemId, (segmentsLeft.get(segment.itemId) || 0) + 1));
+
+  // Cost so far as the API reported it, plus the expected cost of the requests still running
+  let spent = 0;
+  let reserved = 0;
+  let budgetReached = false;
+  let completedItems = memoryHits;
+  if (progressCallback) progressCallback(completedItems, items.length);
+
+  const translateBatch = async (batch, currentBatch) => {
+    checkCancelled(abortSignal);
+
+    let pending = batch;
+    const problems = new Map();
+    for (let attempt = 0; attempt <= MAX_MISSING_RETRIES && pending.length > 0; attempt++) {
+      if (attempt > 0) console.log(`🔁 Retrying ${pending.length} missing item(s) from batch ${currentBatch}`);
+
+      const expectedCost = calculateCost(modelConfig, estimateBatchTokens(pending, TRANSLATION_PROMPT_TOKENS));
+      if (budgetReached || spent + reserved + expectedCost > maxCost) {
+        if (!budgetReached) console.warn(`💰 Budget reached at batch ${currentBatch}; the remaining batches are paused`);
+        budgetReached = true;
+        pending.forEach(segment => segmentIssues.set(segment.id, { status: TRANSLATION_STATUS.PAUSED, reason: 'The budget would be exceeded', batch: currentBatch }));
+        pending = [];
+        break;
       }
-      
-      // Ensure proper order and fill missing translations
-      const paddedTranslations = [];
-      for (let j = 0; j < batch.length; j++) {
-        if (j < translations.length && translations[j] && translations[j].trim()) {
-          paddedTranslations.push(translations[j]);
-        } else {
-          paddedTranslations.push(batch[j]); // Use original if translation missing
-        }
+
+      let translations;
+      reserved += expectedCost;
+      try {
+        let usage;
+        ({ translations, usage } = await requestTranslations(pending, languages, abortSignal, requestContext));
+        const cost = calculateCost(modelConfig, usage);
+        spent += cost;
+        if (onUsage) onUsage({ batch: currentBatch, ...usage, cost });
+      } catch (error) {
+        checkCancelled(abortSignal);
+        console.error(`Batch translation error:`, error.message);
+        const reason = `Request failed: ${error.response ? `HTTP ${error.response.status}` : error.message}`;
+        pending.forEach(segment => segmentIssues.set(segment.id, { status: TRANSLATION_STATUS.FAILED, reason, batch: currentBatch }));
+        pending = [];
+        break;
+      } finally {
+        reserved -= expectedCost;
       }
-      
-      allTranslations.push(...paddedTranslations);
-      
+      checkCancelled(abortSignal);
+
+      pending = pending.filter(segment => {
+        const problem = checkSegmentTranslation(segment, translations[segment.id]);
+        if (problem) problems.set(segment.id, problem);
+        else segmentTranslations.set(segment.id, translations[segment.id]);
+        return Boolean(problem);
+      });
+    }
+
+    // Still missing after the retries: keep the source text
+    pending.forEach(segment => segmentIssues.set(segment.id, { status: TRANSLATION_STATUS.FALLBACK, reason: problems.get(segment.id), batch: currentBatch }));
+
+    batch.forEach(segment => {
+      const left = segmentsLeft.get(segment.itemId) - 1;
+      segmentsLeft.set(segment.itemId, left);
+      if (left === 0) completedItems++;
+    });
+    if (progressCallback) progressCallback(completedItems, items.length);
+  };
+
+  await runConcurrently(batches.map((batch, index) => () => translateBatch(batch, index + 1)), TRANSLATION_CONCURRENCY);
+
+  // Put segmented items back together; one untranslated segment leaves the whole item as it was
+  const segmentsByItem = new Map();
+  segments.forEach(segment => {
+    if (!segmentsByItem.has(segment.itemId)) segmentsByItem.set(segment.itemId, []);
+    segmentsByItem.get(segment.itemId).push(segment);
+  });
+
+  const assembleItem = (item) => {
+    const itemSegments = segmentsByItem.get(item.id);
+    const issue = itemSegments.map(segment => segmentIssues.get(segment.id)).find(Boolean);
+    if (issue) return untranslatedResult(item, issue.status, issue.reason, issue.batch);
+
+    const translated = itemSegments
+      .map(segment => segmentTranslations.get(segment.id).trim() + segment.separator)
+      .join('')
+      .trim();
+    return finishTranslation(item, translated);
+  };
+
+  const newEntries = [];
+  items.forEach((item, index) => {
+    if (results[index]) return;
+    results[index] = assembleItem(item);
+    if (results[index].status === TRANSLATION_STATUS.TRANSLATED) {
+      newEntries.push({ ...memoryQuery, source: memorySource(item), target: results[index].html ?? results[index].text });
+    }
+  });
+
+  // New translations go to the memory for the next run; a memory outage does not fail the job
+  if (useMemory && newEntries.length > 0) {
+    try {
+      await saveTranslations(newEntries);
     } catch (error) {
-      console.error(`Batch translation error:`, error.message);
-      // Add fallback translations
-      allTranslations.push(...batch);
+      console.warn('⚠️ Could not save to translation memory:', error.message);
     }
   }
-
-  return allTranslations;
+  return checkTerminology(items, results, glossary);
 };
 
 // Comprehensive dataset analysis for data quality
-export const analyzeDataset = (data) => {
+// Column roles come from the sheet schema; it is inferred from the rows when not given
+export const analyzeDataset = (data, schema = null) => {
   if (!data || data.length === 0) {
     return {
       totalQuestions: 0,
@@ -421,21 +643,28 @@ export const analyzeDataset = (data) => {
     detailedIssues: []
   };
 
+  const columnSchema = schema || getSheetSchema(data);
+  const questionColumn = getQuestionColumn(columnSchema);
+  const answerPairs = getAnswerPairs(columnSchema);
+  const expectedVariants = answerPairs.filter(pair => pair.variant !== -1).length;
+  analysis.expectedVariants = expectedVariants;
+
+  if (questionColumn === -1) {
+    analysis.dataQuality = 'poor';
+    analysis.issues.push('No question column mapped');
+    analysis.recommendations.push('Map the question column in the column mapping dialog');
+    return analysis;
+  }
+
   // Analyze each question
   data.forEach((row, rowIndex) => {
-    const question = row[2]?.cleaned || ''; // Question column
-    const variants = [
-      row[3]?.cleaned || '', // Variant 1
-      row[5]?.cleaned || '', // Variant 2
-      row[7]?.cleaned || '', // Variant 3
-      row[9]?.cleaned || ''  // Variant 4
-    ];
-    const codes = [
-      row[4]?.cleaned || '', // Code 1
-      row[6]?.cleaned || '', // Code 2
-      row[8]?.cleaned || '', // Code 3
-      row[10]?.cleaned || '' // Code 4
-    ];
+    const question = row[questionColumn]?.cleaned || '';
+    const variants = answerPairs
+      .filter(pair => pair.variant !== -1)
+      .map(pair => row[pair.variant]?.cleaned || '');
+    const codes = answerPairs
+      .filter(pair => pair.code !== -1)
+      .map(pair => row[pair.code]?.cleaned || '');
 
     // Check if question exists
     if (!question || question.trim() === '') {
@@ -450,20 +679,20 @@ export const analyzeDataset = (data) => {
     }
 
     // Check for HTML content
-    if (row[2]?.hasHtml) analysis.statistics.questionsWithHTML++;
-    if (row[2]?.hasEntities) analysis.statistics.questionsWithEntities++;
+    if (row[questionColumn]?.hasHtml) analysis.statistics.questionsWithHTML++;
+    if (row[questionColumn]?.hasEntities) analysis.statistics.questionsWithEntities++;
 
     // Check variants
     const nonEmptyVariants = variants.filter(v => v && v.trim() !== '');
     const nonEmptyCodes = codes.filter(c => c && c.trim() !== '');
 
     // Check if all variants are present
-    if (nonEmptyVariants.length < 4) {
+    if (nonEmptyVariants.length < expectedVariants) {
       analysis.statistics.questionsWithMissingVariants++;
       analysis.detailedIssues.push({
         row: rowIndex + 1,
         type: 'Missing Variants',
-        description: `Only ${nonEmptyVariants.length}/4 variants present`,
+        description: `Only ${nonEmptyVariants.length}/${expectedVariants} variants present`,
         severity: 'medium',
         details: `Missing variants: ${variants.map((v, i) => v ? '' : `Variant ${i+1}`).filter(Boolean).join(', ')}`
       });
@@ -562,6 +791,48 @@ export const analyzeDataset = (data) => {
   return analysis;
 };
 
+// Analyze every sheet separately and combine the results, keeping issues tagged by sheet
+export const analyzeWorkbook = (sheets) => {
+  const sheetAnalyses = (sheets || []).map(sheet => ({
+    sheetName: sheet.name,
+    ...analyzeDataset(sheet.data, getSheetSchema(sheet))
+  }));
+
+  if (sheetAnalyses.length <= 1) {
+    return sheetAnalyses[0] || analyzeDataset([]);
+  }
+
+  const combined = {
+    totalQuestions: 0,
+    dataQuality: 'good',
+    issues: [],
+    recommendations: [],
+    statistics: {},
+    detailedIssues: [],
+    sheets: sheetAnalyses
+  };
+
+  const qualityRank = { good: 0, fair: 1, poor: 2 };
+  sheetAnalyses.forEach(sheetAnalysis => {
+    combined.totalQuestions += sheetAnalysis.totalQuestions;
+    Object.entries(sheetAnalysis.statistics || {}).forEach(([key, value]) => {
+      combined.statistics[key] = (combined.statistics[key] || 0) + value;
+    });
+    combined.detailedIssues.push(
+      ...(sheetAnalysis.detailedIssues || []).map(issue => ({ ...issue, sheet: sheetAnalysis.sheetName }))
+    );
+    combined.issues.push(...sheetAnalysis.issues.map(issue => `${sheetAnalysis.sheetName}: ${issue}`));
+    combined.recommendations.push(...sheetAnalysis.recommendations.map(rec => `${sheetAnalysis.sheetName}: ${rec}`));
+
+    // Overall quality is the worst quality of any sheet
+    if ((qualityRank[sheetAnalysis.dataQuality] ?? 0) > qualityRank[combined.dataQuality]) {
+      combined.dataQuality = sheetAnalysis.dataQuality;
+    }
+  });
+
+  return combined;
+};
+
 // Fallback analysis function
 const getFallbackAnalysis = (content) => {
   return {
@@ -585,14 +856,12 @@ export const cancelTranslation = () => {
 // Cache management
 export const clearCaches = () => {
   analysisCache.clear();
-  translationCache.clear();
   contentCache.clear();
   console.log('🧹 All caches cleared');
 };
 
 export const getCacheStats = () => ({
   analysis: analysisCache.cache.size,
-  translation: translationCache.cache.size,
   content: contentCache.cache.size
 });
 
@@ -622,9 +891,10 @@ export const translateContent = async (content, targetLanguage = 'en') => {
   };
 
   try {
-    const result = await translateBatchStructured([content], targetLanguage, null);
-    debugEntry.success = true;
-    debugEntry.result = result[0];
+    const [result] = await translateBatchStructured([content], targetLanguage, null);
+    debugEntry.success = result.status === TRANSLATION_STATUS.TRANSLATED;
+    debugEntry.result = result.text;
+    debugEntry.error = result.reason || null;
     debugEntry.duration = performance.now() - startTime;
   } catch (error) {
     debugEntry.error = error.message;
@@ -1,216 +1,214 @@
 // Optimized Excel Parser with performance improvements
 import * as XLSX from 'xlsx';
+import { prepareSheetSchema } from './columnSchema';
+import { parseWorkbookBuffer } from './excelParserCore';
+import { getSheetsDirection } from './languageDetection';
+import { buildMoodleXml } from './moodleXml';
+import { buildGift, buildAiken } from './quizText';
+import { buildQtiPackage } from './qtiPackage';
 
 // Cache for parsed files
 const fileCache = new Map();
 const MAX_CACHE_SIZE = 10;
 
-// Optimized HTML entity decoding
-const decodeHTMLEntities = (text) => {
-  if (!text || typeof text !== 'string') return text;
-  
-  return text
-    .replace(/&#(\d+);/g, (match, dec) => String.fromCharCode(dec))
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&amp;/g, '&')
-    .replace(/&quot;/g, '"')
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&apos;/g, "'")
-    .replace(/&#x([0-9A-Fa-f]+);/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
-};
+// Parse a workbook off the main thread
+// Returns a promise with a cancel() method; options.signal (AbortSignal) also cancels,
+// and options.onProgress receives { phase, rowsProcessed, totalRows }
+export const parseExcelFile = (file, { onProgress = null, signal = null } = {}) => {
+  let cancel = () => {};
 
-// Optimized HTML tag removal
-const removeHTMLTags = (text) => {
-  if (!text || typeof text !== 'string') return text;
-  return text.replace(/<[^>]*>/g, '');
-};
+  const promise = new Promise((resolve, reject) => {
+    let worker = null;
+    let settled = false;
 
-// Optimized cell processing
-const processCell = (cellValue, rowIndex, colIndex) => {
-  if (cellValue === null || cellValue === undefined || cellValue === '') {
-    return {
-      original: '',
-      cleaned: '',
-      hasHtml: false,
-      hasEntities: false,
-      isEmpty: true
+    const finish = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      if (worker) worker.terminate();
+      if (signal) signal.removeEventListener('abort', cancel);
+      callback(value);
     };
-  }
 
-  const original = String(cellValue);
-  const hasHtml = /<[^>]*>/.test(original);
-  const hasEntities = /&[a-zA-Z0-9#]+;/.test(original);
-  
-  let cleaned = original;
-  if (hasEntities) {
-    cleaned = decodeHTMLEntities(cleaned);
-  }
-  if (hasHtml) {
-    cleaned = removeHTMLTags(cleaned);
-  }
-  
-  // Clean up extra whitespace
-  cleaned = cleaned.replace(/\s+/g, ' ').trim();
-
-  return {
-    original,
-    cleaned,
-    hasHtml,
-    hasEntities,
-    isEmpty: !cleaned || cleaned.trim() === ''
-  };
-};
+    cancel = () => {
+      const error = new Error('File parsing cancelled by user');
+      error.name = 'AbortError';
+      finish(reject, error);
+    };
 
-// Optimized Excel parsing with caching
-export const parseExcelFile = async (file) => {
-  return new Promise((resolve, reject) => {
-    try {
-      // Check cache first
-      const fileKey = `${file.name}_${file.size}_${file.lastModified}`;
-      if (fileCache.has(fileKey)) {
-        console.log('📦 Using cached Excel data');
-        resolve(fileCache.get(fileKey));
+    if (signal) {
+      if (signal.aborted) {
+        cancel();
         return;
       }
+      signal.addEventListener('abort', cancel);
+    }
 
-      const reader = new FileReader();
-      
-      reader.onload = (e) => {
-        try {
-          const data = new Uint8Array(e.target.result);
-          const workbook = XLSX.read(data, { type: 'array' });
-          
-          // Get the first worksheet
-          const sheetName = workbook.SheetNames[0];
-          const worksheet = workbook.Sheets[sheetName];
-          
-          // Convert to JSON with optimized options
-          const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-            header: 1, // Use array format for better performance
-            defval: '', // Default value for empty cells
-            raw: false // Process all values as strings
-          });
-
-          // Filter out completely empty rows
-          const filteredData = jsonData.filter(row => 
-            row.some(cell => cell !== '' && cell !== null && cell !== undefined)
-          );
-
-          // Find columns that have any meaningful data
-          const totalColumns = filteredData[0]?.length || 0;
-          const columnsWithData = [];
-          
-          for (let colIndex = 0; colIndex < totalColumns; colIndex++) {
-            let hasData = false;
-            
-            // Check if this column has any non-empty data across all rows
-            for (let rowIndex = 0; rowIndex < filteredData.length; rowIndex++) {
-              const cell = filteredData[rowIndex]?.[colIndex];
-              if (cell !== '' && cell !== null && cell !== undefined && String(cell).trim() !== '') {
-                hasData = true;
-                break;
-              }
-            }
-            
-            if (hasData) {
-              columnsWithData.push(colIndex);
-            }
-          }
-          
-          console.log(`📊 Excel parsing: Found ${columnsWithData.length} columns with data out of ${totalColumns} total columns`);
-          console.log(`📊 Visible columns:`, columnsWithData);
-
-          // Process data in chunks for better performance, only including columns with data
-          const processedData = [];
-          const CHUNK_SIZE = 100; // Process 100 rows at a time
-          
-          for (let i = 0; i < filteredData.length; i += CHUNK_SIZE) {
-            const chunk = filteredData.slice(i, i + CHUNK_SIZE);
-            const processedChunk = chunk.map((row, rowIndex) => 
-              columnsWithData.map((colIndex) => 
-                processCell(row[colIndex], i + rowIndex, colIndex)
-              )
-            );
-            processedData.push(...processedChunk);
-          }
+    // Check cache first
+    const fileKey = `${file.name}_${file.size}_${file.lastModified}`;
+    if (fileCache.has(fileKey)) {
+      console.log('📦 Using cached Excel data');
+      finish(resolve, fileCache.get(fileKey));
+      return;
+    }
+
+    const handleResult = (result) => {
+      // Cache the result
+      if (fileCache.size >= MAX_CACHE_SIZE) {
+        const firstKey = fileCache.keys().next().value;
+        fileCache.delete(firstKey);
+      }
+      fileCache.set(fileKey, result);
+
+      console.log('✅ Excel parsed successfully:', {
+        sheets: result.sheets.map(sheet => `${sheet.name} (${sheet.metadata.totalRows} rows)`),
+        cached: true
+      });
+      finish(resolve, result);
+    };
+
+    const handleError = (error) => {
+      console.error('Error processing Excel data:', error);
+      finish(reject, new Error('Failed to process Excel file: ' + error.message));
+    };
+
+    readFileAsArrayBuffer(file)
+      .then(buffer => {
+        if (settled) return;
 
-          const result = {
-            data: processedData,
-            metadata: {
-              fileName: file.name,
-              totalRows: processedData.length,
-              totalColumns: processedData[0]?.length || 0,
-              originalColumns: totalColumns,
-              visibleColumns: columnsWithData,
-              filteredColumns: totalColumns - columnsWithData.length,
-              sheetName: sheetName,
-              processedAt: new Date().toISOString()
-            }
-          };
-
-          // Cache the result
-          if (fileCache.size >= MAX_CACHE_SIZE) {
-            const firstKey = fileCache.keys().next().value;
-            fileCache.delete(firstKey);
+        if (typeof Worker === 'undefined') {
+          // No worker support (e.g. test environments): parse on the main thread
+          try {
+            handleResult(parseWorkbookBuffer(buffer, file.name, onProgress));
+          } catch (error) {
+            handleError(error);
           }
-          fileCache.set(fileKey, result);
-
-          console.log('✅ Excel parsed successfully:', {
-            rows: processedData.length,
-            columns: processedData[0]?.length || 0,
-            cached: true
-          });
-
-          resolve(result);
-        } catch (error) {
-          console.error('Error processing Excel data:', error);
-          reject(new Error('Failed to process Excel file: ' + error.message));
+          return;
         }
-      };
 
-      reader.onerror = () => {
-        reject(new Error('Failed to read file'));
-      };
+        worker = new Worker(new URL('./excelParser.worker.js', import.meta.url));
+        worker.onmessage = ({ data: message }) => {
+          if (message.type === 'progress') {
+            if (onProgress) onProgress(message.progress);
+          } else if (message.type === 'result') {
+            handleResult(message.result);
+          } else if (message.type === 'error') {
+            handleError(new Error(message.error));
+          }
+        };
+        worker.onerror = (event) => {
+          event.preventDefault();
+          handleError(new Error(event.message || 'Parser worker crashed'));
+        };
 
-      reader.readAsArrayBuffer(file);
-    } catch (error) {
-      console.error('Error reading file:', error);
-      reject(new Error('Failed to read file: ' + error.message));
-    }
+        // Transfer the buffer instead of copying it into the worker
+        worker.postMessage({ buffer, fileName: file.name }, [buffer]);
+      })
+      .catch(error => {
+        if (settled) return;
+        console.error('Error reading file:', error);
+        finish(reject, new Error('Failed to read file: ' + error.message));
+      });
   });
+
+  promise.cancel = () => cancel();
+  return promise;
 };
 
-// Optimized Excel export (cleaned data)
-export const exportToExcel = (data, filename = 'exported_data.xlsx') => {
-  try {
-    // Convert data back to simple array format
-    const exportData = data.map(row => 
-      row.map(cell => cell.cleaned || '')
-    );
-
-    // Create workbook
-    const wb = XLSX.utils.book_new();
-    const ws = XLSX.utils.aoa_to_sheet(exportData);
-
-    // Set column widths for better readability
-    const colWidths = [];
-    for (let i = 0; i < (data[0]?.length || 0); i++) {
-      let maxLength = 10; // Minimum width
-      for (let j = 0; j < Math.min(data.length, 100); j++) { // Check first 100 rows
-        const cellValue = data[j]?.[i]?.cleaned || '';
-        if (cellValue.length > maxLength) {
-          maxLength = Math.min(cellValue.length, 50); // Cap at 50 characters
-        }
+// Read a File into an ArrayBuffer
+const readFileAsArrayBuffer = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (e) => resolve(e.target.result);
+  reader.onerror = () => reject(new Error('Failed to read file'));
+  reader.readAsArrayBuffer(file);
+});
+
+// Accepts either a single sheet's rows or a list of { name, data } sheets
+export const normalizeSheets = (dataOrSheets, defaultName = 'Data') => {
+  if (!Array.isArray(dataOrSheets) || dataOrSheets.length === 0) return [];
+  
+  // Legacy format: array of rows (each row is an array of cells)
+  if (Array.isArray(dataOrSheets[0])) {
+    return [prepareSheetSchema({ name: defaultName, data: dataOrSheets, metadata: {} })];
+  }
+  
+  return dataOrSheets
+    .filter(sheet => sheet && Array.isArray(sheet.data))
+    .map((sheet, index) => prepareSheetSchema({
+      ...sheet,
+      name: sheet.name || `Sheet${index + 1}`,
+      metadata: sheet.metadata || {}
+    }));
+};
+
+// Excel limits sheet names to 31 characters without []:*?/\ and requires uniqueness
+const toSafeSheetName = (name, usedNames) => {
+  const base = String(name || 'Sheet').replace(/[[\]:*?/\\]/g, '_').slice(0, 31) || 'Sheet';
+  let candidate = base;
+  let suffix = 2;
+  while (usedNames.has(candidate.toLowerCase())) {
+    const tag = ` (${suffix++})`;
+    candidate = base.slice(0, 31 - tag.length) + tag;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+};
+
+// Build one worksheet from cell rows using the given cell value picker
+const buildWorksheet = (data, getCellValue) => {
+  const exportData = data.map(row => 
+    row.map(cell => (cell ? getCellValue(cell) : ''))
+  );
+  const ws = XLSX.utils.aoa_to_sheet(exportData);
+
+  // Set column widths for better readability
+  const colWidths = [];
+  const columnCount = data.reduce((max, row) => Math.max(max, row.length), 0);
+  for (let i = 0; i < columnCount; i++) {
+    let maxLength = 10; // Minimum width
+    for (let j = 0; j < Math.min(data.length, 100); j++) { // Check first 100 rows
+      const cellValue = exportData[j]?.[i] || '';
+      if (cellValue.length > maxLength) {
+        maxLength = Math.min(cellValue.length, 50); // Cap at 50 characters
       }
-      colWidths.push({ wch: maxLength });
     }
-    ws['!cols'] = colWidths;
+    colWidths.push({ wch: maxLength });
+  }
+  ws['!cols'] = colWidths;
 
-    XLSX.utils.book_append_sheet(wb, ws, 'Data');
-    XLSX.writeFile(wb, filename);
+  return ws;
+};
 
-    console.log('✅ Excel file exported (cleaned):', filename);
+// Write every sheet back into its own worksheet
+const writeWorkbook = (dataOrSheets, filename, getCellValue) => {
+  const sheets = normalizeSheets(dataOrSheets);
+  if (sheets.length === 0) {
+    throw new Error('No data to export');
+  }
+
+  const wb = XLSX.utils.book_new();
+  const usedNames = new Set();
+  sheets.forEach(sheet => {
+    // Write preamble and header rows back above the data
+    const rows = [
+      ...(sheet.preamble || []),
+      ...(sheet.headerRow ? [sheet.headerRow] : []),
+      ...sheet.data
+    ];
+    const ws = buildWorksheet(rows, getCellValue);
+    XLSX.utils.book_append_sheet(wb, ws, toSafeSheetName(sheet.name, usedNames));
+  });
+  // Workbooks mostly in Arabic or another right-to-left language open with their sheets right-to-left
+  if (getSheetsDirection(sheets) === 'rtl') wb.Workbook = { ...wb.Workbook, Views: [{ RTL: true }] };
+  XLSX.writeFile(wb, filename);
+
+  return sheets.length;
+};
+
+// Optimized Excel export (cleaned data)
+export const exportToExcel = (dataOrSheets, filename = 'exported_data.xlsx') => {
+  try {
+    const sheetCount = writeWorkbook(dataOrSheets, filename, cell => cell.cleaned || '');
+    console.log(`✅ Excel file exported (cleaned, ${sheetCount} sheets):`, filename);
   } catch (error) {
     console.error('Error exporting Excel file:', error);
     throw new Error('Failed to export Excel file: ' + error.message);
@@ -218,44 +216,96 @@ export const exportToExcel = (data, filename = 'exported_data.xlsx') => {
 };
 
 // Export with original formatting (preserves HTML, entities, etc.)
-export const exportToExcelWithFormatting = (data, filename = 'exported_data_formatted.xlsx') => {
+export const exportToExcelWithFormatting = (dataOrSheets, filename = 'exported_data_formatted.xlsx') => {
   try {
-    // Convert data back to array format preserving original formatting
-    const exportData = data.map(row => 
-      row.map(cell => {
-        // Use original content if available, otherwise use cleaned
-        return cell.original || cell.cleaned || '';
-      })
-    );
-
-    // Create workbook
-    const wb = XLSX.utils.book_new();
-    const ws = XLSX.utils.aoa_to_sheet(exportData);
-
-    // Set column widths for better readability
-    const colWidths = [];
-    for (let i = 0; i < (data[0]?.length || 0); i++) {
-      let maxLength = 10; // Minimum width
-      for (let j = 0; j < Math.min(data.length, 100); j++) { // Check first 100 rows
-        const cellValue = data[j]?.[i]?.original || data[j]?.[i]?.cleaned || '';
-        if (cellValue.length > maxLength) {
-          maxLength = Math.min(cellValue.length, 50); // Cap at 50 characters
-        }
-      }
-      colWidths.push({ wch: maxLength });
-    }
-    ws['!cols'] = colWidths;
-
-    XLSX.utils.book_append_sheet(wb, ws, 'Data');
-    XLSX.writeFile(wb, filename);
-
-    console.log('✅ Excel file exported (with formatting):', filename);
+    // Use original content if available, otherwise use cleaned
+    const sheetCount = writeWorkbook(dataOrSheets, filename, cell => cell.original || cell.cleaned || '');
+    console.log(`✅ Excel file exported (with formatting, ${sheetCount} sheets):`, filename);
   } catch (error) {
     console.error('Error exporting Excel file with formatting:', error);
     throw new Error('Failed to export Excel file with formatting: ' + error.message);
   }
 };
 
+// How long the object URL of a download stays valid; some browsers (Firefox, Safari) start
+// reading the blob only after click() returns and fail the download if it is already revoked
+const DOWNLOAD_URL_LIFETIME_MS = 60 * 1000;
+
+// Offer generated content (quiz banks, XML, zip packages, TMX) as a file download
+export const downloadFile = (content, filename, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS);
+};
+
+// Build a question bank from the sheets and download it
+// Returns { exported, skipped } so rows that can't be questions can be reported
+const exportQuestionBank = (dataOrSheets, filename, build, mimeType) => {
+  const sheets = normalizeSheets(dataOrSheets);
+  if (sheets.length === 0) {
+    throw new Error('No data to export');
+  }
+
+  const { content, exported, skipped } = build(sheets);
+  if (exported === 0) {
+    throw new Error('No rows could be exported as questions');
+  }
+  downloadFile(content, filename, mimeType);
+  return { exported, skipped };
+};
+
+// Moodle XML question bank: one multichoice question per row, one category per sheet
+export const exportToMoodleXml = (dataOrSheets, filename = 'question_bank.xml') => {
+  try {
+    const result = exportQuestionBank(dataOrSheets, filename, buildMoodleXml, 'application/xml;charset=utf-8');
+    console.log(`✅ Moodle XML exported (${result.exported} questions, ${result.skipped.length} skipped):`, filename);
+    return result;
+  } catch (error) {
+    console.error('Error exporting Moodle XML:', error);
+    throw new Error('Failed to export Moodle XML: ' + error.message);
+  }
+};
+
+// GIFT question bank (keeps HTML via [html] where the source has markup)
+export const exportToGift = (dataOrSheets, filename = 'question_bank.gift.txt') => {
+  try {
+    const result = exportQuestionBank(dataOrSheets, filename, buildGift, 'text/plain;charset=utf-8');
+    console.log(`✅ GIFT exported (${result.exported} questions, ${result.skipped.length} skipped):`, filename);
+    return result;
+  } catch (error) {
+    console.error('Error exporting GIFT:', error);
+    throw new Error('Failed to export GIFT: ' + error.message);
+  }
+};
+
+// Aiken question bank (plain text, single correct answer only)
+export const exportToAiken = (dataOrSheets, filename = 'question_bank.aiken.txt') => {
+  try {
+    const result = exportQuestionBank(dataOrSheets, filename, buildAiken, 'text/plain;charset=utf-8');
+    console.log(`✅ Aiken exported (${result.exported} questions, ${result.skipped.length} skipped):`, filename);
+    return result;
+  } catch (error) {
+    console.error('Error exporting Aiken:', error);
+    throw new Error('Failed to export Aiken: ' + error.message);
+  }
+};
+
+// IMS QTI 2.1 content package: one assessmentItem per row, identified by the ID column
+export const exportToQtiPackage = (dataOrSheets, filename = 'qti_package.zip') => {
+  try {
+    const result = exportQuestionBank(dataOrSheets, filename, buildQtiPackage, 'application/zip');
+    console.log(`✅ QTI package exported (${result.exported} items, ${result.skipped.length} skipped):`, filename);
+    return result;
+  } catch (error) {
+    console.error('Error exporting QTI package:', error);
+    throw new Error('Failed to export QTI package: ' + error.message);
+  }
+};
+
 // Cache management
 export const clearExcelCache = () => {
   fileCache.clear();
@@ -0,0 +1,205 @@
+// IMS QTI 2.1 content package: one assessmentItem per row plus imsmanifest.xml, zipped in the browser
+import * as XLSX from 'xlsx';
+import { escapeXml } from './xmlUtils';
+import { extractQuestions } from './questionBank';
+import { decodeHTMLEntities } from './htmlEntities';
+import { tokenizeHtml } from './richText';
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_SCHEMA = 'http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd';
+const CP_NAMESPACE = 'http://www.imsglobal.org/xsd/imscp_v1p1';
+const CP_SCHEMA = 'http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd';
+const MATCH_CORRECT = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct';
+
+// XHTML elements QTI 2.1 allows in item bodies, with the attributes kept on each
+const ALLOWED_ELEMENTS = {
+  p: [], div: [], span: [], br: [], hr: [],
+  b: [], i: [], em: [], strong: [], sub: [], sup: [], small: [], big: [], tt: [],
+  code: [], pre: [], kbd: [], samp: [], var: [], q: [], cite: [], abbr: [], acronym: [], dfn: [],
+  blockquote: [], address: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  ul: [], ol: [], li: [], dl: [], dt: [], dd: [],
+  table: ['summary'], caption: [], thead: [], tbody: [], tfoot: [], tr: [], colgroup: ['span'], col: ['span'],
+  th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan'],
+  img: ['src', 'alt', 'width', 'height'],
+  a: ['href']
+};
+
+// Text with HTML entities resolved, escaped for XML (XML has no &nbsp; and friends)
+const toXmlText = (text) => escapeXml(decodeHTMLEntities(text));
+
+const sanitizeAttributes = (tagName, attributes) => {
+  const kept = [];
+  Object.entries(attributes).forEach(([name, value]) => {
+    if (/^\s*(javascript|vbscript):/i.test(value)) return;
+    if (ALLOWED_ELEMENTS[tagName].includes(name)) {
+      kept.push(`${name}="${toXmlText(value)}"`);
+    }
+  });
+  // Keep language tags so mixed-language text stays marked up; HTML often carries both lang and
+  // xml:lang, which must become a single xml:lang
+  const language = attributes['xml:lang'] ?? attributes.lang;
+  if (language !== undefined) {
+    kept.push(`xml:lang="${toXmlText(language)}"`);
+  }
+  // alt is required on images
+  if (tagName === 'img' && !('alt' in attributes)) {
+    kept.push('alt=""');
+  }
+  return kept.length > 0 ? ' ' + kept.join(' ') : '';
+};
+
+// Spreadsheet HTML to well-formed QTI XHTML: unknown tags are unwrapped, attributes filtered,
+// entities resolved and unclosed elements closed
+export const sanitizeQtiHtml = (html) => {
+  const output = [];
+  const stack = [];
+
+  tokenizeHtml(html).forEach(token => {
+    if (token.type === 'text') {
+      output.push(toXmlText(token.text));
+      return;
+    }
+
+    const { name } = token;
+    if (!ALLOWED_ELEMENTS[name]) return;
+
+    if (token.type === 'close') {
+      // Close back to the matching element; stray closing tags are dropped
+      const openIndex = stack.lastIndexOf(name);
+      if (openIndex === -1) return;
+      while (stack.length > openIndex) output.push(`</${stack.pop()}>`);
+    } else if (token.selfClosing) {
+      output.push(`<${name}${sanitizeAttributes(name, token.attributes)}/>`);
+    } else {
+      output.push(`<${name}${sanitizeAttributes(name, token.attributes)}>`);
+      stack.push(name);
+    }
+  });
+
+  while (stack.length > 0) output.push(`</${stack.pop()}>`);
+  return output.join('');
+};
+
+// QTI identifiers must start with a letter or underscore and use only [\w.-]
+const toIdentifier = (value, fallback) => {
+  const cleaned = String(value || '').trim().replace(/[^\w.-]+/g, '_');
+  if (!cleaned) return fallback;
+  return /^[A-Za-z_]/.test(cleaned) ? cleaned : `item-${cleaned}`;
+};
+
+const choiceIdentifier = (index) => `choice${index + 1}`;
+
+const buildAssessmentItem = (question, identifier) => {
+  const choices = question.answers.map((answer, index) => ({ ...answer, identifier: choiceIdentifier(index) }));
+  const correct = choices.filter(choice => choice.weight > 0);
+  const cardinality = correct.length > 1 ? 'multiple' : 'single';
+
+  // Delivery systems take the text direction from the item language
+  const language = question.language ? ` xml:lang="${escapeXml(question.language)}"` : '';
+
+  const correctValues = correct.map(choice => `        <value>${choice.identifier}</value>`).join('\n');
+  const simpleChoices = choices.map(choice =>
+    `        <simpleChoice identifier="${choice.identifier}">${sanitizeQtiHtml(choice.html)}</simpleChoice>`
+  ).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="${QTI_NAMESPACE} ${QTI_SCHEMA}"
+    identifier="${escapeXml(identifier)}" title="${escapeXml(question.id || identifier)}"${language} adaptive="false" timeDependent="false">
+    <responseDeclaration identifier="RESPONSE" cardinality="${cardinality}" baseType="identifier">
+      <correctResponse>
+${correctValues}
+      </correctResponse>
+    </responseDeclaration>
+    <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+      <defaultValue>
+        <value>0</value>
+      </defaultValue>
+    </outcomeDeclaration>
+    <itemBody>
+      <div>${sanitizeQtiHtml(question.text.html)}</div>
+      <choiceInteraction responseIdentifier="RESPONSE" shuffle="true" maxChoices="${cardinality === 'single' ? 1 : 0}">
+${simpleChoices}
+      </choiceInteraction>
+    </itemBody>
+    <responseProcessing template="${MATCH_CORRECT}"/>
+</assessmentItem>
+`;
+};
+
+const buildManifest = (items) => {
+  const resources = items.map(({ identifier, href }) => `    <resource identifier="${escapeXml(identifier)}" type="imsqti_item_xmlv2p1" href="${escapeXml(href)}">
+      <file href="${escapeXml(href)}"/>
+    </resource>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="${CP_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="${CP_NAMESPACE} ${CP_SCHEMA}"
+    identifier="MANIFEST-${Date.now()}">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+${resources}
+  </resources>
+</manifest>
+`;
+};
+
+// Modification time in DOS format as zip entries store it: local time, two-second steps, from 1980
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// The zip writer leaves every entry's modification time at zero, which unzip tools show as
+// 1980; write the date into each central directory record and the local header it points to
+const stampZipEntries = (bytes, date) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const { time, date: day } = toDosDateTime(date);
+  const stamp = (offset) => {
+    view.setUint16(offset, time, true);
+    view.setUint16(offset + 2, day, true);
+  };
+
+  // End of central directory record, written without a comment
+  const end = bytes.length - 22;
+  const entries = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  for (let entry = 0; entry < entries; entry++) {
+    stamp(offset + 12);
+    stamp(view.getUint32(offset + 42, true) + 10);
+    offset += 46 + view.getUint16(offset + 28, true) + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+  }
+  return bytes;
+};
+
+// Zipped QTI package (Uint8Array) for every representable row, plus the rows that were skipped
+export const buildQtiPackage = (sheets) => {
+  const { questions, skipped } = extractQuestions(sheets);
+  const encoder = new TextEncoder();
+  const usedIdentifiers = new Set();
+  const items = [];
+
+  const zip = XLSX.CFB.utils.cfb_new();
+  questions.forEach(question => {
+    // Items are named after the ID column; duplicates get a numeric suffix
+    const base = toIdentifier(question.id, toIdentifier(`${question.sheet}-${question.row}`, `item-${items.length + 1}`));
+    let identifier = base;
+    for (let suffix = 2; usedIdentifiers.has(identifier.toLowerCase()); suffix++) {
+      identifier = `${base}-${suffix}`;
+    }
+    usedIdentifiers.add(identifier.toLowerCase());
+
+    const href = `items/${identifier}.xml`;
+    XLSX.CFB.utils.cfb_add(zip, href, encoder.encode(buildAssessmentItem(question, identifier)));
+    items.push({ identifier, href });
+  });
+  XLSX.CFB.utils.cfb_add(zip, 'imsmanifest.xml', encoder.encode(buildManifest(items)));
+
+  const content = stampZipEntries(new Uint8Array(XLSX.CFB.write(zip, { fileType: 'zip', type: 'array' })), new Date());
+  return { content, exported: items.length, skipped };
+};
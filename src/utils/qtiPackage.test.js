@@ -0,0 +1,85 @@
+/**
+ * @jest-environment node
+ */
+import * as XLSX from 'xlsx';
+import { parseWorkbookBuffer } from './excelParserCore';
+import { buildQtiPackage, sanitizeQtiHtml } from './qtiPackage';
+
+const CSV = [
+  'ID,Question,Variant 1,Code 1,Variant 2,Code 2',
+  'inf-001,What is a byte?,Eight bits,1,Ten bits,0',
+  'inf-001,What is a bit?,A binary digit,1,A file,0'
+].join('\n');
+
+const readSheets = (csv) => parseWorkbookBuffer(new TextEncoder().encode(csv).buffer, 'Informatics.csv').sheets;
+
+// { name, time, date } of every central directory record and of the local header it points to
+const readZipEntries = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+  const entries = [];
+  let offset = view.getUint32(end + 16, true);
+  for (let entry = 0; entry < view.getUint16(end + 10, true); entry++) {
+    expect(view.getUint32(offset, true)).toBe(0x02014b50);
+    const nameLength = view.getUint16(offset + 28, true);
+    const local = view.getUint32(offset + 42, true);
+    expect(view.getUint32(local, true)).toBe(0x04034b50);
+    entries.push({
+      name: new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+      central: [view.getUint16(offset + 12, true), view.getUint16(offset + 14, true)],
+      local: [view.getUint16(local + 10, true), view.getUint16(local + 12, true)]
+    });
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+  }
+  return entries;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('sanitizeQtiHtml', () => {
+  test('writes one xml:lang for lang and xml:lang, preferring xml:lang', () => {
+    expect(sanitizeQtiHtml('<p lang="en" xml:lang="en-GB">Colour</p><span lang="ru">цвет</span>'))
+      .toBe('<p xml:lang="en-GB">Colour</p><span xml:lang="ru">цвет</span>');
+    expect(sanitizeQtiHtml('<p xml:lang="fr" lang="de">Couleur</p>')).toBe('<p xml:lang="fr">Couleur</p>');
+  });
+});
+
+describe('buildQtiPackage', () => {
+  test('packs one item per row plus the manifest, with unique identifiers', () => {
+    const { content, exported, skipped } = buildQtiPackage(readSheets(CSV));
+    expect(exported).toBe(2);
+    expect(skipped).toEqual([]);
+
+    expect(readZipEntries(content).map(entry => entry.name).sort())
+      .toEqual(['imsmanifest.xml', 'items/inf-001-2.xml', 'items/inf-001.xml']);
+
+    const zip = XLSX.CFB.read(content, { type: 'array' });
+    const manifest = new TextDecoder().decode(XLSX.CFB.find(zip, 'imsmanifest.xml').content);
+    expect(manifest).toContain('href="items/inf-001.xml"');
+    expect(manifest).toContain('href="items/inf-001-2.xml"');
+  });
+
+  test('stamps every entry with the time of the export', () => {
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(new Date(2026, 9, 19, 14, 35, 43));
+
+    const entries = readZipEntries(buildQtiPackage(readSheets(CSV)).content);
+    expect(entries).toHaveLength(3);
+    // 14:35:42 (seconds in two-second steps) on 2026-10-19
+    const time = (14 << 11) | (35 << 5) | 21;
+    const date = ((2026 - 1980) << 9) | (10 << 5) | 19;
+    entries.forEach(entry => {
+      expect(entry.central).toEqual([time, date]);
+      expect(entry.local).toEqual([time, date]);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+// Question-bank view of sheets: rows read through the column schema as multiple-choice questions
+// Shared by the quiz format exporters and importers
+import { COLUMN_TYPES } from './constants';
+import { getSheetSchema, getColumnsByRole, getQuestionColumn, getAnswerPairs } from './columnSchema';
+import { getCellLanguage } from './languageDetection';
+
+// Markup as authored, falling back to the cleaned text
+const cellHtml = (cell) => cell?.original || cell?.cleaned || '';
+const cellText = (cell) => (cell?.cleaned || '').trim();
+
+// Column that names items: an ID column with codes like "inf-ru-00001" beats a purely numeric one
+export const getItemIdColumn = (sheet) => {
+  const idColumns = getColumnsByRole(getSheetSchema(sheet), COLUMN_TYPES.ID);
+  if (idColumns.length === 0) return -1;
+
+  const sample = sheet.data.slice(0, 50);
+  const named = idColumns.find(column =>
+    sample.some(row => /[^\d\s]/.test(cellText(row[column.index])))
+  );
+  return (named || idColumns[0]).index;
+};
+
+// Code cell weight: positive numbers mark correct answers
+const codeWeight = (cell) => {
+  const value = parseFloat(cellText(cell).replace(',', '.'));
+  return Number.isFinite(value) && value > 0 ? value : 0;
+};
+
+// Questions from every sheet plus the rows that could not be turned into one
+// Each question: { sheet, row, id, language, text: {html, plain}, answers: [{html, plain, weight}] }
+// with language the detected language code of the question text, or null
+export const extractQuestions = (sheets) => {
+  const questions = [];
+  const skipped = [];
+
+  sheets.forEach(sheet => {
+    const schema = getSheetSchema(sheet);
+    const questionColumn = getQuestionColumn(schema);
+    const answerPairs = getAnswerPairs(schema).filter(pair => pair.variant !== -1);
+    const idColumn = getItemIdColumn(sheet);
+
+    sheet.data.forEach((row, rowIndex) => {
+      const id = idColumn !== -1 ? cellText(row[idColumn]) : '';
+      const skip = (reason) => skipped.push({ sheet: sheet.name, row: rowIndex + 1, id, reason });
+
+      if (row.every(cell => !cell || cell.isEmpty)) return;
+      if (questionColumn === -1) return skip('No question column is mapped');
+
+      const questionCell = row[questionColumn];
+      if (!cellText(questionCell)) return skip('Question text is empty');
+
+      const answers = answerPairs
+        .map(pair => ({
+          html: cellHtml(row[pair.variant]),
+          plain: cellText(row[pair.variant]),
+          weight: pair.code !== -1 ? codeWeight(row[pair.code]) : 0
+        }))
+        .filter(answer => answer.plain);
+
+      if (answers.length < 2) return skip('Fewer than two answer variants');
+      if (!answers.some(answer => answer.weight > 0)) return skip('No correct answer is marked');
+
+      questions.push({
+        sheet: sheet.name,
+        row: rowIndex + 1,
+        id,
+        language: getCellLanguage(questionCell),
+        text: { html: cellHtml(questionCell), plain: cellText(questionCell) },
+        answers
+      });
+    });
+  });
+
+  return { questions, skipped };
+};
+
+// Raw table rows (header first) for imported questions: ID, Question, Variant N / Code N pairs
+// Each question: { id, text, answers: [{ text, correct }] }
+const questionsToRows = (questions) => {
+  const answerCount = questions.reduce((max, question) => Math.max(max, question.answers.length), 0);
+
+  const header = ['ID', 'Question'];
+  for (let i = 1; i <= answerCount; i++) {
+    header.push(`Variant ${i}`, `Code ${i}`);
+  }
+
+  const rows = questions.map(question => {
+    const row = [question.id || '', question.text];
+    for (let i = 0; i < answerCount; i++) {
+      const answer = question.answers[i];
+      row.push(answer ? answer.text : '', answer ? (answer.correct ? '1' : '0') : '');
+    }
+    return row;
+  });
+
+  return [header, ...rows];
+};
+
+// Imported questions grouped into raw sheets by their sheet (category) name, in first-seen order
+export const questionsToRawSheets = (questions) => {
+  const bySheet = new Map();
+  questions.forEach(question => {
+    if (!bySheet.has(question.sheet)) bySheet.set(question.sheet, []);
+    bySheet.get(question.sheet).push(question);
+  });
+
+  return Array.from(bySheet.entries()).map(([sheetName, sheetQuestions]) => ({
+    sheetName,
+    rows: questionsToRows(sheetQuestions),
+    hasHeader: true
+  }));
+};
+
+// Quiz banks group questions in categories; each sheet maps to one ("$course$/top/Algebra")
+export const sheetToCategory = (sheetName) => `$course$/top/${sheetName}`;
+
+// Category path "$course$/top/Algebra" names the sheet "Algebra"
+export const categoryToSheetName = (path) => {
+  const segments = path.split('/').map(segment => segment.trim())
+    .filter(segment => segment && !/^\$\w+\$$/.test(segment) && segment !== 'top');
+  return segments[segments.length - 1] || null;
+};
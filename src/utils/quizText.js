@@ -0,0 +1,264 @@
+// GIFT and Aiken plain-text quiz formats: serializers from sheets and parsers back into rows
+// Worker-safe: plain string handling only
+import { extractQuestions, questionsToRawSheets, sheetToCategory, categoryToSheetName } from './questionBank';
+
+export const QUIZ_TEXT_FORMATS = {
+  GIFT: 'gift',
+  AIKEN: 'aiken'
+};
+
+// Aiken answers are lettered A-Z
+const AIKEN_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Aiken has one line per question and per option, so line breaks and runs of spaces become one space
+const toAikenLine = (text) => text.replace(/\s+/g, ' ').trim();
+
+const hasMarkup = (text) => /<[a-z/][^>]*>|&(#\d+|#x[0-9a-f]+|[a-z]+);/i.test(text);
+
+// GIFT reserves ~ = # { } : and the backslash itself; line breaks are written as \n
+export const escapeGift = (text) => String(text ?? '')
+  .replace(/[\\~=#{}:]/g, char => `\\${char}`)
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeGift = (text) => text.replace(/\\(.)/g, (match, char) => (char === 'n' ? '\n' : char));
+
+// GIFT weights are whole or decimal percentages ("%33.33333%")
+const formatWeight = (value) => String(Number(value.toFixed(5)));
+
+const buildGiftQuestion = (question) => {
+  // Keep markup only when something in the question actually uses it
+  const isHtml = hasMarkup(question.text.html) || question.answers.some(answer => hasMarkup(answer.html));
+  const pick = (part) => escapeGift(isHtml ? part.html : part.plain);
+
+  const correct = question.answers.filter(answer => answer.weight > 0);
+  const totalWeight = correct.reduce((sum, answer) => sum + answer.weight, 0);
+
+  const answers = question.answers.map(answer => {
+    if (answer.weight <= 0) return `  ~${pick(answer)}`;
+    if (correct.length === 1) return `  =${pick(answer)}`;
+    // Several correct answers share the credit
+    return `  ~%${formatWeight((answer.weight / totalWeight) * 100)}%${pick(answer)}`;
+  });
+
+  const title = question.id ? `::${escapeGift(question.id)}:: ` : '';
+  return `${title}${isHtml ? '[html]' : ''}${pick(question.text)} {\n${answers.join('\n')}\n}`;
+};
+
+// GIFT text for every representable row, one $CATEGORY per sheet
+export const buildGift = (sheets) => {
+  const { questions, skipped } = extractQuestions(sheets);
+  const blocks = [];
+  let currentSheet = null;
+
+  questions.forEach(question => {
+    if (question.sheet !== currentSheet) {
+      currentSheet = question.sheet;
+      blocks.push(`$CATEGORY: ${sheetToCategory(currentSheet)}`);
+    }
+    blocks.push(buildGiftQuestion(question));
+  });
+
+  return { content: blocks.join('\n\n') + '\n', exported: questions.length, skipped };
+};
+
+// Aiken text: plain questions with exactly one correct answer, each question and option on one line
+export const buildAiken = (sheets) => {
+  const { questions, skipped } = extractQuestions(sheets);
+  const blocks = [];
+
+  questions.forEach(question => {
+    const skip = (reason) => skipped.push({ sheet: question.sheet, row: question.row, id: question.id, reason });
+    const correct = question.answers.filter(answer => answer.weight > 0);
+
+    if (correct.length > 1) return skip('Aiken allows only one correct answer');
+    if (question.answers.length > AIKEN_LETTERS.length) return skip('Aiken allows at most 26 answers');
+
+    const lines = [toAikenLine(question.text.plain)];
+    question.answers.forEach((answer, index) => {
+      lines.push(`${AIKEN_LETTERS[index]}. ${toAikenLine(answer.plain)}`);
+    });
+    lines.push(`ANSWER: ${AIKEN_LETTERS[question.answers.indexOf(correct[0])]}`);
+    blocks.push(lines.join('\n'));
+  });
+
+  return { content: blocks.join('\n\n') + '\n', exported: blocks.length, skipped };
+};
+
+// Aiken files are recognised by their ANSWER lines, GIFT by answer blocks in braces
+export const detectQuizTextFormat = (text) => {
+  if (/^ANSWER:\s*[A-Z]\s*$/m.test(text)) return QUIZ_TEXT_FORMATS.AIKEN;
+  if (/(^|[^\\])\{[^}]*\}/.test(text)) return QUIZ_TEXT_FORMATS.GIFT;
+  return null;
+};
+
+// Index of the first unescaped occurrence of char at or after start
+const findUnescaped = (text, char, start = 0) => {
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '\\') i++;
+    else if (text[i] === char) return i;
+  }
+  return -1;
+};
+
+// Split an answer block into "=..." / "~..." entries at unescaped markers
+const splitGiftAnswers = (block) => {
+  const answers = [];
+  let current = null;
+  for (let i = 0; i < block.length; i++) {
+    const char = block[i];
+    if (char === '\\') {
+      if (current !== null) current.text += block.slice(i, i + 2);
+      i++;
+    } else if (char === '=' || char === '~') {
+      current = { marker: char, text: '' };
+      answers.push(current);
+    } else if (current !== null) {
+      current.text += char;
+    }
+  }
+  return answers;
+};
+
+// One GIFT question block to { id, text, answers } or a skip reason
+const parseGiftQuestion = (block) => {
+  let rest = block.trim();
+  let id = '';
+
+  if (rest.startsWith('::')) {
+    const end = rest.indexOf('::', 2);
+    if (end !== -1) {
+      id = unescapeGift(rest.slice(2, end).trim());
+      rest = rest.slice(end + 2).trim();
+    }
+  }
+
+  const open = findUnescaped(rest, '{');
+  const close = open === -1 ? -1 : findUnescaped(rest, '}', open);
+  if (open === -1 || close === -1) return { id, error: 'No answer block in braces' };
+
+  // Text after the answers is kept too ("fill in the blank" style questions)
+  let text = `${rest.slice(0, open).trim()} ${rest.slice(close + 1).trim()}`.trim();
+  const formatMatch = text.match(/^\[(html|moodle|plain|markdown)\]/i);
+  if (formatMatch) text = text.slice(formatMatch[0].length).trim();
+  text = unescapeGift(text);
+
+  const body = rest.slice(open + 1, close).trim();
+  if (/^(T|TRUE|F|FALSE)(#.*)?$/i.test(body)) {
+    const isTrue = /^T/i.test(body);
+    return { id, text, answers: [{ text: 'True', correct: isTrue }, { text: 'False', correct: !isTrue }] };
+  }
+  if (body === '') return { id, error: 'Essay questions are not supported' };
+  if (body.startsWith('#')) return { id, error: 'Numerical questions are not supported' };
+
+  const answers = splitGiftAnswers(body).map(({ marker, text: raw }) => {
+    // Drop per-answer feedback after an unescaped #
+    const feedbackAt = findUnescaped(raw, '#');
+    let answerText = (feedbackAt === -1 ? raw : raw.slice(0, feedbackAt)).trim();
+    let weight = marker === '=' ? 100 : 0;
+    const weightMatch = answerText.match(/^%(-?\d+(?:\.\d+)?)%/);
+    if (weightMatch) {
+      weight = parseFloat(weightMatch[1]);
+      answerText = answerText.slice(weightMatch[0].length).trim();
+    }
+    return { text: unescapeGift(answerText), correct: weight > 0, marker };
+  });
+
+  if (answers.some(answer => answer.text.includes('->'))) return { id, error: 'Matching questions are not supported' };
+  if (!answers.some(answer => answer.marker === '~')) return { id, error: 'Short-answer questions are not supported' };
+
+  return { id, text, answers: answers.map(({ text: answerText, correct }) => ({ text: answerText, correct })) };
+};
+
+// GIFT text to questions; $CATEGORY lines switch the sheet
+const parseGift = (text, defaultSheetName) => {
+  const questions = [];
+  const skipped = [];
+  let sheetName = defaultSheetName;
+
+  // Comments are whole lines starting with //
+  const lines = text.split(/\r?\n/).filter(line => !/^\s*\/\//.test(line));
+  const blocks = lines.join('\n').split(/\n\s*\n/).map(block => block.trim()).filter(Boolean);
+
+  blocks.forEach((block, index) => {
+    const categoryMatch = block.match(/^\$CATEGORY:\s*(.+)$/m);
+    if (categoryMatch) {
+      sheetName = categoryToSheetName(categoryMatch[1]) || defaultSheetName;
+      block = block.replace(categoryMatch[0], '').trim();
+      if (!block) return;
+    }
+
+    const question = parseGiftQuestion(block);
+    if (question.error) {
+      skipped.push({ sheet: sheetName, row: index + 1, id: question.id, reason: question.error });
+      return;
+    }
+    questions.push({ ...question, sheet: sheetName });
+  });
+
+  return { questions, skipped };
+};
+
+// Aiken text to questions: question lines, lettered options, then "ANSWER: X"
+const parseAiken = (text, sheetName) => {
+  const questions = [];
+  const skipped = [];
+  let current = null;
+
+  const flush = (reason) => {
+    if (current && reason) {
+      skipped.push({ sheet: sheetName, row: questions.length + skipped.length + 1, id: '', reason });
+    }
+    current = null;
+  };
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const answerMatch = line.match(/^ANSWER:\s*([A-Z])\s*$/);
+    const optionMatch = line.match(/^([A-Z])[.)]\s+(.*)$/);
+
+    if (answerMatch) {
+      if (!current || current.answers.length < 2) return flush('Fewer than two answer options');
+      const correctIndex = current.answers.findIndex(answer => answer.letter === answerMatch[1]);
+      if (correctIndex === -1) return flush(`ANSWER ${answerMatch[1]} does not match an option`);
+      questions.push({
+        sheet: sheetName,
+        id: '',
+        text: current.text.join('\n'),
+        answers: current.answers.map((answer, index) => ({ text: answer.text, correct: index === correctIndex }))
+      });
+      current = null;
+    } else if (optionMatch && current && current.text.length > 0) {
+      current.answers.push({ letter: optionMatch[1], text: optionMatch[2] });
+    } else if (current && current.answers.length > 0) {
+      // A new question started before the previous one had an ANSWER line
+      flush('Missing ANSWER line');
+      current = { text: [line], answers: [] };
+    } else {
+      if (!current) current = { text: [], answers: [] };
+      current.text.push(line);
+    }
+  });
+  flush('Missing ANSWER line');
+
+  return { questions, skipped };
+};
+
+// GIFT or Aiken text to raw sheets of ID / Question / Variant N / Code N rows
+export const parseQuizText = (text, defaultSheetName = 'Questions') => {
+  const format = detectQuizTextFormat(text);
+  if (!format) {
+    throw new Error('Text file is neither GIFT nor Aiken: no answer blocks or ANSWER lines found');
+  }
+
+  const { questions, skipped } = format === QUIZ_TEXT_FORMATS.GIFT
+    ? parseGift(text, defaultSheetName)
+    : parseAiken(text, defaultSheetName);
+
+  if (questions.length === 0) {
+    throw new Error(`No multiple-choice questions found in ${format === QUIZ_TEXT_FORMATS.GIFT ? 'GIFT' : 'Aiken'} file`);
+  }
+
+  return { format, sheets: questionsToRawSheets(questions), skipped };
+};
@@ -0,0 +1,109 @@
+/**
+ * @jest-environment node
+ */
+import { parseWorkbookBuffer } from './excelParserCore';
+import { buildAiken, buildGift, parseQuizText, detectQuizTextFormat, QUIZ_TEXT_FORMATS } from './quizText';
+import { extractQuestions } from './questionBank';
+
+// Sheets as the app holds them, read from CSV text through the regular import path
+const readSheets = (csv) => parseWorkbookBuffer(new TextEncoder().encode(csv).buffer, 'Questions.csv').sheets;
+
+// Sheets re-imported from exported quiz text
+const reimport = (text, fileName) => parseWorkbookBuffer(new TextEncoder().encode(text).buffer, fileName).sheets;
+
+const plainQuestions = (sheets) => extractQuestions(sheets).questions.map(question => ({
+  id: question.id,
+  text: question.text.plain,
+  answers: question.answers.map(answer => [answer.plain, answer.weight > 0])
+}));
+
+const CSV = [
+  'ID,Question,Variant 1,Code 1,Variant 2,Code 2,Variant 3,Code 3',
+  'q-001,What is 2 + 2?,4,1,5,0,22,0',
+  'q-002,Pick the {braced} one: a = b,~tilde,0,#hash,1,plain,0'
+].join('\n');
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Aiken', () => {
+  test('round-trips questions with one correct answer', () => {
+    const sheets = readSheets(CSV);
+    const { content, exported, skipped } = buildAiken(sheets);
+    expect(exported).toBe(2);
+    expect(skipped).toEqual([]);
+    expect(detectQuizTextFormat(content)).toBe(QUIZ_TEXT_FORMATS.AIKEN);
+
+    const reimported = plainQuestions(reimport(content, 'Questions.txt'));
+    expect(reimported.map(({ text, answers }) => ({ text, answers })))
+      .toEqual(plainQuestions(sheets).map(({ text, answers }) => ({ text, answers })));
+  });
+
+  test('writes multi-line questions and answers on one line', () => {
+    const sheets = readSheets([
+      'ID,Question,Variant 1,Code 1,Variant 2,Code 2',
+      'q-001,"First line\nsecond   line",alpha,1,"line1\nB. line2",0'
+    ].join('\n'));
+    const { content } = buildAiken(sheets);
+    expect(content).toBe('First line second line\nA. alpha\nB. line1 B. line2\nANSWER: A\n');
+
+    const { sheets: parsed, skipped } = parseQuizText(content);
+    expect(skipped).toEqual([]);
+    const [header, row] = parsed[0].rows;
+    expect(header).toEqual(['ID', 'Question', 'Variant 1', 'Code 1', 'Variant 2', 'Code 2']);
+    expect(row.slice(1)).toEqual(['First line second line', 'alpha', '1', 'line1 B. line2', '0']);
+  });
+
+  test('skips questions with several correct answers', () => {
+    const sheets = readSheets([
+      'ID,Question,Variant 1,Code 1,Variant 2,Code 2',
+      'q-001,Both?,yes,1,also yes,1'
+    ].join('\n'));
+    const { exported, skipped } = buildAiken(sheets);
+    expect(exported).toBe(0);
+    expect(skipped).toEqual([expect.objectContaining({ id: 'q-001', reason: 'Aiken allows only one correct answer' })]);
+  });
+});
+
+describe('GIFT', () => {
+  test('round-trips IDs and the reserved characters', () => {
+    const sheets = readSheets(CSV);
+    const { content, exported } = buildGift(sheets);
+    expect(exported).toBe(2);
+    expect(detectQuizTextFormat(content)).toBe(QUIZ_TEXT_FORMATS.GIFT);
+    expect(content).toContain('::q-001:: What is 2 + 2? {');
+    expect(content).toContain('Pick the \\{braced\\} one\\: a \\= b {');
+
+    expect(plainQuestions(reimport(content, 'Questions.gift'))).toEqual(plainQuestions(sheets));
+  });
+
+  test('keeps line breaks inside a question', () => {
+    const sheets = readSheets([
+      'ID,Question,Variant 1,Code 1,Variant 2,Code 2',
+      'q-001,"First line\nsecond line",alpha,1,beta,0'
+    ].join('\n'));
+    const { content } = buildGift(sheets);
+    expect(content).toContain('First line\\nsecond line {');
+
+    const [question] = plainQuestions(reimport(content, 'Questions.gift'));
+    expect(question.text).toBe('First line\nsecond line');
+  });
+
+  test('splits the credit between several correct answers', () => {
+    const sheets = readSheets([
+      'ID,Question,Variant 1,Code 1,Variant 2,Code 2,Variant 3,Code 3',
+      'q-001,Which are even?,2,1,4,1,5,0'
+    ].join('\n'));
+    const { content } = buildGift(sheets);
+    expect(content).toContain('~%50%2');
+    expect(content).toContain('~%50%4');
+
+    const [question] = plainQuestions(reimport(content, 'Questions.gift'));
+    expect(question.answers).toEqual([['2', true], ['4', true], ['5', false]]);
+  });
+});
@@ -0,0 +1,199 @@
+// Rich-text cleaning: HTML from spreadsheets to a safe structured subset and to readable plain text
+// Worker-safe: plain string handling only
+import { decodeHTMLEntities } from './htmlEntities';
+
+// Elements whose contents are dropped along with the tags
+const DROPPED_CONTENT = new Set(['script', 'style', 'head', 'title', 'template', 'noscript', 'xml']);
+
+// Safe subset kept by sanitizeRichText, with the attributes allowed on each
+const RICH_ELEMENTS = {
+  b: [], strong: [], i: [], em: [], u: [], s: [], sup: [], sub: [], br: [], p: [],
+  ul: [], ol: [], li: [],
+  table: [], thead: [], tbody: [], tr: [], th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan']
+};
+// Block-level markup that is kept as a paragraph
+const PARAGRAPH_ALIASES = new Set(['div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'address']);
+// Elements that start a new line in plain text
+const BLOCK_ELEMENTS = new Set([
+  'p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'address',
+  'ul', 'ol', 'li', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'caption', 'hr', 'dl', 'dt', 'dd'
+]);
+export const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'col', 'input', 'meta', 'link', 'wbr', 'area', 'source']);
+
+const parseAttributes = (source) => {
+  const attributes = {};
+  const pattern = /([a-zA-Z_:][\w:.-]*)\s*(?:=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1].toLowerCase()] = match[3] ?? match[4] ?? match[5] ?? '';
+  }
+  return attributes;
+};
+
+// Split HTML into text and tag tokens; comments, declarations and script/style bodies are skipped
+// Text tokens keep their raw (still entity-encoded) content; tag tokens keep the source tag in raw
+export const tokenizeHtml = (html) => {
+  const tokens = [];
+  const tagPattern = /<!--[\s\S]*?-->|<[!?][^>]*>|<(\/?)([a-zA-Z][\w:-]*)([^>]*)>/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tagPattern.exec(html)) !== null) {
+    if (match.index > lastIndex) tokens.push({ type: 'text', text: html.slice(lastIndex, match.index) });
+    lastIndex = tagPattern.lastIndex;
+
+    const [raw, closing, rawName, attributeSource] = match;
+    if (!rawName) continue;
+
+    const name = rawName.toLowerCase();
+    if (closing) {
+      tokens.push({ type: 'close', name, raw });
+    } else if (DROPPED_CONTENT.has(name)) {
+      const end = html.toLowerCase().indexOf(`</${name}`, lastIndex);
+      const endClose = end === -1 ? -1 : html.indexOf('>', end);
+      lastIndex = endClose === -1 ? html.length : endClose + 1;
+      tagPattern.lastIndex = lastIndex;
+    } else {
+      const selfClosing = /\/\s*$/.test(attributeSource);
+      tokens.push({
+        type: 'open',
+        name,
+        raw,
+        attributes: parseAttributes(attributeSource.replace(/\/\s*$/, '')),
+        selfClosing: selfClosing || VOID_ELEMENTS.has(name)
+      });
+    }
+  }
+
+  if (lastIndex < html.length) tokens.push({ type: 'text', text: html.slice(lastIndex) });
+  return tokens;
+};
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// HTML to the safe rich subset: emphasis, super/subscript, line breaks, paragraphs, lists and
+// simple tables. Other tags are unwrapped, attributes dropped and unclosed elements closed.
+export const sanitizeRichText = (html) => {
+  if (!html || typeof html !== 'string') return '';
+
+  const output = [];
+  const stack = [];
+
+  tokenizeHtml(html).forEach(token => {
+    if (token.type === 'text') {
+      output.push(escapeHtml(decodeHTMLEntities(token.text)));
+      return;
+    }
+
+    const name = PARAGRAPH_ALIASES.has(token.name) ? 'p' : token.name;
+    if (!RICH_ELEMENTS[name]) return;
+
+    if (token.type === 'close') {
+      // Close back to the matching element; stray closing tags are dropped
+      const openIndex = stack.lastIndexOf(name);
+      if (openIndex === -1) return;
+      while (stack.length > openIndex) output.push(`</${stack.pop()}>`);
+      return;
+    }
+
+    const attributes = RICH_ELEMENTS[name]
+      .filter(attribute => /^\d+$/.test(token.attributes[attribute] || ''))
+      .map(attribute => ` ${attribute}="${token.attributes[attribute]}"`)
+      .join('');
+
+    if (name === 'br') {
+      output.push('<br>');
+    } else if (!token.selfClosing) {
+      output.push(`<${name}${attributes}>`);
+      stack.push(name);
+    }
+  });
+
+  while (stack.length > 0) output.push(`</${stack.pop()}>`);
+  return output.join('');
+};
+
+// Collapse spaces within lines, trim each line and keep at most one blank line between blocks
+export const normalizePlainText = (text) => text
+  .split('\n')
+  .map(line => line.replace(/[^\S\n]+/g, ' ').trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Block boundaries are marked first and collapse to one line break; <br> is always kept
+const BLOCK_BREAK = '\uE000';
+const BLOCK_BREAK_RUN = /[^\S\n]*(\uE000[^\S\n]*)+/g;
+
+// Super/subscript in plain text: x^2, H_2O; longer runs are bracketed (x^(n+1))
+const markScript = (marker, content) => {
+  const text = content.trim();
+  if (!text) return '';
+  return /^[\p{L}\p{N}]$/u.test(text) ? `${marker}${text}` : `${marker}(${text})`;
+};
+
+// HTML to readable plain text: block elements and <br> become line breaks, list items get
+// bullets or numbers, table cells are separated by " | " and sup/sub use ^ and _
+export const htmlToPlainText = (html) => {
+  if (!html || typeof html !== 'string') return '';
+
+  // Each open sup/sub collects its own text until it closes
+  const buffers = [[]];
+  const scripts = [];
+  const lists = [];
+  const cellCounts = [];
+  const write = (text) => buffers[buffers.length - 1].push(text);
+
+  tokenizeHtml(html).forEach(token => {
+    if (token.type === 'text') {
+      // Source whitespace, including line breaks, is a single space in HTML
+      write(decodeHTMLEntities(token.text).replace(/\s+/g, ' '));
+      return;
+    }
+
+    const { name } = token;
+    if (token.type === 'open') {
+      if (name === 'br') write('\n');
+      else if (name === 'sup' || name === 'sub') {
+        scripts.push(name);
+        buffers.push([]);
+      } else if (name === 'ul' || name === 'ol') {
+        lists.push({ ordered: name === 'ol', count: 0 });
+        write(BLOCK_BREAK);
+      } else if (name === 'li') {
+        const list = lists[lists.length - 1];
+        if (list) list.count++;
+        write(`${BLOCK_BREAK}${list?.ordered ? `${list.count}. ` : '• '}`);
+      } else if (name === 'tr') {
+        cellCounts.push(0);
+        write(BLOCK_BREAK);
+      } else if (name === 'td' || name === 'th') {
+        if (cellCounts.length > 0 && cellCounts[cellCounts.length - 1]++ > 0) write(' | ');
+      } else if (BLOCK_ELEMENTS.has(name)) {
+        write(BLOCK_BREAK);
+      }
+      return;
+    }
+
+    if ((name === 'sup' || name === 'sub') && scripts.length > 0) {
+      const scriptName = scripts.pop();
+      const content = buffers.pop().join('');
+      write(markScript(scriptName === 'sup' ? '^' : '_', content));
+    } else if (name === 'ul' || name === 'ol') {
+      lists.pop();
+      write(BLOCK_BREAK);
+    } else if (name === 'tr') {
+      cellCounts.pop();
+    } else if (BLOCK_ELEMENTS.has(name) && name !== 'li') {
+      write(BLOCK_BREAK);
+    }
+  });
+
+  // Unclosed sup/sub still count
+  while (buffers.length > 1) {
+    const content = buffers.pop().join('');
+    write(markScript(scripts.pop() === 'sup' ? '^' : '_', content));
+  }
+
+  return normalizePlainText(buffers[0].join('').replace(BLOCK_BREAK_RUN, '\n'));
+};
@@ -0,0 +1,84 @@
+// Table selection in one sheet: { rows, columns, cells } as Sets of row indexes, column indexes and
+// cellId strings. A cell is selected when it is picked itself, or when its row or its column is;
+// with rows and columns both picked only the cells where they cross count.
+import { getLayerCell, isLayerOutdated, SOURCE_LAYER } from './languageLayers';
+import { analyzeDataset } from './optimizedAiService';
+
+export const createSelection = () => ({ rows: new Set(), columns: new Set(), cells: new Set() });
+
+export const cellId = (rowIndex, colIndex) => `${rowIndex}:${colIndex}`;
+
+export const isSelectionEmpty = (selection) =>
+  selection.rows.size === 0 && selection.columns.size === 0 && selection.cells.size === 0;
+
+export const isCellSelected = (selection, rowIndex, colIndex) => {
+  if (selection.cells.has(cellId(rowIndex, colIndex))) return true;
+  const { rows, columns } = selection;
+  if (rows.size > 0 && columns.size > 0) return rows.has(rowIndex) && columns.has(colIndex);
+  return rows.has(rowIndex) || columns.has(colIndex);
+};
+
+// The Set with the indexes from..to (either order) added or removed
+export const setRange = (set, from, to, selected) => {
+  const next = new Set(set);
+  for (let index = Math.min(from, to); index <= Math.max(from, to); index++) {
+    if (selected) next.add(index);
+    else next.delete(index);
+  }
+  return next;
+};
+
+// cellIds of the selected cells that hold text, in row order
+export const getSelectedCellIds = (selection, data) => {
+  const ids = new Set();
+  data.forEach((row, rowIndex) => row.forEach((cell, colIndex) => {
+    if (cell?.cleaned?.trim() && isCellSelected(selection, rowIndex, colIndex)) ids.add(cellId(rowIndex, colIndex));
+  }));
+  return ids;
+};
+
+// Indexes of the rows with at least one selected cell that holds text
+export const getSelectedRowIndices = (selection, data) =>
+  [...new Set([...getSelectedCellIds(selection, data)].map(id => Number(id.split(':')[0])))];
+
+// Rows with a dataset issue (missing variants, invalid codes...) or a cell marked "Check translation"
+// or "Terminology" in the language shown; the source view counts the marks of every language
+export const findIssueRows = (data, schema, language = SOURCE_LAYER) => {
+  const rows = new Set((analyzeDataset(data, schema).detailedIssues || []).map(issue => issue.row - 1));
+  data.forEach((row, rowIndex) => {
+    const marked = row.some(cell => {
+      const layers = language === SOURCE_LAYER
+        ? Object.values(cell?.translations || {})
+        : [getLayerCell(cell, language)];
+      return layers.some(layer => layer?.translationIssue || layer?.glossaryIssue);
+    });
+    if (marked) rows.add(rowIndex);
+  });
+  return [...rows].sort((a, b) => a - b);
+};
+
+// Rows whose source text was edited after it was translated into the language shown, or into
+// any language in the source view
+export const findChangedRows = (data, language = SOURCE_LAYER) => {
+  const rows = [];
+  data.forEach((row, rowIndex) => {
+    const changed = row.some(cell => {
+      const languages = language === SOURCE_LAYER ? Object.keys(cell?.translations || {}) : [language];
+      return languages.some(code => isLayerOutdated(cell, code));
+    });
+    if (changed) rows.push(rowIndex);
+  });
+  return rows;
+};
+
+// "row 4" or "rows 3, 5–9" for sorted row indexes
+export const describeRows = (rowIndices) => {
+  const ranges = [];
+  rowIndices.forEach(index => {
+    const last = ranges[ranges.length - 1];
+    if (last && index === last[1] + 1) last[1] = index;
+    else ranges.push([index, index]);
+  });
+  const text = ranges.map(([from, to]) => (from === to ? `${from + 1}` : `${from + 1}–${to + 1}`)).join(', ');
+  return rowIndices.length === 1 ? `row ${text}` : `rows ${text}`;
+};
@@ -0,0 +1,257 @@
+// Text-based import formats (CSV, TSV, JSON, quiz banks) turned into raw sheet rows
+// Worker-safe: no DOM access, only TextDecoder and plain string handling
+
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+// Lines sampled when guessing the delimiter
+const DELIMITER_SAMPLE_LINES = 20;
+// Share of sampled rows with the same field count for a .txt file to be read as a table
+const DELIMITED_ROW_SHARE = 0.8;
+
+export const IMPORT_FORMATS = {
+  XLSX: 'xlsx',
+  CSV: 'csv',
+  TSV: 'tsv',
+  JSON: 'json',
+  MOODLE_XML: 'moodle-xml',
+  // GIFT or Aiken, told apart by content
+  QUIZ_TEXT: 'quiz-text',
+  // .txt: a delimited table (Excel's "Text (Tab delimited)") or a quiz bank, told apart by content
+  TEXT: 'text'
+};
+
+// Import format from the file extension; unknown extensions are treated as workbooks
+export const detectImportFormat = (fileName = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'csv') return IMPORT_FORMATS.CSV;
+  if (extension === 'tsv' || extension === 'tab') return IMPORT_FORMATS.TSV;
+  if (extension === 'json') return IMPORT_FORMATS.JSON;
+  if (extension === 'xml') return IMPORT_FORMATS.MOODLE_XML;
+  if (extension === 'gift') return IMPORT_FORMATS.QUIZ_TEXT;
+  if (extension === 'txt') return IMPORT_FORMATS.TEXT;
+  return IMPORT_FORMATS.XLSX;
+};
+
+// Sheet name for single-table formats: the file name without its extension
+export const sheetNameFromFile = (fileName = '') =>
+  fileName.replace(/\.[^.]+$/, '') || 'Data';
+
+// Guess the encoding of a text file from its BOM and byte patterns
+export const detectEncoding = (bytes) => {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+  // UTF-16 without BOM: ASCII text leaves every other byte zero
+  const sample = bytes.subarray(0, Math.min(bytes.length, 4096));
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+  if (oddZeros > sample.length / 4 && evenZeros < sample.length / 20) return 'utf-16le';
+  if (evenZeros > sample.length / 4 && oddZeros < sample.length / 20) return 'utf-16be';
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    return 'utf-8';
+  } catch {
+    // Not valid UTF-8: legacy single-byte export. Cyrillic letters in windows-1251
+    // occupy 0xC0-0xFF, so mostly-high-letter bytes point at Russian content.
+    let highBytes = 0;
+    let cyrillicRange = 0;
+    for (let i = 0; i < sample.length; i++) {
+      if (sample[i] >= 0x80) {
+        highBytes++;
+        if (sample[i] >= 0xC0) cyrillicRange++;
+      }
+    }
+    return highBytes > 0 && cyrillicRange / highBytes > 0.7 ? 'windows-1251' : 'windows-1252';
+  }
+};
+
+// Decode a text file buffer, returning the text and the encoding used
+export const decodeText = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  const encoding = detectEncoding(bytes);
+  // TextDecoder strips the BOM for the matching encoding
+  const text = new TextDecoder(encoding).decode(bytes);
+  return { text, encoding };
+};
+
+// Count delimiter occurrences per line, ignoring delimiters inside quotes
+const countDelimiters = (text, delimiter) => {
+  const counts = [];
+  let count = 0;
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length && counts.length < DELIMITER_SAMPLE_LINES; i++) {
+    const char = text[i];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && char === delimiter) {
+      count++;
+    } else if (!inQuotes && char === '\n') {
+      counts.push(count);
+      count = 0;
+    }
+  }
+  if (count > 0 || counts.length === 0) counts.push(count);
+  return counts;
+};
+
+// Pick the delimiter that appears the same non-zero number of times on most lines
+export const detectDelimiter = (text, fallback = ',') => {
+  let best = fallback;
+  let bestScore = 0;
+
+  DELIMITER_CANDIDATES.forEach(delimiter => {
+    const counts = countDelimiters(text, delimiter).filter(c => c > 0);
+    if (counts.length === 0) return;
+
+    // Most common count and how many lines share it
+    const frequency = new Map();
+    counts.forEach(c => frequency.set(c, (frequency.get(c) || 0) + 1));
+    const [modeCount, modeLines] = Array.from(frequency.entries()).sort((a, b) => b[1] - a[1])[0];
+    const score = modeLines * 10 + modeCount;
+
+    if (score > bestScore) {
+      bestScore = score;
+      best = delimiter;
+    }
+  });
+
+  return best;
+};
+
+// RFC 4180 parser: quoted fields may contain delimiters, doubled quotes and line breaks
+export const parseDelimitedText = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (char === '\r' && text[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+  }
+
+  // Last line without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Format of a .txt file: CSV or TSV when most of its first lines split into the same number of
+// fields, quiz text otherwise
+export const detectTextFormat = (text) => {
+  const sample = text.split(/\r?\n/).slice(0, DELIMITER_SAMPLE_LINES).join('\n');
+  const delimiter = detectDelimiter(sample);
+  const rows = parseDelimitedText(sample, delimiter).filter(row => row.some(field => field.trim()));
+
+  const frequency = new Map();
+  rows.forEach(row => frequency.set(row.length, (frequency.get(row.length) || 0) + 1));
+  const [fields, count] = Array.from(frequency.entries()).sort((a, b) => b[1] - a[1])[0] || [0, 0];
+
+  const isTable = rows.length >= 2 && fields >= 2 && count / rows.length >= DELIMITED_ROW_SHARE;
+  if (!isTable) return IMPORT_FORMATS.QUIZ_TEXT;
+  return delimiter === '\t' ? IMPORT_FORMATS.TSV : IMPORT_FORMATS.CSV;
+};
+
+// CSV/TSV buffer to raw rows plus detection details
+export const readDelimitedBuffer = (buffer, format) => {
+  const { text, encoding } = decodeText(buffer);
+  const delimiter = format === IMPORT_FORMATS.TSV ? '\t' : detectDelimiter(text);
+  return { rows: parseDelimitedText(text, delimiter), encoding, delimiter };
+};
+
+const toCellString = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Rows from a JSON array: arrays are rows as-is, objects become rows under a header of their keys
+const jsonArrayToRows = (items) => {
+  if (items.every(item => Array.isArray(item))) {
+    return { rows: items.map(item => item.map(toCellString)), hasHeader: false };
+  }
+
+  const keys = [];
+  const seen = new Set();
+  items.forEach(item => {
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+      Object.keys(item).forEach(key => {
+        if (!seen.has(key)) {
+          seen.add(key);
+          keys.push(key);
+        }
+      });
+    }
+  });
+
+  const rows = items.map(item => {
+    if (Array.isArray(item)) return item.map(toCellString);
+    if (item && typeof item === 'object') return keys.map(key => toCellString(item[key]));
+    return [toCellString(item)];
+  });
+
+  return { rows: [keys, ...rows], hasHeader: keys.length > 0 };
+};
+
+// JSON buffer to raw sheets: a top-level array is one sheet, an object of arrays is one sheet per key
+export const readJsonBuffer = (buffer, fileName) => {
+  const { text, encoding } = decodeText(buffer);
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Invalid JSON: ' + error.message);
+  }
+
+  if (Array.isArray(parsed)) {
+    return { sheets: [{ sheetName: sheetNameFromFile(fileName), ...jsonArrayToRows(parsed) }], encoding };
+  }
+
+  if (parsed && typeof parsed === 'object') {
+    const sheets = Object.entries(parsed)
+      .filter(([, value]) => Array.isArray(value))
+      .map(([sheetName, value]) => ({ sheetName, ...jsonArrayToRows(value) }));
+    if (sheets.length > 0) return { sheets, encoding };
+  }
+
+  throw new Error('JSON must be an array of rows or an object of named row arrays');
+};
@@ -0,0 +1,163 @@
+/**
+ * @jest-environment node
+ */
+import {
+  IMPORT_FORMATS,
+  detectImportFormat,
+  sheetNameFromFile,
+  detectEncoding,
+  decodeText,
+  detectDelimiter,
+  detectTextFormat,
+  parseDelimitedText,
+  readDelimitedBuffer,
+  readJsonBuffer
+} from './textImporters';
+import { parseWorkbookBuffer } from './excelParserCore';
+
+const utf8 = (text) => new TextEncoder().encode(text);
+const utf16le = (text) => {
+  const bytes = new Uint8Array(text.length * 2);
+  for (let i = 0; i < text.length; i++) {
+    bytes[i * 2] = text.charCodeAt(i) & 0xFF;
+    bytes[i * 2 + 1] = text.charCodeAt(i) >> 8;
+  }
+  return bytes;
+};
+const withBytes = (...parts) => Uint8Array.from(parts.flatMap(part => Array.from(part)));
+
+describe('detectImportFormat', () => {
+  test('maps extensions to formats', () => {
+    expect(detectImportFormat('Bank.CSV')).toBe(IMPORT_FORMATS.CSV);
+    expect(detectImportFormat('bank.tsv')).toBe(IMPORT_FORMATS.TSV);
+    expect(detectImportFormat('bank.tab')).toBe(IMPORT_FORMATS.TSV);
+    expect(detectImportFormat('bank.json')).toBe(IMPORT_FORMATS.JSON);
+    expect(detectImportFormat('bank.xml')).toBe(IMPORT_FORMATS.MOODLE_XML);
+    expect(detectImportFormat('bank.gift')).toBe(IMPORT_FORMATS.QUIZ_TEXT);
+    expect(detectImportFormat('bank.txt')).toBe(IMPORT_FORMATS.TEXT);
+    expect(detectImportFormat('bank.xlsx')).toBe(IMPORT_FORMATS.XLSX);
+    expect(detectImportFormat('bank')).toBe(IMPORT_FORMATS.XLSX);
+  });
+
+  test('names single-table sheets after the file', () => {
+    expect(sheetNameFromFile('Physics 2024.csv')).toBe('Physics 2024');
+    expect(sheetNameFromFile('.csv')).toBe('Data');
+  });
+});
+
+describe('encodings', () => {
+  test('BOMs win', () => {
+    expect(detectEncoding(withBytes([0xEF, 0xBB, 0xBF], utf8('a,b')))).toBe('utf-8');
+    expect(detectEncoding(withBytes([0xFF, 0xFE], utf16le('a,b')))).toBe('utf-16le');
+    expect(detectEncoding(Uint8Array.from([0xFE, 0xFF, 0x00, 0x61]))).toBe('utf-16be');
+  });
+
+  test('UTF-16 without BOM from the zero bytes', () => {
+    expect(detectEncoding(utf16le('ID,Question\n1,What?'))).toBe('utf-16le');
+    expect(detectEncoding(utf16le('ID,Question\n1,What?').map((byte, index, bytes) => bytes[index ^ 1])))
+      .toBe('utf-16be');
+  });
+
+  test('legacy single-byte exports', () => {
+    // "Привет,мир" in windows-1251
+    const cyrillic = Uint8Array.from([0xCF, 0xF0, 0xE8, 0xE2, 0xE5, 0xF2, 0x2C, 0xEC, 0xE8, 0xF0]);
+    expect(detectEncoding(cyrillic)).toBe('windows-1251');
+    expect(decodeText(cyrillic.buffer)).toEqual({ text: 'Привет,мир', encoding: 'windows-1251' });
+
+    // "© café 20°" in windows-1252
+    const latin = Uint8Array.from([0xA9, 0x20, 0x63, 0x61, 0x66, 0xE9, 0x20, 0x32, 0x30, 0xB0]);
+    expect(decodeText(latin.buffer)).toEqual({ text: '© café 20°', encoding: 'windows-1252' });
+  });
+
+  test('decoding strips the BOM', () => {
+    expect(decodeText(withBytes([0xEF, 0xBB, 0xBF], utf8('Вопрос')).buffer).text).toBe('Вопрос');
+    expect(decodeText(withBytes([0xFF, 0xFE], utf16le('Вопрос')).buffer).text).toBe('Вопрос');
+  });
+});
+
+describe('delimited text', () => {
+  test('detects the delimiter used consistently on most lines', () => {
+    expect(detectDelimiter('a,b,c\n1,2,3\n4,5,6')).toBe(',');
+    expect(detectDelimiter('a;b;c\n1,5;2;3\n4;5,5;6')).toBe(';');
+    expect(detectDelimiter('a\tb\n1\t2')).toBe('\t');
+    expect(detectDelimiter('a|b|c\n1|2|3')).toBe('|');
+    expect(detectDelimiter('no delimiters here', ';')).toBe(';');
+  });
+
+  test('ignores delimiters inside quotes', () => {
+    expect(detectDelimiter('"a,b,c";d\n"1,2,3";4\n"x,y,z";5')).toBe(';');
+  });
+
+  test('parses quoted fields with delimiters, doubled quotes and line breaks', () => {
+    const text = 'ID,Question\r\n1,"Which, of these?"\r\n2,"He said ""hi"""\n3,"Line one\nLine two"\n4,';
+    expect(parseDelimitedText(text, ',')).toEqual([
+      ['ID', 'Question'],
+      ['1', 'Which, of these?'],
+      ['2', 'He said "hi"'],
+      ['3', 'Line one\nLine two'],
+      ['4', '']
+    ]);
+  });
+
+  test('round-trips a file through the buffer reader', () => {
+    const { rows, encoding, delimiter } = readDelimitedBuffer(utf8('a;b\n"x;y";z\n').buffer, IMPORT_FORMATS.CSV);
+    expect(rows).toEqual([['a', 'b'], ['x;y', 'z']]);
+    expect(encoding).toBe('utf-8');
+    expect(delimiter).toBe(';');
+
+    expect(readDelimitedBuffer(utf8('a,b\tc\n1,2\t3').buffer, IMPORT_FORMATS.TSV).rows)
+      .toEqual([['a,b', 'c'], ['1,2', '3']]);
+  });
+});
+
+describe('detectTextFormat', () => {
+  test('tables saved as .txt are delimited', () => {
+    expect(detectTextFormat('ID\tQuestion\tVariant 1\tCode 1\ninf-001\tWhat is a byte?\tEight bits\t1\n')).toBe(IMPORT_FORMATS.TSV);
+    expect(detectTextFormat('ID;Question\r\n1;"Which, of these?"\r\n2;"Line one\nLine two"\r\n')).toBe(IMPORT_FORMATS.CSV);
+  });
+
+  test('quiz banks are not, even with commas in their text', () => {
+    const aiken = 'Which, of these, is a prime?\nA. 4, obviously\nB. 7, maybe\nANSWER: B\n\nPick one:\nA. yes\nB. no\nANSWER: A\n';
+    expect(detectTextFormat(aiken)).toBe(IMPORT_FORMATS.QUIZ_TEXT);
+    const gift = '::q1:: Which is prime? {\n  =7\n  ~4\n}\n\n::q2:: Which is even, 3 or 4? {\n  =4\n  ~3\n}\n';
+    expect(detectTextFormat(gift)).toBe(IMPORT_FORMATS.QUIZ_TEXT);
+    expect(detectTextFormat('one line, with a comma')).toBe(IMPORT_FORMATS.QUIZ_TEXT);
+  });
+
+  test('a tab-delimited .txt file is imported as a table', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const text = 'ID\tQuestion\tVariant 1\tCode 1\tVariant 2\tCode 2\ninf-001\tWhat is a byte?\tEight bits\t1\tTen bits\t0\n';
+    const { data, metadata } = parseWorkbookBuffer(utf8(text).buffer, 'Export.txt');
+    expect(metadata).toMatchObject({ format: IMPORT_FORMATS.TSV, delimiter: '\t' });
+    expect(data[0].map(cell => cell.cleaned)).toEqual(['inf-001', 'What is a byte?', 'Eight bits', '1', 'Ten bits', '0']);
+    console.log.mockRestore();
+  });
+});
+
+describe('readJsonBuffer', () => {
+  test('array of objects becomes one sheet under a header of all keys', () => {
+    const json = JSON.stringify([{ id: 1, question: 'Q1' }, { id: 2, note: null, tags: ['a'] }]);
+    expect(readJsonBuffer(utf8(json).buffer, 'bank.json')).toEqual({
+      sheets: [{
+        sheetName: 'bank',
+        rows: [['id', 'question', 'note', 'tags'], ['1', 'Q1', '', ''], ['2', '', '', '["a"]']],
+        hasHeader: true
+      }],
+      encoding: 'utf-8'
+    });
+  });
+
+  test('array of arrays has no header; an object of arrays is one sheet per key', () => {
+    const json = JSON.stringify({ Physics: [['1', 'Q1']], Chemistry: [{ id: 2 }], meta: 'skipped' });
+    const { sheets } = readJsonBuffer(utf8(json).buffer, 'bank.json');
+    expect(sheets).toEqual([
+      { sheetName: 'Physics', rows: [['1', 'Q1']], hasHeader: false },
+      { sheetName: 'Chemistry', rows: [['id'], ['2']], hasHeader: true }
+    ]);
+  });
+
+  test('rejects invalid JSON and other shapes', () => {
+    expect(() => readJsonBuffer(utf8('{').buffer, 'bank.json')).toThrow(/^Invalid JSON/);
+    expect(() => readJsonBuffer(utf8('"text"').buffer, 'bank.json')).toThrow(/array of rows/);
+  });
+});
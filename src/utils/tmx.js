@@ -0,0 +1,98 @@
+// TMX 1.4 import and export for the translation memory
+// Segments hold the stored text as is; HTML sources and targets are written escaped and read back the same way
+import { escapeXml, parseXml, findChild, findChildren } from './xmlUtils';
+import { UNDETERMINED_LANGUAGE } from './translationMemory';
+
+// Inline TMX elements; their content is the native code (escaped markup) and is kept as text
+const INLINE_TAGS = /<\/?(?:bpt|ept|ph|it|hi|sub|ut)\b[^>]*>/g;
+
+// TMX dates: 20261019T151742Z
+const toTmxDate = (iso) => (iso ? new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '') : '');
+
+const fromTmxDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}.000Z` : null;
+};
+
+// 'en-US' and 'EN' become 'en'
+const normalizeLanguage = (value) => {
+  const code = (value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return code && code !== '*all*' ? code : UNDETERMINED_LANGUAGE;
+};
+
+const buildUnit = (entry) => {
+  const dates = [
+    entry.createdAt ? ` creationdate="${toTmxDate(entry.createdAt)}"` : '',
+    entry.updatedAt ? ` changedate="${toTmxDate(entry.updatedAt)}"` : ''
+  ].join('');
+  const props = [
+    entry.model ? `      <prop type="x-model">${escapeXml(entry.model)}</prop>` : '',
+    entry.origin ? `      <prop type="x-origin">${escapeXml(entry.origin)}</prop>` : ''
+  ].filter(Boolean);
+
+  return `    <tu srclang="${escapeXml(entry.sourceLanguage)}"${dates}>
+${props.map(prop => `${prop}\n`).join('')}      <tuv xml:lang="${escapeXml(entry.sourceLanguage)}"><seg>${escapeXml(entry.source)}</seg></tuv>
+      <tuv xml:lang="${escapeXml(entry.targetLanguage)}"><seg>${escapeXml(entry.target)}</seg></tuv>
+    </tu>`;
+};
+
+// TMX document for memory entries; the header names the source language when they share one
+export const buildTmx = (entries) => {
+  const sourceLanguages = new Set(entries.map(entry => entry.sourceLanguage));
+  const srclang = sourceLanguages.size === 1 ? [...sourceLanguages][0] : '*all*';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<tmx version="1.4">
+  <header creationtool="Excel Content Processor" creationtoolversion="1.0.0" segtype="paragraph" o-tmf="json" adminlang="en" srclang="${escapeXml(srclang)}" datatype="html"/>
+  <body>
+${entries.map(buildUnit).join('\n')}
+  </body>
+</tmx>
+`;
+};
+
+const readSegment = (tuv) => findChild(tuv, 'seg')?.text ?? '';
+
+// Memory entries from a TMX document: every translation unit gives one entry per target variant,
+// from the unit's (or the header's) source language. Returns { entries, skipped }.
+export const parseTmx = (text) => {
+  // Inline elements inside segments are flattened first so their content stays in order
+  const flattened = text.replace(/<seg>([\s\S]*?)<\/seg>/g, (match, inner) => `<seg>${inner.replace(INLINE_TAGS, '')}</seg>`);
+  const tmx = findChild(parseXml(flattened), 'tmx');
+  if (!tmx) throw new Error('Not a TMX document');
+
+  const header = findChild(tmx, 'header');
+  const headerSource = header?.attributes.srclang;
+  const units = findChildren(findChild(tmx, 'body'), 'tu');
+
+  const entries = [];
+  let skipped = 0;
+  units.forEach(unit => {
+    const variants = findChildren(unit, 'tuv').map(tuv => ({
+      language: tuv.attributes['xml:lang'] || tuv.attributes.lang,
+      text: readSegment(tuv)
+    }));
+    const sourceCode = unit.attributes.srclang || headerSource;
+    const source = variants.find(variant => sourceCode && sourceCode !== '*all*' &&
+      normalizeLanguage(variant.language) === normalizeLanguage(sourceCode)) || variants[0];
+    const targets = variants.filter(variant => variant !== source && variant.text.trim());
+
+    if (!source || !source.text.trim() || targets.length === 0) {
+      skipped++;
+      return;
+    }
+
+    const props = Object.fromEntries(findChildren(unit, 'prop').map(prop => [prop.attributes.type, prop.text]));
+    targets.forEach(target => entries.push({
+      source: source.text,
+      target: target.text,
+      sourceLanguage: normalizeLanguage(source.language),
+      targetLanguage: normalizeLanguage(target.language),
+      model: props['x-model'] || '',
+      origin: props['x-origin'] || 'import',
+      createdAt: fromTmxDate(unit.attributes.creationdate) || undefined
+    }));
+  });
+
+  return { entries, skipped };
+};
@@ -0,0 +1,146 @@
+// Token budgeting for AI requests: rough token estimates, sentence-level splitting of long
+// texts and packing of translation batches into a model's context and output limits
+// Worker-safe: plain string handling only
+
+// Tokens of JSON keys, quotes and schema entries around every item in a request or response
+export const ITEM_OVERHEAD_TOKENS = 15;
+// Translations can come out longer than their source (English to Russian often does)
+const OUTPUT_EXPANSION = 1.5;
+// Long texts are translated in pieces of at most this many tokens
+const MAX_SEGMENT_TOKENS = 1000;
+
+// Sentence ends (with closing quotes and brackets) and line breaks; texts are cut after them.
+// Chinese and Japanese full stops need no space after them.
+const SENTENCE_END = /[.!?…؟]+["'»”’)\]]*\s+|[。！？]+[」』”’）]*|\n+/g;
+// Placeholders (⟦1⟧) are never cut apart; everything else splits by code point
+const CHARACTER = /⟦\d+⟧|[\s\S]/gu;
+
+// Chinese, Japanese and Korean characters
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+// Roughly 4 characters per token for ASCII text, 2 for Cyrillic, Arabic and other scripts and
+// one per CJK character; errs on the high side so planned batches stay inside the limits
+export const estimateTokens = (text) => {
+  if (!text) return 0;
+  let ascii = 0;
+  let cjk = 0;
+  let other = 0;
+  for (const char of text) {
+    if (char.charCodeAt(0) < 128) ascii++;
+    else if (CJK.test(char)) cjk++;
+    else other++;
+  }
+  return Math.ceil(ascii / 4 + other / 2 + cjk);
+};
+
+// Cut after every match of pattern; joining the pieces gives back the text exactly
+const splitAfter = (text, pattern) => {
+  const pieces = [];
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    const end = match.index + match[0].length;
+    if (end > last) {
+      pieces.push(text.slice(last, end));
+      last = end;
+    }
+  }
+  if (last < text.length) pieces.push(text.slice(last));
+  return pieces;
+};
+
+// Greedily join pieces into segments of at most maxTokens; oversized pieces go through splitPiece
+const packPieces = (pieces, maxTokens, splitPiece) => {
+  const segments = [];
+  let current = '';
+  let currentTokens = 0;
+
+  const pushPiece = (piece, tokens) => {
+    if (current && currentTokens + tokens > maxTokens) {
+      segments.push(current);
+      current = '';
+      currentTokens = 0;
+    }
+    current += piece;
+    currentTokens += tokens;
+  };
+
+  pieces.forEach(piece => {
+    const tokens = estimateTokens(piece);
+    if (tokens > maxTokens && splitPiece) {
+      splitPiece(piece).forEach(part => pushPiece(part, estimateTokens(part)));
+    } else {
+      pushPiece(piece, tokens);
+    }
+  });
+  if (current) segments.push(current);
+  return segments;
+};
+
+// Split text into segments of at most maxTokens: at sentence ends and line breaks first, then
+// between words, and only for a single overlong word between characters. Joining the
+// segments gives back the original text.
+export const splitIntoSegments = (text, maxTokens = MAX_SEGMENT_TOKENS) => {
+  if (!text || estimateTokens(text) <= maxTokens) return [text];
+
+  const byCharacter = (piece) => packPieces(piece.match(CHARACTER), maxTokens);
+  const byWord = (piece) => packPieces(splitAfter(piece, /\s+/g), maxTokens, byCharacter);
+  return packPieces(splitAfter(text, SENTENCE_END), maxTokens, byWord);
+};
+
+// Batch limits for a translation model: input tokens left after the prompt and the reply,
+// output tokens for the reply, items per request and the largest segment worth sending
+export const getTranslationBudget = (modelConfig, promptTokens) => {
+  const outputTokens = modelConfig.maxTokens;
+  const inputTokens = modelConfig.contextWindow - outputTokens - promptTokens;
+  const segmentTokens = Math.min(
+    MAX_SEGMENT_TOKENS,
+    Math.floor(outputTokens / OUTPUT_EXPANSION) - ITEM_OVERHEAD_TOKENS,
+    inputTokens - ITEM_OVERHEAD_TOKENS
+  );
+  return { inputTokens, outputTokens, maxItems: modelConfig.batchSize, segmentTokens: Math.max(segmentTokens, 1) };
+};
+
+// Pack items ({ tokens }) into batches that fit the budget, keeping their order
+export const planBatches = (items, budget) => {
+  const batches = [];
+  let current = [];
+  let inputTokens = 0;
+  let outputTokens = 0;
+
+  items.forEach(item => {
+    const itemInput = item.tokens + ITEM_OVERHEAD_TOKENS;
+    const itemOutput = Math.ceil(item.tokens * OUTPUT_EXPANSION) + ITEM_OVERHEAD_TOKENS;
+    const full = current.length >= budget.maxItems ||
+      inputTokens + itemInput > budget.inputTokens ||
+      outputTokens + itemOutput > budget.outputTokens;
+
+    if (current.length > 0 && full) {
+      batches.push(current);
+      current = [];
+      inputTokens = 0;
+      outputTokens = 0;
+    }
+    current.push(item);
+    inputTokens += itemInput;
+    outputTokens += itemOutput;
+  });
+  if (current.length > 0) batches.push(current);
+  return batches;
+};
+
+// Expected tokens of one request for these items: { inputTokens, outputTokens } for the prompt
+// with the items and for the reply
+export const estimateBatchTokens = (items, promptTokens) => items.reduce(
+  (sum, item) => ({
+    inputTokens: sum.inputTokens + item.tokens + ITEM_OVERHEAD_TOKENS,
+    outputTokens: sum.outputTokens + Math.ceil(item.tokens * OUTPUT_EXPANSION) + ITEM_OVERHEAD_TOKENS
+  }),
+  { inputTokens: promptTokens, outputTokens: 0 }
+);
+
+// Tokens one request for these items counts against a tokens-per-minute limit: prompt, items and
+// the expected reply
+export const estimateRequestTokens = (items, promptTokens) => {
+  const { inputTokens, outputTokens } = estimateBatchTokens(items, promptTokens);
+  return inputTokens + outputTokens;
+};
@@ -0,0 +1,105 @@
+import {
+  ITEM_OVERHEAD_TOKENS,
+  estimateTokens,
+  splitIntoSegments,
+  getTranslationBudget,
+  planBatches,
+  estimateBatchTokens,
+  estimateRequestTokens
+} from './tokenBudget';
+
+describe('estimateTokens', () => {
+  test('counts by script', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens(null)).toBe(0);
+    expect(estimateTokens('abcdefgh')).toBe(2);
+    expect(estimateTokens('Привет')).toBe(3);
+    expect(estimateTokens('排序算法')).toBe(4);
+    expect(estimateTokens('abc')).toBe(1);
+  });
+});
+
+describe('splitIntoSegments', () => {
+  const sentence = (index) => `Sentence number ${index} talks about sorting algorithms. `;
+  const text = Array.from({ length: 40 }, (_, index) => sentence(index)).join('');
+
+  test('keeps short text whole', () => {
+    expect(splitIntoSegments('Short text.', 100)).toEqual(['Short text.']);
+    expect(splitIntoSegments('', 100)).toEqual(['']);
+  });
+
+  test('cuts at sentence ends within the limit and joins back exactly', () => {
+    const segments = splitIntoSegments(text, 50);
+    expect(segments.length).toBeGreaterThan(1);
+    expect(segments.join('')).toBe(text);
+    segments.forEach(segment => {
+      expect(estimateTokens(segment)).toBeLessThanOrEqual(50);
+      expect(segment).toMatch(/\. $/);
+    });
+  });
+
+  test('cuts at CJK full stops and line breaks', () => {
+    const cjk = '快速排序是一种算法。'.repeat(10);
+    const cjkSegments = splitIntoSegments(cjk, 25);
+    expect(cjkSegments.join('')).toBe(cjk);
+    cjkSegments.forEach(segment => expect(segment.endsWith('。')).toBe(true));
+
+    const lines = Array.from({ length: 10 }, (_, index) => `line ${index} without a full stop`).join('\n');
+    const lineSegments = splitIntoSegments(lines, 20);
+    expect(lineSegments.join('')).toBe(lines);
+    lineSegments.slice(0, -1).forEach(segment => expect(segment.endsWith('\n')).toBe(true));
+  });
+
+  test('falls back to words, then characters, without cutting placeholders', () => {
+    const words = 'word '.repeat(100).trim();
+    const wordSegments = splitIntoSegments(words, 10);
+    expect(wordSegments.join('')).toBe(words);
+    wordSegments.forEach(segment => expect(segment).toMatch(/^(word )*word ?$/));
+
+    const placeholders = '⟦1⟧'.repeat(40);
+    const placeholderSegments = splitIntoSegments(placeholders, 5);
+    expect(placeholderSegments.join('')).toBe(placeholders);
+    placeholderSegments.forEach(segment => expect(segment).toMatch(/^(⟦1⟧)+$/));
+  });
+});
+
+describe('batch planning', () => {
+  const model = { contextWindow: 10000, maxTokens: 1500, batchSize: 5 };
+
+  test('budget leaves room for the prompt and the reply', () => {
+    expect(getTranslationBudget(model, 500)).toEqual({
+      inputTokens: 8000,
+      outputTokens: 1500,
+      maxItems: 5,
+      segmentTokens: 1000 - ITEM_OVERHEAD_TOKENS
+    });
+    expect(getTranslationBudget({ contextWindow: 1000, maxTokens: 300, batchSize: 5 }, 100).segmentTokens)
+      .toBe(200 - ITEM_OVERHEAD_TOKENS);
+  });
+
+  test('closes a batch at the item count or the token limits, keeping the order', () => {
+    const budget = getTranslationBudget(model, 500);
+    const small = Array.from({ length: 12 }, (_, index) => ({ id: index, tokens: 10 }));
+    expect(planBatches(small, budget).map(batch => batch.length)).toEqual([5, 5, 2]);
+    expect(planBatches(small, budget).flat()).toEqual(small);
+
+    const large = Array.from({ length: 4 }, (_, index) => ({ id: index, tokens: 600 }));
+    // 600 tokens come back as ~915 output tokens, so one item per 1500-token reply
+    expect(planBatches(large, budget).map(batch => batch.length)).toEqual([1, 1, 1, 1]);
+  });
+
+  test('sends an oversized item alone instead of dropping it', () => {
+    const budget = getTranslationBudget(model, 500);
+    expect(planBatches([{ tokens: 10 }, { tokens: 5000 }, { tokens: 10 }], budget).map(batch => batch.length))
+      .toEqual([1, 1, 1]);
+  });
+
+  test('request estimates count the prompt, the items and the reply', () => {
+    const items = [{ tokens: 10 }, { tokens: 20 }];
+    expect(estimateBatchTokens(items, 100)).toEqual({
+      inputTokens: 100 + 30 + 2 * ITEM_OVERHEAD_TOKENS,
+      outputTokens: 15 + 30 + 2 * ITEM_OVERHEAD_TOKENS
+    });
+    expect(estimateRequestTokens(items, 100)).toBe(100 + 30 + 45 + 4 * ITEM_OVERHEAD_TOKENS);
+  });
+});
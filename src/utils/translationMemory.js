@@ -0,0 +1,59 @@
+// Client for the translation memory kept by the server (translationMemory.js)
+// Languages are codes such as 'ru'; 'und' stands for a source language that was not chosen.
+import { API_ENDPOINTS } from './constants';
+
+export const UNDETERMINED_LANGUAGE = 'und';
+
+const request = async (url, options = {}) => {
+  const response = await fetch(url, options);
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || `Translation memory request failed (${response.status})`);
+  }
+  return result;
+};
+
+const postJson = (url, body) => request(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+const withQuery = (url, params) => {
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+  const text = query.toString();
+  return text ? `${url}?${text}` : url;
+};
+
+// One { exact, fuzzy } per source, in order: exact is a stored entry to reuse as is, fuzzy lists
+// similar sources ({ source, target, model, score }) best first
+export const lookupTranslations = async ({ sources, sourceLanguage, targetLanguage, model, fuzzyThreshold }) => {
+  const result = await postJson(API_ENDPOINTS.TM_LOOKUP, { sources, sourceLanguage, targetLanguage, model, fuzzyThreshold });
+  return result.matches;
+};
+
+// Store { source, target, sourceLanguage, targetLanguage, model?, origin? } pairs; resolves to { added, updated, skipped }
+export const saveTranslations = async (entries) => {
+  const { added, updated, skipped } = await postJson(API_ENDPOINTS.TM_ENTRIES, { entries });
+  return { added, updated, skipped };
+};
+
+// Page of entries, newest first: { total, entries, languagePairs }
+export const listMemoryEntries = async ({ search, sourceLanguage, targetLanguage, offset = 0, limit = 50 } = {}) => {
+  const { total, entries, languagePairs } = await request(withQuery(API_ENDPOINTS.TM_ENTRIES, { search, sourceLanguage, targetLanguage, offset, limit }));
+  return { total, entries, languagePairs };
+};
+
+// Every entry matching the filters
+export const exportMemoryEntries = async ({ sourceLanguage, targetLanguage, search } = {}) => {
+  const { entries } = await request(withQuery(API_ENDPOINTS.TM_EXPORT, { sourceLanguage, targetLanguage, search }));
+  return entries;
+};
+
+export const deleteMemoryEntry = (key) => request(`${API_ENDPOINTS.TM_ENTRIES}/${encodeURIComponent(key)}`, { method: 'DELETE' });
+
+// Remove the entries matching the filters, or every entry with all set; resolves to the number removed
+export const clearMemory = async ({ sourceLanguage, targetLanguage, search, all = false } = {}) => {
+  const { removed } = await request(withQuery(API_ENDPOINTS.TM_ENTRIES, { sourceLanguage, targetLanguage, search, all: all || null }), { method: 'DELETE' });
+  return removed;
+};
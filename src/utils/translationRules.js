@@ -0,0 +1,118 @@
+// Which cells a translation run sends. Each sheet keeps its rules in sheet.translationRules,
+// { columns: { [columnIndex]: mode }, skipPatterns: [regex source] }, so they are saved with the data.
+// auto (the default) sends text cells of question, answer and text columns unless they have no
+// letters or match a skip pattern; always sends every non-empty cell of the column; never sends none.
+// In auto and always columns, cells detected as already written in the target language stay out.
+import { getSheetSchema, getColumnRole, isTextRole } from './columnSchema';
+import { cellId } from './selection';
+import { isInLanguage } from './languageDetection';
+
+export const TRANSLATION_MODES = {
+  AUTO: 'auto',
+  ALWAYS: 'always',
+  NEVER: 'never'
+};
+
+export const TRANSLATION_MODE_LABELS = {
+  [TRANSLATION_MODES.AUTO]: 'Auto',
+  [TRANSLATION_MODES.ALWAYS]: 'Always',
+  [TRANSLATION_MODES.NEVER]: 'Never'
+};
+
+// Why a cell is not sent
+export const SKIP_REASONS = {
+  COLUMN: 'column',
+  NO_LETTERS: 'noLetters',
+  PATTERN: 'pattern',
+  IN_TARGET_LANGUAGE: 'inTargetLanguage'
+};
+
+export const SKIP_REASON_LABELS = {
+  [SKIP_REASONS.COLUMN]: 'column not translated',
+  [SKIP_REASONS.NO_LETTERS]: 'no letters',
+  [SKIP_REASONS.PATTERN]: 'skip pattern',
+  [SKIP_REASONS.IN_TARGET_LANGUAGE]: 'already in the target language'
+};
+
+const HAS_LETTER = /\p{L}/u;
+
+// Translation lookup key: HTML cells by their markup, everything else by the cleaned text
+export const translationKey = (cell) => (cell.hasHtml ? cell.original : cell.cleaned.trim());
+
+export const getTranslationRules = (sheet) => ({
+  columns: sheet?.translationRules?.columns || {},
+  skipPatterns: sheet?.translationRules?.skipPatterns || []
+});
+
+export const getColumnMode = (rules, index) => rules.columns[index] || TRANSLATION_MODES.AUTO;
+
+// Regexes for the skip patterns, matched case-insensitively against the trimmed cell text.
+// Returns { patterns, errors } with errors as { pattern, message } for the ones that do not compile.
+export const compileSkipPatterns = (sources) => {
+  const patterns = [];
+  const errors = [];
+  sources.forEach(source => {
+    if (!source.trim()) return;
+    try {
+      patterns.push(new RegExp(source, 'iu'));
+    } catch (error) {
+      errors.push({ pattern: source, message: error.message });
+    }
+  });
+  return { patterns, errors };
+};
+
+// Check for the cells of one sheet: (cell, columnIndex) => a SKIP_REASONS value, or null when the
+// cell is sent. Callers leave out empty cells first. Without a targetLanguage no cell counts as
+// already translated.
+export const createTranslationFilter = (sheet, { targetLanguage = null } = {}) => {
+  const schema = getSheetSchema(sheet);
+  const rules = getTranslationRules(sheet);
+  const { patterns } = compileSkipPatterns(rules.skipPatterns);
+
+  return (cell, colIndex) => {
+    const mode = getColumnMode(rules, colIndex);
+    if (mode === TRANSLATION_MODES.NEVER) return SKIP_REASONS.COLUMN;
+    // Cells of ID and code columns are left out before any language detection
+    if (mode === TRANSLATION_MODES.AUTO && !isTextRole(getColumnRole(schema, colIndex))) return SKIP_REASONS.COLUMN;
+    if (targetLanguage && isInLanguage(cell, targetLanguage)) return SKIP_REASONS.IN_TARGET_LANGUAGE;
+    if (mode === TRANSLATION_MODES.ALWAYS) return null;
+    const text = (cell?.cleaned || '').trim();
+    if (!HAS_LETTER.test(text)) return SKIP_REASONS.NO_LETTERS;
+    if (patterns.some(pattern => pattern.test(text))) return SKIP_REASONS.PATTERN;
+    return null;
+  };
+};
+
+const hasText = (cell) => Boolean(cell?.cleaned && cell.cleaned.trim());
+
+// Cells a translation run sends, in sheet and row order. sheetIndex with rowIndices or cellIds
+// (see selection.js) narrows the run to part of one sheet; onlyKeys to some translation keys;
+// targetLanguage leaves out cells already in that language. Returns { cells, items, skipped }:
+// cells as { sheetIndex, rowIndex, colIndex, key, text }, items as translation key -> the content
+// sent for it (HTML cells as { html }), one per unique key, and skipped as reason -> cell count.
+export const collectTranslationCells = (sheets, { sheetIndex = null, rowIndices = null, cellIds = null, onlyKeys = null, targetLanguage = null } = {}) => {
+  const cells = [];
+  const items = new Map();
+  const skipped = {};
+
+  sheets.forEach((sheet, currentSheet) => {
+    if (sheetIndex !== null && currentSheet !== sheetIndex) return;
+    const skipReason = createTranslationFilter(sheet, { targetLanguage });
+    const rows = rowIndices || sheet.data.map((_, index) => index);
+    rows.forEach(rowIndex => (sheet.data[rowIndex] || []).forEach((cell, colIndex) => {
+      if (!hasText(cell) || (cellIds && !cellIds.has(cellId(rowIndex, colIndex)))) return;
+      const reason = skipReason(cell, colIndex);
+      if (reason) {
+        skipped[reason] = (skipped[reason] || 0) + 1;
+        return;
+      }
+      const key = translationKey(cell);
+      if (onlyKeys && !onlyKeys.has(key)) return;
+      cells.push({ sheetIndex: currentSheet, rowIndex, colIndex, key, text: cell.cleaned.trim() });
+      if (!items.has(key)) items.set(key, cell.hasHtml ? { html: cell.original } : cell.cleaned.trim());
+    }));
+  });
+
+  return { cells, items, skipped };
+};
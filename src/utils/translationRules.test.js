@@ -0,0 +1,54 @@
+import { COLUMN_TYPES } from './constants';
+import { TRANSLATION_MODES, SKIP_REASONS, createTranslationFilter, collectTranslationCells } from './translationRules';
+
+jest.mock('axios', () => jest.requireActual('axios/dist/node/axios.cjs'));
+
+const russian = { code: 'ru', confidence: 0.95 };
+const cell = (text, language = null) => ({ cleaned: text, original: text, hasHtml: false, isEmpty: !text, language });
+
+// ID, question, code and comment columns, with most cells already in Russian
+const sheet = (columns = {}) => ({
+  schema: {
+    columns: [
+      { index: 0, role: COLUMN_TYPES.ID },
+      { index: 1, role: COLUMN_TYPES.QUESTION },
+      { index: 2, role: COLUMN_TYPES.CODE },
+      { index: 3, role: COLUMN_TYPES.TEXT }
+    ]
+  },
+  translationRules: { columns, skipPatterns: ['^n/?a$'] },
+  data: [
+    [cell('вопрос-1', russian), cell('What is a byte?'), cell('да', russian), cell('Комментарий', russian)],
+    [cell('вопрос-2', russian), cell('Что такое бит?', russian), cell('нет', russian), cell('N/A')]
+  ]
+});
+
+describe('createTranslationFilter', () => {
+  test('auto columns leave out ID and code cells before looking at their language', () => {
+    const skipReason = createTranslationFilter(sheet(), { targetLanguage: 'ru' });
+    const [first, second] = sheet().data;
+    expect(skipReason(first[0], 0)).toBe(SKIP_REASONS.COLUMN);
+    expect(skipReason(first[2], 2)).toBe(SKIP_REASONS.COLUMN);
+    expect(skipReason(first[1], 1)).toBe(null);
+    expect(skipReason(second[1], 1)).toBe(SKIP_REASONS.IN_TARGET_LANGUAGE);
+    expect(skipReason(second[3], 3)).toBe(SKIP_REASONS.PATTERN);
+  });
+
+  test('always columns still leave out cells already in the target language', () => {
+    const skipReason = createTranslationFilter(sheet({ 2: TRANSLATION_MODES.ALWAYS }), { targetLanguage: 'ru' });
+    expect(skipReason(cell('да', russian), 2)).toBe(SKIP_REASONS.IN_TARGET_LANGUAGE);
+    expect(skipReason(cell('yes'), 2)).toBe(null);
+    expect(createTranslationFilter(sheet({ 2: TRANSLATION_MODES.ALWAYS }))(cell('да', russian), 2)).toBe(null);
+  });
+});
+
+describe('collectTranslationCells', () => {
+  test('counts each skipped cell under the reason that applies first', () => {
+    const { cells, skipped } = collectTranslationCells([sheet({ 3: TRANSLATION_MODES.NEVER })], { targetLanguage: 'ru' });
+    expect(cells.map(item => item.text)).toEqual(['What is a byte?']);
+    expect(skipped).toEqual({
+      [SKIP_REASONS.COLUMN]: 6,
+      [SKIP_REASONS.IN_TARGET_LANGUAGE]: 1
+    });
+  });
+});
@@ -0,0 +1,104 @@
+// Minimal XML helpers for quiz formats
+// Worker-safe: no DOMParser, so XML imports can run in the parser worker
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// Escape text for element content and attribute values
+export const escapeXml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Wrap markup in CDATA, splitting any "]]>" inside it across two sections
+export const toCdata = (text) =>
+  `<![CDATA[${String(text ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const decodeXmlEntities = (text) => text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+  }
+  return XML_ENTITIES[entity] ?? match;
+});
+
+const parseAttributes = (source) => {
+  const attributes = {};
+  const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1]] = decodeXmlEntities(match[3] ?? match[4]);
+  }
+  return attributes;
+};
+
+// Parse XML into { name, attributes, children, text } nodes
+// Handles elements, attributes, text, CDATA and comments; namespaces are kept in the names
+export const parseXml = (text) => {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let position = 0;
+
+  const appendText = (value) => {
+    if (value) stack[stack.length - 1].text += value;
+  };
+
+  while (position < text.length) {
+    const tagStart = text.indexOf('<', position);
+    if (tagStart === -1) {
+      appendText(decodeXmlEntities(text.slice(position)));
+      break;
+    }
+    appendText(decodeXmlEntities(text.slice(position, tagStart)));
+
+    if (text.startsWith('<![CDATA[', tagStart)) {
+      const end = text.indexOf(']]>', tagStart);
+      if (end === -1) throw new Error('Unterminated CDATA section');
+      appendText(text.slice(tagStart + 9, end));
+      position = end + 3;
+    } else if (text.startsWith('<!--', tagStart)) {
+      const end = text.indexOf('-->', tagStart);
+      position = end === -1 ? text.length : end + 3;
+    } else if (text.startsWith('<?', tagStart) || text.startsWith('<!', tagStart)) {
+      const end = text.indexOf('>', tagStart);
+      position = end === -1 ? text.length : end + 1;
+    } else if (text[tagStart + 1] === '/') {
+      const end = text.indexOf('>', tagStart);
+      if (end === -1) throw new Error('Unterminated closing tag');
+      const name = text.slice(tagStart + 2, end).trim();
+      const node = stack.pop();
+      if (!node || node.name !== name || stack.length === 0) {
+        throw new Error(`Unexpected closing tag </${name}>`);
+      }
+      position = end + 1;
+    } else {
+      const end = text.indexOf('>', tagStart);
+      if (end === -1) throw new Error('Unterminated tag');
+      let source = text.slice(tagStart + 1, end);
+      const selfClosing = source.endsWith('/');
+      if (selfClosing) source = source.slice(0, -1);
+      const [name] = source.trim().split(/\s/, 1);
+      const node = {
+        name,
+        attributes: parseAttributes(source.slice(name.length)),
+        children: [],
+        text: ''
+      };
+      stack[stack.length - 1].children.push(node);
+      if (!selfClosing) stack.push(node);
+      position = end + 1;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Missing closing tag for <${stack[stack.length - 1].name}>`);
+  }
+  return root;
+};
+
+// First child element with the given name
+export const findChild = (node, name) => node?.children.find(child => child.name === name) || null;
+
+export const findChildren = (node, name) => node?.children.filter(child => child.name === name) || [];
+
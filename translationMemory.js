@@ -0,0 +1,314 @@
+// Translation memory: source/target pairs kept in translation-memory.json so translations are
+// paid for once. Entries are keyed by a hash of the source text, the source and target language
+// and the model that produced them; imported and hand-made entries have no model and match any.
+// Lookups return exact hits to reuse and fuzzy matches (word-level similarity) to show the model.
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const MEMORY_FILE = process.env.TRANSLATION_MEMORY_FILE || path.join(__dirname, 'translation-memory.json');
+const DEFAULT_FUZZY_THRESHOLD = 0.75;
+const MAX_FUZZY_MATCHES = 3;
+const MAX_PAGE_SIZE = 200;
+
+const hashText = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+const entryKey = (hash, sourceLanguage, targetLanguage, model) =>
+  [hash, sourceLanguage, targetLanguage, model || ''].join('|');
+
+const pairKey = (sourceLanguage, targetLanguage) => `${sourceLanguage}|${targetLanguage}`;
+
+// Words of a text for fuzzy matching: markup and case are ignored. Chinese and Japanese have no
+// spaces between words, so each of their characters counts as a word.
+const toWords = (text) => text
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/gu, ' $& ')
+  .toLowerCase()
+  .match(/[\p{L}\p{N}]+/gu) || [];
+
+// Word-level edit distance, as translation tools score fuzzy matches
+const wordDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const readEntries = async () => {
+  try {
+    return JSON.parse(await fs.readFile(MEMORY_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+};
+
+// { [key]: entry } loaded from disk on first use
+let entries = null;
+let loading = null;
+// Word index per language pair, rebuilt after changes: { pair: { words: Map<word, keys[]>, wordCounts: Map<key, n> } }
+let indexes = new Map();
+let writeQueue = Promise.resolve();
+
+// Requests arriving before the first read finishes share it; a failed read is tried again next time
+const loadEntries = () => {
+  if (!loading) {
+    loading = readEntries().then(data => {
+      entries = Object.fromEntries(data.map(entry => [entry.key, entry]));
+      return entries;
+    }, error => {
+      loading = null;
+      throw error;
+    });
+  }
+  return loading;
+};
+
+// Writes are queued so concurrent requests never interleave on the file
+const saveEntries = () => {
+  indexes = new Map();
+  writeQueue = writeQueue
+    .catch(() => {})
+    .then(() => fs.writeFile(MEMORY_FILE, JSON.stringify(Object.values(entries))));
+  return writeQueue;
+};
+
+const getIndex = (sourceLanguage, targetLanguage) => {
+  const pair = pairKey(sourceLanguage, targetLanguage);
+  if (indexes.has(pair)) return indexes.get(pair);
+
+  const index = { words: new Map(), wordCounts: new Map() };
+  Object.values(entries).forEach(entry => {
+    if (entry.sourceLanguage !== sourceLanguage || entry.targetLanguage !== targetLanguage) return;
+    const words = toWords(entry.source);
+    index.wordCounts.set(entry.key, words.length);
+    new Set(words).forEach(word => {
+      if (!index.words.has(word)) index.words.set(word, []);
+      index.words.get(word).push(entry.key);
+    });
+  });
+  indexes.set(pair, index);
+  return index;
+};
+
+// Best entries of the language pair whose source is at least threshold similar to text.
+// Shared words bound the score from above, so only entries with enough of them are scored.
+const findFuzzyMatches = (text, sourceLanguage, targetLanguage, threshold) => {
+  const words = toWords(text);
+  if (words.length === 0) return [];
+  const index = getIndex(sourceLanguage, targetLanguage);
+
+  const shared = new Map();
+  const wordCounts = new Map();
+  words.forEach(word => wordCounts.set(word, (wordCounts.get(word) || 0) + 1));
+  wordCounts.forEach((count, word) => {
+    (index.words.get(word) || []).forEach(key => shared.set(key, (shared.get(key) || 0) + count));
+  });
+
+  const matches = [];
+  shared.forEach((common, key) => {
+    const length = Math.max(words.length, index.wordCounts.get(key));
+    if (Math.min(common, index.wordCounts.get(key)) / length < threshold) return;
+
+    const entry = entries[key];
+    const score = 1 - wordDistance(words, toWords(entry.source)) / length;
+    if (score >= threshold) {
+      matches.push({ source: entry.source, target: entry.target, model: entry.model, score: Math.round(score * 100) / 100 });
+    }
+  });
+  return matches.sort((a, b) => b.score - a.score).slice(0, MAX_FUZZY_MATCHES);
+};
+
+const readLanguage = (value) => (typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : 'und');
+
+// Entry from a client's { source, target, sourceLanguage, targetLanguage, model, origin }, or null
+const toEntry = (item, now) => {
+  if (!item || typeof item.source !== 'string' || typeof item.target !== 'string') return null;
+  if (!item.source.trim() || !item.target.trim()) return null;
+  const sourceLanguage = readLanguage(item.sourceLanguage);
+  const targetLanguage = readLanguage(item.targetLanguage);
+  const model = typeof item.model === 'string' ? item.model : '';
+  const hash = hashText(item.source);
+  return {
+    key: entryKey(hash, sourceLanguage, targetLanguage, model),
+    hash,
+    source: item.source,
+    target: item.target,
+    sourceLanguage,
+    targetLanguage,
+    model,
+    origin: item.origin || (model ? 'ai' : 'import'),
+    createdAt: item.createdAt || now,
+    updatedAt: now
+  };
+};
+
+// Entries matching the query's language and text filters
+const filterEntries = ({ sourceLanguage, targetLanguage, search }) => {
+  const needle = typeof search === 'string' ? search.trim().toLowerCase() : '';
+  return Object.values(entries).filter(entry =>
+    (!sourceLanguage || entry.sourceLanguage === sourceLanguage) &&
+    (!targetLanguage || entry.targetLanguage === targetLanguage) &&
+    (!needle || entry.source.toLowerCase().includes(needle) || entry.target.toLowerCase().includes(needle)));
+};
+
+// Router mounted at /api/tm
+const createTranslationMemoryRouter = () => {
+  const router = express.Router();
+
+  // { sourceLanguage, targetLanguage, model, sources: [text], fuzzyThreshold }
+  // -> { matches: [{ exact: entry | null, fuzzy: [{ source, target, model, score }] }] } in source order
+  router.post('/lookup', async (req, res) => {
+    try {
+      const { sources, model = '', fuzzyThreshold = DEFAULT_FUZZY_THRESHOLD } = req.body;
+      if (!Array.isArray(sources)) {
+        return res.status(400).json({ success: false, error: 'Sources required' });
+      }
+      const sourceLanguage = readLanguage(req.body.sourceLanguage);
+      const targetLanguage = readLanguage(req.body.targetLanguage);
+      await loadEntries();
+
+      const matches = sources.map(source => {
+        if (typeof source !== 'string' || !source.trim()) return { exact: null, fuzzy: [] };
+        const hash = hashText(source);
+        // The model's own translation first, then one from an import or a person
+        const exact = entries[entryKey(hash, sourceLanguage, targetLanguage, model)] ||
+          entries[entryKey(hash, sourceLanguage, targetLanguage, '')] ||
+          null;
+        if (exact) return { exact, fuzzy: [] };
+        return { exact: null, fuzzy: fuzzyThreshold < 1 ? findFuzzyMatches(source, sourceLanguage, targetLanguage, fuzzyThreshold) : [] };
+      });
+
+      const hits = matches.filter(match => match.exact).length;
+      const fuzzy = matches.filter(match => match.fuzzy.length > 0).length;
+      console.log(`🧠 Translation memory ${sourceLanguage}→${targetLanguage}: ${hits} exact, ${fuzzy} fuzzy of ${sources.length}`);
+      res.json({ success: true, matches });
+    } catch (error) {
+      console.error('Translation memory lookup error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Page of entries for the memory browser: ?search=&sourceLanguage=&targetLanguage=&offset=&limit=
+  router.get('/entries', async (req, res) => {
+    try {
+      await loadEntries();
+      const filtered = filterEntries(req.query).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+      const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+      const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+      const pairs = new Map();
+      Object.values(entries).forEach(entry => {
+        const pair = pairKey(entry.sourceLanguage, entry.targetLanguage);
+        if (!pairs.has(pair)) pairs.set(pair, { sourceLanguage: entry.sourceLanguage, targetLanguage: entry.targetLanguage, count: 0 });
+        pairs.get(pair).count++;
+      });
+
+      res.json({
+        success: true,
+        total: filtered.length,
+        entries: filtered.slice(offset, offset + limit),
+        languagePairs: Array.from(pairs.values())
+      });
+    } catch (error) {
+      console.error('Translation memory load error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Every entry matching the filters, for TMX export
+  router.get('/export', async (req, res) => {
+    try {
+      await loadEntries();
+      res.json({ success: true, entries: filterEntries(req.query) });
+    } catch (error) {
+      console.error('Translation memory export error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // { entries: [{ source, target, sourceLanguage, targetLanguage, model?, origin? }] }; an entry
+  // with the same key replaces the stored one
+  router.post('/entries', async (req, res) => {
+    try {
+      if (!Array.isArray(req.body.entries)) {
+        return res.status(400).json({ success: false, error: 'Entries required' });
+      }
+      await loadEntries();
+
+      const now = new Date().toISOString();
+      let added = 0;
+      let updated = 0;
+      let skipped = 0;
+      req.body.entries.forEach(item => {
+        const entry = toEntry(item, now);
+        if (!entry) {
+          skipped++;
+          return;
+        }
+        const existing = entries[entry.key];
+        if (existing) {
+          entry.createdAt = existing.createdAt;
+          updated++;
+        } else {
+          added++;
+        }
+        entries[entry.key] = entry;
+      });
+      if (added + updated > 0) await saveEntries();
+
+      console.log(`🧠 Translation memory: ${added} added, ${updated} updated, ${skipped} skipped`);
+      res.json({ success: true, added, updated, skipped });
+    } catch (error) {
+      console.error('Translation memory save error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.delete('/entries/:key', async (req, res) => {
+    try {
+      await loadEntries();
+      if (entries[req.params.key]) {
+        delete entries[req.params.key];
+        await saveEntries();
+      }
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Translation memory delete error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Remove every entry matching the filters; emptying the whole memory takes an explicit ?all=true
+  router.delete('/entries', async (req, res) => {
+    try {
+      const { sourceLanguage, targetLanguage, search, all } = req.query;
+      const hasFilter = [sourceLanguage, targetLanguage, search].some(value => typeof value === 'string' && value.trim());
+      if (!hasFilter && all !== 'true') {
+        return res.status(400).json({ success: false, error: 'A language or search filter, or all=true, is required' });
+      }
+      await loadEntries();
+      const removed = filterEntries(req.query);
+      removed.forEach(entry => delete entries[entry.key]);
+      if (removed.length > 0) await saveEntries();
+      res.json({ success: true, removed: removed.length });
+    } catch (error) {
+      console.error('Translation memory clear error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createTranslationMemoryRouter };